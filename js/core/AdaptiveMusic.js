@@ -0,0 +1,340 @@
+/**
+ * AdaptiveMusic - Procedural stems layered under the music track
+ * Shattered Star
+ *
+ * Three stems play through AudioManager's music channel:
+ *   ambient     a slow pad; quieter in combat and as the void rises
+ *   percussion  a pulse that only plays in combat, louder and faster with
+ *               the chain and each boss phase
+ *   void        low drones that deepen with dread and the corruption tier
+ *
+ * AudioManager feeds the mix (scene, dread, corruption tier, chain length,
+ * boss phase) from game events; getStemLevels turns it into stem levels.
+ * Levels glide rather than jump, so screen changes crossfade the stems.
+ *
+ * @version 0.1.0
+ */
+
+// Seconds for a stem to get most of the way to a new level
+const STEM_GLIDE = 1.2;
+
+// Percussion look-ahead scheduling
+const PULSE_INTERVAL_MS = 25;
+const PULSE_LOOKAHEAD = 0.1;
+
+/**
+ * Drones of the void stem. Each fades in across its range of the void level
+ * (0-100) up to `gain`; build() wires its sources into `out` and returns them.
+ */
+const VOID_LAYERS = [
+    {
+        id: 'undertow',
+        from: 10, to: 40, gain: 0.12,
+        build(ctx, out) {
+            // Two close low tones beat against each other
+            return [55, 55.7].map(freq => {
+                const osc = ctx.createOscillator();
+                osc.frequency.value = freq;
+                osc.connect(out);
+                return osc;
+            });
+        }
+    },
+    {
+        id: 'dissonance',
+        from: 35, to: 70, gain: 0.06,
+        build(ctx, out) {
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 600;
+            filter.connect(out);
+            // A tritone apart
+            return [110, 155.6].map(freq => {
+                const osc = ctx.createOscillator();
+                osc.type = 'triangle';
+                osc.frequency.value = freq;
+                osc.connect(filter);
+                return osc;
+            });
+        }
+    },
+    {
+        id: 'static',
+        from: 60, to: 100, gain: 0.05,
+        build(ctx, out, noiseBuffer) {
+            const source = ctx.createBufferSource();
+            source.buffer = noiseBuffer;
+            source.loop = true;
+
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = 900;
+            filter.Q.value = 0.8;
+
+            // Slow swell on the static
+            const swell = ctx.createGain();
+            swell.gain.value = 0.5;
+            const lfo = ctx.createOscillator();
+            const depth = ctx.createGain();
+            lfo.frequency.value = 0.15;
+            depth.gain.value = 0.5;
+            lfo.connect(depth);
+            depth.connect(swell.gain);
+
+            source.connect(filter);
+            filter.connect(swell);
+            swell.connect(out);
+            return [source, lfo];
+        }
+    }
+];
+
+/**
+ * How loud each stem should be for a mix
+ * @param {{scene: string, dread: number, corruptionTier: number, chain: number, bossPhase: number}} mix
+ * @returns {{ambient: number, percussion: number, void: number, tempo: number}}
+ *   Stem levels 0-1 (void is 0-100, see VOID_LAYERS) and the pulse tempo in BPM
+ */
+function getStemLevels(mix) {
+    if (mix.scene === 'menu') {
+        return { ambient: 0.6, percussion: 0, void: 0, tempo: 80 };
+    }
+
+    const combat = mix.scene === 'combat';
+    const voidLevel = Math.min(100, Math.max(mix.dread, mix.corruptionTier * 25));
+    const chain = Math.min(mix.chain, 7);
+
+    return {
+        ambient: (combat ? 0.5 : 1) * (1 - voidLevel / 200),
+        percussion: combat ? Math.min(1, 0.35 + chain * 0.08 + mix.bossPhase * 0.2) : 0,
+        void: voidLevel,
+        tempo: 80 + chain * 4 + mix.bossPhase * 8
+    };
+}
+
+class AdaptiveMusic {
+    /**
+     * @param {AudioManager} audio - Provides the context, music channel and noise buffer
+     */
+    constructor(audio) {
+        this.audio = audio;
+
+        this.mix = {
+            scene: 'menu',
+            dread: 0,
+            corruptionTier: 0,
+            chain: 0,
+            bossPhase: 0
+        };
+
+        // Built in start(): stem id -> { gain, sources }
+        this.bus = null;
+        this.stems = new Map();
+        this.voidLayers = new Map();
+
+        this.pulseTimer = null;
+        this.nextBeat = 0;
+        this.beat = 0;
+        this.tempo = 80;
+    }
+
+    get context() {
+        return this.audio.context;
+    }
+
+    /**
+     * Build and start the stems (no-op if running or there's no context)
+     */
+    start() {
+        if (!this.context || this.bus) return;
+
+        try {
+            const ctx = this.context;
+            this.bus = ctx.createGain();
+            this.bus.connect(this.audio.channels.music);
+
+            this.stems.set('ambient', this.buildAmbient());
+            this.stems.set('percussion', { gain: this.createStemGain(), sources: [] });
+
+            const voidGain = this.createStemGain();
+            voidGain.gain.value = 1;
+            const voidSources = [];
+            VOID_LAYERS.forEach(layer => {
+                const gain = ctx.createGain();
+                gain.gain.value = 0;
+                gain.connect(voidGain);
+                const sources = layer.build(ctx, gain, this.audio.getNoiseBuffer());
+                this.voidLayers.set(layer.id, gain);
+                voidSources.push(...sources);
+            });
+            this.stems.set('void', { gain: voidGain, sources: voidSources });
+
+            this.stems.forEach(({ sources }) => sources.forEach(source => source.start()));
+            this.update();
+        } catch (e) {
+            console.warn('[AdaptiveMusic] Could not start stems:', e);
+        }
+    }
+
+    stop() {
+        this.stopPulse();
+        this.stems.forEach(({ sources }) => {
+            sources.forEach(source => {
+                try { source.stop(); } catch (e) { /* already stopped */ }
+            });
+        });
+        this.stems.clear();
+        this.voidLayers.clear();
+        this.bus?.disconnect();
+        this.bus = null;
+    }
+
+    /**
+     * Fade all stems together (pausing and resuming the music)
+     */
+    fade(value) {
+        if (!this.bus) return;
+        this.bus.gain.setTargetAtTime(value, this.context.currentTime, 0.3);
+    }
+
+    /**
+     * Change part of the mix and glide the stems to match
+     * @param {Object} changes - Any of scene, dread, corruptionTier, chain, bossPhase
+     */
+    set(changes) {
+        Object.assign(this.mix, changes);
+        this.update();
+    }
+
+    update() {
+        const levels = getStemLevels(this.mix);
+        this.tempo = levels.tempo;
+        if (!this.bus) return;
+
+        const now = this.context.currentTime;
+        this.stems.get('ambient').gain.gain.setTargetAtTime(levels.ambient, now, STEM_GLIDE / 3);
+        this.stems.get('percussion').gain.gain.setTargetAtTime(levels.percussion, now, STEM_GLIDE / 3);
+        VOID_LAYERS.forEach(layer => {
+            const amount = Math.max(0, Math.min(1, (levels.void - layer.from) / (layer.to - layer.from)));
+            // Slower than the other stems so corruption creeps in
+            this.voidLayers.get(layer.id).gain.setTargetAtTime(amount * layer.gain, now, STEM_GLIDE);
+        });
+
+        if (levels.percussion > 0) {
+            this.startPulse();
+        } else {
+            this.stopPulse();
+        }
+    }
+
+    createStemGain() {
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+        gain.connect(this.bus);
+        return gain;
+    }
+
+    // ==========================================
+    // STEMS
+    // ==========================================
+
+    /**
+     * A minor-chord pad with a slowly opening filter
+     */
+    buildAmbient() {
+        const ctx = this.context;
+        const gain = this.createStemGain();
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 700;
+        filter.connect(gain);
+
+        const lfo = ctx.createOscillator();
+        const depth = ctx.createGain();
+        lfo.frequency.value = 0.05;
+        depth.gain.value = 300;
+        lfo.connect(depth);
+        depth.connect(filter.frequency);
+
+        const voices = [220, 261.6, 329.6].map(freq => {
+            const osc = ctx.createOscillator();
+            const level = ctx.createGain();
+            osc.type = 'triangle';
+            osc.frequency.value = freq;
+            level.gain.value = 0.015;
+            osc.connect(level);
+            level.connect(filter);
+            return osc;
+        });
+
+        return { gain, sources: [...voices, lfo] };
+    }
+
+    /**
+     * Schedule eighth-note beats ahead of time while percussion is audible
+     */
+    startPulse() {
+        if (this.pulseTimer) return;
+        this.nextBeat = this.context.currentTime + 0.05;
+        this.beat = 0;
+        this.pulseTimer = setInterval(() => this.schedulePulse(), PULSE_INTERVAL_MS);
+    }
+
+    stopPulse() {
+        if (!this.pulseTimer) return;
+        clearInterval(this.pulseTimer);
+        this.pulseTimer = null;
+    }
+
+    schedulePulse() {
+        const out = this.stems.get('percussion')?.gain;
+        if (!out) return;
+
+        while (this.nextBeat < this.context.currentTime + PULSE_LOOKAHEAD) {
+            this.playBeat(out, this.beat, this.nextBeat);
+            this.nextBeat += 30 / this.tempo;
+            this.beat = (this.beat + 1) % 8;
+        }
+    }
+
+    /**
+     * Kick on the downbeats (and a pickup once things heat up), hats between
+     */
+    playBeat(out, beat, time) {
+        const ctx = this.context;
+        const kick = beat === 0 || beat === 4 || (beat === 7 && this.tempo >= 100);
+
+        if (kick) {
+            const osc = ctx.createOscillator();
+            const env = ctx.createGain();
+            osc.frequency.setValueAtTime(110, time);
+            osc.frequency.exponentialRampToValueAtTime(40, time + 0.15);
+            env.gain.setValueAtTime(0.25, time);
+            env.gain.exponentialRampToValueAtTime(0.0001, time + 0.2);
+            osc.connect(env);
+            env.connect(out);
+            osc.start(time);
+            osc.stop(time + 0.22);
+        }
+
+        if (beat % 2 === 1) {
+            const hat = ctx.createBufferSource();
+            const filter = ctx.createBiquadFilter();
+            const env = ctx.createGain();
+            hat.buffer = this.audio.getNoiseBuffer();
+            filter.type = 'highpass';
+            filter.frequency.value = 6000;
+            env.gain.setValueAtTime(0.04, time);
+            env.gain.exponentialRampToValueAtTime(0.0001, time + 0.05);
+            hat.connect(filter);
+            filter.connect(env);
+            env.connect(out);
+            hat.start(time);
+            hat.stop(time + 0.06);
+        }
+    }
+}
+
+export { AdaptiveMusic, getStemLevels, VOID_LAYERS };
+export default AdaptiveMusic;
@@ -1,20 +1,220 @@
 /**
  * AudioManager - Handles all game audio
+ *
+ * Music tracks play from two <audio> decks (#music-player and a spare) so a
+ * new track crossfades in over the old one. Sound effects play from
+ * assets/audio/sfx when the file ships with the game (SFX_FILES); anything
+ * else is synthesized with Web Audio from SYNTH_SFX.
+ *
+ * All Web Audio shares one AudioContext: master gain -> music and sfx channel
+ * gains, so the volume settings apply to synthesized sounds too. Under the
+ * music track, AdaptiveMusic plays ambient, percussion and void stems; the
+ * event listeners below keep its mix (screen, dread, corruption tier, chain,
+ * boss phase) current.
+ *
+ * @version 0.3.0 - Adaptive music stems, crossfaded tracks
  */
+
+import { AdaptiveMusic } from './AdaptiveMusic.js';
+
+// Sound effects that ship as files in assets/audio/sfx. Add the id here when
+// adding a file; every other id is synthesized.
+const SFX_FILES = new Set(['ui_click', 'ui_confirm']);
+
+// Repeats of one synthesized sound closer together than this are spread out
+// (a five-card draw becomes a riffle instead of one loud click)
+const SYNTH_SPACING = 0.045;
+
+// Seconds for one music track to crossfade into the next
+const CROSSFADE_TIME = 1.5;
+
+// Screens that are part of a run (the rest are menus); combat-screen is its own scene
+const EXPLORE_SCREENS = new Set([
+    'map-screen', 'event-screen', 'shop-screen', 'rest-screen',
+    'reward-screen', 'card-select-screen', 'boss-intro-screen'
+]);
+
+// ==========================================
+// SYNTHESIS HELPERS
+// ==========================================
+
+/**
+ * One enveloped oscillator
+ */
+function tone(ctx, out, { type = 'sine', freq, to = null, start, duration, gain = 0.1, attack = 0.005 }) {
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, start);
+    if (to) osc.frequency.exponentialRampToValueAtTime(to, start + duration);
+
+    env.gain.setValueAtTime(0.0001, start);
+    env.gain.exponentialRampToValueAtTime(gain, start + attack);
+    env.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    osc.connect(env);
+    env.connect(out);
+    osc.start(start);
+    osc.stop(start + duration + 0.02);
+}
+
+/**
+ * A filtered burst of white noise
+ */
+function noise(audio, out, { start, duration, gain = 0.1, filter = 'bandpass', freq = 1200, q = 1 }) {
+    const ctx = audio.context;
+    const source = ctx.createBufferSource();
+    const shape = ctx.createBiquadFilter();
+    const env = ctx.createGain();
+
+    source.buffer = audio.getNoiseBuffer();
+    shape.type = filter;
+    shape.frequency.value = freq;
+    shape.Q.value = q;
+
+    env.gain.setValueAtTime(gain, start);
+    env.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    source.connect(shape);
+    shape.connect(env);
+    env.connect(out);
+    source.start(start);
+    source.stop(start + duration + 0.02);
+}
+
+/**
+ * Sound recipes: (audio, out, start, options) schedule nodes into `out`
+ */
+const SYNTH_SFX = {
+    // ── UI ──
+    ui_click: (a, out, t) => tone(a.context, out, { type: 'square', freq: 1400, start: t, duration: 0.04, gain: 0.04 }),
+    ui_hover: (a, out, t) => tone(a.context, out, { freq: 1800, start: t, duration: 0.03, gain: 0.02 }),
+    ui_confirm: (a, out, t) => {
+        tone(a.context, out, { type: 'triangle', freq: 660, start: t, duration: 0.08, gain: 0.07 });
+        tone(a.context, out, { type: 'triangle', freq: 990, start: t + 0.07, duration: 0.12, gain: 0.07 });
+    },
+    ui_cancel: (a, out, t) => tone(a.context, out, { type: 'triangle', freq: 520, to: 330, start: t, duration: 0.12, gain: 0.06 }),
+    ui_error: (a, out, t) => {
+        tone(a.context, out, { type: 'square', freq: 160, start: t, duration: 0.09, gain: 0.05 });
+        tone(a.context, out, { type: 'square', freq: 150, start: t + 0.1, duration: 0.12, gain: 0.05 });
+    },
+    text_tick: (a, out, t) => tone(a.context, out, { type: 'square', freq: 2200, start: t, duration: 0.015, gain: 0.015 }),
+    event_appear: (a, out, t) => {
+        tone(a.context, out, { freq: 220, to: 330, start: t, duration: 0.6, gain: 0.05, attack: 0.15 });
+        tone(a.context, out, { type: 'triangle', freq: 311, start: t + 0.1, duration: 0.6, gain: 0.03, attack: 0.2 });
+    },
+    coin: (a, out, t) => {
+        tone(a.context, out, { type: 'square', freq: 988, start: t, duration: 0.06, gain: 0.04 });
+        tone(a.context, out, { type: 'square', freq: 1319, start: t + 0.06, duration: 0.18, gain: 0.04 });
+    },
+    artifact_gain: (a, out, t) => {
+        [523, 659, 784, 1047].forEach((freq, i) => {
+            tone(a.context, out, { type: 'triangle', freq, start: t + i * 0.06, duration: 0.3, gain: 0.05 });
+        });
+    },
+
+    // ── Cards ──
+    card_draw: (a, out, t) => noise(a, out, { start: t, duration: 0.07, gain: 0.08, filter: 'highpass', freq: 2500 }),
+    card_play: (a, out, t) => {
+        noise(a, out, { start: t, duration: 0.1, gain: 0.08, freq: 1800, q: 0.7 });
+        tone(a.context, out, { type: 'triangle', freq: 440, to: 660, start: t, duration: 0.1, gain: 0.04 });
+    },
+
+    // ── Combat ──
+    hit: (a, out, t, { amount = 6 } = {}) => {
+        // Bigger hits land lower and louder
+        const weight = Math.min(1, amount / 30);
+        noise(a, out, { start: t, duration: 0.12 + weight * 0.1, gain: 0.12 + weight * 0.1, filter: 'lowpass', freq: 2400 - weight * 1400 });
+        tone(a.context, out, { freq: 150 - weight * 60, to: 45, start: t, duration: 0.18 + weight * 0.12, gain: 0.18 });
+    },
+    player_hit: (a, out, t) => {
+        noise(a, out, { start: t, duration: 0.25, gain: 0.16, filter: 'lowpass', freq: 900 });
+        tone(a.context, out, { type: 'sawtooth', freq: 110, to: 40, start: t, duration: 0.3, gain: 0.1 });
+    },
+    block_gain: (a, out, t) => {
+        tone(a.context, out, { type: 'square', freq: 880, start: t, duration: 0.12, gain: 0.03 });
+        tone(a.context, out, { type: 'sine', freq: 1320, start: t, duration: 0.25, gain: 0.05 });
+    },
+    block_hit: (a, out, t) => {
+        noise(a, out, { start: t, duration: 0.08, gain: 0.1, freq: 3200, q: 4 });
+        tone(a.context, out, { type: 'square', freq: 620, to: 540, start: t, duration: 0.15, gain: 0.04 });
+    },
+    heal: (a, out, t) => tone(a.context, out, { freq: 440, to: 880, start: t, duration: 0.4, gain: 0.06, attack: 0.05 }),
+    victory: (a, out, t) => {
+        [392, 523, 659, 784].forEach((freq, i) => {
+            tone(a.context, out, { type: 'triangle', freq, start: t + i * 0.12, duration: 0.5, gain: 0.06 });
+        });
+    },
+    defeat: (a, out, t) => {
+        [330, 311, 277, 220].forEach((freq, i) => {
+            tone(a.context, out, { type: 'sawtooth', freq, start: t + i * 0.25, duration: 0.6, gain: 0.04, attack: 0.05 });
+        });
+    },
+
+    // ── Chains ──
+    chain_milestone: (a, out, t, { length = 3 } = {}) => {
+        // Climbs a fifth-stacked arpeggio; longer chains start higher
+        const root = 330 * Math.pow(2, Math.min(length - 3, 5) / 12);
+        [1, 1.5, 2].forEach((ratio, i) => {
+            tone(a.context, out, { type: 'triangle', freq: root * ratio, start: t + i * 0.05, duration: 0.25, gain: 0.06 });
+        });
+    },
+    chain_break: (a, out, t) => tone(a.context, out, { type: 'sawtooth', freq: 440, to: 110, start: t, duration: 0.25, gain: 0.04 }),
+
+    // ── Corruption ──
+    corruption: (a, out, t) => {
+        tone(a.context, out, { type: 'sawtooth', freq: 73, start: t, duration: 0.6, gain: 0.06, attack: 0.08 });
+        tone(a.context, out, { type: 'sawtooth', freq: 75.5, start: t, duration: 0.6, gain: 0.06, attack: 0.08 });
+        noise(a, out, { start: t, duration: 0.4, gain: 0.03, freq: 400, q: 6 });
+    },
+    cascade_event: (a, out, t) => {
+        tone(a.context, out, { freq: 200, to: 600, start: t, duration: 0.5, gain: 0.06 });
+        tone(a.context, out, { type: 'triangle', freq: 300, to: 150, start: t, duration: 0.5, gain: 0.06 });
+    },
+    // Damage cascade steps rise in pitch, then land on the impact
+    cascade_tick: (a, out, t, { step = 0, total = 1 } = {}) => {
+        const freq = 220 + 660 * (step / Math.max(1, total - 1));
+        tone(a.context, out, { freq, start: t, duration: 0.15, gain: 0.08 + step * 0.02 });
+    },
+    cascade_impact: (a, out, t) => tone(a.context, out, { type: 'sawtooth', freq: 80, to: 40, start: t, duration: 0.3, gain: 0.15 })
+};
+
+SYNTH_SFX.damage_hit = SYNTH_SFX.hit;
+SYNTH_SFX.block = SYNTH_SFX.block_gain;
+SYNTH_SFX.artifact_obtain = SYNTH_SFX.artifact_gain;
+
 class AudioManager {
-    constructor() {
+    constructor(eventBus = null) {
+        this.eventBus = eventBus;
         this.musicPlayer = document.getElementById('music-player');
         this.context = null;
         this.sounds = new Map();
-        
+
         this.volumes = {
             master: 0.8,
             music: 0.7,
             sfx: 0.8
         };
-        
+
+        // Web Audio graph (built in init)
+        this.channels = null;
+        this.noiseBuffer = null;
+        this.lastSynthAt = new Map();
+
+        // Adaptive stems (built in init)
+        this.music = null;
+        this.mixState = {};
+
+        // Crossfade state: deck element -> its fade (0-1)
+        this.decks = [this.musicPlayer];
+        this.deckFades = new Map([[this.musicPlayer, 1]]);
+        this.crossfadeTimer = null;
+
         this.currentTrack = null;
         this.initialized = false;
+
+        this.setupEventListeners();
     }
 
     /**
@@ -22,26 +222,81 @@ class AudioManager {
      */
     init() {
         if (this.initialized) return;
-        
+
         try {
             this.context = new (window.AudioContext || window.webkitAudioContext)();
+
+            const master = this.context.createGain();
+            const music = this.context.createGain();
+            const sfx = this.context.createGain();
+            music.connect(master);
+            sfx.connect(master);
+            master.connect(this.context.destination);
+            this.channels = { master, music, sfx };
+
+            this.music = new AdaptiveMusic(this);
+            this.music.set(this.mixState);
+
             this.initialized = true;
+            this.updateChannelGains();
             console.log('[AudioManager] Initialized');
         } catch (error) {
             console.warn('[AudioManager] Could not initialize:', error);
         }
     }
 
+    /**
+     * Play sounds for game events that don't call playSFX themselves
+     */
+    setupEventListeners() {
+        if (!this.eventBus) return;
+
+        this.eventBus.on('damage:dealt', (data) => {
+            if (data?.amount > 0) this.playSFX('hit', { amount: data.amount });
+        });
+        this.eventBus.on('player:damaged', (data) => {
+            this.playSFX(data?.hpDamage > 0 ? 'player_hit' : 'block_hit');
+        });
+        this.eventBus.on('block:gained', () => this.playSFX('block_gain'));
+        this.eventBus.on('heal', () => this.playSFX('heal'));
+        this.eventBus.on('chain:milestone', (data) => this.playSFX('chain_milestone', { length: data?.length }));
+        this.eventBus.on('chain:break', () => this.playSFX('chain_break', { volume: 0.6 }));
+        this.eventBus.on('corruption:gained', (amount) => {
+            if ((typeof amount === 'number' ? amount : amount?.amount) > 0) this.playSFX('corruption');
+        });
+        this.eventBus.on('combat:victory', () => this.playSFX('victory'));
+        this.eventBus.on('combat:defeat', () => this.playSFX('defeat'));
+
+        // Adaptive music mix
+        this.eventBus.on('dread:changed', (data) => this.setDread(data?.level));
+        this.eventBus.on('corruption:changed', (data) => {
+            this.setCorruption(typeof data === 'number' ? data : data?.current);
+        });
+        this.eventBus.on('chain:grow', (data) => this.setMix({ chain: data?.length ?? 0 }));
+        this.eventBus.on('chain:start', () => this.setMix({ chain: 1 }));
+        this.eventBus.on('chain:break', () => this.setMix({ chain: 1 }));
+        this.eventBus.on('boss:phaseChange', (data) => this.setMix({ bossPhase: data?.phaseIndex ?? 0 }));
+        this.eventBus.on('combat:victory', () => this.setMix({ chain: 0, bossPhase: 0 }));
+        this.eventBus.on('combat:defeat', () => this.setMix({ chain: 0, bossPhase: 0 }));
+        this.eventBus.on('screen:changed', (data) => {
+            if (!data?.to) return;
+            const scene = data.to === 'combat-screen' ? 'combat'
+                : EXPLORE_SCREENS.has(data.to) ? 'explore' : 'menu';
+            this.setMix(scene === 'combat' ? { scene } : { scene, chain: 0, bossPhase: 0 });
+        });
+    }
+
     /**
      * Set volume for a channel
      */
     setVolume(channel, value) {
         this.volumes[channel] = Math.max(0, Math.min(1, value));
-        
+
         if (channel === 'music' || channel === 'master') {
             this.updateMusicVolume();
         }
-        
+        this.updateChannelGains();
+
         this.saveSettings();
     }
 
@@ -56,28 +311,35 @@ class AudioManager {
      * Update music volume
      */
     updateMusicVolume() {
-        if (this.musicPlayer) {
-            this.musicPlayer.volume = this.volumes.master * this.volumes.music;
-        }
+        const volume = this.volumes.master * this.volumes.music;
+        this.deckFades.forEach((fade, deck) => {
+            if (deck) deck.volume = volume * fade;
+        });
+    }
+
+    /**
+     * Apply the channel volumes to the Web Audio gains
+     */
+    updateChannelGains() {
+        if (!this.channels) return;
+        const now = this.context.currentTime;
+        ['master', 'music', 'sfx'].forEach(channel => {
+            this.channels[channel].gain.setTargetAtTime(this.volumes[channel], now, 0.02);
+        });
     }
 
     /**
-     * Play background music
+     * Play background music, crossfading from the current track
      */
     playMusic(trackId) {
         if (!this.musicPlayer) return;
-        
-        const trackPath = `assets/audio/music/${trackId}.mp3`;
-        
+
         if (this.currentTrack !== trackId) {
             this.currentTrack = trackId;
-            this.musicPlayer.src = trackPath;
-            this.updateMusicVolume();
-            
-            this.musicPlayer.play().catch(error => {
-                console.warn('[AudioManager] Could not play music:', error);
-            });
+            this.crossfadeTo(`assets/audio/music/${trackId}.mp3`);
         }
+
+        this.music?.start();
     }
 
     /**
@@ -85,10 +347,16 @@ class AudioManager {
      */
     stopMusic() {
         if (this.musicPlayer) {
-            this.musicPlayer.pause();
-            this.musicPlayer.currentTime = 0;
+            this.stopCrossfade();
+            this.decks.forEach(deck => {
+                deck.pause();
+                deck.currentTime = 0;
+                this.deckFades.set(deck, 0);
+            });
+            this.deckFades.set(this.activeDeck(), 1);
             this.currentTrack = null;
         }
+        this.music?.stop();
     }
 
     /**
@@ -96,8 +364,9 @@ class AudioManager {
      */
     pauseMusic() {
         if (this.musicPlayer) {
-            this.musicPlayer.pause();
+            this.decks.forEach(deck => deck.pause());
         }
+        this.music?.fade(0);
     }
 
     /**
@@ -105,22 +374,128 @@ class AudioManager {
      */
     resumeMusic() {
         if (this.musicPlayer && this.currentTrack) {
-            this.musicPlayer.play().catch(() => {});
+            this.activeDeck().play().catch(() => {});
+            this.music?.fade(1);
+        }
+    }
+
+    // ==========================================
+    // CROSSFADE
+    // ==========================================
+
+    /**
+     * The deck the current track plays on
+     */
+    activeDeck() {
+        return this.decks[0];
+    }
+
+    /**
+     * Start `src` on the idle deck and fade the decks across
+     */
+    crossfadeTo(src) {
+        this.stopCrossfade();
+
+        // Nothing to fade from: play on the current deck
+        if (this.activeDeck().paused) {
+            const deck = this.activeDeck();
+            deck.src = src;
+            this.decks.forEach(other => this.deckFades.set(other, other === deck ? 1 : 0));
+            this.updateMusicVolume();
+            deck.play().catch(error => {
+                console.warn('[AudioManager] Could not play music:', error);
+            });
+            return;
+        }
+
+        if (this.decks.length === 1) {
+            const spare = new Audio();
+            spare.loop = this.musicPlayer.loop;
+            this.decks.push(spare);
+            this.deckFades.set(spare, 0);
         }
+
+        const outgoing = this.decks[0];
+        const incoming = this.decks[1];
+        this.decks = [incoming, outgoing];
+
+        incoming.src = src;
+        this.deckFades.set(incoming, 0);
+        this.updateMusicVolume();
+        incoming.play().catch(error => {
+            console.warn('[AudioManager] Could not play music:', error);
+        });
+
+        const step = 0.05 / CROSSFADE_TIME;
+        this.crossfadeTimer = setInterval(() => {
+            const fade = Math.min(1, this.deckFades.get(incoming) + step);
+            this.deckFades.set(incoming, fade);
+            this.deckFades.set(outgoing, Math.min(this.deckFades.get(outgoing), 1 - fade));
+            this.updateMusicVolume();
+
+            if (fade >= 1) {
+                this.stopCrossfade();
+                outgoing.pause();
+            }
+        }, 50);
+    }
+
+    stopCrossfade() {
+        if (!this.crossfadeTimer) return;
+        clearInterval(this.crossfadeTimer);
+        this.crossfadeTimer = null;
+    }
+
+    // ==========================================
+    // ADAPTIVE MIX
+    // ==========================================
+
+    /**
+     * Update the adaptive music mix (see AdaptiveMusic.set)
+     */
+    setMix(changes) {
+        this.mixState = { ...this.mixState, ...changes };
+        this.music?.set(changes);
+    }
+
+    /**
+     * @param {number} level - NarrativeSystem dread, 0-100
+     */
+    setDread(level) {
+        if (!Number.isFinite(level)) return;
+        this.setMix({ dread: Math.max(0, Math.min(100, level)) });
     }
 
+    /**
+     * @param {number} corruption - Run corruption, 0-100; the mix uses its tier
+     */
+    setCorruption(corruption) {
+        if (!Number.isFinite(corruption)) return;
+        this.setMix({ corruptionTier: Math.max(0, Math.min(4, Math.floor(corruption / 25))) });
+    }
+
+    // ==========================================
+    // SOUND EFFECTS
+    // ==========================================
+
     /**
      * Play a sound effect
+     * @param {string} soundId
+     * @param {Object|number} [options] - {volume, ...recipe options}, or just a volume
      */
     playSFX(soundId, options = {}) {
         if (!this.initialized) {
             this.init();
         }
-        
-        const volume = (options.volume || 1) * this.volumes.master * this.volumes.sfx;
-        
-        // For MVP, we'll use simple audio elements
-        // In production, we'd use Web Audio API for better control
+        if (typeof options === 'number') options = { volume: options };
+
+        if (!SFX_FILES.has(soundId)) {
+            this.synthesize(soundId, options);
+            return;
+        }
+
+        const volume = (options.volume ?? 1) * this.volumes.master * this.volumes.sfx;
+
         const audio = new Audio(`assets/audio/sfx/${soundId}.mp3`);
         audio.volume = volume;
         audio.play().catch(() => {
@@ -128,6 +503,46 @@ class AudioManager {
         });
     }
 
+    /**
+     * Play a sound from SYNTH_SFX through the sfx channel
+     * @returns {boolean} False if there's no recipe or no audio context
+     */
+    synthesize(soundId, options = {}) {
+        const recipe = SYNTH_SFX[soundId];
+        if (!recipe || !this.context) return false;
+
+        try {
+            if (this.context.state === 'suspended') this.context.resume();
+
+            const now = this.context.currentTime;
+            const last = this.lastSynthAt.get(soundId) ?? -1;
+            const start = Math.min(now + 0.3, Math.max(now, last + SYNTH_SPACING));
+            this.lastSynthAt.set(soundId, start);
+
+            const out = this.context.createGain();
+            out.gain.value = options.volume ?? 1;
+            out.connect(this.channels.sfx);
+            recipe(this, out, start, options);
+            return true;
+        } catch (e) {
+            console.warn(`[AudioManager] Could not synthesize ${soundId}:`, e);
+            return false;
+        }
+    }
+
+    /**
+     * One second of white noise, shared by every noise source
+     */
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+        }
+        return this.noiseBuffer;
+    }
+
     /**
      * Play a UI sound
      */
@@ -146,7 +561,7 @@ class AudioManager {
             victory: 'victory',
             defeat: 'defeat'
         };
-        
+
         const soundId = uiSounds[type];
         if (soundId) {
             this.playSFX(soundId, { volume: 0.5 });
@@ -173,6 +588,7 @@ class AudioManager {
             if (saved) {
                 this.volumes = { ...this.volumes, ...JSON.parse(saved) };
                 this.updateMusicVolume();
+                this.updateChannelGains();
             }
         } catch (error) {
             console.warn('[AudioManager] Could not load settings');
@@ -186,6 +602,7 @@ class AudioManager {
         this.previousVolumes = { ...this.volumes };
         this.volumes.master = 0;
         this.updateMusicVolume();
+        this.updateChannelGains();
     }
 
     /**
@@ -196,6 +613,7 @@ class AudioManager {
             this.volumes = this.previousVolumes;
             this.previousVolumes = null;
             this.updateMusicVolume();
+            this.updateChannelGains();
         }
     }
 
@@ -1,9 +1,14 @@
 /**
  * DataLoader - Handles loading and caching of game data from JSON files
  * Provides centralized access to all game content
- * @version 0.3.0 - Added Lyria fallback data, varra/bookend event paths
+ * @version 0.9.0 - Ascension levels preloaded alongside the meta unlocks
  */
 import eventBus from './EventBus.js';
+import rng from './RNG.js';
+import { rollEncounter } from '../systems/EncounterTable.js';
+
+// Used when an act's map config is missing or names no boss
+const DEFAULT_ACT_BOSSES = { 1: 'scrap_king', 2: 'rust_titan', 3: 'xalkorath' };
 
 class DataLoader {
     constructor() {
@@ -11,6 +16,17 @@ class DataLoader {
         this.loading = new Map();
         this.basePath = './data/';
         
+        // Content diagnostics: manifest files that failed to load, and lookups
+        // that were answered from fallback data instead of the real files
+        this.diagnostics = {
+            failedFiles: new Map(),  // path → { path, status, reason }
+            fallbacks: new Map()     // 'kind:id' → { kind, id, reason, count }
+        };
+        
+        // Meta-progression gate for reward pools (MetaProgression installs
+        // itself; with none set, e.g. in the tools, everything is available)
+        this.unlockFilter = null;
+        
         // Fallback hero data for when external files aren't available
         this.fallbackHeroes = [
             {
@@ -36,7 +52,7 @@ class DataLoader {
                 description: 'A temporal mage experiencing nonlinear time. The Marsh amplifies her abilities and her instability.',
                 hp: 70,
                 energy: 3,
-                locked: false,
+                locked: true,
                 archetypes: [
                     { name: 'Astral', description: 'Scaling damage over time' },
                     { name: 'Temporal', description: 'Draw and cost manipulation' },
@@ -56,9 +72,9 @@ class DataLoader {
                 archetypes: [
                     { name: 'Radiant', description: 'Holy damage over time' },
                     { name: 'Aegis', description: 'Persistent shields' },
-                    { name: 'Judgment', description: 'Punish debuffed enemies' }
+                    { name: 'Judgment', description: 'Bank Judgment, spend it on verdicts' }
                 ],
-                startingDeck: ['strike', 'strike', 'strike', 'defend', 'defend', 'defend', 'radiant_strike', 'aegis_of_faith'],
+                startingDeck: ['radiant_strike', 'radiant_strike', 'radiant_strike', 'solemn_defense', 'solemn_defense', 'solemn_defense', 'dawn_brand', 'aegis_of_faith'],
                 startingArtifact: 'shard_of_first_light'
             },
             {
@@ -111,7 +127,12 @@ class DataLoader {
                 { id: 'lyria_strike', name: 'Fracture', type: 'attack', cost: 1, rarity: 'starter', description: 'Deal 5 damage.', effects: [{type: 'damage', value: 5}] },
                 { id: 'lyria_defend', name: 'Foresight', type: 'skill', cost: 1, rarity: 'starter', description: 'Gain 5 Block.', effects: [{type: 'block', value: 5}] },
                 { id: 'temporal_slip', name: 'Temporal Slip', type: 'skill', cost: 1, rarity: 'starter', description: 'Draw 2 cards. Discard 1. Gain 1 Temporal Flux.', effects: [{type: 'draw', value: 2}, {type: 'discard', value: 1}, {type: 'temporal_flux', value: 1}] },
-                { id: 'astral_lance', name: 'Astral Lance', type: 'attack', cost: 2, rarity: 'starter', description: 'Deal 6 damage + Astral Charge. Gain 1 Astral Charge.', effects: [{type: 'damage', value: 6, scaling: 'astral_charge'}, {type: 'astral_charge', value: 1}] }
+                { id: 'astral_lance', name: 'Astral Lance', type: 'attack', cost: 2, rarity: 'starter', description: 'Deal 6 damage + Astral Charge. Gain 1 Astral Charge.', effects: [{type: 'damage', value: 6, scaling: 'astral_charge'}, {type: 'astral_charge', value: 1}] },
+                // Auren starter fallbacks
+                { id: 'radiant_strike', name: 'Radiant Strike', type: 'attack', cost: 1, rarity: 'starter', description: 'Deal 6 damage. If you have Block, gain 1 Judgment.', effects: [{type: 'damage', value: 6}, {type: 'judgment', value: 1, conditional: {trigger: 'has_block'}}] },
+                { id: 'solemn_defense', name: 'Solemn Defense', type: 'skill', cost: 1, rarity: 'starter', description: 'Gain 5 Block. If you took damage last turn, gain 1 Judgment.', effects: [{type: 'block', value: 5}, {type: 'judgment', value: 1, conditional: {trigger: 'took_damage_last_turn'}}] },
+                { id: 'dawn_brand', name: 'Dawn Brand', type: 'attack', cost: 1, rarity: 'starter', description: 'Deal 4 damage. Apply 2 Radiance.', effects: [{type: 'damage', value: 4}, {type: 'radiance', value: 2}] },
+                { id: 'aegis_of_faith', name: 'Aegis of Faith', type: 'skill', cost: 1, rarity: 'starter', description: 'Gain 4 Block. Gain 3 Aegis.', effects: [{type: 'block', value: 4}, {type: 'aegis', value: 3}] }
             ]
         };
         
@@ -132,6 +153,7 @@ class DataLoader {
                 auren: 'cards/auren_cards.json',
                 shade: 'cards/shade_cards.json',
                 neutral: 'cards/neutral_cards.json',
+                status: 'cards/status_cards.json',
                 corrupted: 'cards/corrupted_cards.json'
             },
             
@@ -152,7 +174,9 @@ class DataLoader {
                 faction: 'events/faction_events.json',
                 hero: 'events/hero_events.json',
                 varra: 'events/varra_events.json',
-                act1_bookends: 'events/act1_bookends.json'
+                act1_bookends: 'events/act1_bookends.json',
+                act2_bookends: 'events/act2_bookends.json',
+                act3_bookends: 'events/act3_bookends.json'
             },
             
             // Maps
@@ -189,6 +213,13 @@ class DataLoader {
             // Factions
             factions: {
                 all: 'factions/factions.json'
+            },
+            
+            // Meta-progression
+            meta: {
+                unlocks: 'meta/unlocks.json',
+                achievements: 'meta/achievements.json',
+                ascension: 'meta/ascension.json'
             }
         };
     }
@@ -212,28 +243,125 @@ class DataLoader {
         }
         
         // Start loading
-        const loadPromise = fetch(fullPath)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Failed to load ${fullPath}: ${response.status}`);
-                }
-                return response.json();
-            })
+        const loadPromise = this.fetchJson(fullPath)
             .then(data => {
                 this.cache.set(fullPath, data);
                 this.loading.delete(fullPath);
+                this.diagnostics.failedFiles.delete(path);
                 return data;
             })
             .catch(error => {
                 this.loading.delete(fullPath);
+                this.diagnostics.failedFiles.set(path, {
+                    path,
+                    status: error.status === 404 ? 'missing' : (error instanceof SyntaxError ? 'invalid' : 'error'),
+                    reason: error.message
+                });
                 console.error(`[DataLoader] Error loading ${fullPath}:`, error);
                 throw error;
             });
-        
+
         this.loading.set(fullPath, loadPromise);
         return loadPromise;
     }
 
+    /**
+     * Fetch and parse one JSON file. Kept separate from loadFile so the Node
+     * content check (tools/check-content.mjs) can read from disk instead.
+     * @param {string} fullPath - Path including basePath
+     * @returns {Promise<Object>}
+     */
+    async fetchJson(fullPath) {
+        const response = await fetch(fullPath);
+        if (!response.ok) {
+            const error = new Error(`Failed to load ${fullPath}: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    /**
+     * Note that a lookup was answered from fallback data (or not at all)
+     * @param {string} kind - 'hero', 'card', 'artifact', 'enemy', 'boss', 'enemies', 'events', ...
+     * @param {string} id - What was asked for
+     * @param {string} reason - What happened instead
+     */
+    recordFallback(kind, id, reason) {
+        const key = `${kind}:${id}`;
+        const existing = this.diagnostics.fallbacks.get(key);
+        if (existing) {
+            existing.count++;
+            return;
+        }
+        const entry = { kind, id, reason, count: 1 };
+        this.diagnostics.fallbacks.set(key, entry);
+        eventBus.emit('data:fallback', entry);
+    }
+
+    /**
+     * Snapshot of content problems seen so far
+     * @returns {{manifest: Array, failedFiles: Array, fallbacks: Array}}
+     */
+    getDiagnostics() {
+        const manifest = Object.entries(this.dataPaths).flatMap(([category, paths]) =>
+            Object.entries(paths).map(([key, path]) => {
+                const failed = this.diagnostics.failedFiles.get(path);
+                const loaded = this.cache.has(this.basePath + path);
+                return { category, key, path, status: loaded ? 'loaded' : (failed?.status || 'not loaded') };
+            })
+        );
+
+        return {
+            manifest,
+            failedFiles: Array.from(this.diagnostics.failedFiles.values()),
+            fallbacks: Array.from(this.diagnostics.fallbacks.values())
+        };
+    }
+
+    /**
+     * Startup diagnostic pass: load every manifest entry, then resolve what a
+     * run would ask for (each hero, their starting deck and relic, each act's
+     * boss, event card rewards) so every fallback shows up front.
+     * @returns {Promise<Object>} getDiagnostics() report
+     */
+    async runDiagnostics() {
+        const paths = Object.values(this.dataPaths).flatMap(group => Object.values(group));
+        await Promise.all(paths.map(path => this.loadFile(path).catch(() => null)));
+
+        Object.keys(this.dataPaths.heroes).forEach(heroId => {
+            const hero = this.getHero(heroId);
+            if (!hero) return;
+            this.getStarterDeck(heroId);
+            if (hero.startingArtifact && !this.getArtifact(hero.startingArtifact)) {
+                this.recordFallback('artifact', hero.startingArtifact, `starting relic for ${heroId} not found`);
+            }
+        });
+
+        [1, 2, 3].forEach(act => {
+            this.getActRoster(act);
+            if (!this.getActConfig(act)) {
+                this.recordFallback('maps', `act${act}`, `${this.dataPaths.maps[`act${act}`]} not loaded; default map mix and boss`);
+            }
+            this.getBossForAct(act);
+        });
+
+        for (const [path, data] of this.cache) {
+            if (!path.includes('/events/') || !Array.isArray(data.events)) continue;
+            data.events.forEach(event => (event.choices || []).forEach(choice => {
+                const cardId = choice.effects?.card;
+                if (typeof cardId === 'string' && !this.getCard(cardId)) {
+                    this.recordFallback('card', cardId, `event ${event.id} card reward not found; a bare placeholder is added`);
+                }
+            }));
+        }
+
+        const report = this.getDiagnostics();
+        eventBus.emit('data:diagnostics', report);
+        console.log(`[DataLoader] Diagnostics: ${report.failedFiles.length} manifest files failed, ${report.fallbacks.length} fallback lookups`);
+        return report;
+    }
+
     /**
      * Load data by category and key
      * @param {string} category - Data category (e.g., 'heroes', 'cards')
@@ -318,15 +446,28 @@ class DataLoader {
     async preload(progressCallback = null) {
         const essentialFiles = [
             'heroes/korvax.json',
+            'heroes/auren.json',
             'cards/korvax_cards.json',
+            'cards/auren_cards.json',
             'cards/neutral_cards.json',
+            'cards/status_cards.json',
             'enemies/act1_enemies.json',
+            'enemies/act2_enemies.json',
+            'enemies/act3_enemies.json',
             'enemies/bosses.json',
             'events/act1_events.json',
+            'events/act2_events.json',
+            'events/act3_events.json',
+            'events/hero_events.json',
             'maps/act1_config.json',
+            'maps/act2_config.json',
+            'maps/act3_config.json',
             'dialogue/intro_dialogue.json',
             'statuses/statuses.json',
-            'artifacts/relics.json'
+            'artifacts/relics.json',
+            'meta/unlocks.json',
+            'meta/achievements.json',
+            'meta/ascension.json'
         ];
         
         let loaded = 0;
@@ -367,6 +508,7 @@ class DataLoader {
                 // Use fallback data
                 const fallback = this.fallbackHeroes.find(h => h.id === heroId);
                 if (fallback) {
+                    this.recordFallback('hero', heroId, `${path} not loaded; using built-in hero data`);
                     heroes.push(fallback);
                 }
             }
@@ -401,10 +543,12 @@ class DataLoader {
         const fallback = this.fallbackHeroes.find(h => h.id === heroId);
         if (fallback) {
             console.warn(`[DataLoader] Using fallback data for hero: ${heroId}`);
+            this.recordFallback('hero', heroId, `${path || 'no manifest entry'} not loaded; using built-in hero data`);
             return fallback;
         }
         
         console.error(`[DataLoader] Hero not found: ${heroId}`);
+        this.recordFallback('hero', heroId, 'not found in data or fallbacks');
         return null;
     }
 
@@ -450,7 +594,10 @@ class DataLoader {
         // Check fallback data
         if (this.fallbackData.cards) {
             const card = this.fallbackData.cards.find(c => c.id === cardId);
-            if (card) return { ...card };
+            if (card) {
+                this.recordFallback('card', cardId, 'not in any loaded card file; using built-in card');
+                return { ...card };
+            }
         }
         
         return null;
@@ -491,6 +638,7 @@ class DataLoader {
         // If still empty, use fallback
         if (cards.length === 0) {
             console.warn('[DataLoader] No cards found, using fallback');
+            this.recordFallback('cards', heroId, 'no hero or neutral card file loaded; using built-in card pool');
             return this.fallbackData.cards || [];
         }
         
@@ -510,6 +658,7 @@ class DataLoader {
         const hero = this.getHero(heroId);
         if (!hero) {
             console.error(`[DataLoader] Hero not found: ${heroId}`);
+            this.recordFallback('deck', heroId, 'hero not found; using generic Strike/Defend/Bash deck');
             return this.getFallbackStarterDeck();
         }
         
@@ -517,6 +666,7 @@ class DataLoader {
         const startingDeckIds = hero.startingDeck;
         if (!startingDeckIds || startingDeckIds.length === 0) {
             console.warn(`[DataLoader] No startingDeck defined for hero: ${heroId}`);
+            this.recordFallback('deck', heroId, 'no startingDeck; using generic Strike/Defend/Bash deck');
             return this.getFallbackStarterDeck();
         }
         
@@ -575,6 +725,7 @@ class DataLoader {
                 // Try to find in fallback data
                 const fallbackCard = this.fallbackData.cards?.find(c => c.id === cardId);
                 if (fallbackCard) {
+                    this.recordFallback('card', cardId, `${heroId} starting deck card not in card files; using built-in card`);
                     deck.push({
                         ...fallbackCard,
                         instanceId: `${cardId}_${timestamp}_${index}`,
@@ -583,6 +734,7 @@ class DataLoader {
                     });
                 } else {
                     // Add a generic Strike as last resort
+                    this.recordFallback('card', cardId, `${heroId} starting deck card not found anywhere; replaced by a generic 6-damage attack`);
                     deck.push({
                         id: cardId,
                         instanceId: `${cardId}_${timestamp}_${index}`,
@@ -660,29 +812,82 @@ class DataLoader {
 
     /**
      * Get card reward pool filtered by hero and rarity
-     * Used by RewardSystem for generating combat rewards
+     * Used by RewardSystem, the shop and combat rewards. Cards in card pools
+     * the player hasn't unlocked yet are left out.
      * @param {string} heroId - Hero identifier
-     * @param {string} rarity - Card rarity filter
+     * @param {string} [rarity] - Card rarity filter (any rarity when omitted)
      * @returns {Array} Filtered card pool
      */
-    getCardRewardPool(heroId, rarity) {
+    getCardRewardPool(heroId, rarity = null) {
         const cards = [];
+        const matches = (c) => !rarity || c.rarity === rarity;
         
         // Get hero-specific cards
         const heroCards = this.getHeroCards(heroId);
         if (heroCards && heroCards.length > 0) {
-            cards.push(...heroCards.filter(c => c.rarity === rarity));
+            cards.push(...heroCards.filter(matches));
         }
         
         // Get neutral cards
         const neutralPath = this.basePath + this.dataPaths.cards.neutral;
         const neutralData = this.cache.get(neutralPath);
         if (neutralData?.cards) {
-            cards.push(...neutralData.cards.filter(c => c.rarity === rarity));
+            cards.push(...neutralData.cards.filter(matches));
         }
         
         // Filter out starter cards from reward pool (they shouldn't appear as rewards)
-        return cards.filter(c => c.rarity !== 'starter');
+        return cards.filter(c => c.rarity !== 'starter' && this.isCardUnlocked(c.id));
+    }
+
+    /**
+     * Install the meta-progression gate for reward pools
+     * @param {{isCardUnlocked: Function, isRelicUnlocked: Function}|null} filter
+     */
+    setUnlockFilter(filter) {
+        this.unlockFilter = filter;
+    }
+
+    /**
+     * @param {string} cardId
+     * @returns {boolean} False while the card's pool is still locked
+     */
+    isCardUnlocked(cardId) {
+        return this.unlockFilter?.isCardUnlocked?.(cardId) ?? true;
+    }
+
+    /**
+     * @param {string} relicId
+     * @returns {boolean} False while the relic is still locked
+     */
+    isRelicUnlocked(relicId) {
+        return this.unlockFilter?.isRelicUnlocked?.(relicId) ?? true;
+    }
+
+    /**
+     * Meta-progression unlock definitions (data/meta/unlocks.json)
+     * @returns {Array}
+     */
+    getUnlockDefinitions() {
+        const data = this.cache.get(this.basePath + this.dataPaths.meta.unlocks);
+        return data?.unlocks || [];
+    }
+
+    /**
+     * Achievement registry (data/meta/achievements.json)
+     * @returns {Array}
+     */
+    getAchievementDefinitions() {
+        const data = this.cache.get(this.basePath + this.dataPaths.meta.achievements);
+        return data?.achievements || [];
+    }
+
+    /**
+     * Ascension levels, lowest first (data/meta/ascension.json)
+     * @returns {Array}
+     */
+    getAscensionLevels() {
+        const data = this.cache.get(this.basePath + this.dataPaths.meta.ascension);
+        return data?.levels || [];
     }
 
     /**
@@ -715,7 +920,10 @@ class DataLoader {
         // Check fallback data
         if (this.fallbackData.artifacts) {
             const artifact = this.fallbackData.artifacts.find(a => a.id === artifactId);
-            if (artifact) return { ...artifact };
+            if (artifact) {
+                this.recordFallback('artifact', artifactId, 'not in any loaded relic file; using built-in relic');
+                return { ...artifact };
+            }
         }
         
         return null;
@@ -737,7 +945,10 @@ class DataLoader {
         // Check fallback
         if (this.fallbackData.enemies) {
             const enemy = this.fallbackData.enemies.find(e => e.id === enemyId);
-            if (enemy) return { ...enemy };
+            if (enemy) {
+                this.recordFallback('enemy', enemyId, 'not in any loaded enemy file; using built-in enemy');
+                return { ...enemy };
+            }
         }
         
         return null;
@@ -775,6 +986,8 @@ class DataLoader {
         
         // Filter by criteria
         let filtered = allCards.filter(card => {
+            // Curses and status cards are only ever added, never offered
+            if (!criteria.type && (card.type === 'curse' || card.type === 'status')) return false;
             if (criteria.type && card.type !== criteria.type) return false;
             if (criteria.rarity && card.rarity !== criteria.rarity) return false;
             if (criteria.heroId && card.heroId && card.heroId !== criteria.heroId) return false;
@@ -803,7 +1016,7 @@ class DataLoader {
         if (pools.length === 0) return [];
         
         // Select a random encounter configuration
-        const encounter = pools[Math.floor(Math.random() * pools.length)];
+        const encounter = rng.stream('encounters').pick(pools);
         
         // Build enemy array
         return encounter.enemies.map(enemyId => {
@@ -812,56 +1025,87 @@ class DataLoader {
         }).filter(e => e !== null);
     }
 
+    /**
+     * Get the map config for an act (data/maps/act<N>_config.json)
+     * @param {number} act
+     * @returns {Object|null}
+     */
+    getActConfig(act) {
+        const path = this.dataPaths.maps[`act${act}`];
+        return (path && this.cache.get(this.basePath + path)) || null;
+    }
+
+    /**
+     * Get an act's enemy roster, falling back to the first roster in cache
+     * @param {number} act
+     * @returns {Object|null} Parsed act<N>_enemies.json
+     */
+    getActRoster(act) {
+        const path = this.dataPaths.enemies[`act${act}`];
+        const roster = path && this.cache.get(this.basePath + path);
+        if (roster?.enemies) return roster;
+
+        for (const [cachedPath, cached] of this.cache) {
+            if (cachedPath.includes('/enemies/') && cached.enemies) {
+                this.recordFallback('enemies', `act${act}`, `${path || 'no manifest entry'} not loaded; using ${cachedPath.replace(this.basePath, '')}`);
+                return cached;
+            }
+        }
+        return null;
+    }
+
     /**
      * Get a random encounter for an act
      * @param {number} act - Act number (1, 2, or 3)
-     * @param {string} difficulty - 'normal', 'elite', or 'boss'
+     * @param {string} difficulty - 'normal', 'elite', 'hard' or 'boss'
+     * @param {number} [depth=0] - Map layer of the fight; deeper fights scale up
      * @returns {Array} Array of enemy objects
      */
-    getRandomEncounter(act, difficulty = 'normal') {
+    getRandomEncounter(act, difficulty = 'normal', depth = 0) {
         console.log(`[DataLoader] Getting ${difficulty} encounter for Act ${act}`);
         
         if (difficulty === 'boss') {
             const boss = this.getBossForAct(act);
-            return boss ? [boss] : this.getEnemiesForAct(act, 'elite');
+            return boss ? [boss] : this.getEnemiesForAct(act, 'elite', depth);
         }
         
-        return this.getEnemiesForAct(act, difficulty);
+        return this.getEnemiesForAct(act, difficulty, depth);
     }
 
     /**
-     * Shuffle array (Fisher-Yates)
+     * Shuffle array (Fisher-Yates) using a seeded RNG stream
      * @param {Array} array 
+     * @param {string} streamName - RNG stream to draw from (default: 'rewards')
      * @returns {Array}
      */
-    shuffle(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+    shuffle(array, streamName = 'rewards') {
+        return rng.stream(streamName).shuffle(array);
     }
 
     /**
      * Get enemies for an act with specified difficulty
+     * Rolls one of the act roster's weighted encounter groups, scaled by
+     * depth (see EncounterTable). Rosters without groups for the difficulty
+     * fall back to 1-2 random normals or a single elite.
      * @param {number} act 
-     * @param {string} difficulty - 'normal' or 'elite'
+     * @param {string} difficulty - 'normal', 'elite' or 'hard'
+     * @param {number} [depth=0] - Map layer of the fight within the act
      * @returns {Array}
      */
-    getEnemiesForAct(act, difficulty = 'normal') {
-        // First try to get from cache
-        let data = null;
-        
-        for (const [path, cached] of this.cache) {
-            if (path.includes('/enemies/') && cached.enemies) {
-                data = cached.enemies;
-                break;
-            }
+    getEnemiesForAct(act, difficulty = 'normal', depth = 0) {
+        const encounterRng = rng.stream('encounters');
+        const roster = this.getActRoster(act);
+        
+        if (roster) {
+            const rolled = rollEncounter(roster, difficulty, encounterRng, { depth });
+            if (rolled.length > 0) return rolled.map(enemy => this.prepareEnemy(enemy));
         }
         
+        let data = roster?.enemies;
+        
         // Fallback
         if (!data) {
+            this.recordFallback('enemies', `act${act}`, 'no enemy file loaded; using built-in enemies');
             data = this.fallbackData.enemies;
         }
         
@@ -875,83 +1119,65 @@ class DataLoader {
         
         if (pool.length === 0) {
             // Fallback to any normal enemy
+            this.recordFallback('enemies', `act${act}:${difficulty}`, `no ${difficulty} enemies for act ${act}; using any non-boss enemy`);
             pool = data.filter(e => e.type !== 'boss');
         }
         
-        // Pick 1-3 enemies
-        const count = difficulty === 'elite' ? 1 : 1 + Math.floor(Math.random() * 2);
+        // Pick 1-2 enemies
+        const count = difficulty === 'elite' ? 1 : encounterRng.int(1, 2);
         const enemies = [];
         
         for (let i = 0; i < count && pool.length > 0; i++) {
-            const idx = Math.floor(Math.random() * pool.length);
-            const enemy = { ...pool[idx] };
-            
-            // Ensure enemy has required properties
-            enemy.currentHp = enemy.hp || enemy.maxHp || 30;
-            enemy.maxHp = enemy.maxHp || enemy.hp || 30;
-            enemy.block = 0;
-            
-            // Set initial intent
-            if (enemy.intents && enemy.intents.length > 0) {
-                enemy.intent = { ...enemy.intents[0] };
-            } else {
-                enemy.intent = { type: 'attack', damage: 6 };
-            }
-            
-            enemies.push(enemy);
+            const idx = Math.floor(encounterRng.next() * pool.length);
+            enemies.push(this.prepareEnemy({ ...pool[idx] }));
         }
         
         return enemies;
     }
 
+    /**
+     * Fill in the combat fields every enemy needs (currentHp, block, intent)
+     * @param {Object} enemy - Mutated and returned
+     * @returns {Object}
+     */
+    prepareEnemy(enemy) {
+        enemy.currentHp = enemy.hp || enemy.maxHp || 30;
+        enemy.maxHp = enemy.maxHp || enemy.hp || 30;
+        enemy.block = 0;
+        
+        // Phased bosses open with their first phase's first intent
+        const opening = enemy.intents?.[0] || enemy.phases?.[0]?.intents?.[0];
+        enemy.intent = opening ? { ...opening } : { type: 'attack', damage: 6 };
+        
+        return enemy;
+    }
+
     /**
      * Get boss for an act
+     * The act's map config names the boss; its data comes from enemies/bosses.json.
      * @param {number} act 
      * @returns {Object}
      */
     getBossForAct(act) {
-        // First try to get from cache
-        let data = null;
+        const bossId = this.getActConfig(act)?.boss || DEFAULT_ACT_BOSSES[act] || DEFAULT_ACT_BOSSES[1];
         
-        for (const [path, cached] of this.cache) {
-            if (path.includes('/enemies/') && cached.enemies) {
-                data = cached.enemies;
-                break;
-            }
-        }
-        
-        // Fallback
-        if (!data) {
-            data = this.fallbackData.enemies;
-        }
-        
-        if (!data) return null;
-        
-        // Find boss for this act
-        const bosses = data.filter(e => e.type === 'boss');
+        const bossFile = this.cache.get(this.basePath + this.dataPaths.enemies.bosses);
+        let boss = bossFile?.bosses?.find(b => b.id === bossId);
         
-        // Map acts to boss IDs
-        const actBosses = {
-            1: 'scrap_king',
-            2: 'rust_titan',
-            3: 'xalkorath'
-        };
-        
-        const bossId = actBosses[act] || actBosses[1];
-        let boss = bosses.find(b => b.id === bossId) || bosses[0];
-        
-        if (boss) {
-            boss = { ...boss };
-            boss.currentHp = boss.hp || boss.maxHp || 80;
-            boss.maxHp = boss.maxHp || boss.hp || 80;
-            boss.block = 0;
+        if (!boss) {
+            const builtIn = this.fallbackData.enemies.filter(e => e.type === 'boss');
+            boss = builtIn.find(b => b.id === bossId) || builtIn[0];
             
-            if (boss.intents && boss.intents.length > 0) {
-                boss.intent = { ...boss.intents[0] };
+            if (!boss) {
+                this.recordFallback('boss', bossId, `act ${act} boss not in loaded enemy data; the caller's fallback boss is used`);
+            } else if (boss.id !== bossId) {
+                this.recordFallback('boss', bossId, `act ${act} boss not found; using built-in ${boss.id}`);
+            } else {
+                this.recordFallback('boss', bossId, `not in ${this.dataPaths.enemies.bosses}; using built-in boss`);
             }
         }
         
-        return boss;
+        return boss ? this.prepareEnemy(JSON.parse(JSON.stringify(boss))) : null;
     }
 
     /**
@@ -963,21 +1189,31 @@ class DataLoader {
      * @returns {Object}
      */
     getRandomEvent(act, corruption = 0, heroId = null, eventManager = null) {
-        // Try to get from cache
-        let data = null;
+        // The act's own event file, else the first event file in cache
+        const actPath = this.dataPaths.events[`act${act}`];
+        const heroPath = this.basePath + this.dataPaths.events.hero;
+        let data = (actPath && this.cache.get(this.basePath + actPath))?.events || null;
         
-        for (const [path, cached] of this.cache) {
-            if (path.includes('/events/') && cached.events) {
-                data = cached.events;
-                break;
+        if (!data) {
+            for (const [path, cached] of this.cache) {
+                if (path.includes('/events/') && path !== heroPath && cached.events) {
+                    this.recordFallback('events', `act${act}`, `${actPath || 'no manifest entry'} not loaded; using ${path.replace(this.basePath, '')}`);
+                    data = cached.events;
+                    break;
+                }
             }
         }
         
         // Fallback
         if (!data) {
+            this.recordFallback('events', `act${act}`, 'no event file loaded; using built-in events');
             data = this.fallbackData.events;
         }
         
+        // The current hero's own events join every act's pool
+        const heroEvents = this.getHeroEvents(heroId || eventManager?.state?.get('hero.id'), act);
+        if (heroEvents.length > 0) data = [...(data || []), ...heroEvents];
+        
         if (!data || data.length === 0) return null;
         
         // v2: Delegate to EventManager for smart selection (history, flags, chains)
@@ -996,7 +1232,24 @@ class DataLoader {
         if (pool.length === 0) pool = data;
         
         // Pick random event
-        return { ...pool[Math.floor(Math.random() * pool.length)] };
+        return { ...rng.stream('events').pick(pool) };
+    }
+    
+    /**
+     * A hero's own events (events/hero_events.json) that can appear in this act
+     * @param {string} heroId
+     * @param {number} act
+     * @returns {Array}
+     */
+    getHeroEvents(heroId, act) {
+        if (!heroId) return [];
+        const cached = this.cache.get(this.basePath + this.dataPaths.events.hero);
+        return (cached?.events || []).filter(e => {
+            if (e.heroSpecific !== heroId) return false;
+            if (e.minAct && e.minAct > act) return false;
+            if (e.maxAct && e.maxAct < act) return false;
+            return true;
+        });
     }
 
     /**
@@ -1019,9 +1272,11 @@ class DataLoader {
         
         // Fallback to default data
         if (allArtifacts.length === 0) {
+            this.recordFallback('artifacts', rarity, 'no relic file loaded; using built-in relics');
             allArtifacts = this.fallbackData.artifacts || [];
         }
         
+        allArtifacts = allArtifacts.filter(a => this.isRelicUnlocked(a.id));
         if (allArtifacts.length === 0) return null;
         
         // Filter by rarity
@@ -1030,7 +1285,7 @@ class DataLoader {
         // If no artifacts of requested rarity, fall back to any
         if (pool.length === 0) pool = allArtifacts;
         
-        return { ...pool[Math.floor(Math.random() * pool.length)] };
+        return { ...rng.stream('rewards').pick(pool) };
     }
 
     /**
@@ -1051,10 +1306,34 @@ class DataLoader {
         }
         
         if (allArtifacts.length === 0) {
+            this.recordFallback('artifacts', rarity, 'no relic file loaded; using built-in relics');
             allArtifacts = this.fallbackData.artifacts || [];
         }
         
-        return allArtifacts.filter(a => a.rarity === rarity);
+        return allArtifacts.filter(a => a.rarity === rarity && this.isRelicUnlocked(a.id));
+    }
+
+    /**
+     * Every entry under `key` across the cached files of one data folder
+     * Ids repeated across files keep their first occurrence.
+     * @param {string} folder - e.g. 'cards', 'enemies', 'events'
+     * @param {string} key - Array field in those files, e.g. 'cards', 'bosses'
+     * @returns {Array}
+     */
+    getAllContent(folder, key) {
+        const seen = new Set();
+        const entries = [];
+        
+        for (const [path, data] of this.cache) {
+            if (!path.includes(`/${folder}/`) || !Array.isArray(data?.[key])) continue;
+            data[key].forEach(entry => {
+                if (!entry?.id || seen.has(entry.id)) return;
+                seen.add(entry.id);
+                entries.push(entry);
+            });
+        }
+        
+        return entries;
     }
 
     /**
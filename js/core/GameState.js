@@ -3,6 +3,7 @@
  * Single source of truth for all game data
  */
 import eventBus, { GameEvents } from './EventBus.js';
+import rng from './RNG.js';
 
 class GameState {
     constructor() {
@@ -20,11 +21,18 @@ class GameState {
             // Meta information
             version: '0.1.0',
             seed: null,
+            // Serialized RNG stream positions (see RNG.serialize)
+            rng: null,
             runActive: false,
             
             // Current position
             act: 1,
             floor: 0,
+            // Boss beaten, waiting on the act-complete screen
+            actComplete: false,
+            
+            // Ascension level and its stacked modifiers (AscensionSystem)
+            ascension: { level: 0, modifiers: null },
             
             // Hero state
             hero: {
@@ -95,8 +103,12 @@ class GameState {
                 enemies: [],
                 turn: 0,
                 isPlayerTurn: true,
+                // CombatScreen's turn flag; runs aren't saved while it's false
+                playerTurn: true,
                 selectedCard: null,
-                targetedEnemy: null
+                targetedEnemy: null,
+                // Systems' data for a fight saved in progress (CombatSnapshot)
+                snapshot: null
             },
             
             // Event state
@@ -113,7 +125,9 @@ class GameState {
                 cards: [],
                 artifacts: [],
                 services: [],
-                visited: false
+                visited: false,
+                // Cards removed at shops this run (prices the next removal)
+                removals: 0
             },
             
             // Run statistics
@@ -131,9 +145,17 @@ class GameState {
                 perfectCombats: 0, // No damage taken
                 corruptionGained: 0,
                 corruptionCleansed: 0,
-                combatsWon: 0
+                combatsWon: 0,
+                peakCorruption: 0,
+                startedAt: null
             },
             
+            // Decisions made this run, in order (RunHistory)
+            choices: [],
+            
+            // Equipped and collected void fragments, chain (VoidSystemsIntegration)
+            voidSystems: null,
+            
             // Narrative flags
             flags: {
                 // Act 1 story flags
@@ -360,12 +382,13 @@ class GameState {
     /**
      * Initialize a new run
      * @param {string} heroId - Selected hero ID
-     * @param {number} seed - Random seed (optional)
+     * @param {string|number} seed - Random seed (optional)
      */
     initRun(heroId, seed = null) {
         this.reset();
         
-        this.state.seed = seed || Date.now();
+        this.state.seed = rng.normalizeSeed(seed) || rng.generateSeed();
+        rng.seed(this.state.seed);
         this.state.runActive = true;
         this.state.hero.id = heroId;
         
@@ -376,8 +399,9 @@ class GameState {
      * Initialize a new run with hero data
      * @param {string} heroId - Selected hero ID
      * @param {DataLoader} dataLoader - Data loader instance
+     * @param {string|number} seed - Random seed (optional)
      */
-    initializeRun(heroId, dataLoader) {
+    initializeRun(heroId, dataLoader, seed = null) {
         this.reset();
         
         const hero = dataLoader.getHero(heroId);
@@ -386,7 +410,8 @@ class GameState {
             return false;
         }
         
-        this.state.seed = Date.now();
+        this.state.seed = rng.normalizeSeed(seed) || rng.generateSeed();
+        rng.seed(this.state.seed);
         this.state.runActive = true;
         this.state.hero.id = heroId;
         this.state.hero.name = hero.name;
@@ -421,6 +446,10 @@ class GameState {
      * @returns {Object} Serializable state
      */
     export() {
+        // Capture current RNG stream positions so a resumed run stays deterministic
+        if (this.state.runActive) {
+            this.state.rng = rng.serialize();
+        }
         return JSON.parse(JSON.stringify(this.state));
     }
 
@@ -429,14 +458,10 @@ class GameState {
      * @param {Object} savedState - Previously exported state
      */
     import(savedState) {
-        // Validate version compatibility
-        if (savedState.version !== this.state.version) {
-            console.warn(`Save version mismatch: ${savedState.version} vs ${this.state.version}`);
-            // Could add migration logic here
-        }
-        
+        // SaveManager upgrades saves to the current shape (SaveMigrations) before this
         this.state = savedState;
         this.history = [];
+        rng.restore(savedState.rng, savedState.seed);
         eventBus.emit(GameEvents.LOAD_COMPLETE, { state: this.state });
     }
 
@@ -524,8 +549,14 @@ class GameState {
         eventBus.emit(GameEvents.CARD_ADDED, { card });
     }
 
+    /**
+     * Remove one card from the run deck
+     * @param {string} cardId - An instanceId (that exact copy) or a card id (the first copy)
+     * @returns {Object|null} The removed card
+     */
     removeCardFromDeck(cardId) {
-        const index = this.state.deck.findIndex(c => c.id === cardId);
+        let index = this.state.deck.findIndex(c => c.instanceId && c.instanceId === cardId);
+        if (index === -1) index = this.state.deck.findIndex(c => c.id === cardId);
         if (index > -1) {
             const card = this.state.deck.splice(index, 1)[0];
             eventBus.emit(GameEvents.CARD_REMOVED, { card });
@@ -0,0 +1,239 @@
+/**
+ * RNG - Seeded, deterministic randomness for Shattered Star runs
+ * A run seed is split into named sub-streams so that consuming randomness
+ * in one system (e.g. combat) never shifts the outcome of another (e.g. map).
+ * Stream positions are serialized with the run so a resumed save continues
+ * exactly where it left off.
+ * @version 0.1.2
+ */
+
+/**
+ * Named streams used by gameplay systems.
+ * - map:      MapGenerator layout, node types and connections
+ * - rewards:  card/relic rarity rolls, credits, merchant stock
+ * - encounters: which enemies each fight draws (apart from combat, so how
+ *             one fight plays out never changes the next encounter)
+ * - combat:   deck shuffles, enemy intents
+ * - events:   event selection and random event outcomes
+ * - cascades: corruption cascade rolls and targets
+ * - meta:     MetaCorruption display lies (kept apart so cosmetic rolls
+ *             can't perturb the gameplay streams above)
+ */
+const RNG_STREAMS = ['map', 'rewards', 'encounters', 'combat', 'events', 'cascades', 'meta'];
+
+// Unambiguous characters for generated seeds (no 0/O, 1/I/L)
+const SEED_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Hash an arbitrary seed (string or number) into a 32-bit unsigned integer.
+ * FNV-1a with a final avalanche so similar seeds diverge quickly.
+ * @param {string|number} value
+ * @returns {number}
+ */
+function hashSeed(value) {
+    const str = String(value);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * A single mulberry32 stream. Its whole state is one uint32, which keeps
+ * serialization trivial.
+ */
+class RandomStream {
+    constructor(name, state) {
+        this.name = name;
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) — drop-in replacement for Math.random()
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Integer in [min, max] inclusive
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * True with the given probability
+     * @param {number} probability - 0..1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array
+     * @returns {*} Element, or undefined if the array is empty
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle, returning a new array
+     * @param {Array} array
+     * @returns {Array}
+     */
+    shuffle(array) {
+        const result = [...array];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Pick a key/item by weight
+     * @param {Array<{weight: number}>|Object<string, number>} entries - Array of
+     *        objects with a `weight` field, or a { key: weight } map
+     * @returns {*} Chosen entry (or key, for a map), undefined if nothing weighted
+     */
+    weighted(entries) {
+        const list = Array.isArray(entries)
+            ? entries.map(e => [e, e.weight || 0])
+            : Object.entries(entries || {});
+        const total = list.reduce((sum, [, w]) => sum + Math.max(0, w), 0);
+        if (total <= 0) return undefined;
+
+        let roll = this.next() * total;
+        for (const [entry, weight] of list) {
+            roll -= Math.max(0, weight);
+            if (roll < 0) return entry;
+        }
+        return list[list.length - 1][0];
+    }
+}
+
+class RNG {
+    constructor() {
+        this.seedValue = null;
+        this.streams = new Map();
+    }
+
+    /**
+     * Seed every stream from a run seed. Re-seeding discards stream positions.
+     * @param {string|number} seed - Any string or number
+     */
+    seed(seed) {
+        this.seedValue = seed;
+        this.streams.clear();
+        RNG_STREAMS.forEach(name => this.stream(name));
+        console.log(`[RNG] Seeded run with "${seed}"`);
+    }
+
+    /**
+     * Generate a short, shareable seed string like "K7QX-2M9P".
+     * Uses Math.random on purpose — this is where a run's randomness begins.
+     * @returns {string}
+     */
+    generateSeed() {
+        let seed = '';
+        for (let i = 0; i < 8; i++) {
+            if (i === 4) seed += '-';
+            seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+        }
+        return seed;
+    }
+
+    /**
+     * Normalize user-entered seed text. Whitespace is trimmed, letters
+     * uppercased and anything outside [A-Z0-9-] dropped, so "k7qx-2m9p" and
+     * "K7QX-2M9P " share a run and a seed is always safe to display.
+     * @param {string|number} input
+     * @returns {string|null} Normalized seed, or null if empty
+     */
+    normalizeSeed(input) {
+        if (input === null || input === undefined) return null;
+        const seed = String(input).trim().toUpperCase()
+            .replace(/\s+/g, '-')
+            .replace(/[^A-Z0-9-]/g, '');
+        return seed.length > 0 ? seed : null;
+    }
+
+    /**
+     * Get (or lazily create) a named stream
+     * @param {string} name - Stream name, see RNG_STREAMS
+     * @returns {RandomStream}
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            const base = this.seedValue ?? Date.now();
+            this.streams.set(name, new RandomStream(name, hashSeed(`${base}:${name}`)));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * Shorthand for rng.stream(name).next()
+     * @param {string} name
+     * @returns {number}
+     */
+    random(name) {
+        return this.stream(name).next();
+    }
+
+    /**
+     * Serialize the seed and stream positions for saving
+     * @returns {Object}
+     */
+    serialize() {
+        const streams = {};
+        this.streams.forEach((stream, name) => {
+            streams[name] = stream.state;
+        });
+        return { seed: this.seedValue, streams };
+    }
+
+    /**
+     * Restore from serialize() output. Saves that predate seeding are
+     * re-seeded from their run seed so they still behave deterministically.
+     * @param {Object} data - Serialized RNG state
+     * @param {string|number} fallbackSeed - Run seed to use when data is missing
+     */
+    restore(data, fallbackSeed = null) {
+        if (!data || !data.streams) {
+            this.seed(fallbackSeed ?? Date.now());
+            return;
+        }
+
+        this.seedValue = data.seed;
+        this.streams.clear();
+        Object.entries(data.streams).forEach(([name, state]) => {
+            this.streams.set(name, new RandomStream(name, state));
+        });
+    }
+}
+
+// Create singleton instance
+const rng = new RNG();
+
+export { RNG, RandomStream, RNG_STREAMS, hashSeed, rng };
+export default rng;
@@ -1,20 +1,102 @@
 /**
  * SaveManager - Handles game persistence using LocalStorage
  * Manages save slots, auto-save, and data validation
+ *
+ * Each profile slot has its own run save, profile, unlocks, settings and run
+ * history. The slot list lives under SLOTS_KEY; the *_KEY fields always point
+ * at the active slot's keys. The first slot keeps the original unprefixed
+ * keys, so saves from before slots existed load as slot 1.
+ *
+ * Run saves carry a schemaVersion and are upgraded by SaveMigrations when
+ * loaded. A save that can't be upgraded is moved to the slot's backup key
+ * rather than deleted.
+ *
+ * Runs are also saved at the start of each player turn in a fight, with the
+ * fight's systems captured by CombatSnapshot. Saves during the enemy turn
+ * are skipped, so a resumed fight always starts on the player's turn.
+ *
+ * Lyria and Auren became meta unlocks after they had shipped playable, so
+ * slots with data from before then keep them (grandfatherHeroes).
  */
 import eventBus, { GameEvents } from './EventBus.js';
 import gameState from './GameState.js';
+import { SAVE_SCHEMA_VERSION, migrateSave } from './SaveMigrations.js';
+
+const DEFAULT_SLOT_ID = 'slot_1';
+
+// What each slot stores (see getSlotKey)
+const SLOT_DATA = ['current_run', 'current_run_backup', 'profile', 'settings', 'unlocks', 'run_history'];
+
+// Heroes anyone could play before heroes were bought with echoes
+const GRANDFATHERED_HEROES = ['lyria', 'auren'];
 
 class SaveManager {
     constructor() {
         this.STORAGE_PREFIX = 'shattered_star_';
-        this.RUN_SAVE_KEY = this.STORAGE_PREFIX + 'current_run';
-        this.PROFILE_KEY = this.STORAGE_PREFIX + 'profile';
-        this.SETTINGS_KEY = this.STORAGE_PREFIX + 'settings';
-        this.UNLOCKS_KEY = this.STORAGE_PREFIX + 'unlocks';
+        this.SLOTS_KEY = this.STORAGE_PREFIX + 'slots';
+        
+        // Profile slots that can exist at once
+        this.maxSlots = 4;
+        
+        // Finished runs kept in the history (oldest dropped first)
+        this.runHistoryLimit = 100;
         
         this.autoSaveInterval = null;
         this.autoSaveDelay = 30000; // 30 seconds
+        
+        this.useSlotKeys(this.getSlotIndex().active);
+    }
+
+    /**
+     * Storage key for one kind of slot data
+     * @param {string} slotId
+     * @param {string} name - One of SLOT_DATA
+     * @returns {string}
+     */
+    getSlotKey(slotId, name) {
+        return slotId === DEFAULT_SLOT_ID
+            ? this.STORAGE_PREFIX + name
+            : `${this.STORAGE_PREFIX}${slotId}_${name}`;
+    }
+
+    /**
+     * Point the *_KEY fields at a slot
+     * @param {string} slotId
+     */
+    useSlotKeys(slotId) {
+        this.activeSlotId = slotId;
+        this.RUN_SAVE_KEY = this.getSlotKey(slotId, 'current_run');
+        this.RUN_BACKUP_KEY = this.getSlotKey(slotId, 'current_run_backup');
+        this.PROFILE_KEY = this.getSlotKey(slotId, 'profile');
+        this.SETTINGS_KEY = this.getSlotKey(slotId, 'settings');
+        this.UNLOCKS_KEY = this.getSlotKey(slotId, 'unlocks');
+        this.RUN_HISTORY_KEY = this.getSlotKey(slotId, 'run_history');
+        this.grandfatherHeroes();
+    }
+
+    /**
+     * Keep GRANDFATHERED_HEROES unlocked for a slot that was played before
+     * they were locked. Runs once per slot: the unlocks are then stamped with
+     * heroesGrandfathered, which new slots get straight away.
+     */
+    grandfatherHeroes() {
+        try {
+            const stored = localStorage.getItem(this.UNLOCKS_KEY);
+            if (stored && JSON.parse(stored).heroesGrandfathered) return;
+            
+            const played = stored !== null
+                || [this.PROFILE_KEY, this.RUN_SAVE_KEY, this.RUN_HISTORY_KEY].some(key => localStorage.getItem(key) !== null);
+            
+            const unlocks = this.getUnlocks();
+            if (played) {
+                unlocks.heroes = [...new Set([...unlocks.heroes, ...GRANDFATHERED_HEROES])];
+                console.log(`[SaveManager] Kept ${GRANDFATHERED_HEROES.join(', ')} unlocked for ${this.activeSlotId}`);
+            }
+            unlocks.heroesGrandfathered = true;
+            localStorage.setItem(this.UNLOCKS_KEY, JSON.stringify(unlocks));
+        } catch (error) {
+            console.warn('[SaveManager] Could not check grandfathered heroes:', error);
+        }
     }
 
     /**
@@ -30,6 +112,7 @@ class SaveManager {
         eventBus.on(GameEvents.EVENT_END, () => this.saveRun());
         eventBus.on(GameEvents.SHOP_EXIT, () => this.saveRun());
         eventBus.on(GameEvents.REST_END, () => this.saveRun());
+        eventBus.on(GameEvents.PLAYER_TURN_START, () => this.saveRun());
     }
 
     /**
@@ -42,18 +125,21 @@ class SaveManager {
 
     /**
      * Save current run state
-     * @returns {boolean} Success
+     * @returns {boolean} Success (false with no run, or on the enemy's turn)
      */
     saveRun() {
         try {
             if (!gameState.get('runActive')) return false;
+            // Mid-fight saves only happen on the player's turn
+            if (gameState.get('combat.active') && !gameState.get('combat.playerTurn')) return false;
             
             eventBus.emit(GameEvents.SAVE_START);
             
             const saveData = {
                 state: gameState.export(),
                 timestamp: Date.now(),
-                version: gameState.get('version')
+                version: gameState.get('version'),
+                schemaVersion: SAVE_SCHEMA_VERSION
             };
             
             localStorage.setItem(this.RUN_SAVE_KEY, JSON.stringify(saveData));
@@ -67,7 +153,7 @@ class SaveManager {
     }
 
     /**
-     * Load saved run state
+     * Load saved run state, upgrading it to the current schema first
      * @returns {Object|null} Loaded state or null
      */
     loadRun() {
@@ -77,24 +163,79 @@ class SaveManager {
             const saveData = localStorage.getItem(this.RUN_SAVE_KEY);
             if (!saveData) return null;
             
-            const parsed = JSON.parse(saveData);
-            
-            // Validate save data
-            if (!this.validateSave(parsed)) {
-                console.warn('[SaveManager] Invalid save data, clearing');
-                this.clearRun();
+            let result;
+            try {
+                result = this.readRunSave(saveData);
+            } catch (error) {
+                this.backupRun(saveData, error.message);
                 return null;
             }
             
-            gameState.import(parsed.state);
+            // Keep the upgraded copy so the steps don't run again
+            if (result.migrated) {
+                localStorage.setItem(this.RUN_SAVE_KEY, JSON.stringify(result.save));
+                console.log(`[SaveManager] Upgraded run save from schema ${result.from} to ${SAVE_SCHEMA_VERSION}`);
+            }
             
-            return parsed.state;
+            gameState.import(result.save.state);
+            
+            return result.save.state;
         } catch (error) {
             console.error('[SaveManager] Failed to load run:', error);
             return null;
         }
     }
 
+    /**
+     * Parse, upgrade and validate a stored run save
+     * @param {string} raw - As stored
+     * @returns {{save: Object, from: number, migrated: boolean}}
+     * @throws {Error} If the save is unreadable, can't be upgraded or is invalid
+     */
+    readRunSave(raw) {
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Unreadable save: ${error.message}`);
+        }
+        
+        const result = migrateSave(parsed);
+        if (!this.validateSave(result.save)) {
+            throw new Error('Save failed validation after upgrading');
+        }
+        return result;
+    }
+
+    /**
+     * Move the run save to the backup key, keeping it as it was stored
+     * @param {string} raw
+     * @param {string} reason
+     */
+    backupRun(raw, reason) {
+        console.warn(`[SaveManager] Run save moved to backup: ${reason}`);
+        localStorage.setItem(this.RUN_BACKUP_KEY, JSON.stringify({
+            reason,
+            backedUpAt: Date.now(),
+            raw
+        }));
+        this.clearRun();
+        eventBus.emit('save:backed_up', { reason });
+    }
+
+    /**
+     * The last run save that couldn't be loaded
+     * @returns {{reason: string, backedUpAt: number, raw: string}|null}
+     */
+    getRunBackup() {
+        try {
+            const data = localStorage.getItem(this.RUN_BACKUP_KEY);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Clear current run save
      */
@@ -103,15 +244,212 @@ class SaveManager {
     }
 
     /**
-     * Validate save data structure
+     * Validate save data structure (after upgrading)
      * @param {Object} saveData 
      * @returns {boolean}
      */
     validateSave(saveData) {
         if (!saveData || typeof saveData !== 'object') return false;
-        if (!saveData.state) return false;
-        if (!saveData.state.hero) return false;
-        if (typeof saveData.state.hero.hp !== 'number') return false;
+        
+        const { state } = saveData;
+        if (!state || typeof state !== 'object') return false;
+        if (!state.hero || typeof state.hero.id !== 'string') return false;
+        if (typeof state.hero.hp !== 'number' || typeof state.hero.maxHp !== 'number') return false;
+        if (!Array.isArray(state.deck)) return false;
+        if (!Number.isInteger(state.act) || !Number.isInteger(state.floor)) return false;
+        if (!state.map || typeof state.map !== 'object') return false;
+        return true;
+    }
+
+    // ==========================================
+    // Profile Slots
+    // ==========================================
+
+    /**
+     * The slot list, created with one slot if missing
+     * @returns {{active: string, slots: Array<{id, name, created}>}}
+     */
+    getSlotIndex() {
+        try {
+            const data = localStorage.getItem(this.SLOTS_KEY);
+            const index = data ? JSON.parse(data) : null;
+            if (index && Array.isArray(index.slots) && index.slots.length > 0) {
+                if (!index.slots.some(slot => slot.id === index.active)) {
+                    index.active = index.slots[0].id;
+                }
+                return index;
+            }
+        } catch (error) {
+            console.error('[SaveManager] Failed to load slot list:', error);
+        }
+        return {
+            active: DEFAULT_SLOT_ID,
+            slots: [{ id: DEFAULT_SLOT_ID, name: 'Slot 1', created: Date.now() }]
+        };
+    }
+
+    saveSlotIndex(index) {
+        localStorage.setItem(this.SLOTS_KEY, JSON.stringify(index));
+    }
+
+    /**
+     * Every slot with a preview of what's in it
+     * @returns {Array<Object>} See getSlotPreview
+     */
+    getSlots() {
+        const index = this.getSlotIndex();
+        return index.slots.map(slot => ({
+            ...slot,
+            active: slot.id === index.active,
+            ...this.getSlotPreview(slot.id)
+        }));
+    }
+
+    /**
+     * What the slot picker shows: the saved run (if any) and the profile totals
+     * @param {string} slotId
+     * @returns {{run: Object|null, totalRuns: number, echoes: number, lastPlayed: number|null}}
+     */
+    getSlotPreview(slotId) {
+        const read = (name) => {
+            try {
+                const data = localStorage.getItem(this.getSlotKey(slotId, name));
+                return data ? JSON.parse(data) : null;
+            } catch (error) {
+                console.warn(`[SaveManager] Unreadable ${name} in ${slotId}`);
+                return null;
+            }
+        };
+
+        const profile = read('profile');
+        let save = null;
+        try {
+            const raw = localStorage.getItem(this.getSlotKey(slotId, 'current_run'));
+            save = raw ? this.readRunSave(raw).save : null;
+        } catch (error) {
+            console.warn(`[SaveManager] Unreadable current_run in ${slotId}`);
+        }
+        const state = save?.state;
+
+        return {
+            run: state ? {
+                heroId: state.hero.id,
+                heroName: state.hero.name || state.hero.id,
+                act: state.act || 1,
+                floor: state.floor || 0,
+                hp: state.hero.hp,
+                maxHp: state.hero.maxHp,
+                corruption: state.corruption || 0,
+                ascension: state.ascension?.level || 0
+            } : null,
+            totalRuns: profile?.totalRuns || 0,
+            echoes: profile?.echoes || 0,
+            lastPlayed: Math.max(save?.timestamp || 0, profile?.lastPlayed || 0) || null
+        };
+    }
+
+    /**
+     * @returns {Object} The active slot ({id, name, created})
+     */
+    getActiveSlot() {
+        const index = this.getSlotIndex();
+        return index.slots.find(slot => slot.id === index.active);
+    }
+
+    /**
+     * Add an empty slot
+     * @param {string} [name]
+     * @returns {Object|null} The new slot, or null if all slots are taken
+     */
+    createSlot(name = null) {
+        const index = this.getSlotIndex();
+        if (index.slots.length >= this.maxSlots) return null;
+
+        const next = Math.max(0, ...index.slots.map(slot => parseInt(slot.id.split('_')[1], 10) || 0)) + 1;
+        const slot = { id: `slot_${next}`, name: name || `Slot ${next}`, created: Date.now() };
+        index.slots.push(slot);
+        this.saveSlotIndex(index);
+        return slot;
+    }
+
+    /**
+     * Copy a slot's saves into a new slot
+     * @param {string} slotId
+     * @returns {Object|null} The copy, or null if all slots are taken
+     */
+    copySlot(slotId) {
+        const source = this.getSlotIndex().slots.find(slot => slot.id === slotId);
+        if (!source) return null;
+
+        // The active slot's run is copied as of now, not as of the last autosave
+        if (slotId === this.activeSlotId) this.saveRun();
+
+        const copy = this.createSlot(`${source.name} (copy)`);
+        if (!copy) return null;
+
+        SLOT_DATA.forEach(name => {
+            const data = localStorage.getItem(this.getSlotKey(slotId, name));
+            if (data !== null) localStorage.setItem(this.getSlotKey(copy.id, name), data);
+        });
+        return copy;
+    }
+
+    /**
+     * @param {string} slotId
+     * @param {string} name
+     * @returns {boolean}
+     */
+    renameSlot(slotId, name) {
+        const trimmed = String(name || '').trim().slice(0, 24);
+        const index = this.getSlotIndex();
+        const slot = index.slots.find(s => s.id === slotId);
+        if (!slot || !trimmed) return false;
+        slot.name = trimmed;
+        this.saveSlotIndex(index);
+        return true;
+    }
+
+    /**
+     * Delete a slot and everything saved in it (the last slot can't be deleted)
+     * @param {string} slotId
+     * @returns {boolean}
+     */
+    deleteSlot(slotId) {
+        const index = this.getSlotIndex();
+        if (index.slots.length <= 1 || !index.slots.some(slot => slot.id === slotId)) return false;
+
+        SLOT_DATA.forEach(name => localStorage.removeItem(this.getSlotKey(slotId, name)));
+        index.slots = index.slots.filter(slot => slot.id !== slotId);
+        this.saveSlotIndex(index);
+
+        if (slotId === this.activeSlotId) {
+            this.activeSlotId = null;
+            this.switchSlot(index.slots[0].id);
+        }
+        return true;
+    }
+
+    /**
+     * Make a slot the active one; the current run is saved first
+     * @param {string} slotId
+     * @returns {boolean}
+     */
+    switchSlot(slotId) {
+        const index = this.getSlotIndex();
+        const slot = index.slots.find(s => s.id === slotId);
+        if (!slot) return false;
+        if (slotId === this.activeSlotId) return true;
+
+        if (this.activeSlotId) this.saveRun();
+        gameState.reset();
+
+        index.active = slotId;
+        this.saveSlotIndex(index);
+        this.useSlotKeys(slotId);
+        gameState.batch({ settings: this.getSettings() });
+
+        eventBus.emit('save:slot_changed', { slot });
+        console.log(`[SaveManager] Switched to ${slot.name}`);
         return true;
     }
 
@@ -160,10 +498,10 @@ class SaveManager {
             
             // Hero statistics
             heroStats: {
-                korvax: { runs: 0, wins: 0, bestFloor: 0 },
-                lyria: { runs: 0, wins: 0, bestFloor: 0 },
-                auren: { runs: 0, wins: 0, bestFloor: 0 },
-                shade: { runs: 0, wins: 0, bestFloor: 0 }
+                korvax: this.getDefaultHeroStats(),
+                lyria: this.getDefaultHeroStats(),
+                auren: this.getDefaultHeroStats(),
+                shade: this.getDefaultHeroStats()
             },
             
             // Achievements unlocked
@@ -192,6 +530,27 @@ class SaveManager {
         };
     }
 
+    /**
+     * Per-hero statistics (unlock conditions read these)
+     * @returns {Object}
+     */
+    getDefaultHeroStats() {
+        // ascension: highest ascension level unlocked for the hero
+        return { runs: 0, wins: 0, bestFloor: 0, bossesDefeated: [], ascension: 0 };
+    }
+
+    /**
+     * Hero statistics from a profile, created if missing
+     * @param {Object} profile
+     * @param {string} heroId
+     * @returns {Object}
+     */
+    getHeroStats(profile, heroId) {
+        profile.heroStats = profile.heroStats || {};
+        profile.heroStats[heroId] = { ...this.getDefaultHeroStats(), ...profile.heroStats[heroId] };
+        return profile.heroStats[heroId];
+    }
+
     /**
      * Save player profile
      * @param {Object} profile 
@@ -207,22 +566,19 @@ class SaveManager {
      */
     updateProfileFromRun(runResult) {
         const profile = this.getProfile();
-        const heroId = runResult.heroId;
+        const heroStats = this.getHeroStats(profile, runResult.heroId);
         
         profile.totalRuns++;
         
         if (runResult.victory) {
             profile.completedRuns++;
-            profile.heroStats[heroId].wins++;
+            heroStats.wins++;
         } else {
             profile.deaths++;
         }
         
-        profile.heroStats[heroId].runs++;
-        profile.heroStats[heroId].bestFloor = Math.max(
-            profile.heroStats[heroId].bestFloor,
-            runResult.floor
-        );
+        heroStats.runs++;
+        heroStats.bestFloor = Math.max(heroStats.bestFloor, runResult.floor || 0);
         
         // Award echoes
         const echoesEarned = this.calculateEchoes(runResult);
@@ -265,6 +621,48 @@ class SaveManager {
         return echoes;
     }
 
+    /**
+     * Record a boss kill for a hero (kept even if the run is later lost)
+     * @param {string} heroId
+     * @param {string} bossId
+     */
+    recordBossDefeat(heroId, bossId) {
+        const profile = this.getProfile();
+        const heroStats = this.getHeroStats(profile, heroId);
+        if (!heroStats.bossesDefeated.includes(bossId)) {
+            heroStats.bossesDefeated.push(bossId);
+        }
+        this.saveProfile(profile);
+    }
+
+    /**
+     * Unlock ascension levels up to `level` for a hero
+     * @param {string} heroId
+     * @param {number} level
+     * @returns {boolean} True if this raised the hero's highest level
+     */
+    unlockAscension(heroId, level) {
+        const profile = this.getProfile();
+        const heroStats = this.getHeroStats(profile, heroId);
+        if (level <= heroStats.ascension) return false;
+        heroStats.ascension = level;
+        this.saveProfile(profile);
+        return true;
+    }
+
+    /**
+     * Spend echoes from the profile
+     * @param {number} amount
+     * @returns {boolean} False if the profile can't afford it
+     */
+    spendEchoes(amount) {
+        const profile = this.getProfile();
+        if ((profile.echoes || 0) < amount) return false;
+        profile.echoes -= amount;
+        this.saveProfile(profile);
+        return true;
+    }
+
     // ==========================================
     // Unlocks Management
     // ==========================================
@@ -277,7 +675,8 @@ class SaveManager {
         try {
             const unlocks = localStorage.getItem(this.UNLOCKS_KEY);
             if (unlocks) {
-                return JSON.parse(unlocks);
+                // Categories added since the save was written start empty
+                return { ...this.getDefaultUnlocks(), ...JSON.parse(unlocks) };
             }
             
             return this.getDefaultUnlocks();
@@ -301,6 +700,9 @@ class SaveManager {
             // Card pool expansions
             cardPools: ['basic'],
             
+            // Relics added to the reward pools
+            relics: [],
+            
             // Cosmetics
             heroSkins: {
                 korvax: ['default'],
@@ -349,6 +751,34 @@ class SaveManager {
         localStorage.setItem(this.UNLOCKS_KEY, JSON.stringify(unlocks));
     }
 
+    // ==========================================
+    // Run History
+    // ==========================================
+
+    /**
+     * Finished run records, newest first (see RunHistory)
+     * @returns {Array<Object>}
+     */
+    getRunHistory() {
+        try {
+            const data = localStorage.getItem(this.RUN_HISTORY_KEY);
+            const records = data ? JSON.parse(data) : [];
+            return Array.isArray(records) ? records : [];
+        } catch (error) {
+            console.error('[SaveManager] Failed to load run history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Store a finished run at the front of the history
+     * @param {Object} record
+     */
+    addRunRecord(record) {
+        const records = [record, ...this.getRunHistory()].slice(0, this.runHistoryLimit);
+        localStorage.setItem(this.RUN_HISTORY_KEY, JSON.stringify(records));
+    }
+
     // ==========================================
     // Settings Management
     // ==========================================
@@ -371,6 +801,8 @@ class SaveManager {
 
     /**
      * Get default settings
+     * Volumes are fractions; masterVolume is only set once the settings
+     * modal has been saved, until then AudioManager's own levels apply.
      * @returns {Object}
      */
     getDefaultSettings() {
@@ -455,6 +887,7 @@ class SaveManager {
             profile: this.getProfile(),
             unlocks: this.getUnlocks(),
             settings: this.getSettings(),
+            runHistory: this.getRunHistory(),
             currentRun: localStorage.getItem(this.RUN_SAVE_KEY) 
                 ? JSON.parse(localStorage.getItem(this.RUN_SAVE_KEY)) 
                 : null,
@@ -486,10 +919,17 @@ class SaveManager {
                 this.saveSettings(data.settings);
             }
             
+            if (Array.isArray(data.runHistory)) {
+                localStorage.setItem(this.RUN_HISTORY_KEY, JSON.stringify(data.runHistory));
+            }
+            
             if (data.currentRun) {
                 localStorage.setItem(this.RUN_SAVE_KEY, JSON.stringify(data.currentRun));
             }
             
+            // Backups exported before heroes were locked
+            this.grandfatherHeroes();
+            
             return true;
         } catch (error) {
             console.error('[SaveManager] Failed to import save data:', error);
@@ -498,13 +938,15 @@ class SaveManager {
     }
 
     /**
-     * Clear all save data (nuclear option)
+     * Clear all of the active slot's save data (nuclear option)
      */
     clearAll() {
         localStorage.removeItem(this.RUN_SAVE_KEY);
+        localStorage.removeItem(this.RUN_BACKUP_KEY);
         localStorage.removeItem(this.PROFILE_KEY);
         localStorage.removeItem(this.UNLOCKS_KEY);
         localStorage.removeItem(this.SETTINGS_KEY);
+        localStorage.removeItem(this.RUN_HISTORY_KEY);
     }
 
     /**
@@ -0,0 +1,136 @@
+/**
+ * SaveMigrations - Upgrades saved runs to the current save shape
+ * Shattered Star
+ *
+ * Run saves are stamped with `schemaVersion`. Each step below upgrades a save
+ * from one version to the next; loading a save runs every step between its
+ * version and SAVE_SCHEMA_VERSION in order. Saves from before stamping have
+ * no schemaVersion and are detected from their shape.
+ *
+ *   1  Before EventManager data was saved
+ *   2  event.eventManagerState (history, flags, chains)
+ *   3  Seeded RNG streams, act progression, shop removal count
+ *   4  Ascension, run history (peak corruption, start time, choices)
+ *   5  Void fragments and the chain, fights saved in progress (combat.snapshot)
+ *
+ * A step gets a copy of the save ({state, timestamp, version, ...}) and
+ * returns the upgraded save. Steps only fill in what's missing, so a save
+ * that already has a field keeps its value.
+ *
+ * When the shape changes: bump SAVE_SCHEMA_VERSION, add a step, and add a
+ * fixture for the old version under tests/fixtures/saves.
+ *
+ * No imports, so tests/ can run it under Node.
+ *
+ * @version 0.2.0
+ */
+
+const SAVE_SCHEMA_VERSION = 5;
+
+/**
+ * Fill in a missing field of an object
+ */
+function fill(obj, key, value) {
+    if (obj[key] === undefined) obj[key] = value;
+}
+
+const MIGRATIONS = [
+    {
+        from: 1,
+        description: 'Add EventManager state',
+        migrate(save) {
+            const event = save.state.event || (save.state.event = {});
+            fill(event, 'active', false);
+            fill(event, 'currentEvent', null);
+            fill(event, 'history', []);
+            fill(event, 'eventManagerState', null);
+            return save;
+        }
+    },
+    {
+        from: 2,
+        description: 'Add RNG streams, act progression and shop removals',
+        migrate(save) {
+            const { state } = save;
+            // No stream positions: RNG.restore reseeds from the run seed
+            fill(state, 'rng', null);
+            fill(state, 'act', 1);
+            fill(state, 'actComplete', false);
+            const shop = state.shop || (state.shop = {});
+            fill(shop, 'removals', 0);
+            return save;
+        }
+    },
+    {
+        from: 3,
+        description: 'Add ascension and run history tracking',
+        migrate(save) {
+            const { state } = save;
+            fill(state, 'ascension', { level: 0, modifiers: null });
+            fill(state, 'choices', []);
+            const stats = state.stats || (state.stats = {});
+            fill(stats, 'peakCorruption', state.corruption || 0);
+            // Unknown for an old run; duration is left out of its record
+            fill(stats, 'startedAt', null);
+            return save;
+        }
+    },
+    {
+        from: 4,
+        description: 'Add void systems and mid-fight snapshots',
+        migrate(save) {
+            const { state } = save;
+            fill(state, 'voidSystems', null);
+            // No snapshot: an old save from mid-fight continues on the map as before
+            const combat = state.combat || (state.combat = {});
+            fill(combat, 'active', false);
+            fill(combat, 'playerTurn', true);
+            fill(combat, 'snapshot', null);
+            return save;
+        }
+    }
+];
+
+/**
+ * The schema version a save was written at
+ * @param {Object} save
+ * @returns {number}
+ */
+function getSaveVersion(save) {
+    if (Number.isInteger(save?.schemaVersion)) return save.schemaVersion;
+    return save?.state?.event?.eventManagerState !== undefined ? 2 : 1;
+}
+
+/**
+ * Upgrade a save to SAVE_SCHEMA_VERSION
+ * @param {Object} save - Parsed save ({state, timestamp, version, schemaVersion?})
+ * @returns {{save: Object, from: number, migrated: boolean}} The upgraded copy
+ * @throws {Error} If the save can't be upgraded (not a save, or from a newer build)
+ */
+function migrateSave(save) {
+    if (!save || typeof save !== 'object' || !save.state || typeof save.state !== 'object') {
+        throw new Error('Not a run save');
+    }
+
+    const from = getSaveVersion(save);
+    if (from > SAVE_SCHEMA_VERSION) {
+        throw new Error(`Save is from a newer version (schema ${from}, this build reads ${SAVE_SCHEMA_VERSION})`);
+    }
+
+    let upgraded = JSON.parse(JSON.stringify(save));
+    for (let version = from; version < SAVE_SCHEMA_VERSION; version++) {
+        const step = MIGRATIONS.find(m => m.from === version);
+        if (!step) throw new Error(`No migration from schema ${version}`);
+        try {
+            upgraded = step.migrate(upgraded);
+        } catch (e) {
+            throw new Error(`Migration ${version} → ${version + 1} (${step.description}) failed: ${e.message}`);
+        }
+        upgraded.schemaVersion = version + 1;
+    }
+
+    upgraded.schemaVersion = SAVE_SCHEMA_VERSION;
+    return { save: upgraded, from, migrated: from < SAVE_SCHEMA_VERSION };
+}
+
+export { SAVE_SCHEMA_VERSION, MIGRATIONS, getSaveVersion, migrateSave };
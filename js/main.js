@@ -2,13 +2,14 @@
  * SHATTERED STAR - Main Entry Point
  * Sci-Fi Noir Cosmic Horror Deckbuilder
  * 
- * @version 0.6.0 MVP - Feature Pack v4: Void Systems (Fragments, Chain Multiplier, Meta Corruption)
+ * @version 0.17.0 MVP - Fragment loadout screen
  */
 
 // Import core systems (singletons)
 import gameState from './core/GameState.js';
 import eventBus from './core/EventBus.js';
 import saveManager from './core/SaveManager.js';
+import rng from './core/RNG.js';
 import { AudioManager } from './core/AudioManager.js';
 import { ScreenManager } from './core/ScreenManager.js';
 import { VFXManager } from './core/VFXManager.js';
@@ -21,9 +22,16 @@ import { CorruptionSystem } from './systems/CorruptionSystem.js';
 import RewardSystem from './systems/RewardSystem.js';
 import { NarrativeSystem } from './systems/NarrativeSystem.js';
 import { EventManager } from './systems/EventManager.js';
+import { CodexSystem } from './systems/CodexSystem.js';
+import { MetaProgression } from './systems/MetaProgression.js';
+import { AchievementSystem } from './systems/AchievementSystem.js';
+import { AscensionSystem } from './systems/AscensionSystem.js';
+import { RunHistory } from './systems/RunHistory.js';
+import { CombatSnapshot } from './systems/CombatSnapshot.js';
 
 // Import UI components
 import { VoidWhisperOverlay } from './ui/VoidWhisperOverlay.js';
+import { AchievementToast } from './ui/AchievementToast.js';
 
 // Import data loaders
 import dataLoader from './core/DataLoader.js';
@@ -41,6 +49,12 @@ import { setupRewardScreen } from './screens/RewardScreen.js';
 // Feature Pack: Boss Narrative, Varra NPC, Void Merchant
 import { initializeNewFeatures } from './systems/FeatureIntegration.js';
 import { setupBossEventScreen } from './screens/BossEventScreen.js';
+import { setupCodexScreen } from './screens/CodexScreen.js';
+import { setupMetaScreen } from './screens/MetaScreen.js';
+import { setupAchievementsScreen } from './screens/AchievementsScreen.js';
+import { setupHistoryScreen } from './screens/HistoryScreen.js';
+import { setupFragmentScreen } from './screens/FragmentScreen.js';
+import { setupSlotsScreen } from './screens/SlotsScreen.js';
 
 // Feature Pack v2: Lyria, Card Upgrades, Card Animations, Varra NPC v2, Bookends
 import CardUpgradeSystem from './systems/CardUpgradeSystem.js';
@@ -58,6 +72,13 @@ import { VoidSystemsIntegration } from './systems/VoidSystemsIntegration.js';
 // Fragment Reward UI (Void Fragment acquisition overlay)
 import { showFragmentReward, shouldOfferFragment } from './ui/FragmentRewardOverlay.js';
 
+// Curses & status cards (deck viewer lists them separately)
+import { isJunkCard } from './systems/CardInjector.js';
+
+// Dev: content diagnostics panel (?diagnostics)
+import { showContentDiagnostics, toggleContentDiagnostics } from './ui/ContentDiagnosticsOverlay.js';
+import { escapeHtml } from './ui/HtmlEscape.js';
+
 // MVP Fallback hero data
 const MVP_HERO_DATA = {
     korvax: {
@@ -79,6 +100,16 @@ const MVP_HERO_DATA = {
         startingCredits: 100,
         startingDeck: ['lyria_strike', 'lyria_strike', 'lyria_strike', 'lyria_defend', 'lyria_defend', 'lyria_defend', 'temporal_slip', 'astral_lance'],
         startingArtifact: 'astral_conduit'
+    },
+    auren: {
+        id: 'auren',
+        name: 'Auren Solari',
+        title: 'The Fallen Light',
+        hp: 75,
+        energy: 3,
+        startingCredits: 100,
+        startingDeck: ['radiant_strike', 'radiant_strike', 'radiant_strike', 'solemn_defense', 'solemn_defense', 'solemn_defense', 'dawn_brand', 'aegis_of_faith'],
+        startingArtifact: 'shard_of_first_light'
     }
 };
 
@@ -93,7 +124,12 @@ const MVP_CARDS = {
     lyria_strike: { id: 'lyria_strike', name: 'Fracture', type: 'attack', cost: 1, damage: 5, description: 'Deal 5 damage.' },
     lyria_defend: { id: 'lyria_defend', name: 'Foresight', type: 'skill', cost: 1, block: 5, description: 'Gain 5 Block.' },
     temporal_slip: { id: 'temporal_slip', name: 'Temporal Slip', type: 'skill', cost: 1, draw: 2, description: 'Draw 2 cards. Discard 1. Gain 1 Temporal Flux.' },
-    astral_lance: { id: 'astral_lance', name: 'Astral Lance', type: 'attack', cost: 2, damage: 6, description: 'Deal 6 damage + Astral Charge. Gain 1 Astral Charge.' }
+    astral_lance: { id: 'astral_lance', name: 'Astral Lance', type: 'attack', cost: 2, damage: 6, description: 'Deal 6 damage + Astral Charge. Gain 1 Astral Charge.' },
+    // Auren fallback cards
+    radiant_strike: { id: 'radiant_strike', name: 'Radiant Strike', type: 'attack', cost: 1, damage: 6, description: 'Deal 6 damage. If you have Block, gain 1 Judgment.' },
+    solemn_defense: { id: 'solemn_defense', name: 'Solemn Defense', type: 'skill', cost: 1, block: 5, description: 'Gain 5 Block. If you took damage last turn, gain 1 Judgment.' },
+    dawn_brand: { id: 'dawn_brand', name: 'Dawn Brand', type: 'attack', cost: 1, damage: 4, effects: [{ type: 'damage', value: 4 }, { type: 'radiance', value: 2 }], description: 'Deal 4 damage. Apply 2 Radiance.' },
+    aegis_of_faith: { id: 'aegis_of_faith', name: 'Aegis of Faith', type: 'skill', cost: 1, block: 4, effects: [{ type: 'block', value: 4 }, { type: 'aegis', value: 3 }], description: 'Gain 4 Block. Gain 3 Aegis.' }
 };
 
 /**
@@ -112,7 +148,7 @@ class ShatteredStar {
         this.eventBus = eventBus;
         this.state = gameState;
         this.saveManager = saveManager;
-        this.audioManager = new AudioManager();
+        this.audioManager = new AudioManager(eventBus);
         this.screenManager = new ScreenManager(eventBus);
         this.dataLoader = dataLoader;
         
@@ -133,6 +169,24 @@ class ShatteredStar {
         // Event System v2
         this.eventManager = null;
         
+        // Codex (discoveries persist in the profile across runs)
+        this.codex = null;
+        
+        // Meta progression (echoes buy heroes, card pools and relics)
+        this.meta = null;
+        
+        // Achievements (earned ones persist in the profile)
+        this.achievements = null;
+        
+        // Ascension (difficulty levels, unlocked per hero by winning)
+        this.ascension = null;
+        
+        // Run history (a record of every finished run)
+        this.runHistory = null;
+        
+        // Saves the systems' side of a fight in progress
+        this.combatSnapshot = null;
+        
         // Feature Pack systems
         this.bossNarrative = null;
         this.varraTracker = null;
@@ -254,6 +308,18 @@ class ShatteredStar {
             } catch (e) {
                 console.warn('[Shattered Star] DataLoader preload failed, using fallbacks:', e);
             }
+            
+            // ?diagnostics: load the whole manifest and list gaps and fallbacks up front
+            this.diagnosticsMode = new URLSearchParams(window.location.search).has('diagnostics');
+            if (this.diagnosticsMode) {
+                try {
+                    this.updateLoadingProgress(20, 'Checking content...');
+                    await this.dataLoader.runDiagnostics();
+                    showContentDiagnostics(this.dataLoader, this.eventBus);
+                } catch (e) {
+                    console.warn('[Shattered Star] Content diagnostics failed (non-fatal):', e);
+                }
+            }
             this.updateLoadingProgress(30, 'Initializing systems...');
             
             // Initialize game systems
@@ -422,8 +488,8 @@ class ShatteredStar {
                     name: 'Auren Solari',
                     title: 'The Fallen Light',
                     description: 'A former holy knight seeking redemption.',
-                    hp: 85, energy: 3, locked: true,
-                    archetypes: [{ name: 'Radiant', description: 'Holy DoT' }, { name: 'Aegis', description: 'Persistent shields' }, { name: 'Judgment', description: 'Punish debuffed enemies' }]
+                    hp: 75, energy: 3, locked: true,
+                    archetypes: [{ name: 'Radiant', description: 'Holy DoT' }, { name: 'Aegis', description: 'Persistent shields' }, { name: 'Judgment', description: 'Bank Judgment, spend it on verdicts' }]
                 },
                 {
                     id: 'shade',
@@ -454,7 +520,7 @@ class ShatteredStar {
                 ${hero.locked ? `
                     <div class="locked-overlay">
                         <span class="lock-icon">🔒</span>
-                        <span class="lock-text">Complete previous hero to unlock</span>
+                        <span class="lock-text">${this.meta?.getUnlockFor('heroes', hero.id)?.conditionText || 'Locked'}</span>
                     </div>
                 ` : ''}
             </div>
@@ -489,6 +555,9 @@ class ShatteredStar {
         if (isLocked === undefined) {
             isLocked = hero.unlocked === false;
         }
+        if (this.meta) {
+            isLocked = !this.meta.isHeroUnlocked(hero.id, isLocked);
+        }
         
         // Normalize archetypes
         let archetypes = hero.archetypes || [];
@@ -633,7 +702,7 @@ class ShatteredStar {
         
         // Initialize Feature Pack v3 (Corruption Cascade, Near-Miss Display)
         try {
-            this.corruptionCascade = new CorruptionCascade(this.state, this.eventBus);
+            this.corruptionCascade = new CorruptionCascade(this.state, this.eventBus, this.dataLoader);
             this.nearMissDisplay = new NearMissDisplay(this.state, this.eventBus);
             console.log('[Shattered Star] Corruption cascade systems initialized');
         } catch (e) {
@@ -648,10 +717,93 @@ class ShatteredStar {
             console.warn('[Shattered Star] Void systems init failed (non-fatal):', e);
         }
         
+        // Codex
+        try {
+            this.codex = new CodexSystem(this.state, this.eventBus, this.saveManager, this.dataLoader);
+            console.log('[Shattered Star] Codex initialized');
+        } catch (e) {
+            console.warn('[Shattered Star] Codex init failed (non-fatal):', e);
+        }
+        
+        // Meta progression
+        try {
+            this.meta = new MetaProgression(this.state, this.eventBus, this.saveManager, this.dataLoader);
+            console.log('[Shattered Star] Meta progression initialized');
+        } catch (e) {
+            console.warn('[Shattered Star] Meta progression init failed (non-fatal):', e);
+        }
+        
+        // Achievements
+        try {
+            this.achievements = new AchievementSystem(this.state, this.eventBus, this.saveManager, this.dataLoader);
+            new AchievementToast(this.eventBus, this.audioManager);
+            console.log('[Shattered Star] Achievements initialized');
+        } catch (e) {
+            console.warn('[Shattered Star] Achievements init failed (non-fatal):', e);
+        }
+        
+        // Ascension
+        try {
+            this.ascension = new AscensionSystem(this.state, this.eventBus, this.saveManager, this.dataLoader);
+            console.log('[Shattered Star] Ascension initialized');
+        } catch (e) {
+            console.warn('[Shattered Star] Ascension init failed (non-fatal):', e);
+        }
+        
+        // Run history
+        try {
+            this.runHistory = new RunHistory(this.state, this.eventBus, this.saveManager, this.dataLoader);
+            this.runHistory.setFragmentProvider(() => this.voidSystems?.fragments);
+            console.log('[Shattered Star] Run history initialized');
+        } catch (e) {
+            console.warn('[Shattered Star] Run history init failed (non-fatal):', e);
+        }
+        
+        // Mid-fight saves (CombatScreen registers its own systems in setup)
+        try {
+            this.combatSnapshot = new CombatSnapshot(this.state, this.eventBus);
+            this.registerCombatSnapshotSources();
+            console.log('[Shattered Star] Combat snapshot initialized');
+        } catch (e) {
+            console.warn('[Shattered Star] Combat snapshot init failed (non-fatal):', e);
+        }
+        
         // Make systems accessible globally for debugging
         window.game = this;
     }
     
+    /**
+     * Register the systems that hold combat data outside the state
+     */
+    registerCombatSnapshotSources() {
+        const snapshot = this.combatSnapshot;
+        
+        snapshot.register('legacyCombat', {
+            save: () => this.combat?.getCombatState(),
+            load: (data) => this.combat?.restoreCombatState(data)
+        });
+        snapshot.register('deck', {
+            save: () => this.deck?.getState(),
+            load: (data) => this.deck?.restoreState(data)
+        });
+        
+        if (this.voidSystems) {
+            const { fragments, chains, metaCorruption } = this.voidSystems;
+            snapshot.register('chain', {
+                save: () => chains.getSaveData(),
+                load: (data) => chains.loadSaveData(data)
+            });
+            snapshot.register('fragments', {
+                save: () => fragments.getCombatSaveData(),
+                load: (data) => fragments.loadCombatSaveData(data)
+            });
+            snapshot.register('metaCorruption', {
+                save: () => metaCorruption.getSaveData(),
+                load: (data) => metaCorruption.loadSaveData(data)
+            });
+        }
+    }
+    
     /**
      * Setup all screen handlers
      */
@@ -671,6 +823,42 @@ class ShatteredStar {
         } catch (e) {
             console.warn('[Shattered Star] BossEventScreen setup failed (non-fatal):', e);
         }
+        
+        try {
+            setupCodexScreen(this);
+        } catch (e) {
+            console.warn('[Shattered Star] CodexScreen setup failed (non-fatal):', e);
+        }
+        
+        try {
+            setupMetaScreen(this);
+        } catch (e) {
+            console.warn('[Shattered Star] MetaScreen setup failed (non-fatal):', e);
+        }
+        
+        try {
+            setupAchievementsScreen(this);
+        } catch (e) {
+            console.warn('[Shattered Star] AchievementsScreen setup failed (non-fatal):', e);
+        }
+        
+        try {
+            setupHistoryScreen(this);
+        } catch (e) {
+            console.warn('[Shattered Star] HistoryScreen setup failed (non-fatal):', e);
+        }
+        
+        try {
+            setupFragmentScreen(this);
+        } catch (e) {
+            console.warn('[Shattered Star] FragmentScreen setup failed (non-fatal):', e);
+        }
+        
+        try {
+            setupSlotsScreen(this);
+        } catch (e) {
+            console.warn('[Shattered Star] SlotsScreen setup failed (non-fatal):', e);
+        }
     }
     
     /**
@@ -744,16 +932,10 @@ class ShatteredStar {
             this.screenManager.transitionTo('start-screen');
         });
         
-        this.eventBus.on('boss:defeated', () => {
-            // If narrative system is active, it handles post-boss flow
-            // (shows post-boss event, then emits act:complete)
-            if (this.bossNarrative) {
-                console.log('[Shattered Star] Boss defeated - deferring to narrative system');
-                // BossNarrative + FeatureIntegration handle the post-boss event
-                return;
-            }
-            // Fallback: direct victory if no narrative system
-            this.handleBossVictory();
+        // Boss defeated -> post-boss narrative (BossEventScreen) -> act:complete,
+        // which FeatureIntegration routes to handleBossVictory()
+        this.eventBus.on('boss:defeated', (data) => {
+            this.onBossDefeated(data?.act || this.state.get('act') || 1);
         });
         
         // REMOVED: node:selected handler - MapScreen already handles node clicks directly
@@ -821,7 +1003,7 @@ class ShatteredStar {
             if (upgradeable.length > 0) {
                 const target = (data?.target && typeof data.target === 'string' && data.target !== 'random' && data.target !== 'choose')
                     ? upgradeable.find(c => c.id === data.target) || upgradeable[0]
-                    : upgradeable[Math.floor(Math.random() * upgradeable.length)];
+                    : rng.stream('rewards').pick(upgradeable);
                 
                 if (target && this.cardUpgradeSystem) {
                     this.cardUpgradeSystem.upgradeCard(target);
@@ -892,16 +1074,11 @@ class ShatteredStar {
         if (btnContinueRun) {
             btnContinueRun.addEventListener('click', () => {
                 console.log('[Shattered Star] Victory - Continue clicked');
-                const currentAct = this.state.get('act') || 1;
-                if (currentAct >= 3) {
-                    // Final act complete - show full victory
-                    this.handleVictory();
+                if (this.state.get('gameComplete')) {
+                    // Final act complete - run is over
+                    this.forceShowScreen('start-screen');
                 } else {
-                    // Advance to next act
-                    this.state.set('act', currentAct + 1);
-                    this.state.set('actComplete', false);
-                    this.mapGenerator.generateAct(currentAct + 1);
-                    this.transitionToMapScreen();
+                    this.advanceAct();
                 }
             });
         }
@@ -947,12 +1124,19 @@ class ShatteredStar {
         if (e.key === 'd' || e.key === 'D') {
             this.openDeckModal();
         }
+        
+        if (e.key === '`' && this.diagnosticsMode) {
+            toggleContentDiagnostics(this.dataLoader, this.eventBus);
+        }
     }
     
     /**
      * Start a new run
+     * @param {string} heroId - Hero to play
+     * @param {string} seed - Optional shared seed; a fresh one is generated if omitted
+     * @param {number} ascension - Ascension level (clamped to the hero's unlocked level)
      */
-    startNewRun(heroId) {
+    startNewRun(heroId, seed = null, ascension = 0) {
         // Use passed heroId or stored selectedHeroId
         const finalHeroId = heroId || this.selectedHeroId;
         console.log(`[Shattered Star] Starting new run with hero: ${finalHeroId}`);
@@ -965,7 +1149,7 @@ class ShatteredStar {
         // Try to initialize run via state manager
         let success = false;
         try {
-            success = this.state.initializeRun(finalHeroId, this.dataLoader);
+            success = this.state.initializeRun(finalHeroId, this.dataLoader, seed);
         } catch (e) {
             console.warn('[Shattered Star] initializeRun failed:', e);
         }
@@ -973,17 +1157,34 @@ class ShatteredStar {
         // If that failed, use fallback initialization
         if (!success) {
             console.log('[Shattered Star] Using fallback hero initialization');
-            this.initializeRunFallback(finalHeroId);
+            this.initializeRunFallback(finalHeroId, seed);
+        }
+        
+        console.log(`[Shattered Star] Run seed: ${this.state.get('seed')}`);
+        
+        // Ascension modifiers go into the run before the map is drawn
+        if (this.ascension) {
+            try {
+                this.ascension.applyToRun(ascension);
+            } catch (e) {
+                console.warn('[Shattered Star] Ascension setup failed (non-fatal):', e);
+            }
         }
         
         // Generate Act I map
-        this.mapGenerator.generateAct(1);
+        this.mapGenerator.generateAct(1, this.dataLoader.getActConfig(1));
         
         // Reset event system for new run
         if (this.eventManager) {
             this.eventManager.reset();
         }
         
+        // Dread and the music's void stem follow the new run's corruption
+        if (this.narrativeSystem) {
+            this.narrativeSystem.updateDread(this.state.get('corruption') || 0);
+        }
+        this.audioManager?.setCorruption(this.state.get('corruption') || 0);
+        
         // Reset cascade run stats for new run
         if (this.nearMissDisplay) {
             this.nearMissDisplay.resetRunStats();
@@ -997,6 +1198,7 @@ class ShatteredStar {
             try {
                 this.voidSystems.fragments.equippedFragments = [];
                 this.voidSystems.fragments.collectedFragments = [];
+                this.voidSystems.fragments.updateActiveSets();
                 this.voidSystems.chains.resetChain();
             } catch (e) {
                 console.warn('[Shattered Star] Void systems reset failed (non-fatal):', e);
@@ -1084,7 +1286,7 @@ class ShatteredStar {
     /**
      * Fallback run initialization if DataLoader fails
      */
-    initializeRunFallback(heroId) {
+    initializeRunFallback(heroId, seed = null) {
         const hero = MVP_HERO_DATA[heroId];
         if (!hero) {
             console.error(`[Shattered Star] No fallback data for hero: ${heroId}`);
@@ -1092,7 +1294,8 @@ class ShatteredStar {
         }
         
         this.state.reset();
-        this.state.state.seed = Date.now();
+        this.state.state.seed = rng.normalizeSeed(seed) || rng.generateSeed();
+        rng.seed(this.state.state.seed);
         this.state.state.runActive = true;
         this.state.state.hero.id = hero.id;
         this.state.state.hero.name = hero.name;
@@ -1134,30 +1337,24 @@ class ShatteredStar {
             return;
         }
         
-        // CRITICAL FIX: Force hide hero-select screen first
-        const heroSelectScreen = document.getElementById('hero-select-screen');
-        if (heroSelectScreen) {
-            heroSelectScreen.classList.remove('active');
-            heroSelectScreen.style.cssText = `
+        // CRITICAL FIX: Force hide the screen we came from (hero select, or act complete)
+        ['hero-select-screen', 'victory-screen'].forEach(screenId => {
+            const screen = document.getElementById(screenId);
+            if (!screen) return;
+            screen.classList.remove('active');
+            screen.style.cssText = `
                 display: none !important;
                 visibility: hidden !important;
                 opacity: 0 !important;
                 z-index: -1 !important;
             `;
-            console.log('[Shattered Star] Forced hero-select screen hidden');
-        }
-        
-        const actIntros = {
-            1: [
-                "The Dawnseeker falls from the sky like a dying star.",
-                "You awaken amid twisted metal and ash.",
-                "The Ironspine Wastes stretch endlessly before you.",
-                "Somewhere in this rust desert, answers await.",
-                "But so does the void."
-            ]
-        };
+        });
         
-        const lines = actIntros[actNumber] || ['The journey continues...'];
+        // Intro lines live in data/maps/act<N>_config.json
+        const configLines = this.dataLoader.getActConfig(actNumber)?.intro;
+        const lines = Array.isArray(configLines) && configLines.length > 0
+            ? configLines
+            : ['The journey continues...'];
         
         this.screenManager.transitionTo('intro-screen');
         
@@ -1249,7 +1446,12 @@ class ShatteredStar {
      */
     continueRun() {
         if (this.saveManager.hasSave()) {
-            this.saveManager.loadRun();
+            // Unloadable saves are moved to the slot's backup key
+            if (!this.saveManager.loadRun()) {
+                const continueBtn = document.getElementById('btn-continue');
+                if (continueBtn) continueBtn.disabled = true;
+                return;
+            }
             
             // v2: Restore EventManager state from saved data
             if (this.eventManager) {
@@ -1260,6 +1462,30 @@ class ShatteredStar {
                 }
             }
             
+            // Dread and the music's void stem pick up from the saved corruption
+            if (this.narrativeSystem) {
+                this.narrativeSystem.updateDread(this.state.get('corruption') || 0);
+            }
+            this.audioManager?.setCorruption(this.state.get('corruption') || 0);
+            
+            // Equipped fragments and the chain
+            if (this.voidSystems) {
+                this.voidSystems.loadSaveData(this.state.get('voidSystems'));
+            }
+            
+            // Saved mid-fight: CombatScreen picks the fight up where it was
+            if (this.combatSnapshot?.hasSnapshot()) {
+                this.state.set('combat.resuming', true, true);
+                this.screenManager.transitionTo('combat-screen');
+                return;
+            }
+            
+            // Saved between acts: pick up on the act-complete screen
+            if (this.state.get('actComplete')) {
+                this.showActComplete(this.state.get('act') || 1);
+                return;
+            }
+            
             this.transitionToMapScreen();
         }
     }
@@ -1455,7 +1681,7 @@ class ShatteredStar {
         let event = null;
         try {
             // v2: Pass eventManager for smart selection (history, flags, chains)
-            event = this.dataLoader.getRandomEvent(act, corruption, null, this.eventManager);
+            event = this.dataLoader.getRandomEvent(act, corruption, this.state.get('hero.id'), this.eventManager);
         } catch (e) {
             console.warn('[Shattered Star] Failed to get event:', e);
         }
@@ -1498,10 +1724,13 @@ class ShatteredStar {
      * Handle player death
      */
     handlePlayerDeath() {
+        const wasActive = this.state.get('runActive');
         this.state.set('runActive', false);
         this.saveManager.clearRun();
         
         const stats = this.buildRunStats();
+        // Death can be reported more than once; only the first pays out
+        stats.echoes = wasActive ? (this.meta?.recordRunEnd(false)?.echoes || 0) : 0;
         
         // Show near-miss death screen (psychology-driven "you were SO close")
         if (this.nearMissDisplay) {
@@ -1511,7 +1740,9 @@ class ShatteredStar {
                     drawPile: this.state.get('combat.drawPile') || [],
                     hand: this.state.get('combat.hand') || [],
                     corruption: this.state.get('corruption') || 0,
-                    floor: this.state.get('currentNode') || this.state.get('floor') || 1
+                    floor: this.state.get('currentNode') || this.state.get('floor') || 1,
+                    seed: stats.seed,
+                    echoes: stats.echoes
                 });
                 return; // Near-miss overlay handles retry/menu buttons
             } catch (e) {
@@ -1528,6 +1759,10 @@ class ShatteredStar {
      */
     handleCombatVictory() {
         const nodeType = this.state.get('currentNodeType');
+        
+        // Bosses are rewarded in handleBossVictory, after the post-boss event
+        if (nodeType === 'boss') return;
+        
         this.rewards.generateCombatRewards(nodeType);
         
         // Check if we should offer a void fragment reward
@@ -1547,46 +1782,161 @@ class ShatteredStar {
         }
     }
     
+    /**
+     * Boss defeated: show the act's post-boss event, if there is one
+     * @param {number} act
+     */
+    onBossDefeated(act) {
+        if (this.state.get('actComplete')) return;
+        
+        const bossId = this.dataLoader.getActConfig(act)?.boss;
+        const postEvent = this.narrativeBookends?.getPostBossEvent(act)
+            || this.bossNarrative?.getPostBossEvent(act, bossId);
+        
+        if (!postEvent) {
+            this.handleBossVictory();
+            return;
+        }
+        
+        console.log(`[Shattered Star] Act ${act} boss defeated - showing post-boss event`);
+        this.eventBus.emit('boss:post_event', postEvent);
+        this.forceShowScreen('event-screen');
+    }
+    
     /**
      * Handle boss victory
      */
     handleBossVictory() {
-        const act = this.state.get('act');
+        const act = this.state.get('act') || 1;
         
         if (act >= 3) {
             this.handleVictory();
+            return;
+        }
+        if (this.state.get('actComplete')) return;
+        
+        this.rewards.generateBossRewards(act);
+        this.state.set('actComplete', true);
+        
+        try {
+            this.saveManager.saveRun();
+        } catch (e) {
+            console.warn('[Shattered Star] Save failed (might be Private Browsing):', e);
+        }
+        
+        // Always offer a fragment after boss (rare pool)
+        if (shouldOfferFragment(this, 'boss')) {
+            showFragmentReward(this, {
+                pool: 'uncommon,rare',
+                count: 3,
+                source: `boss_act${act}`,
+                allowSkip: true,
+                onComplete: () => {
+                    this.showActComplete(act);
+                }
+            });
         } else {
-            this.rewards.generateBossRewards(act);
-            this.state.set('actComplete', true);
-            
-            // Always offer a fragment after boss (rare pool)
-            if (shouldOfferFragment(this, 'boss')) {
-                showFragmentReward(this, {
-                    pool: 'uncommon,rare',
-                    count: 3,
-                    source: `boss_act${act}`,
-                    allowSkip: true,
-                    onComplete: () => {
-                        this.screenManager.transitionTo('victory-screen');
-                    }
-                });
-            } else {
-                this.screenManager.transitionTo('victory-screen');
+            this.showActComplete(act);
+        }
+    }
+    
+    /**
+     * Show the act-complete screen between acts
+     * @param {number} act - The act just finished
+     */
+    showActComplete(act) {
+        const finished = this.dataLoader.getActConfig(act);
+        const next = this.dataLoader.getActConfig(act + 1);
+        
+        const title = document.querySelector('#victory-screen .victory-title');
+        if (title) title.textContent = 'ACT COMPLETE';
+        
+        const container = document.getElementById('victory-content');
+        if (container) {
+            container.innerHTML = `
+                <p>${finished?.name || `Act ${act}`} lies behind you.</p>
+                <p>Ahead: ${next?.region || 'the unknown'}.</p>
+            `;
+        }
+        
+        this.forceShowScreen('victory-screen');
+    }
+    
+    /**
+     * Leave the act-complete screen for the next act's map
+     */
+    advanceAct() {
+        const nextAct = (this.state.get('act') || 1) + 1;
+        
+        this.state.set('act', nextAct);
+        this.state.set('actComplete', false);
+        this.mapGenerator.generateAct(nextAct, this.dataLoader.getActConfig(nextAct));
+        
+        try {
+            if (this.eventManager) {
+                this.state.set('event.eventManagerState', this.eventManager.serialize(), true);
             }
+            this.saveManager.saveRun();
+        } catch (e) {
+            console.warn('[Shattered Star] Save failed (might be Private Browsing):', e);
         }
+        
+        console.log(`[Shattered Star] Advancing to Act ${nextAct}`);
+        this.showActIntro(nextAct, () => {
+            this.transitionToMapScreen();
+        });
     }
     
     /**
      * Handle full game victory
      */
     handleVictory() {
+        const wasActive = this.state.get('runActive');
         this.state.set('runActive', false);
         this.state.set('gameComplete', true);
+        this.saveManager.clearRun();
         
         const stats = this.buildRunStats();
+        stats.echoes = wasActive ? (this.meta?.recordRunEnd(true)?.echoes || 0) : 0;
         this.displayVictory(stats);
         
-        this.screenManager.transitionTo('victory-screen');
+        this.forceShowScreen('victory-screen');
+    }
+    
+    /**
+     * Show a screen over whatever another module forced visible
+     * Screen modules pin their screen with inline !important styles, which
+     * ScreenManager.transitionTo() alone doesn't clear.
+     * @param {string} screenId
+     */
+    forceShowScreen(screenId) {
+        const target = document.getElementById(screenId);
+        if (!target) return;
+        
+        document.querySelectorAll('.screen').forEach(screen => {
+            if (screen.id !== screenId) {
+                screen.classList.remove('active', 'fade-in');
+                screen.style.cssText = '';
+            }
+        });
+        
+        this.screenManager.transitioning = false;
+        this.screenManager.transitionTo(screenId);
+        
+        target.classList.remove('fade-out');
+        target.classList.add('active');
+        target.style.cssText = `
+            display: flex !important;
+            visibility: visible !important;
+            opacity: 1 !important;
+            position: fixed !important;
+            top: 0 !important;
+            left: 0 !important;
+            width: 100% !important;
+            height: 100% !important;
+            z-index: 1000 !important;
+            pointer-events: auto !important;
+        `;
     }
     
     /**
@@ -1595,9 +1945,11 @@ class ShatteredStar {
     buildRunStats() {
         return {
             hero: this.state.get('hero.id'),
+            seed: this.state.get('seed'),
             floor: this.state.get('floor'),
             act: this.state.get('act'),
             corruption: this.state.get('corruption'),
+            ascension: this.state.get('ascension.level') || 0,
             cardsPlayed: this.state.get('stats.cardsPlayed') || 0,
             damageDealt: this.state.get('stats.damageDealt') || 0,
             combatsWon: this.state.get('stats.combatsWon') || 0,
@@ -1616,8 +1968,11 @@ class ShatteredStar {
             <div class="gameover-stat"><span>Hero</span><span>${(stats.hero || 'Unknown').toUpperCase()}</span></div>
             <div class="gameover-stat"><span>Reached Floor</span><span>${stats.floor || 1}</span></div>
             <div class="gameover-stat"><span>Act</span><span>${stats.act || 1}</span></div>
+            ${stats.ascension ? `<div class="gameover-stat"><span>Ascension</span><span>${stats.ascension}</span></div>` : ''}
             <div class="gameover-stat"><span>Corruption</span><span>${stats.corruption || 0}%</span></div>
             <div class="gameover-stat"><span>Combats Won</span><span>${stats.combatsWon || 0}</span></div>
+            <div class="gameover-stat"><span>Echoes Earned</span><span>+${stats.echoes || 0}</span></div>
+            ${stats.seed ? `<div class="gameover-stat run-seed"><span>Seed</span><span>${escapeHtml(stats.seed)}</span></div>` : ''}
         `;
     }
     
@@ -1628,7 +1983,18 @@ class ShatteredStar {
         const container = document.getElementById('victory-content');
         if (!container) return;
         
-        container.innerHTML = `<p>You have survived the horrors of Vharos...</p><p>For now.</p>`;
+        const title = document.querySelector('#victory-screen .victory-title');
+        if (title) title.textContent = 'VICTORY';
+        
+        // The run's win has already unlocked the next level, if there is one
+        const unlocked = this.ascension?.getUnlockedLevel(stats.hero) || 0;
+        
+        container.innerHTML = `
+            <p>You have survived the horrors of Vharos...</p><p>For now.</p>
+            ${stats.echoes ? `<p>+${stats.echoes} Echoes</p>` : ''}
+            ${stats.ascension ? `<p>Ascension ${stats.ascension} cleared</p>` : ''}
+            ${unlocked > stats.ascension ? `<p class="ascension-unlocked">Ascension ${unlocked} unlocked</p>` : ''}
+        `;
     }
     
     /**
@@ -1658,16 +2024,22 @@ class ShatteredStar {
         
         if (!container) return;
         
-        container.innerHTML = deck.map(card => `
+        const renderCard = (card) => `
             <div class="card type-${card.type} rarity-${card.rarity}">
-                <div class="card-cost">${card.cost}</div>
+                <div class="card-cost">${card.cost < 0 ? '–' : card.cost}</div>
                 <div class="card-type-indicator"></div>
                 <div class="card-art">${this.getCardIcon(card.type)}</div>
                 <div class="card-name">${card.name}</div>
                 <div class="card-description">${card.description}</div>
                 <div class="card-footer"><div class="card-rarity-indicator"></div></div>
             </div>
-        `).join('');
+        `;
+        const junk = deck.filter(isJunkCard);
+        
+        container.innerHTML = deck.filter(card => !isJunkCard(card)).map(renderCard).join('') +
+            (junk.length > 0
+                ? `<div class="deck-section-label">☠️ Curses & Status (${junk.length})</div>${junk.map(renderCard).join('')}`
+                : '');
         
         document.getElementById('deck-modal')?.classList.add('active');
     }
@@ -1676,7 +2048,7 @@ class ShatteredStar {
      * Get card icon based on type
      */
     getCardIcon(type) {
-        const icons = { attack: '⚔️', skill: '🛡️', power: '⚡', corrupted: '👁️' };
+        const icons = { attack: '⚔️', skill: '🛡️', power: '⚡', corrupted: '👁️', curse: '☠️', status: '🌀' };
         return icons[type] || '📜';
     }
     
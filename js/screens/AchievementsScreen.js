@@ -0,0 +1,90 @@
+/**
+ * AchievementsScreen - Every achievement, earned or not
+ * Shattered Star
+ *
+ * Reads everything from game.achievements (AchievementSystem). Hidden
+ * achievements stay '???' until earned; counted ones show their progress.
+ */
+
+export function setupAchievementsScreen(game) {
+    const screen = document.getElementById('achievements-screen');
+    if (!screen) {
+        console.warn('[AchievementsScreen] #achievements-screen not found');
+        return;
+    }
+
+    console.log('[AchievementsScreen] Setting up achievements screen');
+
+    const summaryEl = document.getElementById('achievements-summary');
+    const listEl = document.getElementById('achievements-list');
+
+    game.eventBus.on('screen:show', (screenId) => {
+        if (screenId === 'achievements-screen') render();
+    });
+
+    game.eventBus.on('screen:changed', (data) => {
+        const targetScreen = typeof data === 'string' ? data : data?.to;
+        if (targetScreen === 'achievements-screen') render();
+    });
+
+    document.getElementById('btn-achievements-back')?.addEventListener('click', () => {
+        game.audioManager?.playSFX?.('ui_click');
+        game.screenManager.transitionTo('start-screen');
+    });
+
+    function render() {
+        if (!game.achievements) {
+            listEl.innerHTML = '<p class="achievements-empty">Achievements are unavailable.</p>';
+            summaryEl.textContent = '';
+            return;
+        }
+
+        const all = game.achievements.getAll();
+        const earned = all.filter(a => a.earned).length;
+        summaryEl.textContent = `${earned} / ${all.length}`;
+
+        if (all.length === 0) {
+            listEl.innerHTML = '<p class="achievements-empty">No achievements defined.</p>';
+            return;
+        }
+
+        // Earned first, newest on top; the rest keep data order
+        const sorted = [
+            ...all.filter(a => a.earned).sort((a, b) => (b.unlockedAt || 0) - (a.unlockedAt || 0)),
+            ...all.filter(a => !a.earned)
+        ];
+
+        listEl.innerHTML = sorted.map(renderEntry).join('');
+    }
+
+    function renderEntry(achievement) {
+        const secret = achievement.hidden && !achievement.earned;
+        const { progress } = achievement;
+
+        let status = '';
+        if (achievement.earned) {
+            status = achievement.unlockedAt
+                ? `<span class="achievement-date">${new Date(achievement.unlockedAt).toLocaleDateString()}</span>`
+                : '';
+        } else if (progress && !secret) {
+            const pct = Math.round((progress.current / progress.target) * 100);
+            status = `
+                <span class="achievement-progress">
+                    <span class="achievement-progress-bar"><span style="width: ${pct}%"></span></span>
+                    ${progress.current}/${progress.target}
+                </span>
+            `;
+        }
+
+        return `
+            <div class="achievement-entry ${achievement.earned ? 'earned' : 'locked'}">
+                <div class="achievement-icon">${secret ? '?' : (achievement.icon || '★')}</div>
+                <div class="achievement-info">
+                    <div class="achievement-name">${secret ? '???' : achievement.name}</div>
+                    <div class="achievement-desc">${secret ? 'A hidden achievement.' : achievement.description}</div>
+                </div>
+                ${status}
+            </div>
+        `;
+    }
+}
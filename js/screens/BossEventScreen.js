@@ -5,6 +5,8 @@
  * Renders narrative events with typewriter text reveal, atmospheric styling,
  * and choice consequences. Also handles mid-fight dialogue overlay during combat.
  * ADDED: Void Fragment effect support in boss event choices.
+ * ADDED: hp, maxHp and flags effects used by the per-act bookend files.
+ * FIXED: Restores the regular event markup once the player proceeds.
  */
 
 import { showFragmentReward } from '../ui/FragmentRewardOverlay.js';
@@ -16,6 +18,16 @@ export function setupBossEventScreen(game) {
     game.eventBus.on('boss:post_event', (eventData) => showBossEvent(eventData, 'post'));
     game.eventBus.on('combat:dialogue', (dialogue) => showCombatDialogue(dialogue));
     
+    // Boss events borrow #event-screen; keep its markup for regular events
+    const eventContainer = document.querySelector('#event-screen .event-container');
+    const eventMarkup = eventContainer ? eventContainer.innerHTML : null;
+    
+    function restoreEventScreen() {
+        if (eventContainer && eventMarkup !== null) {
+            eventContainer.innerHTML = eventMarkup;
+        }
+    }
+    
     /**
      * Show a boss narrative event (pre or post)
      */
@@ -204,7 +216,7 @@ export function setupBossEventScreen(game) {
             setTimeout(() => {
                 const epilogueContainer = document.getElementById('boss-event-epilogue');
                 if (epilogueContainer) {
-                    epilogueContainer.innerHTML = `<p class="epilogue-text">${eventData.epilogue}</p>`;
+                    epilogueContainer.innerHTML = `<p class="epilogue-text">${eventData.epilogue.replace(/\n/g, '<br>')}</p>`;
                     epilogueContainer.style.display = 'block';
                     epilogueContainer.style.opacity = '0';
                     setTimeout(() => {
@@ -227,6 +239,7 @@ export function setupBossEventScreen(game) {
                 }, 100);
                 
                 proceedBtn.addEventListener('click', () => {
+                    restoreEventScreen();
                     if (phase === 'pre') {
                         // Proceed to boss combat
                         game.eventBus.emit('boss:start_combat');
@@ -234,7 +247,7 @@ export function setupBossEventScreen(game) {
                         // Proceed to next act or victory
                         game.eventBus.emit('act:complete', { act: game.state.get('act') || 1 });
                     }
-                });
+                }, { once: true });
             }
         }, phase === 'post' ? 3000 : 1500);
     }
@@ -266,6 +279,29 @@ export function setupBossEventScreen(game) {
             }
         }
         
+        // HP (a story beat never kills — it stops at 1 HP)
+        if (effects.hp) {
+            const maxHp = game.state.get('hero.maxHp') || 80;
+            const currentHp = game.state.get('hero.hp') || maxHp;
+            const newHp = Math.min(maxHp, Math.max(1, currentHp + effects.hp));
+            game.state.set('hero.hp', newHp);
+            game.eventBus.emit(effects.hp < 0 ? 'player:damage' : 'heal', Math.abs(effects.hp));
+            game.eventBus.emit('hp:changed', { current: newHp, max: maxHp });
+        }
+        
+        // Max HP
+        if (effects.maxHp) {
+            const newMax = Math.max(1, (game.state.get('hero.maxHp') || 80) + effects.maxHp);
+            game.state.set('hero.maxHp', newMax);
+            if ((game.state.get('hero.hp') || 0) > newMax) game.state.set('hero.hp', newMax);
+            game.eventBus.emit('maxHp:changed', { max: newMax });
+        }
+        
+        // Story flags (read by later bookends' varraVariants and events)
+        if (effects.flags) {
+            game.state.set('flags', { ...(game.state.get('flags') || {}), ...effects.flags });
+        }
+        
         // Reputation
         if (effects.reputation) {
             for (const [faction, change] of Object.entries(effects.reputation)) {
@@ -0,0 +1,225 @@
+/**
+ * CodexScreen - Cross-run collection of lore, enemies, cards, relics and bosses
+ * Shattered Star
+ *
+ * Reads everything from game.codex (CodexSystem). Undiscovered entries are
+ * shown as silhouettes; discovered ones say where they were first found, and
+ * fight sources link to the enemy / boss entries they came from.
+ */
+
+const TABS = [
+    { category: 'lore', label: 'LORE', icon: '📜' },
+    { category: 'enemy', label: 'ENEMIES', icon: '👁' },
+    { category: 'card', label: 'CARDS', icon: '🂠' },
+    { category: 'relic', label: 'RELICS', icon: '💎' },
+    { category: 'boss', label: 'BOSSES', icon: '☠' }
+];
+
+const SOURCE_LABELS = {
+    shop: 'Void Merchant',
+    rest: 'Rest site',
+    treasure: 'Treasure',
+    run: 'Run start'
+};
+
+export function setupCodexScreen(game) {
+    const screen = document.getElementById('codex-screen');
+    if (!screen) {
+        console.warn('[CodexScreen] #codex-screen not found');
+        return;
+    }
+
+    console.log('[CodexScreen] Setting up codex screen');
+
+    const tabsEl = document.getElementById('codex-tabs');
+    const gridEl = document.getElementById('codex-grid');
+    const detailEl = document.getElementById('codex-detail');
+
+    let activeCategory = 'lore';
+    let selectedId = null;
+    let catalogs = {};
+
+    game.eventBus.on('screen:show', (screenId) => {
+        if (screenId === 'codex-screen') open();
+    });
+
+    game.eventBus.on('screen:changed', (data) => {
+        const targetScreen = typeof data === 'string' ? data : data?.to;
+        if (targetScreen === 'codex-screen') open();
+    });
+
+    document.getElementById('btn-codex-back')?.addEventListener('click', () => {
+        game.audioManager?.playSFX?.('ui_click');
+        game.screenManager.transitionTo('start-screen');
+    });
+
+    tabsEl?.addEventListener('click', (e) => {
+        const tab = e.target.closest('.codex-tab');
+        if (!tab) return;
+        game.audioManager?.playSFX?.('ui_click');
+        showCategory(tab.dataset.category);
+    });
+
+    gridEl?.addEventListener('click', (e) => {
+        const tile = e.target.closest('.codex-entry');
+        if (!tile) return;
+        selectedId = tile.dataset.id;
+        renderGrid();
+        renderDetail();
+    });
+
+    // Source links jump to the entry they point at
+    detailEl?.addEventListener('click', (e) => {
+        const link = e.target.closest('.codex-link');
+        if (!link) return;
+        game.audioManager?.playSFX?.('ui_click');
+        showCategory(link.dataset.category, link.dataset.id);
+    });
+
+    async function open() {
+        if (!game.codex) {
+            gridEl.innerHTML = '<p class="codex-empty">The codex is unavailable.</p>';
+            return;
+        }
+
+        await game.codex.loadCatalog();
+        catalogs = {};
+        TABS.forEach(({ category }) => {
+            catalogs[category] = game.codex.getCatalog(category);
+        });
+
+        renderTabs();
+        showCategory(activeCategory);
+    }
+
+    function showCategory(category, id = null) {
+        activeCategory = category;
+        selectedId = id;
+        renderTabs();
+        renderGrid();
+        renderDetail();
+        gridEl.querySelector('.codex-entry.selected')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    function renderTabs() {
+        tabsEl.innerHTML = TABS.map(({ category, label, icon }) => {
+            const entries = catalogs[category] || [];
+            const found = entries.filter(e => e.found).length;
+            return `
+                <button class="codex-tab ${category === activeCategory ? 'active' : ''}" data-category="${category}">
+                    <span class="codex-tab-icon">${icon}</span>
+                    ${label}
+                    <span class="codex-tab-count">${found}/${entries.length}</span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    function renderGrid() {
+        const entries = catalogs[activeCategory] || [];
+        if (entries.length === 0) {
+            gridEl.innerHTML = '<p class="codex-empty">Nothing recorded here yet.</p>';
+            return;
+        }
+
+        const icon = TABS.find(t => t.category === activeCategory)?.icon || '?';
+        gridEl.innerHTML = entries.map(entry => {
+            const image = entry.data?.image;
+            const art = image
+                ? `<img class="codex-entry-art" src="${image}" alt="" onerror="this.replaceWith(document.createTextNode('${icon}'))">`
+                : icon;
+            return `
+                <div class="codex-entry ${entry.found ? 'found' : 'locked'} ${entry.id === selectedId ? 'selected' : ''}"
+                     data-id="${entry.id}">
+                    <div class="codex-entry-icon">${art}</div>
+                    <div class="codex-entry-name">${entry.found ? entry.name : '???'}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function renderDetail() {
+        const entry = (catalogs[activeCategory] || []).find(e => e.id === selectedId);
+        if (!entry) {
+            detailEl.innerHTML = '<p class="codex-empty">Select an entry.</p>';
+            return;
+        }
+
+        if (!entry.found) {
+            detailEl.innerHTML = `
+                <h3 class="codex-detail-name">???</h3>
+                <p class="codex-detail-text">Not yet discovered. ${lockedHint(activeCategory)}</p>
+            `;
+            return;
+        }
+
+        detailEl.innerHTML = `
+            <h3 class="codex-detail-name">${entry.name}</h3>
+            ${describe(activeCategory, entry.data || {})}
+            <div class="codex-detail-source">
+                <span class="codex-detail-label">FIRST FOUND</span>
+                ${describeSource(entry.found.source)}
+                ${entry.found.foundAt ? `<span class="codex-detail-date">${new Date(entry.found.foundAt).toLocaleDateString()}</span>` : ''}
+            </div>
+        `;
+    }
+
+    function describe(category, data) {
+        switch (category) {
+            case 'lore':
+                return `<p class="codex-detail-text">${data.text || ''}</p>`;
+            case 'enemy':
+            case 'boss':
+                return `
+                    ${data.title ? `<p class="codex-detail-meta">${data.title}</p>` : ''}
+                    <p class="codex-detail-meta">${data.hp ? `${data.hp} HP` : ''}${data.act ? ` · Act ${data.act}` : ''}</p>
+                    <p class="codex-detail-text">${data.description || ''}</p>
+                `;
+            case 'card':
+                return `
+                    <p class="codex-detail-meta">${data.rarity || 'common'} ${data.type || ''} · ${data.cost < 0 ? 'Unplayable' : `${data.cost ?? 0} energy`}</p>
+                    <p class="codex-detail-text">${data.description || ''}</p>
+                `;
+            case 'relic':
+                return `
+                    <p class="codex-detail-meta">${data.rarity || ''}</p>
+                    <p class="codex-detail-text">${data.description || ''}</p>
+                    ${data.flavorText ? `<p class="codex-detail-flavor">${data.flavorText}</p>` : ''}
+                `;
+            default:
+                return '';
+        }
+    }
+
+    function describeSource(source) {
+        if (!source) return '<span>Unknown</span>';
+        const act = source.act ? ` · Act ${source.act}` : '';
+
+        if (source.type === 'event') {
+            return `<span>Event: ${source.name || source.id}${act}</span>`;
+        }
+
+        if (source.type === 'fight') {
+            const links = (source.enemies || []).map(id => {
+                const category = catalogs.boss?.some(b => b.id === id) ? 'boss' : 'enemy';
+                const target = catalogs[category]?.find(e => e.id === id);
+                return `<a class="codex-link" data-category="${category}" data-id="${id}">${target?.name || id}</a>`;
+            });
+            const difficulty = source.difficulty && source.difficulty !== 'combat' ? ` (${source.difficulty})` : '';
+            return `<span>Fight${difficulty}: ${links.join(', ') || source.name}${act}</span>`;
+        }
+
+        return `<span>${SOURCE_LABELS[source.type] || source.type}${act}</span>`;
+    }
+
+    function lockedHint(category) {
+        switch (category) {
+            case 'lore': return 'Some event choices reveal more of the story.';
+            case 'enemy': return 'Meet it in battle to learn more.';
+            case 'card': return 'Add it to a deck to record it.';
+            case 'relic': return 'Obtain it during a run to record it.';
+            case 'boss': return 'Defeat it to record it.';
+            default: return '';
+        }
+    }
+}
@@ -17,12 +17,22 @@
  * ADDED: CardPreview system — tap-to-preview, confirm-to-play on mobile (prevents accidental plays)
  * ADDED: Collapsible hero resource bars on mobile (tap to expand/collapse Heat/Rage/Corruption)
  * ADDED: Integration with compact mobile HUD and card token CSS changes
- * @version 0.7.0 — Card preview system, collapsible hero resources, compact mobile HUD
+ * ADDED: Ascension - enemy HP/damage scaling in normalizeEnemy, boss strength per phase
+ * ADDED: Fights in progress are saved on the player's turn and resumed on Continue (CombatSnapshot)
+ * @version 0.8.0 — Mid-fight save and resume
  */
 
 import BiomeEffects from '../systems/BiomeEffects.js';
 import CorruptionCurrency from '../systems/CorruptionCurrency.js';
 import CardAnimator from '../systems/CardAnimator.js';
+import rng from '../core/RNG.js';
+import { normalizeCard, cardNeedsEnemyTarget } from '../systems/CardNormalizer.js';
+import cardEffects from '../systems/CardEffectInterpreter.js';
+import { hasKeyword, describeKeywords, dealOpeningHand, sortEndOfTurnHand } from '../systems/CardKeywords.js';
+import { addCardsToState, isJunkCard } from '../systems/CardInjector.js';
+import { resolveRelicEffects } from '../systems/CombatEngine.js';
+import { tickRadiance, blockAtTurnStart } from '../systems/HolyMechanics.js';
+import { applyAscensionToEnemy } from '../systems/AscensionSystem.js';
 
 // ── Corruption Cascade Systems (Balatro/Inscryption-inspired) ──
 import DamageCascadeRenderer from '../systems/DamageCascadeRenderer.js';
@@ -61,14 +71,30 @@ export function setupCombatScreen(game) {
     }
     
     try {
-        damageCascade = new DamageCascadeRenderer(game.eventBus);
-        cascadeRenderer = new CascadeEventRenderer(game.eventBus);
+        damageCascade = new DamageCascadeRenderer(game.eventBus, game.audioManager);
+        cascadeRenderer = new CascadeEventRenderer(game.eventBus, game.audioManager);
         unreliableUI = new UnreliableInterface(game.state, game.eventBus);
         console.log('[CombatScreen] Cascade systems initialized');
     } catch (e) {
         console.warn('[CombatScreen] Failed to init cascade systems (non-fatal):', e);
     }
     
+    // ── Save fight-local systems with a fight in progress ──
+    if (game.combatSnapshot) {
+        if (biomeEffects) {
+            game.combatSnapshot.register('biome', {
+                save: () => biomeEffects.getSaveData(),
+                load: (data) => biomeEffects.loadSaveData(data)
+            });
+        }
+        if (corruptionCurrency) {
+            game.combatSnapshot.register('corruptionCurrency', {
+                save: () => corruptionCurrency.getSaveData(),
+                load: (data) => corruptionCurrency.loadSaveData(data)
+            });
+        }
+    }
+    
     // ── Card Preview System (mobile-friendly tap-to-preview-then-confirm) ──
     try {
         cardPreview = new CardPreview(game);
@@ -135,6 +161,13 @@ export function setupCombatScreen(game) {
         // Clear any previous combat state flags
         game.state.set('combat.victoryPending', false);
         
+        // Continue from a save made mid-fight: the fight is already in the state
+        if (game.state.get('combat.resuming')) {
+            game.state.set('combat.resuming', false, true);
+            resumeCombat();
+            return;
+        }
+        
         // Get enemies from multiple possible state paths
         let enemies = game.state.get('combat.enemies') 
                    || game.state.get('pendingCombat.enemies')
@@ -143,6 +176,9 @@ export function setupCombatScreen(game) {
         if (!enemies || enemies.length === 0) {
             console.log('[CombatScreen] No enemies in state, generating encounter');
             enemies = generateEncounter();
+        } else {
+            // Encounter data straight from the map: sanitize and apply ascension
+            enemies = enemies.map(normalizeEnemy);
         }
         
         console.log(`[CombatScreen] Combat with ${enemies.length} enemies:`, enemies.map(e => e.name));
@@ -187,6 +223,28 @@ export function setupCombatScreen(game) {
         });
     }
     
+    /**
+     * Pick up a fight loaded from a save without dealing a new one.
+     * Enemies, piles, statuses and energy come back with the state; the
+     * systems that keep their own combat data get it from CombatSnapshot.
+     */
+    function resumeCombat() {
+        console.log('[CombatScreen] Resuming saved fight on turn', game.state.get('combat.turn'));
+        
+        game.combatSnapshot?.restore();
+        if (unreliableUI) unreliableUI.startAmbientDistortions();
+        
+        requestAnimationFrame(() => {
+            setTimeout(() => {
+                setupCombatBackground();
+                renderCombatUI();
+                setupCombatButtons();
+                setupPileViewers();
+                console.log('[CombatScreen] Saved fight resumed');
+            }, 50);
+        });
+    }
+    
     /**
      * Setup layered combat background based on current act
      * Layers: far (sky/landscape), mid (architecture), floor (ground plane)
@@ -347,276 +405,6 @@ export function setupCombatScreen(game) {
         return null;
     }
     
-    /**
-     * Normalize card properties - convert effects array to direct properties
-     */
-    /**
-     * Normalize card properties - convert effects array to direct properties
-     * FIXED: For upgraded cards, direct properties (damage, block, etc.) already have boosted values.
-     * Only fill in from effects array if the property isn't already set on the card.
-     */
-    function normalizeCard(card) {
-        const normalized = { ...card };
-        
-        if (!normalized.instanceId) {
-            normalized.instanceId = `${card.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        }
-        
-        if (card.effects && Array.isArray(card.effects)) {
-            card.effects.forEach(effect => {
-                switch (effect.type) {
-                    case 'damage':
-                        // Only set from effects if not already present (preserves upgraded values)
-                        if (normalized.damage === undefined) {
-                            if (typeof effect.value === 'number') normalized.damage = effect.value;
-                            else if (effect.value === 'block') normalized.damage = 'block'; // Body Slam
-                            else if (effect.value === 'corruption') normalized.damage = 'corruption'; // Corruption Pulse
-                            else if (effect.value === 'block_plus_judgment') normalized.damage = 'special'; // Final Absolution
-                        }
-                        // Scaling info (Fuel the Fire, Meltdown, Titan's Wrath)
-                        if (effect.scaling) {
-                            normalized._damageScaling = effect.scaling;
-                        }
-                        // Multi-hit from effects (Pummel)
-                        if (effect.hits && normalized.hits === undefined) normalized.hits = effect.hits;
-                        // Lifesteal (Reaper)
-                        if (effect.lifesteal) normalized.lifesteal = true;
-                        // Conditional damage (Rage Spike)
-                        if (effect.conditional) normalized._damageConditional = effect.conditional;
-                        // AoE target (Cleave, Reactor Breach)
-                        if (effect.target === 'all') normalized.targetAllDamage = true;
-                        break;
-                    case 'block':
-                    case 'block_gain':
-                        if (normalized.block === undefined) {
-                            if (typeof effect.value === 'number') normalized.block = effect.value;
-                            else if (effect.value === 'overheat') normalized.block = 'overheat'; // Vent Heat
-                            else if (effect.value === 'missing_hp') normalized.block = 'missing_hp'; // Second Wind
-                        }
-                        break;
-                    case 'draw':
-                        if (typeof effect.value === 'number' && normalized.draw === undefined) normalized.draw = effect.value;
-                        break;
-                    case 'energy':
-                        if (typeof effect.value === 'number' && normalized.energyGain === undefined) normalized.energyGain = effect.value;
-                        break;
-                    case 'self_damage':
-                        if (normalized.selfDamage === undefined) normalized.selfDamage = effect.value;
-                        break;
-                    case 'vulnerable':
-                    case 'vulnerability':
-                        if (normalized.applyVulnerable === undefined) normalized.applyVulnerable = effect.value;
-                        break;
-                    case 'weak':
-                        if (normalized.applyWeak === undefined) normalized.applyWeak = effect.value;
-                        break;
-                    case 'strength':
-                        if (normalized.strengthGain === undefined) normalized.strengthGain = effect.value;
-                        break;
-                    case 'heal':
-                        if (normalized.heal === undefined) normalized.heal = effect.value;
-                        break;
-                    case 'poison':
-                        if (normalized.applyPoison === undefined) normalized.applyPoison = effect.value;
-                        break;
-                    case 'bleed':
-                        if (normalized.applyBleed === undefined) normalized.applyBleed = effect.value;
-                        break;
-                    case 'burn':
-                        if (normalized.applyBurn === undefined) normalized.applyBurn = effect.value;
-                        break;
-                    case 'frail':
-                        if (normalized.applyFrail === undefined) normalized.applyFrail = effect.value;
-                        break;
-                    case 'regen':
-                        if (normalized.applyRegen === undefined) normalized.applyRegen = effect.value;
-                        break;
-                    case 'overheat':
-                        if (normalized.overheatGain === undefined) normalized.overheatGain = effect.value;
-                        break;
-                    case 'overheat_reduce':
-                        if (normalized.overheatReduce === undefined) normalized.overheatReduce = effect.value;
-                        break;
-                    case 'reset_overheat':
-                        normalized.resetOverheat = true;
-                        break;
-                    case 'dexterity':
-                        if (normalized.dexterityGain === undefined) normalized.dexterityGain = effect.value;
-                        break;
-                    case 'rage':
-                        if (normalized.rageGain === undefined) normalized.rageGain = effect.value;
-                        break;
-                    case 'armor':
-                    case 'armour':
-                    case 'armor_plating':
-                        if (normalized.armorGain === undefined) normalized.armorGain = effect.value;
-                        break;
-                    case 'thorns':
-                        if (normalized.thornsGain === undefined) normalized.thornsGain = effect.value;
-                        break;
-                    case 'counter':
-                        if (normalized.counterGain === undefined) normalized.counterGain = effect.value;
-                        break;
-                    case 'stun':
-                        if (normalized.applyStun === undefined) normalized.applyStun = effect.value;
-                        break;
-                    case 'slow':
-                        if (normalized.applySlow === undefined) normalized.applySlow = effect.value;
-                        break;
-                    case 'intangible':
-                        if (normalized.applyIntangible === undefined) normalized.applyIntangible = effect.value;
-                        break;
-                    case 'corruption':
-                        if (normalized.corruptionGain === undefined) normalized.corruptionGain = effect.value;
-                        break;
-                    case 'judgment':
-                        if (normalized.judgmentGain === undefined) normalized.judgmentGain = effect.value;
-                        break;
-                    case 'trigger':
-                        // Store trigger effects for power cards
-                        if (!normalized.triggers) normalized.triggers = [];
-                        normalized.triggers.push(effect);
-                        break;
-                    // ── "type":"status" — the JSON format used by most cards ──
-                    case 'status': {
-                        const sName = effect.status;
-                        const sTarget = effect.target || 'self';
-                        const isEnemy = sTarget === 'enemy' || sTarget === 'all_enemies';
-                        if (isEnemy) {
-                            switch (sName) {
-                                case 'vulnerable': normalized.applyVulnerable = (normalized.applyVulnerable || 0) + effect.value; break;
-                                case 'weak': normalized.applyWeak = (normalized.applyWeak || 0) + effect.value; break;
-                                case 'poison': normalized.applyPoison = (normalized.applyPoison || 0) + effect.value; break;
-                                case 'bleed': normalized.applyBleed = (normalized.applyBleed || 0) + effect.value; break;
-                                case 'burn': normalized.applyBurn = (normalized.applyBurn || 0) + effect.value; break;
-                                case 'stun': normalized.applyStun = (normalized.applyStun || 0) + effect.value; break;
-                                case 'slow': normalized.applySlow = (normalized.applySlow || 0) + effect.value; break;
-                                case 'strength':
-                                    // Negative strength on enemies (Piercing Wail)
-                                    if (!normalized._enemyStrength) normalized._enemyStrength = [];
-                                    normalized._enemyStrength.push({ value: effect.value, duration: effect.duration });
-                                    break;
-                                default: console.log(`[normalizeCard] Unhandled enemy status: ${sName}`); break;
-                            }
-                            if (sTarget === 'all_enemies') normalized.targetAllEnemies = true;
-                        } else {
-                            switch (sName) {
-                                case 'overheat': normalized.overheatGain = (normalized.overheatGain || 0) + effect.value; break;
-                                case 'rage': normalized.rageGain = (normalized.rageGain || 0) + effect.value; break;
-                                case 'strength': normalized.strengthGain = (normalized.strengthGain || 0) + effect.value; break;
-                                case 'dexterity': normalized.dexterityGain = (normalized.dexterityGain || 0) + effect.value; break;
-                                case 'armor': normalized.armorGain = (normalized.armorGain || 0) + effect.value; break;
-                                case 'thorns': normalized.thornsGain = (normalized.thornsGain || 0) + effect.value; break;
-                                case 'counter': normalized.counterGain = (normalized.counterGain || 0) + effect.value; break;
-                                case 'intangible': normalized.applyIntangible = (normalized.applyIntangible || 0) + effect.value; break;
-                                case 'artifact': normalized.artifactGain = (normalized.artifactGain || 0) + effect.value; break;
-                                case 'vulnerable': normalized.applySelfVulnerable = (normalized.applySelfVulnerable || 0) + effect.value; break;
-                                case 'weak': normalized.applySelfWeak = (normalized.applySelfWeak || 0) + effect.value; break;
-                                case 'frail': normalized.applyFrail = (normalized.applyFrail || 0) + effect.value; break;
-                                case 'regen': normalized.applyRegen = (normalized.applyRegen || 0) + effect.value; break;
-                                case 'no_draw': normalized.noDrawThisTurn = true; break;
-                                default: console.log(`[normalizeCard] Unhandled self status: ${sName}`); break;
-                            }
-                        }
-                        break;
-                    }
-                    // ── "type":"passive" — power card triggers (turn_start, turn_end, etc.) ──
-                    case 'passive': {
-                        if (!normalized.triggers) normalized.triggers = [];
-                        normalized.triggers.push(effect);
-                        break;
-                    }
-                    // ── Reset a status to 0 (Vent Heat, Meltdown) ──
-                    case 'reset_status': {
-                        if (!normalized._resetStatuses) normalized._resetStatuses = [];
-                        normalized._resetStatuses.push(effect.status);
-                        break;
-                    }
-                    // ── Double a status (Limit Break) ──
-                    case 'double_status': {
-                        if (!normalized._doubleStatuses) normalized._doubleStatuses = [];
-                        normalized._doubleStatuses.push(effect.status);
-                        break;
-                    }
-                    // ── Upgrade all cards in combat (Apotheosis) ──
-                    case 'upgrade_all':
-                        normalized.upgradeAllCards = true;
-                        break;
-                    // ── Conditional effects (Bloodlust: if enemy dies, gain rage) ──
-                    case 'conditional': {
-                        if (!normalized._conditionals) normalized._conditionals = [];
-                        normalized._conditionals.push(effect);
-                        break;
-                    }
-                    // ── Max HP gain (Feed) ──
-                    case 'max_hp':
-                        normalized.maxHpGain = (normalized.maxHpGain || 0) + effect.value;
-                        break;
-                    // Hero-specific complex types handled directly in applyCardEffects via effects array
-                    case 'astral_charge':
-                    case 'temporal_flux':
-                    case 'consume_astral':
-                    case 'consume_astral_charge':
-                    case 'block_to_judgment':
-                    case 'consume_judgment':
-                    case 'corruption_per_combat':
-                    case 'energy_per_turn':
-                    case 'damage_per_turn':
-                    case 'block_per_turn':
-                    case 'draw_per_turn':
-                    case 'judgment_per_turn':
-                    case 'discard':
-                    case 'discard_hand':
-                    case 'put_on_top':
-                    case 'draw_type':
-                    case 'draw_conditional':
-                    case 'cost_reduction':
-                    case 'return_discard':
-                        break; // preserved in effects array for applyCardEffects
-                    default:
-                        console.log(`[CombatScreen] normalizeCard: unhandled effect type '${effect.type}' on card '${card.name || card.id}'`);
-                        break;
-                }
-            });
-        }
-        
-        // Multi-hit support
-        if (card.hits && normalized.hits === undefined) normalized.hits = card.hits;
-        if (card.times && normalized.hits === undefined) normalized.hits = card.times;
-        
-        return normalized;
-    }
-    
-    /**
-     * Determine if a card needs an enemy target
-     * This includes attack cards AND skill cards that apply debuffs to enemies
-     */
-    function cardNeedsEnemyTarget(card) {
-        // Attack cards always need a target
-        if (card.type === 'attack') return true;
-        if (card.damage > 0) return true;
-        if (card.targetRequired) return true;
-        
-        // Skill/power cards that apply enemy debuffs need a target
-        if (card.applyVulnerable) return true;
-        if (card.applyWeak) return true;
-        if (card.applyPoison) return true;
-        if (card.applyBleed) return true;
-        if (card.applyBurn) return true;
-        if (card.applyStun) return true;
-        if (card.applySlow) return true;
-        
-        // Check effects array for enemy-targeted effects
-        if (card.effects && Array.isArray(card.effects)) {
-            const enemyTargetedTypes = ['vulnerable', 'weak', 'poison', 'bleed', 'burn', 'stun', 'slow'];
-            if (card.effects.some(e => enemyTargetedTypes.includes(e.type) && e.target !== 'self')) {
-                return true;
-            }
-        }
-        
-        return false;
-    }
-    
     /**
      * Generate a starter deck as fallback
      */
@@ -712,7 +500,7 @@ export function setupCombatScreen(game) {
         
         console.log(`[CombatScreen] normalizeEnemy: ${enemy.name || 'Unknown'} hp=${currentHp}/${maxHp} (raw: currentHp=${enemy.currentHp}, hp=${enemy.hp}, maxHp=${enemy.maxHp})`);
         
-        return {
+        return applyAscensionToEnemy({
             ...enemy,
             currentHp,
             maxHp,
@@ -720,7 +508,7 @@ export function setupCombatScreen(game) {
             vulnerable: Number(enemy.vulnerable) || 0,
             weak: Number(enemy.weak) || 0,
             intent: enemy.intent || (enemy.intents && enemy.intents.length > 0 ? { ...enemy.intents[0] } : { type: 'attack', damage: 8 })
-        };
+        }, game.state.get('ascension.modifiers'));
     }
     
     // ═══════════════════════════════════════════
@@ -967,6 +755,8 @@ export function setupCombatScreen(game) {
                                 if (applyEffect.target === 'self' || !applyEffect.target) {
                                     addPlayerStatus(sName, applyEffect.value || 1);
                                     console.log(`[CombatScreen] Power trigger: +${applyEffect.value} ${sName} (turn_end)`);
+                                } else if (applyEffect.target === 'all') {
+                                    applyStatusToAllEnemies(sName, applyEffect.value || 1, 'turn_end');
                                 }
                                 break;
                             }
@@ -1013,6 +803,13 @@ export function setupCombatScreen(game) {
                 console.log(`[CombatScreen] ${enemy.name} burn: ${totalDot} dmg (${enemy.burn} left)`);
             }
             
+            // Radiance (Auren)
+            const radiance = tickRadiance(enemy, getRelicBonus('radianceBonusPercent'));
+            if (radiance > 0) {
+                totalDot += radiance;
+                console.log(`[CombatScreen] ${enemy.name} radiance: ${radiance} dmg (${enemy.radiance} left)`);
+            }
+            
             if (totalDot > 0) {
                 enemy.currentHp = Math.max(0, enemy.currentHp - totalDot);
                 game.eventBus.emit('enemy:dot', { enemy, amount: totalDot });
@@ -1042,18 +839,34 @@ export function setupCombatScreen(game) {
     
     /**
      * Get stat bonus from equipped relics
+     * Starting relics come straight from relics.json (no `effects` table),
+     * so those are resolved from their data effects.
      */
     function getRelicBonus(stat) {
         const artifacts = game.state.get('artifacts') || [];
         let bonus = 0;
         artifacts.forEach(a => {
-            if (a.effects && a.effects[stat]) {
-                bonus += a.effects[stat];
+            const effects = (a.effects && Object.keys(a.effects).length > 0) ? a.effects : resolveRelicEffects(a);
+            if (effects[stat]) {
+                bonus += effects[stat];
             }
         });
         return bonus;
     }
     
+    /**
+     * Add a status to every living enemy (power triggers with target 'all')
+     */
+    function applyStatusToAllEnemies(status, value, when) {
+        const enemies = game.state.get('combat.enemies') || [];
+        enemies.forEach(enemy => {
+            if (enemy.currentHp <= 0) return;
+            enemy[status] = (enemy[status] || 0) + value;
+        });
+        game.state.set('combat.enemies', enemies);
+        console.log(`[CombatScreen] Power trigger: +${value} ${status} to all enemies (${when})`);
+    }
+    
     /**
      * Apply relic combat-start effects
      */
@@ -1093,6 +906,12 @@ export function setupCombatScreen(game) {
                 // maxHp bonus is permanent, applied outside combat
             }
         });
+        
+        // Shard of First Light (starting relic, so read through getRelicBonus)
+        const radiance = getRelicBonus('startOfCombatRadiance');
+        if (radiance > 0) {
+            applyStatusToAllEnemies('radiance', radiance, 'combat start');
+        }
     }
     
     /**
@@ -1240,6 +1059,21 @@ export function setupCombatScreen(game) {
                     <span class="resource-value" style="color: #38bdf8;">${flux}</span>
                 </div>
             `;
+        } else if (heroId === 'auren') {
+            const judgment = game.state.get('combat.judgment') || 0;
+            const aegis = game.state.get('combat.aegis') || 0;
+            html += `
+                <div class="hero-resource-row resource-rage" title="Judgment: ${judgment}&#10;Spent by Verdict cards for bonus damage" style="border-color: rgba(255,215,0,0.3);">
+                    <span class="resource-icon">⚖️</span>
+                    <span class="resource-label">Judgment</span>
+                    <span class="resource-value" style="color: #ffd700;">${judgment}</span>
+                </div>
+                <div class="hero-resource-row resource-rage" title="Aegis: ${aegis}&#10;Keep up to ${aegis} Block at the start of your turn" style="border-color: rgba(255,240,180,0.3);">
+                    <span class="resource-icon">🔰</span>
+                    <span class="resource-label">Aegis</span>
+                    <span class="resource-value" style="color: #fff0b4;">${aegis}</span>
+                </div>
+            `;
         }
         
         // Global corruption (all heroes)
@@ -1276,6 +1110,7 @@ export function setupCombatScreen(game) {
     function initializeCombatState(enemies, deck) {
         console.log('[CombatScreen] Initializing combat state...');
         
+        game.state.set('combat.active', true);
         game.state.set('combat.turn', 1);
         game.state.set('combat.playerTurn', true);
         game.state.set('combat.block', 0);
@@ -1283,7 +1118,7 @@ export function setupCombatScreen(game) {
         game.state.set('combat.dexterity', 0);
         
         // Reset all player statuses
-        const statusIds = ['vulnerable', 'weak', 'frail', 'poison', 'bleed', 'burn', 'regen', 'stun', 'slow'];
+        const statusIds = ['vulnerable', 'weak', 'frail', 'poison', 'bleed', 'burn', 'regen', 'stun', 'slow', 'noDraw'];
         statusIds.forEach(id => game.state.set(`combat.status.${id}`, 0));
         
         // Reset Korvax-specific resources
@@ -1294,9 +1129,18 @@ export function setupCombatScreen(game) {
         game.state.set('combat.counter', 0);
         game.state.set('combat.intangible', 0);
         
+        // Reset Auren-specific resources
+        game.state.set('combat.judgment', 0);
+        game.state.set('combat.aegis', 0);
+        
         // Power card triggers (persist for combat duration)
         game.state.set('combat.triggers', []);
         
+        // Per-turn tracking read by card conditionals
+        game.state.set('combat.tookDamageThisTurn', false);
+        game.state.set('combat.tookDamageLastTurn', false);
+        game.state.set('combat.cardsPlayedThisTurn', 0);
+        
         const maxEnergy = game.state.get('maxEnergy') || game.state.get('hero.maxEnergy') || game.state.get('hero.energy') || 3;
         game.state.set('combat.energy', maxEnergy);
         game.state.set('combat.maxEnergy', maxEnergy);
@@ -1309,14 +1153,13 @@ export function setupCombatScreen(game) {
         });
         game.state.set('combat.enemies', enemies);
         
-        const shuffledDeck = [...deck].sort(() => Math.random() - 0.5);
-        const handSize = 5;
-        const hand = shuffledDeck.slice(0, handSize);
-        const drawPile = shuffledDeck.slice(handSize);
+        const shuffledDeck = rng.stream('combat').shuffle(deck);
+        const { hand, drawPile } = dealOpeningHand(shuffledDeck, 5, 10);
         
         game.state.set('combat.hand', hand);
         game.state.set('combat.drawPile', drawPile);
         game.state.set('combat.discardPile', []);
+        game.state.set('combat.exhaustPile', []);
         
         console.log(`[CombatScreen] Hand: ${hand.length} cards, Draw pile: ${drawPile.length} cards`);
         console.log(`[CombatScreen] Hand contents:`, hand.map(c => c.name));
@@ -1467,6 +1310,7 @@ export function setupCombatScreen(game) {
                         ${enemy.poison > 0 ? `<div class="enemy-status-icon debuff" title="Poison: Take ${enemy.poison} damage at end of turn" style="--status-color: #00cc00;">☠️<span>${enemy.poison}</span></div>` : ''}
                         ${enemy.bleed > 0 ? `<div class="enemy-status-icon debuff" title="Bleed: Take ${enemy.bleed} damage at end of turn" style="--status-color: #cc0000;">🩸<span>${enemy.bleed}</span></div>` : ''}
                         ${enemy.burn > 0 ? `<div class="enemy-status-icon debuff" title="Burn: Take ${enemy.burn} damage at end of turn" style="--status-color: #ff4400;">🔥<span>${enemy.burn}</span></div>` : ''}
+                        ${enemy.radiance > 0 ? `<div class="enemy-status-icon debuff" title="Radiance: Take ${Math.floor(enemy.radiance * (100 + getRelicBonus('radianceBonusPercent')) / 100)} damage at end of turn" style="--status-color: #ffd700;">☀️<span>${enemy.radiance}</span></div>` : ''}
                         ${enemy.stun > 0 ? `<div class="enemy-status-icon debuff" title="Stunned: Cannot act (${enemy.stun} turn)" style="--status-color: #ffff00;">⭐<span>${enemy.stun}</span></div>` : ''}
                         ${enemy.slow > 0 ? `<div class="enemy-status-icon debuff" title="Slow: Skips actions (${enemy.slow} turns)" style="--status-color: #6666aa;">🐌<span>${enemy.slow}</span></div>` : ''}
                         ${enemy.regen > 0 ? `<div class="enemy-status-icon buff" title="Regen: Heals ${enemy.regen} at end of turn" style="--status-color: #00ff88;">💚<span>${enemy.regen}</span></div>` : ''}
@@ -1525,6 +1369,8 @@ export function setupCombatScreen(game) {
                 return `<span class="intent-icon">💚</span><span class="intent-value" style="color:#44ff44;">${intent.value || intent.heal || '?'}</span>`;
             case 'summon':
                 return `<span class="intent-icon">👥</span><span class="intent-value" style="color:#ffaa00;">+</span>`;
+            case 'add_card':
+                return `<span class="intent-icon">🃏</span><span class="intent-value" style="color:#aa44aa;">+${intent.count || 1}</span>`;
             default:
                 return '<span class="intent-icon">❓</span>';
         }
@@ -1545,14 +1391,16 @@ export function setupCombatScreen(game) {
         const energy = game.state.get('combat.energy') || 0;
         
         container.innerHTML = hand.map((card, i) => {
-            const affordable = card.cost <= energy;
+            const unplayable = hasKeyword(card, 'unplayable');
+            const affordable = !unplayable && card.cost <= energy;
             const typeClass = card.type || 'attack';
             const upgradedClass = card.upgraded ? 'card-upgraded' : '';
             const displayName = (card.upgraded && card.upgradedName) ? card.upgradedName : card.name;
             const flavorHtml = card.flavor ? `<div class="card-flavor" style="font-size: 0.6rem; font-style: italic; opacity: 0.6; margin-top: 2px;">${card.flavor}</div>` : '';
+            const keywordTitle = describeKeywords(card).map(k => `${k.name}: ${k.description}`).join('\n');
             return `
-                <div class="combat-card card type-${typeClass} ${affordable ? 'playable' : 'unplayable'} ${upgradedClass}" data-index="${i}">
-                    <div class="card-cost ${affordable ? '' : 'not-enough'} ${card._temporalFlux > 0 ? 'flux-increased' : ''} ${card._temporalFlux < 0 ? 'flux-decreased' : ''}">${card.cost}</div>
+                <div class="combat-card card type-${typeClass} ${affordable ? 'playable' : 'unplayable'} ${upgradedClass}" data-index="${i}"${keywordTitle ? ` title="${keywordTitle}"` : ''}>
+                    <div class="card-cost ${affordable ? '' : 'not-enough'} ${card._temporalFlux > 0 ? 'flux-increased' : ''} ${card._temporalFlux < 0 ? 'flux-decreased' : ''}">${unplayable ? '–' : card.cost}</div>
                     ${card._temporalFlux ? `<div class="flux-indicator ${card._temporalFlux > 0 ? 'up' : 'down'}">${card._temporalFlux > 0 ? '▲' : '▼'}</div>` : ''}
                     <div class="card-name">${displayName}${card.upgraded ? '+' : ''}</div>
                     <div class="card-type">${card.type || 'Attack'}</div>
@@ -1570,7 +1418,7 @@ export function setupCombatScreen(game) {
                 if (!el.classList.contains('unplayable')) {
                     selectCard(index);
                 } else {
-                    console.log('[CombatScreen] Card unplayable - not enough energy');
+                    console.log('[CombatScreen] Card unplayable - Unplayable keyword or not enough energy');
                 }
             });
         });
@@ -1835,12 +1683,15 @@ export function setupCombatScreen(game) {
             overflow-y: auto;
         `;
         
-        // Group cards by location
+        // Group cards by location; curses and status cards get their own section
+        const deckCards = cards.filter(c => !isJunkCard(c));
+        const junk = cards.filter(c => isJunkCard(c));
         const byLocation = {
-            hand: cards.filter(c => c.location === 'hand'),
-            draw: cards.filter(c => c.location === 'draw'),
-            discard: cards.filter(c => c.location === 'discard')
+            hand: deckCards.filter(c => c.location === 'hand'),
+            draw: deckCards.filter(c => c.location === 'draw'),
+            discard: deckCards.filter(c => c.location === 'discard')
         };
+        const locationLabels = { hand: 'In hand', draw: 'Draw pile', discard: 'Discard' };
         
         overlay.innerHTML = `
             <div style="max-width: 900px; width: 100%;">
@@ -1852,6 +1703,7 @@ export function setupCombatScreen(game) {
                     <span>📍 In Hand: ${byLocation.hand.length}</span>
                     <span>📚 Draw Pile: ${byLocation.draw.length}</span>
                     <span>🗑️ Discard: ${byLocation.discard.length}</span>
+                    ${junk.length > 0 ? `<span style="color: #aa44aa;">☠️ Curses & Status: ${junk.length}</span>` : ''}
                     <span style="color: #00f5ff; font-weight: bold;">Total: ${cards.length}</span>
                 </div>
                 
@@ -1875,6 +1727,13 @@ export function setupCombatScreen(game) {
                         ${renderDeckCards(byLocation.discard)}
                     </div>
                 ` : ''}
+                
+                ${junk.length > 0 ? `
+                    <h3 style="color: #aa44aa; margin: 1rem 0 0.5rem;">☠️ Curses & Status</h3>
+                    <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 1rem; margin-bottom: 1.5rem;">
+                        ${renderDeckCards(junk.map(c => ({ ...c, rarity: locationLabels[c.location] || c.rarity })))}
+                    </div>
+                ` : ''}
             </div>
         `;
         
@@ -1896,10 +1755,10 @@ export function setupCombatScreen(game) {
      */
     function renderDeckCards(cards) {
         return cards.map(card => `
-            <div style="background: linear-gradient(180deg, #2a2a3a 0%, #1a1a2a 100%); border: 2px solid ${card.type === 'attack' ? '#ff2d55' : card.type === 'skill' ? '#00a5ff' : '#ffd700'}; border-radius: 8px; padding: 1rem;">
+            <div style="background: linear-gradient(180deg, #2a2a3a 0%, #1a1a2a 100%); border: 2px solid ${card.type === 'attack' ? '#ff2d55' : card.type === 'skill' ? '#00a5ff' : isJunkCard(card) ? '#aa44aa' : '#ffd700'}; border-radius: 8px; padding: 1rem;">
                 <div style="display: flex; justify-content: space-between; align-items: center;">
                     <span style="font-weight: bold; color: #e8e8f0;">${card.name}${card.upgraded ? '+' : ''}</span>
-                    <span style="background: #f5c542; color: #000; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 0.9rem;">${card.cost}</span>
+                    <span style="background: #f5c542; color: #000; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 0.9rem;">${hasKeyword(card, 'unplayable') ? '–' : card.cost}</span>
                 </div>
                 <div style="font-size: 0.75rem; color: #888; margin-top: 0.25rem; text-transform: uppercase;">${card.type || 'attack'} ${card.rarity ? '• ' + card.rarity : ''}</div>
                 <div style="font-size: 0.8rem; margin-top: 0.5rem; color: #ccc;">${card.description || ''}</div>
@@ -2083,6 +1942,11 @@ export function setupCombatScreen(game) {
             return;
         }
         
+        if (hasKeyword(card, 'unplayable')) {
+            console.log(`[CombatScreen] ${card.name} is Unplayable`);
+            return;
+        }
+        
         const energy = game.state.get('combat.energy') || 0;
         if (card.cost > energy) {
             console.log('[CombatScreen] Not enough energy to play this card');
@@ -2200,6 +2064,12 @@ export function setupCombatScreen(game) {
             return;
         }
         
+        if (hasKeyword(card, 'unplayable')) {
+            console.log(`[CombatScreen] ${card.name} is Unplayable`);
+            deselectCard();
+            return;
+        }
+        
         const energy = game.state.get('combat.energy') || 0;
         if (card.cost > energy) {
             console.log('[CombatScreen] Not enough energy!');
@@ -2242,20 +2112,24 @@ export function setupCombatScreen(game) {
         
         // Spend energy
         game.state.set('combat.energy', energy - card.cost);
+        game.state.set('combat.cardsPlayedThisTurn', (game.state.get('combat.cardsPlayedThisTurn') || 0) + 1);
         
         // Handle card effects
         applyCardEffects(card, targetIndex);
+        runHeldCardTriggers('card_played');
         
-        // Move card from hand to discard
-        hand.splice(cardIndex, 1);
-        game.state.set('combat.hand', hand);
+        // Move card from hand to discard (effects may have drawn or discarded, so find it again)
+        const handAfter = game.state.get('combat.hand') || [];
+        const playedIndex = handAfter.indexOf(card);
+        if (playedIndex !== -1) handAfter.splice(playedIndex, 1);
+        game.state.set('combat.hand', handAfter);
         
-        if (!card.exhaust) {
+        if (!hasKeyword(card, 'exhaust')) {
             const discard = game.state.get('combat.discardPile') || [];
             discard.push(card);
             game.state.set('combat.discardPile', discard);
         } else {
-            console.log(`[CombatScreen] Card exhausted: ${card.name}`);
+            exhaustCards([card]);
         }
         
         // Check for combat end and update UI
@@ -2263,8 +2137,24 @@ export function setupCombatScreen(game) {
         renderCombatUI();
     }
     
+    /**
+     * Move cards to the exhaust pile (removed for the rest of combat)
+     */
+    function exhaustCards(cards) {
+        if (cards.length === 0) return;
+        const exhausted = game.state.get('combat.exhaustPile') || [];
+        exhausted.push(...cards);
+        game.state.set('combat.exhaustPile', exhausted);
+        cards.forEach(card => {
+            console.log(`[CombatScreen] Card exhausted: ${card.name}`);
+            game.eventBus.emit('card:exhausted', { card });
+        });
+    }
+    
     /**
      * Apply all effects of a card
+     * The card's effects list runs through CardEffectInterpreter in order;
+     * this screen only supplies the effect context (createCardEffectContext).
      */
     function applyCardEffects(card, targetIndex) {
         const enemies = game.state.get('combat.enemies') || [];
@@ -2279,651 +2169,396 @@ export function setupCombatScreen(game) {
             }
         }
         
-        // Handle damage
-        const hasDamage = card.damage && (card.damage > 0 || typeof card.damage === 'string');
-        if (hasDamage) {
-            // ── Resolve dynamic damage values ──
-            let cardDamage = card.damage;
-            if (card.damage === 'block') {
-                cardDamage = game.state.get('combat.block') || 0;
-                console.log(`[CombatScreen] Body Slam: damage = ${cardDamage} (current block)`);
-            } else if (card.damage === 'corruption') {
-                cardDamage = game.state.get('corruption') || 0;
-                console.log(`[CombatScreen] Corruption Pulse: damage = ${cardDamage} (corruption)`);
-            } else if (card.damage === 'overheat' || card.damageMultiplier === 'overheat') {
-                const heat = game.state.get('combat.overheat') || 0;
-                const mult = card.damagePerOverheat || card.multiplier || 3;
-                cardDamage = heat * mult;
-                console.log(`[CombatScreen] Overheat scaling: ${heat} heat × ${mult} = ${cardDamage} damage`);
-            } else if (typeof card.damage !== 'number') {
-                cardDamage = 0; // Unknown string type, default 0
-            }
-            
-            // ── Damage scaling from status (Fuel the Fire: +overheat; Titan's Wrath: +rage*5) ──
-            if (card._damageScaling) {
-                const src = card._damageScaling.source;
-                const mult = card._damageScaling.multiplier || 1;
-                const srcVal = game.state.get(`combat.${src}`) || 0;
-                cardDamage += srcVal * mult;
-                if (srcVal > 0) console.log(`[CombatScreen] Scaling: +${srcVal}×${mult} from ${src} → ${cardDamage}`);
+        const target = (targetIndex !== null && targetIndex >= 0) ? enemies[targetIndex] || null : null;
+        cardEffects.run(card, createCardEffectContext(), { target });
+        game.state.set('combat.enemies', game.state.get('combat.enemies') || []);
+    }
+    
+    /**
+     * Player values kept directly under combat.* (everything else is a
+     * status under combat.status.*)
+     */
+    const PLAYER_RESOURCES = [
+        'block', 'strength', 'dexterity', 'overheat', 'rage', 'armor', 'thorns',
+        'counter', 'intangible', 'judgment', 'aegis', 'astralCharge', 'temporalFlux'
+    ];
+    
+    // [icon, label, color] for status floaters
+    const CARD_STATUS_FLOATERS = {
+        strength: ['💪', 'Strength', '#ff4444'],
+        dexterity: ['🛡️', 'Dexterity', '#44ff44'],
+        overheat: ['🌡️', 'Heat', '#ff4400'],
+        rage: ['😤', 'Rage', '#ff0000'],
+        armor: ['🔩', 'Armor', '#888888'],
+        thorns: ['🌹', 'Thorns', '#ff66cc'],
+        counter: ['⚔️', 'Counter', '#ffcc00'],
+        intangible: ['👻', 'Intangible', '#aaaaff'],
+        judgment: ['⚖️', 'Judgment', '#ffdd00'],
+        aegis: ['🔰', 'Aegis', '#fff0b4'],
+        artifact: ['🛡️', 'Artifact', '#ffcc00'],
+        vulnerable: ['🎯', 'Vulnerable', '#ff6600'],
+        weak: ['💫', 'Weak', '#888888'],
+        poison: ['☠️', 'Poison', '#00cc00'],
+        bleed: ['🩸', 'Bleed', '#cc0000'],
+        burn: ['🔥', 'Burn', '#ff4400'],
+        radiance: ['☀️', 'Radiance', '#ffd700'],
+        stun: ['⭐', 'Stun', '#ffff00']
+    };
+    
+    /**
+     * Remove a dead enemy from the fight (void kill processing + defeat event)
+     */
+    function removeDefeatedEnemy(enemy, overkill = 0) {
+        const enemies = game.state.get('combat.enemies') || [];
+        console.log(`[CombatScreen] ☠ ${enemy.name} defeated!`);
+        if (game.voidSystems) {
+            try {
+                const remaining = enemies.filter(e => e !== enemy && e.currentHp > 0);
+                game.voidSystems.processEnemyKill(enemy, overkill, remaining);
+            } catch (e) { /* non-fatal */ }
+        }
+        game.eventBus.emit('enemy:defeated', enemy);
+        const index = enemies.indexOf(enemy);
+        if (index !== -1) enemies.splice(index, 1);
+        game.state.set('combat.enemies', enemies);
+    }
+    
+    /**
+     * Effect context for CardEffectInterpreter: maps its primitives onto
+     * game state, this screen's damage/block formulas, biome and void system
+     * modifiers, and floaters.
+     */
+    function createCardEffectContext() {
+        const floater = (targetType, id, delta, enemyIndex) => {
+            const info = CARD_STATUS_FLOATERS[id];
+            if (!info || !delta) return;
+            const [icon, label, color] = info;
+            showStatusFloater(targetType, icon, `${delta > 0 ? '+' : '-'}${Math.abs(delta)} ${label}`, color, enemyIndex);
+        };
+        const isResource = (id) => PLAYER_RESOURCES.includes(id);
+        const getResource = (id) => isResource(id) ? (game.state.get(`combat.${id}`) || 0) : getPlayerStatus(id);
+        const setResource = (id, value) => {
+            const current = getResource(id);
+            if (isResource(id)) {
+                game.state.set(`combat.${id}`, value);
+            } else {
+                setPlayerStatus(id, value);
             }
-            
-            // ── Conditional damage override (Rage Spike: if took_damage_this_turn, deal 8 instead) ──
-            if (card._damageConditional) {
-                const cond = card._damageConditional;
-                let condMet = false;
-                if (cond.trigger === 'took_damage_this_turn') {
-                    condMet = game.state.get('combat.tookDamageThisTurn') || false;
-                } else if (cond.trigger === 'overheat_10') {
-                    condMet = (game.state.get('combat.overheat') || 0) >= 10;
+            console.log(`[CombatScreen] ${id}: ${current} → ${value}`);
+            floater('player', id, value - current);
+        };
+        
+        return {
+            getValue(id) {
+                switch (id) {
+                    case 'hp': return game.state.get('hero.hp') || 0;
+                    case 'maxHp': return game.state.get('hero.maxHp') || 80;
+                    case 'corruption': return game.state.get('corruption') || 0;
+                    case 'tookDamageThisTurn':
+                    case 'tookDamageLastTurn':
+                    case 'cardsPlayedThisTurn':
+                        return game.state.get(`combat.${id}`) || 0;
+                    case 'handSize': return (game.state.get('combat.hand') || []).length;
+                    default: return getResource(id);
                 }
-                if (condMet) {
-                    cardDamage = cond.value;
-                    console.log(`[CombatScreen] Conditional met (${cond.trigger}): damage = ${cardDamage}`);
+            },
+            
+            addPlayerStatus(id, amount) {
+                if (isResource(id)) {
+                    setResource(id, getResource(id) + amount);
+                } else {
+                    addPlayerStatus(id, amount);
+                    floater('player', id, amount);
                 }
-            }
+            },
             
-            let damage = calculatePlayerDamage(cardDamage);
+            setPlayerStatus: setResource,
             
-            // ── Astral Charge scaling (Lyria) ──
-            const hasAstralScaling = card.effects?.some(e => e.scaling === 'astral_charge');
-            if (hasAstralScaling) {
-                const astralCharges = game.state.get('combat.astralCharge') || 0;
-                damage += astralCharges;
-                if (astralCharges > 0) console.log(`[CombatScreen] Astral scaling: +${astralCharges} damage`);
-            }
+            getEnemies: () => game.state.get('combat.enemies') || [],
             
-            // ── Biome damage modifier ──
-            if (biomeEffects) {
-                const biomeMult = biomeEffects.getDamageModifier(card);
-                if (biomeMult !== 1.0) {
-                    damage = Math.floor(damage * biomeMult);
-                    console.log(`[CombatScreen] Biome damage modifier: x${biomeMult} → ${damage}`);
-                }
-            }
+            random: () => rng.stream('combat'),
             
-            // ── Empower bonus from corruption currency ──
-            if (corruptionCurrency) {
-                const empowerBonus = corruptionCurrency.getEmpowerBonus();
-                if (empowerBonus > 0) {
-                    damage += empowerBonus;
-                    corruptionCurrency.consumeEmpower();
-                    console.log(`[CombatScreen] Empower bonus: +${empowerBonus} → ${damage}`);
+            modifyDamage(base, card, target) {
+                let damage = calculatePlayerDamage(base);
+                
+                // ── Biome damage modifier ──
+                if (biomeEffects) {
+                    const biomeMult = biomeEffects.getDamageModifier(card);
+                    if (biomeMult !== 1.0) {
+                        damage = Math.floor(damage * biomeMult);
+                        console.log(`[CombatScreen] Biome damage modifier: x${biomeMult} → ${damage}`);
+                    }
                 }
-            }
-            
-            // ── VOID SYSTEMS: Fragment Damage Modifiers + Chain Multiplier ──
-            if (game.voidSystems) {
-                try {
-                    const firstTarget = enemies[targetIndex] || enemies[0];
-                    if (firstTarget) {
-                        const fragDmg = game.voidSystems.fragments.calculateDamageModifiers(card, damage, firstTarget);
-                        if (fragDmg.flatBonus !== 0 || fragDmg.multiplier !== 1.0) {
-                            damage += fragDmg.flatBonus;
-                            damage = Math.floor(damage * fragDmg.multiplier);
+                
+                // ── Empower bonus from corruption currency ──
+                if (corruptionCurrency) {
+                    const empowerBonus = corruptionCurrency.getEmpowerBonus();
+                    if (empowerBonus > 0) {
+                        damage += empowerBonus;
+                        corruptionCurrency.consumeEmpower();
+                        console.log(`[CombatScreen] Empower bonus: +${empowerBonus} → ${damage}`);
+                    }
+                }
+                
+                // ── VOID SYSTEMS: Fragment Damage Modifiers + Chain Multiplier ──
+                if (game.voidSystems) {
+                    try {
+                        if (target) {
+                            const fragDmg = game.voidSystems.fragments.calculateDamageModifiers(card, damage, target);
+                            if (fragDmg.flatBonus !== 0 || fragDmg.multiplier !== 1.0) {
+                                damage += fragDmg.flatBonus;
+                                damage = Math.floor(damage * fragDmg.multiplier);
+                            }
                         }
+                        damage = game.voidSystems.chains.applyToValue(damage, false);
+                    } catch (e) {
+                        console.warn('[CombatScreen] Void systems damage calc failed (non-fatal):', e);
                     }
-                    const chainedDamage = game.voidSystems.chains.applyToValue(damage, false);
-                    if (chainedDamage !== damage) damage = chainedDamage;
-                } catch (e) {
-                    console.warn('[CombatScreen] Void systems damage calc failed (non-fatal):', e);
                 }
-            }
+                
+                return damage;
+            },
             
-            // ── Helper: Apply damage to a single enemy ──
-            function applyDamageToEnemy(eIdx, dmg) {
-                if (!enemies[eIdx] || enemies[eIdx].currentHp <= 0) return 0;
-                // Vulnerable increases damage taken by 50%
-                let finalDmg = dmg;
-                if (enemies[eIdx].vulnerable > 0) finalDmg = Math.floor(finalDmg * 1.5);
+            dealDamage(enemy, amount, { hits = 1, ignoreBlock = false } = {}) {
+                if (!enemy || enemy.currentHp <= 0) return 0;
+                // Vulnerable increases damage taken by 50%; flat bonus damage skips it and block
+                const perHit = (!ignoreBlock && enemy.vulnerable > 0) ? Math.floor(amount * 1.5) : amount;
                 
-                const hits = card.hits || 1;
                 let totalDealt = 0;
                 let totalBlocked = 0;
                 for (let h = 0; h < hits; h++) {
-                    if (!enemies[eIdx] || enemies[eIdx].currentHp <= 0) break;
-                    const blocked = Math.min(enemies[eIdx].block || 0, finalDmg);
-                    enemies[eIdx].block = Math.max(0, (enemies[eIdx].block || 0) - blocked);
-                    const hpDamage = finalDmg - blocked;
-                    enemies[eIdx].currentHp -= hpDamage;
-                    totalDealt += hpDamage;
+                    if (enemy.currentHp <= 0) break;
+                    const blocked = ignoreBlock ? 0 : Math.min(enemy.block || 0, perHit);
+                    enemy.block = Math.max(0, (enemy.block || 0) - blocked);
+                    enemy.currentHp -= perHit - blocked;
+                    totalDealt += perHit - blocked;
                     totalBlocked += blocked;
-                    if (!Number.isFinite(enemies[eIdx].currentHp)) enemies[eIdx].currentHp = 0;
+                    if (!Number.isFinite(enemy.currentHp)) enemy.currentHp = 0;
                 }
-                console.log(`[CombatScreen] ${enemies[eIdx].name}: ${totalDealt + totalBlocked} damage (${totalBlocked} blocked), HP: ${enemies[eIdx].currentHp}/${enemies[eIdx].maxHp}`);
-                game.eventBus.emit('damage:dealt', { target: enemies[eIdx], amount: totalDealt + totalBlocked, blocked: totalBlocked, hits });
-                
-                // ── Lifesteal (Reaper) ──
-                if (card.lifesteal && totalDealt > 0) {
-                    const hp = game.state.get('hero.hp') || 50;
-                    const maxHp = game.state.get('hero.maxHp') || 80;
-                    const healed = Math.min(totalDealt, maxHp - hp);
-                    game.state.set('hero.hp', Math.min(maxHp, hp + totalDealt));
-                    if (healed > 0) console.log(`[CombatScreen] Lifesteal: healed ${healed} HP`);
-                }
-                
+                console.log(`[CombatScreen] ${enemy.name}: ${totalDealt + totalBlocked} damage (${totalBlocked} blocked), HP: ${enemy.currentHp}/${enemy.maxHp}`);
+                game.eventBus.emit('damage:dealt', { target: enemy, amount: totalDealt + totalBlocked, blocked: totalBlocked, hits });
                 return totalDealt;
-            }
+            },
             
-            // ── AoE vs Single Target ──
-            if (card.targetAllDamage) {
-                // Apply to ALL enemies
-                for (let eIdx = enemies.length - 1; eIdx >= 0; eIdx--) {
-                    applyDamageToEnemy(eIdx, damage);
-                }
-                // Check deaths (iterate in reverse to safely splice)
-                for (let eIdx = enemies.length - 1; eIdx >= 0; eIdx--) {
-                    if (enemies[eIdx] && enemies[eIdx].currentHp <= 0) {
-                        console.log(`[CombatScreen] ☠ ${enemies[eIdx].name} defeated!`);
-                        game.eventBus.emit('enemy:defeated', enemies[eIdx]);
-                        enemies.splice(eIdx, 1);
-                    }
-                }
-                game.state.set('combat.enemies', enemies);
-            } else if (targetIndex !== null && targetIndex >= 0 && enemies[targetIndex]) {
-                // Single target
-                applyDamageToEnemy(targetIndex, damage);
+            defeatEnemy: removeDefeatedEnemy,
+            
+            applyEnemyStatus(enemy, id, amount) {
+                enemy[id] = (enemy[id] || 0) + amount;
+                console.log(`[CombatScreen] Applied ${amount} ${id} to ${enemy.name}`);
+                floater('enemy', id, amount, (game.state.get('combat.enemies') || []).indexOf(enemy));
+            },
+            
+            modifyBlock(base, card) {
+                let block = calculatePlayerBlock(base);
                 
-                // Check for enemy death
-                if (enemies[targetIndex] && enemies[targetIndex].currentHp <= 0) {
-                    console.log(`[CombatScreen] ☠ ${enemies[targetIndex].name} defeated!`);
-                    if (game.voidSystems) {
-                        try {
-                            const overkillDamage = Math.abs(enemies[targetIndex].currentHp);
-                            const remaining = enemies.filter((e, idx) => idx !== targetIndex && e.currentHp > 0);
-                            game.voidSystems.processEnemyKill(enemies[targetIndex], overkillDamage, remaining);
-                        } catch (e) { /* non-fatal */ }
+                // ── VOID SYSTEMS: Fragment Block Modifiers + Chain Multiplier ──
+                if (game.voidSystems) {
+                    try {
+                        const fragBlk = game.voidSystems.fragments.calculateBlockModifiers(card, block);
+                        if (fragBlk.flatBonus !== 0) {
+                            block += fragBlk.flatBonus;
+                            console.log(`[CombatScreen] Void fragment block bonus: +${fragBlk.flatBonus} → ${block}`);
+                        }
+                        block = game.voidSystems.chains.applyToValue(block, true);
+                    } catch (e) {
+                        console.warn('[CombatScreen] Void systems block calc failed (non-fatal):', e);
                     }
-                    game.eventBus.emit('enemy:defeated', enemies[targetIndex]);
-                    enemies.splice(targetIndex, 1);
                 }
-                game.state.set('combat.enemies', enemies);
-            }
-        }
-        
-        // Handle block
-        const hasBlock = card.block && (card.block > 0 || typeof card.block === 'string');
-        if (hasBlock) {
-            let blockVal = card.block;
-            // ── Dynamic block values ──
-            if (card.block === 'overheat') {
-                blockVal = game.state.get('combat.overheat') || 0;
-                // Note: actual reset is handled by reset_status processing
-            } else if (card.block === 'missing_hp') {
-                const hp = game.state.get('hero.hp') || 50;
-                const maxHp = game.state.get('hero.maxHp') || 80;
-                blockVal = maxHp - hp;
-            } else if (typeof card.block !== 'number') {
-                blockVal = 0;
-            }
-            
-            let block = calculatePlayerBlock(blockVal);
+                
+                return block;
+            },
             
-            // ── VOID SYSTEMS: Fragment Block Modifiers (chain already processed in damage section) ──
-            if (game.voidSystems) {
-                try {
-                    const fragBlk = game.voidSystems.fragments.calculateBlockModifiers(card, block);
-                    if (fragBlk.flatBonus !== 0) {
-                        block += fragBlk.flatBonus;
-                        console.log(`[CombatScreen] Void fragment block bonus: +${fragBlk.flatBonus} → ${block}`);
+            gainBlock(amount) {
+                const currentBlock = game.state.get('combat.block') || 0;
+                game.state.set('combat.block', currentBlock + amount);
+                console.log(`[CombatScreen] Gained ${amount} block (total: ${currentBlock + amount})`);
+                game.eventBus.emit('block:gained', { amount });
+                
+                // ── on_gain_block triggers (Juggernaut: deal 3 damage to random enemy,
+                //    Judicator's Stance: gain 1 Judgment) ──
+                const blockTriggers = game.state.get('combat.triggers') || [];
+                blockTriggers.forEach(trigger => {
+                    if (trigger.trigger !== 'on_gain_block') return;
+                    if (trigger.apply?.type === 'status') {
+                        const key = `combat.${trigger.apply.status}`;
+                        game.state.set(key, (game.state.get(key) || 0) + (trigger.apply.value || 1));
+                        return;
                     }
-                    // Apply chain multiplier to block if chain is active
-                    block = game.voidSystems.chains.applyToValue(block, true);
-                } catch (e) {
-                    console.warn('[CombatScreen] Void systems block calc failed (non-fatal):', e);
+                    if (trigger.apply?.type !== 'damage') return;
+                    const alive = (game.state.get('combat.enemies') || []).filter(e => e.currentHp > 0);
+                    if (alive.length === 0) return;
+                    const victim = rng.stream('combat').pick(alive);
+                    victim.currentHp = Math.max(0, victim.currentHp - (trigger.apply.value || 3));
+                    console.log(`[CombatScreen] Juggernaut: ${trigger.apply.value} damage to ${victim.name}`);
+                    if (victim.currentHp <= 0) removeDefeatedEnemy(victim);
+                });
+            },
+            
+            drawCards(count, { type } = {}) {
+                if (!type) {
+                    for (let i = 0; i < count; i++) drawCard();
+                    console.log(`[CombatScreen] Drew ${count} card(s)`);
+                    return;
                 }
-            }
+                // Fetch cards of one type straight from the draw pile (Violence)
+                const drawPile = game.state.get('combat.drawPile') || [];
+                const hand = game.state.get('combat.hand') || [];
+                const room = Math.max(0, 10 - hand.length);
+                const picked = rng.stream('combat').shuffle(drawPile.filter(c => c.type === type)).slice(0, Math.min(count, room));
+                picked.forEach(c => {
+                    drawPile.splice(drawPile.indexOf(c), 1);
+                    hand.push(c);
+                });
+                game.state.set('combat.drawPile', drawPile);
+                game.state.set('combat.hand', hand);
+                console.log(`[CombatScreen] Drew ${picked.length} ${type} card(s) from the draw pile`);
+            },
             
-            const currentBlock = game.state.get('combat.block') || 0;
-            game.state.set('combat.block', currentBlock + block);
-            console.log(`[CombatScreen] Gained ${block} block (total: ${currentBlock + block})`);
+            discardHand(playedCard) {
+                const hand = game.state.get('combat.hand') || [];
+                const discarded = hand.filter(c => c !== playedCard);
+                const discard = game.state.get('combat.discardPile') || [];
+                discard.push(...discarded);
+                hand.splice(0, hand.length, ...hand.filter(c => c === playedCard));
+                game.state.set('combat.discardPile', discard);
+                game.state.set('combat.hand', hand);
+                console.log(`[CombatScreen] Discarded ${discarded.length} card(s) from hand`);
+                return discarded.length;
+            },
             
-            game.eventBus.emit('block:gained', { amount: block });
+            gainEnergy(amount) {
+                const currentEnergy = game.state.get('combat.energy') || 0;
+                game.state.set('combat.energy', currentEnergy + amount);
+                console.log(`[CombatScreen] Gained ${amount} energy`);
+            },
             
-            // ── on_gain_block triggers (Juggernaut: deal 3 damage to random enemy) ──
-            const blockTriggers = game.state.get('combat.triggers') || [];
-            blockTriggers.forEach(trigger => {
-                if (trigger.trigger !== 'on_gain_block' || !trigger.apply) return;
-                const applyEffect = trigger.apply;
-                if (applyEffect.type === 'damage') {
-                    const enemies = game.state.get('combat.enemies') || [];
-                    const alive = enemies.filter(e => e.currentHp > 0);
-                    if (alive.length > 0) {
-                        const target = alive[Math.floor(Math.random() * alive.length)];
-                        target.currentHp = Math.max(0, target.currentHp - (applyEffect.value || 3));
-                        console.log(`[CombatScreen] Juggernaut: ${applyEffect.value} damage to ${target.name}`);
-                        game.state.set('combat.enemies', enemies);
-                        if (target.currentHp <= 0) {
-                            game.eventBus.emit('enemy:defeated', target);
-                        }
+            heal(amount) {
+                const hp = game.state.get('hero.hp') || 80;
+                const maxHp = game.state.get('hero.maxHp') || 80;
+                game.state.set('hero.hp', Math.min(maxHp, hp + amount));
+                console.log(`[CombatScreen] Healed ${Math.min(amount, maxHp - hp)} HP`);
+                game.eventBus.emit('heal', { amount });
+            },
+            
+            loseHp(amount) {
+                const hp = game.state.get('hero.hp') || 80;
+                game.state.set('hero.hp', Math.max(1, hp - amount)); // Don't kill yourself
+                console.log(`[CombatScreen] Took ${amount} self damage`);
+                
+                // ── Process on_self_damage triggers (Rupture: gain Strength from self-damage) ──
+                const selfDmgTriggers = game.state.get('combat.triggers') || [];
+                selfDmgTriggers.forEach(trigger => {
+                    if (trigger.trigger !== 'on_self_damage' || !trigger.apply) return;
+                    const applyEffect = trigger.apply;
+                    if (applyEffect.type === 'status' && applyEffect.status === 'strength') {
+                        const str = game.state.get('combat.strength') || 0;
+                        game.state.set('combat.strength', str + (applyEffect.value || 1));
+                        console.log(`[CombatScreen] Rupture: +${applyEffect.value} Strength from self-damage`);
+                        showStatusFloater('player', '💪', `+${applyEffect.value} Str`, '#ff4444');
                     }
-                }
-            });
-        }
-        
-        // Handle draw
-        if (card.draw && card.draw > 0) {
-            for (let i = 0; i < card.draw; i++) {
-                drawCard();
-            }
-            console.log(`[CombatScreen] Drew ${card.draw} card(s)`);
-        }
-        
-        // Handle energy gain
-        if (card.energyGain && card.energyGain > 0) {
-            const currentEnergy = game.state.get('combat.energy') || 0;
-            game.state.set('combat.energy', currentEnergy + card.energyGain);
-            console.log(`[CombatScreen] Gained ${card.energyGain} energy`);
-        }
-        
-        // Handle debuffs on enemy
-        if (targetIndex !== null && targetIndex >= 0 && enemies[targetIndex]) {
-            if (card.applyVulnerable) {
-                enemies[targetIndex].vulnerable = (enemies[targetIndex].vulnerable || 0) + card.applyVulnerable;
-                console.log(`[CombatScreen] Applied ${card.applyVulnerable} Vulnerable`);
-                showStatusFloater('enemy', '🎯', `+${card.applyVulnerable} Vulnerable`, '#ff6600', targetIndex);
-                game.state.set('combat.enemies', enemies);
-            }
+                });
+            },
             
-            if (card.applyWeak) {
-                enemies[targetIndex].weak = (enemies[targetIndex].weak || 0) + card.applyWeak;
-                console.log(`[CombatScreen] Applied ${card.applyWeak} Weak`);
-                showStatusFloater('enemy', '💫', `+${card.applyWeak} Weak`, '#888888', targetIndex);
-                game.state.set('combat.enemies', enemies);
-            }
+            gainMaxHp(amount) {
+                const maxHp = game.state.get('hero.maxHp') || 80;
+                const hp = game.state.get('hero.hp') || 50;
+                game.state.set('hero.maxHp', maxHp + amount);
+                game.state.set('hero.hp', hp + amount);
+                console.log(`[CombatScreen] +${amount} Max HP`);
+                showStatusFloater('player', '❤️', `+${amount} Max HP`, '#ff4488');
+            },
             
-            // DoT effects on enemies
-            if (card.applyPoison) {
-                enemies[targetIndex].poison = (enemies[targetIndex].poison || 0) + card.applyPoison;
-                console.log(`[CombatScreen] Applied ${card.applyPoison} Poison to ${enemies[targetIndex].name}`);
-                showStatusFloater('enemy', '☠️', `+${card.applyPoison} Poison`, '#00cc00', targetIndex);
-                game.state.set('combat.enemies', enemies);
-            }
-            if (card.applyBleed) {
-                enemies[targetIndex].bleed = (enemies[targetIndex].bleed || 0) + card.applyBleed;
-                console.log(`[CombatScreen] Applied ${card.applyBleed} Bleed to ${enemies[targetIndex].name}`);
-                showStatusFloater('enemy', '🩸', `+${card.applyBleed} Bleed`, '#cc0000', targetIndex);
-                game.state.set('combat.enemies', enemies);
-            }
-            if (card.applyBurn) {
-                enemies[targetIndex].burn = (enemies[targetIndex].burn || 0) + card.applyBurn;
-                console.log(`[CombatScreen] Applied ${card.applyBurn} Burn to ${enemies[targetIndex].name}`);
-                showStatusFloater('enemy', '🔥', `+${card.applyBurn} Burn`, '#ff4400', targetIndex);
-                game.state.set('combat.enemies', enemies);
-            }
-        }
-        
-        // Handle strength gain
-        if (card.strengthGain) {
-            const str = game.state.get('combat.strength') || 0;
-            game.state.set('combat.strength', str + card.strengthGain);
-            console.log(`[CombatScreen] Gained ${card.strengthGain} Strength (total: ${str + card.strengthGain})`);
-            showStatusFloater('player', '💪', `+${card.strengthGain} Strength`, '#ff4444');
-        }
-        
-        // Handle dexterity gain
-        if (card.dexterityGain) {
-            const dex = game.state.get('combat.dexterity') || 0;
-            game.state.set('combat.dexterity', dex + card.dexterityGain);
-            console.log(`[CombatScreen] Gained ${card.dexterityGain} Dexterity (total: ${dex + card.dexterityGain})`);
-            showStatusFloater('player', '🛡️', `+${card.dexterityGain} Dexterity`, '#44ff44');
-        }
-        
-        // Handle overheat gain (Korvax)
-        if (card.overheatGain) {
-            const heat = game.state.get('combat.overheat') || 0;
-            const newHeat = Math.min(15, heat + card.overheatGain);
-            game.state.set('combat.overheat', newHeat);
-            console.log(`[CombatScreen] Overheat: ${heat} → ${newHeat}`);
-            showStatusFloater('player', '🌡️', `+${card.overheatGain} Heat`, '#ff4400');
+            gainCorruption(amount) {
+                let corruptionGain = amount;
+                if (biomeEffects) corruptionGain = biomeEffects.modifyCorruptionGain(corruptionGain);
+                const oldCorruption = game.state.get('corruption') || 0;
+                const newCorruption = Math.min(100, oldCorruption + corruptionGain);
+                game.state.set('corruption', newCorruption);
+                console.log(`[CombatScreen] Gained ${corruptionGain} Corruption (total: ${newCorruption})`);
+                showStatusFloater('player', '🌑', `+${corruptionGain} Corruption`, '#8800ff');
+                // Emit for CorruptionSystem visuals (state already set, so emit 'corruption:changed' not 'corruption:gained')
+                game.eventBus.emit('corruption:changed', newCorruption);
+                // Cascade: check if threshold was crossed
+                if (game.corruptionCascade) {
+                    game.corruptionCascade.checkAndTrigger(oldCorruption, newCorruption);
+                }
+            },
             
-            // Check for meltdown at 15
-            if (newHeat >= 15) {
-                console.log('[CombatScreen] 🔥 MELTDOWN TRIGGERED!');
-                triggerMeltdown(enemies);
-            }
-        }
-        
-        // Handle overheat reduce
-        if (card.overheatReduce) {
-            const heat = game.state.get('combat.overheat') || 0;
-            const newHeat = Math.max(0, heat - card.overheatReduce);
-            game.state.set('combat.overheat', newHeat);
-            console.log(`[CombatScreen] Overheat reduced: ${heat} → ${newHeat}`);
-            showStatusFloater('player', '❄️', `-${card.overheatReduce} Heat`, '#4488ff');
-        }
-        
-        // Handle overheat reset (Meltdown card: damage = overheat * multiplier)
-        if (card.resetOverheat) {
-            const heat = game.state.get('combat.overheat') || 0;
-            game.state.set('combat.overheat', 0);
-            console.log(`[CombatScreen] Overheat reset from ${heat}`);
-        }
-        
-        // Handle rage gain (Korvax)
-        if (card.rageGain) {
-            const rage = game.state.get('combat.rage') || 0;
-            game.state.set('combat.rage', rage + card.rageGain);
-            console.log(`[CombatScreen] Gained ${card.rageGain} Rage (total: ${rage + card.rageGain})`);
-            showStatusFloater('player', '😤', `+${card.rageGain} Rage`, '#ff0000');
-        }
-        
-        // Handle armor gain (Korvax)
-        if (card.armorGain) {
-            const arm = game.state.get('combat.armor') || 0;
-            game.state.set('combat.armor', arm + card.armorGain);
-            console.log(`[CombatScreen] Gained ${card.armorGain} Armor (total: ${arm + card.armorGain})`);
-            showStatusFloater('player', '🔩', `+${card.armorGain} Armor`, '#888888');
-        }
-        
-        // Handle thorns gain
-        if (card.thornsGain) {
-            const th = game.state.get('combat.thorns') || 0;
-            game.state.set('combat.thorns', th + card.thornsGain);
-            console.log(`[CombatScreen] Gained ${card.thornsGain} Thorns (total: ${th + card.thornsGain})`);
-            showStatusFloater('player', '🌹', `+${card.thornsGain} Thorns`, '#ff66cc');
-        }
-        
-        // Handle counter gain (Korvax)
-        if (card.counterGain) {
-            const ctr = game.state.get('combat.counter') || 0;
-            game.state.set('combat.counter', ctr + card.counterGain);
-            console.log(`[CombatScreen] Gained ${card.counterGain} Counter (total: ${ctr + card.counterGain})`);
-            showStatusFloater('player', '⚔️', `+${card.counterGain} Counter`, '#ffcc00');
-        }
-        
-        // Handle intangible (self)
-        if (card.applyIntangible) {
-            const current = game.state.get('combat.intangible') || 0;
-            game.state.set('combat.intangible', current + card.applyIntangible);
-            console.log(`[CombatScreen] Gained ${card.applyIntangible} Intangible`);
-            showStatusFloater('player', '👻', `+${card.applyIntangible} Intangible`, '#aaaaff');
-        }
-        
-        // Handle stun on enemy
-        if (card.applyStun && targetIndex !== null && targetIndex >= 0 && enemies[targetIndex]) {
-            enemies[targetIndex].stun = (enemies[targetIndex].stun || 0) + card.applyStun;
-            console.log(`[CombatScreen] Applied ${card.applyStun} Stun to ${enemies[targetIndex].name}`);
-            showStatusFloater('enemy', '⭐', `Stunned!`, '#ffff00', targetIndex);
-            game.state.set('combat.enemies', enemies);
-        }
-        
-        // Handle slow on enemy
-        if (card.applySlow && targetIndex !== null && targetIndex >= 0 && enemies[targetIndex]) {
-            enemies[targetIndex].slow = (enemies[targetIndex].slow || 0) + card.applySlow;
-            console.log(`[CombatScreen] Applied ${card.applySlow} Slow to ${enemies[targetIndex].name}`);
-            game.state.set('combat.enemies', enemies);
-        }
-        
-        // Handle power card triggers (persist for combat)
-        if (card.triggers && card.triggers.length > 0) {
-            const triggers = game.state.get('combat.triggers') || [];
-            triggers.push(...card.triggers);
-            game.state.set('combat.triggers', triggers);
-            console.log(`[CombatScreen] Registered ${card.triggers.length} combat trigger(s)`);
-        }
-        
-        // Handle heal
-        if (card.heal && card.heal > 0) {
-            const hp = game.state.get('hero.hp') || 80;
-            const maxHp = game.state.get('hero.maxHp') || 80;
-            const newHp = Math.min(maxHp, hp + card.heal);
-            game.state.set('hero.hp', newHp);
-            game.state.set('hero.hp', newHp);
-            console.log(`[CombatScreen] Healed ${card.heal} HP`);
+            gainCredits(amount) {
+                const credits = game.state.get('credits') || 0;
+                game.state.set('credits', credits + amount);
+                console.log(`[CombatScreen] +${amount} Credits`);
+                showStatusFloater('player', '💰', `+${amount} Credits`, '#ffd700');
+            },
             
-            game.eventBus.emit('heal', { amount: card.heal });
-        }
-        
-        // Handle self damage (for Korvax rage cards)
-        if (card.selfDamage && card.selfDamage > 0) {
-            const hp = game.state.get('hero.hp') || 80;
-            const newHp = Math.max(1, hp - card.selfDamage); // Don't kill yourself
-            game.state.set('hero.hp', newHp);
-            console.log(`[CombatScreen] Took ${card.selfDamage} self damage`);
+            addTrigger(effect) {
+                const triggers = game.state.get('combat.triggers') || [];
+                triggers.push(effect);
+                game.state.set('combat.triggers', triggers);
+                console.log(`[CombatScreen] Registered combat trigger (${effect.trigger || effect.on || effect.type})`);
+            },
             
-            // ── Process on_self_damage triggers (Rupture: gain Strength from self-damage) ──
-            const selfDmgTriggers = game.state.get('combat.triggers') || [];
-            selfDmgTriggers.forEach(trigger => {
-                if (trigger.trigger !== 'on_self_damage' || !trigger.apply) return;
-                const applyEffect = trigger.apply;
-                if (applyEffect.type === 'status' && applyEffect.status === 'strength') {
-                    const str = game.state.get('combat.strength') || 0;
-                    game.state.set('combat.strength', str + (applyEffect.value || 1));
-                    console.log(`[CombatScreen] Rupture: +${applyEffect.value} Strength from self-damage`);
-                    showStatusFloater('player', '💪', `+${applyEffect.value} Str`, '#ff4444');
-                }
-            });
-        }
-        
-        // Handle player self-applied statuses
-        if (card.applyRegen) {
-            addPlayerStatus('regen', card.applyRegen);
-            console.log(`[CombatScreen] Gained ${card.applyRegen} Regen`);
-        }
-        if (card.applyFrail) {
-            // Frail on self (some corrupted cards)
-            addPlayerStatus('frail', card.applyFrail);
-            console.log(`[CombatScreen] Applied ${card.applyFrail} Frail to self`);
-        }
-        
-        // ── All-enemies debuff handling ──
-        if (card.targetAllEnemies) {
-            enemies.forEach((enemy, i) => {
-                if (enemy.currentHp <= 0) return;
-                if (card.applyVulnerable) {
-                    enemy.vulnerable = (enemy.vulnerable || 0) + card.applyVulnerable;
-                    showStatusFloater('enemy', '🎯', `+${card.applyVulnerable} Vulnerable`, '#ff6600', i);
-                }
-                if (card.applyWeak) {
-                    enemy.weak = (enemy.weak || 0) + card.applyWeak;
-                    showStatusFloater('enemy', '💫', `+${card.applyWeak} Weak`, '#888888', i);
-                }
-                if (card.applyPoison) {
-                    enemy.poison = (enemy.poison || 0) + card.applyPoison;
-                    showStatusFloater('enemy', '☠️', `+${card.applyPoison} Poison`, '#00cc00', i);
-                }
-                if (card.applyBurn) {
-                    enemy.burn = (enemy.burn || 0) + card.applyBurn;
-                    showStatusFloater('enemy', '🔥', `+${card.applyBurn} Burn`, '#ff4400', i);
-                }
-            });
-            if (card.applyVulnerable || card.applyWeak || card.applyPoison || card.applyBurn) {
-                game.state.set('combat.enemies', enemies);
-                console.log(`[CombatScreen] Applied debuffs to ALL enemies`);
-            }
-        }
-        
-        // ── Self-targeted Vulnerable (Berserk side-effect applied at trigger, not here) ──
-        if (card.applySelfVulnerable) {
-            addPlayerStatus('vulnerable', card.applySelfVulnerable);
-            console.log(`[CombatScreen] Applied ${card.applySelfVulnerable} Vulnerable to self`);
-        }
-        
-        // ── Self-targeted Weak ──
-        if (card.applySelfWeak) {
-            addPlayerStatus('weak', card.applySelfWeak);
-            console.log(`[CombatScreen] Applied ${card.applySelfWeak} Weak to self`);
-        }
-        
-        // ── Artifact gain (Panacea) ──
-        if (card.artifactGain) {
-            addPlayerStatus('artifact', card.artifactGain);
-            console.log(`[CombatScreen] Gained ${card.artifactGain} Artifact`);
-            showStatusFloater('player', '🛡️', `+${card.artifactGain} Artifact`, '#ffcc00');
-        }
-        
-        // ── Enemy strength debuff (Piercing Wail) ──
-        if (card._enemyStrength && card._enemyStrength.length > 0) {
-            card._enemyStrength.forEach(sBuff => {
-                enemies.forEach((enemy, i) => {
-                    if (enemy.currentHp <= 0) return;
-                    enemy.strength = (enemy.strength || 0) + sBuff.value;
-                    const absVal = Math.abs(sBuff.value);
-                    showStatusFloater('enemy', '💪', `${sBuff.value > 0 ? '+' : '-'}${absVal} Strength`, '#ff4444', i);
+            upgradeAllCards(playedCard) {
+                const upgrader = game.cardUpgradeSystem;
+                let upgraded = 0;
+                ['combat.hand', 'combat.drawPile', 'combat.discardPile'].forEach(pile => {
+                    const cards = game.state.get(pile) || [];
+                    cards.forEach(c => {
+                        if (c.upgraded || c === playedCard) return;
+                        if (upgrader) {
+                            upgrader.upgradeCard(c);
+                        } else {
+                            c.upgraded = true;
+                            if (typeof c.damage === 'number') c.damage = Math.floor(c.damage * 1.25);
+                            if (typeof c.block === 'number') c.block = Math.floor(c.block * 1.25);
+                        }
+                        // Fold the new stats into the card's effects list
+                        Object.assign(c, normalizeCard(c));
+                        upgraded++;
+                    });
+                    game.state.set(pile, cards);
                 });
-            });
-            game.state.set('combat.enemies', enemies);
-            console.log(`[CombatScreen] Applied enemy strength debuff`);
-        }
-        
-        // ── Reset status (Vent Heat: reset overheat; Meltdown: reset overheat) ──
-        if (card._resetStatuses && card._resetStatuses.length > 0) {
-            card._resetStatuses.forEach(statusName => {
-                const stateKey = `combat.${statusName}`;
-                const oldVal = game.state.get(stateKey) || 0;
-                game.state.set(stateKey, 0);
-                console.log(`[CombatScreen] Reset ${statusName}: ${oldVal} → 0`);
-                
-                // Special: Vent Heat - if block value was 'overheat', block was already set via card.block
-                // For Vent Heat, block = overheat value (already handled by the block section if card.block is numeric)
-                // But card.block is 'overheat' (string), so we need to handle it here
-                if (statusName === 'overheat' && card.effects) {
-                    const blockEffect = card.effects.find(e => e.type === 'block' && e.value === 'overheat');
-                    if (blockEffect && oldVal > 0) {
-                        let block = calculatePlayerBlock(oldVal);
-                        const currentBlock = game.state.get('combat.block') || 0;
-                        game.state.set('combat.block', currentBlock + block);
-                        console.log(`[CombatScreen] Vent Heat: Gained ${block} block from ${oldVal} overheat`);
-                        showStatusFloater('player', '🛡️', `+${block} Block`, '#4488ff');
-                    }
-                }
-                if (statusName === 'rage') {
-                    showStatusFloater('player', '😤', `Rage reset`, '#ff0000');
-                }
-            });
-        }
-        
-        // ── Double status (Limit Break: double strength) ──
-        if (card._doubleStatuses && card._doubleStatuses.length > 0) {
-            card._doubleStatuses.forEach(statusName => {
-                const stateKey = `combat.${statusName}`;
-                const current = game.state.get(stateKey) || 0;
-                if (current > 0) {
-                    game.state.set(stateKey, current * 2);
-                    console.log(`[CombatScreen] Doubled ${statusName}: ${current} → ${current * 2}`);
-                    showStatusFloater('player', '💪', `${statusName} doubled!`, '#ff4444');
-                }
-            });
-        }
-        
-        // ── Upgrade all cards in combat (Apotheosis) ──
-        if (card.upgradeAllCards) {
-            const upgrader = game.cardUpgradeSystem;
-            let upgraded = 0;
-            // Upgrade hand
-            const hand = game.state.get('combat.hand') || [];
-            hand.forEach(c => { if (!c.upgraded && c !== card) { if (upgrader) upgrader.upgradeCard(c); else { c.upgraded = true; if (c.damage) c.damage = Math.floor(c.damage * 1.25); if (c.block) c.block = Math.floor(c.block * 1.25); } upgraded++; } });
-            game.state.set('combat.hand', hand);
-            // Upgrade draw pile
-            const drawPile = game.state.get('combat.drawPile') || [];
-            drawPile.forEach(c => { if (!c.upgraded) { if (upgrader) upgrader.upgradeCard(c); else { c.upgraded = true; if (c.damage) c.damage = Math.floor(c.damage * 1.25); if (c.block) c.block = Math.floor(c.block * 1.25); } upgraded++; } });
-            game.state.set('combat.drawPile', drawPile);
-            // Upgrade discard pile
-            const discardPile = game.state.get('combat.discardPile') || [];
-            discardPile.forEach(c => { if (!c.upgraded) { if (upgrader) upgrader.upgradeCard(c); else { c.upgraded = true; if (c.damage) c.damage = Math.floor(c.damage * 1.25); if (c.block) c.block = Math.floor(c.block * 1.25); } upgraded++; } });
-            game.state.set('combat.discardPile', discardPile);
-            console.log(`[CombatScreen] Apotheosis! Upgraded ${upgraded} cards`);
-            showStatusFloater('player', '✨', `${upgraded} cards upgraded!`, '#ffd700');
-        }
-        
-        // ── Max HP gain (Feed: if enemy died this card play) ──
-        if (card.maxHpGain && card.maxHpGain > 0) {
-            // Check if an enemy was killed by this card
-            const enemiesNow = game.state.get('combat.enemies') || [];
-            // This only applies on kill — handled via _conditionals below
-        }
-        
-        // ── Conditional effects (Bloodlust: on enemy_dies gain rage; Feed: on enemy_dies gain maxHp) ──
-        if (card._conditionals && card._conditionals.length > 0) {
-            const enemiesAfter = game.state.get('combat.enemies') || [];
-            const enemiesBefore = enemies; // captured at start of applyCardEffects
-            // If fewer enemies now, something died
-            const enemyDied = enemiesAfter.length < enemiesBefore.length || 
-                              enemiesAfter.some(e => e.currentHp <= 0);
+                console.log(`[CombatScreen] Apotheosis! Upgraded ${upgraded} cards`);
+                showStatusFloater('player', '✨', `${upgraded} cards upgraded!`, '#ffd700');
+            },
             
-            card._conditionals.forEach(cond => {
-                if (cond.trigger === 'enemy_dies' && enemyDied && cond.apply) {
-                    const applyEffect = cond.apply;
-                    if (applyEffect.type === 'status' && applyEffect.status === 'rage') {
-                        const rage = game.state.get('combat.rage') || 0;
-                        game.state.set('combat.rage', rage + (applyEffect.value || 1));
-                        console.log(`[CombatScreen] Conditional: Enemy died → +${applyEffect.value} Rage`);
-                        showStatusFloater('player', '😤', `+${applyEffect.value} Rage`, '#ff0000');
-                    }
-                    if (applyEffect.type === 'max_hp') {
-                        const maxHp = game.state.get('hero.maxHp') || 80;
-                        const hp = game.state.get('hero.hp') || 50;
-                        game.state.set('hero.maxHp', maxHp + applyEffect.value);
-                        game.state.set('hero.hp', hp + applyEffect.value);
-                        console.log(`[CombatScreen] Conditional: Enemy died → +${applyEffect.value} Max HP`);
-                        showStatusFloater('player', '❤️', `+${applyEffect.value} Max HP`, '#ff4488');
-                    }
-                    if (applyEffect.type === 'credits') {
-                        const credits = game.state.get('credits') || 0;
-                        game.state.set('credits', credits + applyEffect.value);
-                        console.log(`[CombatScreen] Conditional: Enemy died → +${applyEffect.value} Credits`);
-                        showStatusFloater('player', '💰', `+${applyEffect.value} Credits`, '#ffd700');
-                    }
-                }
-            });
-        }
-        
-        // Handle corruption gain from player cards
-        if (card.corruptionGain && card.corruptionGain > 0) {
-            let corruptionGain = card.corruptionGain;
-            if (biomeEffects) corruptionGain = biomeEffects.modifyCorruptionGain(corruptionGain);
-            const oldCorruption = game.state.get('corruption') || 0;
-            const newCorruption = Math.min(100, oldCorruption + corruptionGain);
-            game.state.set('corruption', newCorruption);
-            console.log(`[CombatScreen] Gained ${corruptionGain} Corruption (total: ${newCorruption})`);
-            showStatusFloater('player', '🌑', `+${corruptionGain} Corruption`, '#8800ff');
-            // Emit for CorruptionSystem visuals (state already set, so emit 'corruption:changed' not 'corruption:gained')
-            game.eventBus.emit('corruption:changed', newCorruption);
-            // Cascade: check if threshold was crossed
-            if (game.corruptionCascade) {
-                game.corruptionCascade.checkAndTrigger(oldCorruption, newCorruption);
+            triggerMeltdown() {
+                console.log('[CombatScreen] 🔥 MELTDOWN TRIGGERED!');
+                triggerMeltdown(game.state.get('combat.enemies') || []);
+            },
+            
+            addCards(spec) {
+                addInjectedCards(spec, 'card');
             }
+        };
+    }
+    
+    /**
+     * Put curses/status cards (an add_card spec) into the combat piles
+     */
+    function addInjectedCards(spec, source) {
+        const added = addCardsToState(game.state, spec, {
+            getCard: (id) => game.dataLoader?.getCard(id),
+            random: rng.stream('combat'),
+            source
+        });
+        if (added.length > 0) {
+            game.eventBus.emit('card:added', { cards: added, pile: spec.pile, source });
+            showStatusFloater('player', '🃏', `+${added.length} ${added[0].name}`, '#aa44aa');
         }
-        
-        // Handle judgment gain (Auren)
-        if (card.judgmentGain && card.judgmentGain > 0) {
-            const judgment = game.state.get('combat.judgment') || 0;
-            game.state.set('combat.judgment', judgment + card.judgmentGain);
-            console.log(`[CombatScreen] Gained ${card.judgmentGain} Judgment (total: ${judgment + card.judgmentGain})`);
-            showStatusFloater('player', '⚖️', `+${card.judgmentGain} Judgment`, '#ffdd00');
-        }
-        
-        // ── Lyria: Astral Charge and Temporal Flux from effects array ──
-        if (card.effects && Array.isArray(card.effects)) {
-            card.effects.forEach(effect => {
-                if (effect.type === 'astral_charge') {
-                    const current = game.state.get('combat.astralCharge') || 0;
-                    game.state.set('combat.astralCharge', current + (effect.value || 1));
-                    console.log(`[CombatScreen] Gained ${effect.value || 1} Astral Charge (total: ${current + (effect.value || 1)})`);
-                }
-                if (effect.type === 'temporal_flux') {
-                    const current = game.state.get('combat.temporalFlux') || 0;
-                    game.state.set('combat.temporalFlux', current + (effect.value || 1));
-                    console.log(`[CombatScreen] Gained ${effect.value || 1} Temporal Flux (total: ${current + (effect.value || 1)})`);
-                }
-                if (effect.type === 'consume_astral' && targetIndex !== null && targetIndex >= 0 && enemies[targetIndex]) {
-                    // Consume all Astral Charge for bonus damage
-                    const charges = game.state.get('combat.astralCharge') || 0;
-                    if (charges > 0) {
-                        const bonusDamage = charges * (effect.multiplier || 3);
-                        enemies[targetIndex].currentHp -= bonusDamage;
-                        game.state.set('combat.astralCharge', 0);
-                        game.state.set('combat.enemies', enemies);
-                        console.log(`[CombatScreen] Consumed ${charges} Astral Charges for ${bonusDamage} bonus damage`);
-                        game.eventBus.emit('damage:dealt', { target: enemies[targetIndex], amount: bonusDamage, blocked: 0 });
-                    }
-                }
-            });
+        return added;
+    }
+    
+    /**
+     * Fire in-hand effects of curses and status cards (see CardEffectInterpreter.runHeldTriggers)
+     */
+    function runHeldCardTriggers(trigger) {
+        const hand = game.state.get('combat.hand') || [];
+        try {
+            cardEffects.runHeldTriggers(hand, trigger, createCardEffectContext());
+        } catch (e) {
+            console.warn(`[CombatScreen] Held card ${trigger} effects failed (non-fatal):`, e);
         }
-        
-        // ── Astral scaling on damage (adds astralCharge to damage for scaling cards) ──
-        // This is handled in the main damage block above via scaling property check
     }
     
     function drawCard() {
@@ -2937,7 +2572,7 @@ export function setupCombatScreen(game) {
                 return;
             }
             console.log('[CombatScreen] Reshuffling discard pile into draw pile');
-            drawPile = discard.sort(() => Math.random() - 0.5);
+            drawPile = rng.stream('combat').shuffle(discard);
             game.state.set('combat.discardPile', []);
         }
         
@@ -2946,6 +2581,7 @@ export function setupCombatScreen(game) {
             hand.push(card);
             game.state.set('combat.drawPile', drawPile);
             game.state.set('combat.hand', hand);
+            game.audioManager?.playSFX?.('card_draw');
             console.log(`[CombatScreen] Drew: ${card.name}`);
         }
     }
@@ -3046,16 +2682,23 @@ export function setupCombatScreen(game) {
         
         console.log('[CombatScreen] ═══ Ending player turn... ═══');
         
+        // Runs aren't saved again until the next player turn starts
+        game.state.set('combat.playerTurn', false);
+        
         // NOTE: Block is NOT reset here - it persists to absorb enemy damage
         // Block will be reset at the START of the next player turn
         
         // Clear selection
         deselectCard();
         
+        // Curses and status cards still in hand (Burn Wound, Doubt...)
+        runHeldCardTriggers('turn_end');
+        
         // Process player end-of-turn statuses (DoTs, regen, tick durations)
         const hpAfterDots = processPlayerEndOfTurnStatuses();
         if (hpAfterDots <= 0) {
             console.log('[CombatScreen] ☠ Player killed by DoT effects!');
+            game.state.set('combat.active', false);
             game.eventBus.emit('combat:defeat');
             game.eventBus.emit('player:death');
             return;
@@ -3131,6 +2774,11 @@ export function setupCombatScreen(game) {
                         }
                     }
                     
+                    // Ascension: every later phase hits harder
+                    if (enemy.phaseStrength && newPhaseIndex > prevPhase) {
+                        enemy.strength = (enemy.strength || 0) + enemy.phaseStrength;
+                    }
+                    
                     enemy.intentIndex = 0;
                     showBossPhaseTransition(enemy, phase);
                     game.eventBus.emit('boss:phaseChange', { enemy, phase, phaseIndex: newPhaseIndex });
@@ -3240,7 +2888,7 @@ export function setupCombatScreen(game) {
                 if (enemy.weak > 0) baseDamage = Math.floor(baseDamage * 0.75);
                 const result = applyEnemyHit(baseDamage);
                 console.log(`[CombatScreen] ${enemy.name} attack+debuff for ${result.finalDamage} (${result.blocked} blocked)`);
-                game.eventBus.emit('player:damaged', { amount: result.finalDamage, blocked: result.blocked });
+                game.eventBus.emit('player:damaged', { amount: result.finalDamage, blocked: result.blocked, hpDamage: result.hpDamage });
                 // Apply the debuff
                 applyEnemyDebuffToPlayer(enemy.intent.effect, enemy.intent.value || 1);
                 if (!Number.isFinite(playerHp)) playerHp = Math.max(0, (game.state.get('hero.hp') || 50) - baseDamage);
@@ -3274,6 +2922,10 @@ export function setupCombatScreen(game) {
                 
             } else if (enemy.intent.type === 'summon') {
                 console.log(`[CombatScreen] ${enemy.name} attempts summon (not yet implemented)`);
+                
+            } else if (enemy.intent.type === 'add_card') {
+                addInjectedCards(enemy.intent, enemy.id);
+                console.log(`[CombatScreen] ${enemy.name} adds ${enemy.intent.card} to your ${enemy.intent.pile || 'discard'} pile`);
             }
             
             } // end of stun else block
@@ -3324,6 +2976,7 @@ export function setupCombatScreen(game) {
         // Check for player death
         if (playerHp <= 0) {
             console.log('[CombatScreen] ☠ Player defeated!');
+            game.state.set('combat.active', false);
             game.eventBus.emit('combat:defeat');
             game.eventBus.emit('player:death');
             return;
@@ -3452,17 +3105,20 @@ export function setupCombatScreen(game) {
         
         // Random fallback
         const types = ['attack', 'attack', 'block'];
-        const type = types[Math.floor(Math.random() * types.length)];
+        const combatRng = rng.stream('combat');
+        const type = combatRng.pick(types);
         return {
             type,
-            damage: type === 'attack' ? Math.floor(Math.random() * 5) + 6 : 0,
-            value: type === 'block' ? Math.floor(Math.random() * 5) + 5 : 0
+            damage: type === 'attack' ? combatRng.int(6, 10) : 0,
+            value: type === 'block' ? combatRng.int(5, 9) : 0
         };
     }
     
     function startPlayerTurn() {
         console.log('[CombatScreen] ═══ Player turn ═══');
         
+        game.state.set('combat.playerTurn', true);
+        
         const maxEnergy = game.state.get('combat.maxEnergy') || 3;
         game.state.set('combat.energy', maxEnergy);
         
@@ -3470,22 +3126,27 @@ export function setupCombatScreen(game) {
         const triggers = game.state.get('combat.triggers') || [];
         const hasRetainBlock = triggers.some(t => t.status === 'retain_block' || t.retainBlock);
         
-        // Reset player block at start of NEW player turn (after enemies have attacked)
-        if (!hasRetainBlock) {
-            game.state.set('combat.block', 0);
-        } else {
+        // Reset player block at start of NEW player turn (after enemies have attacked);
+        // Aegis keeps that much of it
+        const aegis = game.state.get('combat.aegis') || 0;
+        const keptBlock = blockAtTurnStart(game.state.get('combat.block') || 0, aegis, hasRetainBlock);
+        game.state.set('combat.block', keptBlock);
+        if (hasRetainBlock) {
             console.log('[CombatScreen] Barricade: Block retained!');
+        } else if (keptBlock > 0) {
+            console.log(`[CombatScreen] Aegis: ${keptBlock} Block kept`);
         }
         
-        // Discard hand
+        // Discard hand: Retain cards stay, unplayed Ethereal cards are exhausted
         const hand = game.state.get('combat.hand') || [];
         const discard = game.state.get('combat.discardPile') || [];
+        const { retained, exhausted, discarded } = sortEndOfTurnHand(hand);
         
         // ── VOID SYSTEMS: Notify fragment system of end-of-turn discards (Discard Harvest) ──
         if (game.voidSystems && hand.length > 0) {
             try {
-                for (let i = 0; i < hand.length; i++) {
-                    game.voidSystems.fragments.onCardDiscarded({ card: hand[i] });
+                for (let i = 0; i < discarded.length; i++) {
+                    game.voidSystems.fragments.onCardDiscarded({ card: discarded[i] });
                 }
                 game.eventBus.emit('turn:end');
             } catch (e) {
@@ -3493,9 +3154,10 @@ export function setupCombatScreen(game) {
             }
         }
         
-        discard.push(...hand);
+        discard.push(...discarded);
         game.state.set('combat.discardPile', discard);
-        game.state.set('combat.hand', []);
+        exhaustCards(exhausted);
+        game.state.set('combat.hand', retained);
         
         // FIX: Enemy block is NOT reset here anymore.
         // Block gained during enemy turn persists through the player's turn
@@ -3522,7 +3184,10 @@ export function setupCombatScreen(game) {
         game.state.set('combat.turn', (game.state.get('combat.turn') || 1) + 1);
         
         // Reset per-turn tracking
+        game.state.set('combat.tookDamageLastTurn', game.state.get('combat.tookDamageThisTurn') || false);
         game.state.set('combat.tookDamageThisTurn', false);
+        game.state.set('combat.cardsPlayedThisTurn', 0);
+        setPlayerStatus('noDraw', 0);
         
         // ══════ PROCESS POWER CARD TRIGGERS: turn_start ══════
         if (triggers.length > 0) {
@@ -3566,6 +3231,8 @@ export function setupCombatScreen(game) {
                                     showStatusFloater('player', icons[sName] || '⬆', `+${applyEffect.value} ${sName}`, '#ff4444');
                                 } else if (sTarget === 'self') {
                                     addPlayerStatus(sName, applyEffect.value || 1);
+                                } else if (sTarget === 'all') {
+                                    applyStatusToAllEnemies(sName, applyEffect.value || 1, 'turn_start');
                                 }
                                 break;
                             }
@@ -3595,6 +3262,9 @@ export function setupCombatScreen(game) {
         }
         
         renderCombatUI();
+        
+        // SaveManager saves the fight here
+        game.eventBus.emit('player:turn:start', { turn: game.state.get('combat.turn') });
     }
     
     function checkCombatEnd() {
@@ -3603,22 +3273,38 @@ export function setupCombatScreen(game) {
             console.log('[CombatScreen] ═══ VICTORY! ═══');
             
             game.state.set('combat.victoryPending', true);
+            game.state.set('combat.active', false);
             
             setTimeout(() => {
                 game.eventBus.emit('combat:victory');
                 
+                // ── Boss down: the act's closing narrative replaces card rewards ──
+                if (game.mapGenerator?.isAtBoss?.()) {
+                    if (biomeEffects) biomeEffects.onCombatEnd();
+                    if (corruptionCurrency) corruptionCurrency.onCombatEnd();
+                    if (unreliableUI) unreliableUI.stopAmbientDistortions();
+                    cleanupCombatOverlays();
+                    
+                    game.mapGenerator.completeCurrentNode();
+                    game.eventBus.emit('boss:defeated', { act: game.state.get('act') || 1 });
+                    return;
+                }
+                
                 const rewards = {
-                    credits: Math.floor(Math.random() * 20) + 15,
+                    credits: rng.stream('rewards').int(15, 34),
                     cardChoices: [],
                     claimed: { credits: false, card: false }
                 };
                 
                 try {
                     const heroId = game.state.get('hero.id') || 'korvax';
-                    const cards = game.dataLoader?.getCardsForHero?.(heroId) || [];
-                    rewards.cardChoices = cards
-                        .filter(c => c.rarity !== 'starter')
-                        .sort(() => Math.random() - 0.5)
+                    // Reward pool leaves out starters and locked card pools
+                    let cards = game.dataLoader?.getCardRewardPool?.(heroId) || [];
+                    if (cards.length === 0) {
+                        cards = (game.dataLoader?.getCardsForHero?.(heroId) || []).filter(c => c.rarity !== 'starter');
+                    }
+                    rewards.cardChoices = rng.stream('rewards')
+                        .shuffle(cards)
                         .slice(0, 3)
                         .map(normalizeCard);
                 } catch (e) {
@@ -3643,10 +3329,10 @@ export function setupCombatScreen(game) {
         }
     }
     
-    function forceScreenTransition(game, targetScreenId) {
-        console.log(`[CombatScreen] forceScreenTransition to: ${targetScreenId}`);
-        
-        // ── Clean up combat UI overlays ──
+    /**
+     * Remove the overlays combat adds on top of the screen
+     */
+    function cleanupCombatOverlays() {
         const voidPanel = document.getElementById('void-channel-panel');
         if (voidPanel) voidPanel.remove();
         const biomeBanner = document.getElementById('biome-banner');
@@ -3656,6 +3342,13 @@ export function setupCombatScreen(game) {
         if (cardPreview) {
             try { cardPreview.closePreview(); } catch(e) {}
         }
+    }
+    
+    function forceScreenTransition(game, targetScreenId) {
+        console.log(`[CombatScreen] forceScreenTransition to: ${targetScreenId}`);
+        
+        // ── Clean up combat UI overlays ──
+        cleanupCombatOverlays();
         
         const combatScreen = document.getElementById('combat-screen');
         const targetScreen = document.getElementById(targetScreenId);
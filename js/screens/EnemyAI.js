@@ -2,9 +2,11 @@
  * SHATTERED STAR - Enemy AI System
  * Advanced enemy behavior patterns and intent selection
  * 
- * @version 1.0.0
+ * @version 1.0.1 - Phase changes are announced by CombatScreen
  */
 
+import rng from '../core/RNG.js';
+
 /**
  * AI Behavior Types
  */
@@ -31,6 +33,7 @@ export const INTENT_TYPES = {
     DEBUFF: 'debuff',
     HEAL: 'heal',
     SUMMON: 'summon',
+    ADD_CARD: 'add_card',
     CHARGE: 'charge',
     SPECIAL: 'special',
     UNKNOWN: 'unknown'
@@ -144,14 +147,14 @@ export class EnemyAI {
     selectRandomIntent(enemy, state) {
         const intents = enemy.intents || [];
         if (intents.length === 0) return this.defaultIntent();
-        return { ...intents[Math.floor(Math.random() * intents.length)] };
+        return { ...rng.stream('combat').pick(intents) };
     }
     
     selectWeightedIntent(enemy, state) {
         const intents = enemy.intents || [];
         if (intents.length === 0) return this.defaultIntent();
         const totalWeight = intents.reduce((sum, i) => sum + (i.weight || 1), 0);
-        let random = Math.random() * totalWeight;
+        let random = rng.random('combat') * totalWeight;
         for (const intent of intents) {
             random -= (intent.weight || 1);
             if (random <= 0) return { ...intent };
@@ -195,7 +198,6 @@ export class EnemyAI {
                 if (state.currentPhase !== i) {
                     state.currentPhase = i;
                     state.intentIndex = 0;
-                    this.eventBus?.emit('boss:phaseChange', { enemy, phase: currentPhase, phaseIndex: i });
                 }
                 break;
             }
@@ -222,7 +224,7 @@ export class EnemyAI {
             case 'last_intent_was': return state.lastIntent?.type === condition.value;
             case 'enemy_has_status': return this.statusSystem?.enemyHas(enemy.id, condition.status);
             case 'player_has_status': return this.statusSystem?.playerHas(condition.status);
-            case 'random_chance': return Math.random() < condition.value;
+            case 'random_chance': return rng.stream('combat').chance(condition.value);
             case 'first_turn': return state.turnsInCombat === 0;
             default: return false;
         }
@@ -314,6 +316,10 @@ export class EnemyAI {
             case INTENT_TYPES.SUMMON:
                 result.effects.push({ type: 'summon', enemyId: intent.enemy || intent.summon });
                 break;
+            case INTENT_TYPES.ADD_CARD:
+                // Resolved against the player's piles by CardInjector
+                result.effects.push({ type: 'add_card', card: intent.card, count: intent.count || 1, pile: intent.pile || 'discard' });
+                break;
         }
         
         return result;
@@ -340,6 +346,7 @@ export class EnemyAI {
             [INTENT_TYPES.DEBUFF]: { icon: '☠️', color: '#aa44aa' },
             [INTENT_TYPES.HEAL]: { icon: '💚', color: '#44ff44' },
             [INTENT_TYPES.SUMMON]: { icon: '👥', color: '#ffaa00' },
+            [INTENT_TYPES.ADD_CARD]: { icon: '🃏', color: '#aa44aa' },
             [INTENT_TYPES.CHARGE]: { icon: '⚡', color: '#ffff00' }
         };
         
@@ -350,6 +357,7 @@ export class EnemyAI {
         if (intent.hits) text = `${intent.damage} x${intent.hits}`;
         if (intent.block) text = intent.block;
         if (intent.heal) text = intent.heal;
+        if (intent.type === INTENT_TYPES.ADD_CARD) text = `+${intent.count || 1}`;
         
         return { ...display, text };
     }
@@ -19,7 +19,9 @@
  * "Every choice is a scar. Every scar tells a story."
  */
 
+import rng from '../core/RNG.js';
 import { showFragmentReward } from '../ui/FragmentRewardOverlay.js';
+import { addCardsToState } from '../systems/CardInjector.js';
 
 export function setupEventScreen(game) {
     const screen = document.getElementById('event-screen');
@@ -62,6 +64,12 @@ export function setupEventScreen(game) {
      * Safe wrapper to prevent double initialization
      */
     function safeInitializeEvent() {
+        // BossEventScreen is using the screen for a boss narrative event
+        if (screen?.querySelector('.boss-event')) {
+            console.log('[EventScreen] Boss event showing, skipping initialization');
+            return;
+        }
+        
         const now = Date.now();
         if (isInitializing || (now - lastInitTime) < 500) {
             console.log('[EventScreen] Skipping duplicate initialization');
@@ -184,7 +192,7 @@ export function setupEventScreen(game) {
                             type: 'corruption_reward',
                             description: 'Your hand passes through the surface like cold fire. For an instant, you ARE the reflection—seeing yourself from the outside, a puppet made of meat and denial. When you pull back, something new lives in your deck. And something new lives in your mind.',
                             corruption: 8,
-                            card: 'void_fragment'
+                            add_card: 'void_fragment'
                         }
                     },
                     {
@@ -365,12 +373,12 @@ export function setupEventScreen(game) {
         // Weight toward higher corruption events if applicable
         if (corruption > 25 && availableEvents.some(e => e.minCorruption >= 10)) {
             const highCorruptionEvents = availableEvents.filter(e => e.minCorruption >= 10);
-            if (Math.random() < 0.6) {
-                return highCorruptionEvents[Math.floor(Math.random() * highCorruptionEvents.length)];
+            if (rng.stream('events').chance(0.6)) {
+                return rng.stream('events').pick(highCorruptionEvents);
             }
         }
         
-        return availableEvents[Math.floor(Math.random() * availableEvents.length)];
+        return rng.stream('events').pick(availableEvents);
     }
     
     /**
@@ -707,6 +715,7 @@ export function setupEventScreen(game) {
         if (effects.corruption > 0) hints.push(`+${effects.corruption} Corruption`);
         if (effects.corruption < 0) hints.push(`${effects.corruption} Corruption`);
         if (effects.card) hints.push('+Card');
+        if (effects.add_card) hints.push('+Curse');
         if (effects.artifact) hints.push('+Relic');
         if (effects.fragment) hints.push('👁️ +Void Fragment');
         if (effects.upgrade) hints.push('Upgrade');
@@ -777,6 +786,12 @@ export function setupEventScreen(game) {
         if (em) {
             // Record choice
             const choiceIndex = currentEvent?.choices?.indexOf(choice) ?? -1;
+            game.eventBus.emit('event:choice', {
+                eventId: currentEvent?.id,
+                eventName: currentEvent?.name,
+                choiceIndex,
+                text: choice.text
+            });
             
             // Set flags from this choice
             if (allEffects.setsFlags) {
@@ -952,6 +967,18 @@ export function setupEventScreen(game) {
             }
         }
         
+        // Curses / status cards: add_card is a card id, a spec or a list of either
+        if (effects.add_card) {
+            [].concat(effects.add_card).forEach(spec => {
+                const added = addCardsToState(game.state, spec, {
+                    getCard: (id) => game.dataLoader?.getCard?.(id),
+                    inCombat: false,
+                    source: 'event'
+                });
+                if (added.length > 0) game.eventBus.emit('card:added', { cards: added, pile: 'deck', source: 'event' });
+            });
+        }
+        
         // Artifact rewards
         if (effects.artifact) {
             let enrichedArtifact = { id: effects.artifact };
@@ -1020,7 +1047,15 @@ export function setupEventScreen(game) {
         
         // Lore discovery
         if (effects.lore) {
-            game.narrativeSystem?.discoverLore?.(effects.lore);
+            game.eventBus.emit('lore:discovered', {
+                lore: effects.lore,
+                source: {
+                    type: 'event',
+                    id: currentEvent?.id,
+                    name: currentEvent?.name,
+                    act: game.state.get('act') || 1
+                }
+            });
             // v2: Also set as EventManager flag for requirement checking
             const em = game.eventManager;
             if (em) em.setFlag(effects.lore);
@@ -1117,7 +1152,7 @@ export function setupEventScreen(game) {
         
         // Random effect (one of several outcomes)
         if (effects.random && Array.isArray(effects.random)) {
-            const pick = effects.random[Math.floor(Math.random() * effects.random.length)];
+            const pick = rng.stream('events').pick(effects.random);
             console.log('[EventScreen] Random effect picked:', pick);
             processEffects(pick);
         }
@@ -1177,6 +1212,7 @@ export function setupEventScreen(game) {
         if (effects.corruption > 0) parts.push(`<span class="effect-corruption">+${effects.corruption} Corruption</span>`);
         if (effects.corruption < 0) parts.push(`<span class="effect-cleanse">${effects.corruption} Corruption</span>`);
         if (effects.card) parts.push(`<span class="effect-positive">+Card</span>`);
+        if (effects.add_card) parts.push(`<span class="effect-negative">+Curse</span>`);
         if (effects.artifact) parts.push(`<span class="effect-positive">+Relic</span>`);
         if (effects.lore) parts.push(`<span class="effect-positive">📖 Knowledge gained</span>`);
         if (effects.insight) parts.push(`<span class="effect-positive">⚡ Insight for next combat</span>`);
@@ -1259,7 +1295,7 @@ export function setupEventScreen(game) {
         // If upgradeTarget is 'random', auto-pick a random card
         if (upgradeTarget === 'random' || upgradeTarget === true) {
             if (upgradeable.length > 0) {
-                const randomCard = upgradeable[Math.floor(Math.random() * upgradeable.length)];
+                const randomCard = rng.stream('rewards').pick(upgradeable);
                 performEventUpgrade(randomCard);
                 return;
             }
@@ -1384,7 +1420,7 @@ export function setupEventScreen(game) {
             if (card.draw && card.draw > 0) {
                 card.draw = card.draw + 1;
             }
-            if (card.cost > 0 && Math.random() < 0.3) {
+            if (card.cost > 0 && rng.stream('rewards').chance(0.3)) {
                 card.cost = Math.max(0, card.cost - 1);
             }
             
@@ -0,0 +1,391 @@
+/**
+ * FragmentScreen - Void fragment loadout between fights
+ * Shattered Star
+ *
+ * Opened from the map and rest sites. Shows every owned fragment, the slots
+ * and how close the next one is to unlocking, and lets the player drag (or
+ * click) fragments in and out of slots and sell them back to the Void
+ * Merchant. The preview compares the current deck's damage, block and chain
+ * multipliers with no fragments against the loadout.
+ *
+ * All changes go through game.voidSystems.fragments (VoidFragmentSystem);
+ * selling goes through game.voidMerchant (VoidMerchant.sellFragment).
+ */
+
+// Chain lengths shown in the preview
+const PREVIEW_CHAIN_LENGTHS = [2, 3, 4, 5, 6, 7];
+
+// Chain length used for the deck preview's "in a chain" column
+const PREVIEW_CHAIN = 3;
+
+// Shown under the preview: these fragment effects depend on the fight, so they aren't in the numbers
+const SITUATIONAL_NOTE = 'Effects that depend on the fight (taking damage, cost order, kills, cards played) are not included.';
+
+export function setupFragmentScreen(game) {
+    const screen = document.getElementById('fragment-screen');
+    if (!screen) {
+        console.warn('[FragmentScreen] #fragment-screen not found');
+        return;
+    }
+
+    console.log('[FragmentScreen] Setting up fragment screen');
+
+    const summaryEl = document.getElementById('fragments-summary');
+    const slotsEl = document.getElementById('fragments-slots');
+    const setsEl = document.getElementById('fragments-sets');
+    const inventoryEl = document.getElementById('fragments-inventory');
+    const previewEl = document.getElementById('fragments-preview');
+
+    // Screen to go back to, and whether the loadout changed since opening
+    let returnTo = 'map-screen';
+    let changed = false;
+    let pendingSell = null;
+
+    game.eventBus.on('screen:changed', (data) => {
+        const targetScreen = typeof data === 'string' ? data : data?.to;
+        if (targetScreen !== 'fragment-screen') return;
+        if (data?.from && data.from !== 'fragment-screen') returnTo = data.from;
+        changed = false;
+        pendingSell = null;
+        render();
+    });
+
+    document.getElementById('btn-fragments-back')?.addEventListener('click', () => {
+        game.audioManager?.playSFX?.('ui_click');
+        if (changed) game.saveManager?.saveRun();
+        game.screenManager.transitionTo(returnTo);
+    });
+
+    // ── Drag to equip ──
+
+    screen.addEventListener('dragstart', (e) => {
+        const card = e.target.closest('[data-fragment-id]');
+        if (!card) return;
+        e.dataTransfer.setData('text/plain', card.dataset.fragmentId);
+        e.dataTransfer.effectAllowed = 'move';
+        card.classList.add('dragging');
+    });
+
+    screen.addEventListener('dragend', (e) => {
+        e.target.closest?.('[data-fragment-id]')?.classList.remove('dragging');
+        screen.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    });
+
+    slotsEl.addEventListener('dragover', (e) => {
+        const slot = e.target.closest('.loadout-slot');
+        if (!slot || slot.classList.contains('locked')) return;
+        e.preventDefault();
+        slotsEl.querySelectorAll('.drop-target').forEach(el => el !== slot && el.classList.remove('drop-target'));
+        slot.classList.add('drop-target');
+    });
+
+    slotsEl.addEventListener('drop', (e) => {
+        const slot = e.target.closest('.loadout-slot');
+        if (!slot || slot.classList.contains('locked')) return;
+        e.preventDefault();
+        equipInto(e.dataTransfer.getData('text/plain'), Number(slot.dataset.slot));
+    });
+
+    inventoryEl.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        inventoryEl.classList.add('drop-target');
+    });
+
+    inventoryEl.addEventListener('dragleave', (e) => {
+        if (!inventoryEl.contains(e.relatedTarget)) inventoryEl.classList.remove('drop-target');
+    });
+
+    inventoryEl.addEventListener('drop', (e) => {
+        e.preventDefault();
+        inventoryEl.classList.remove('drop-target');
+        unequip(e.dataTransfer.getData('text/plain'));
+    });
+
+    // ── Click: equip/unequip without dragging, and selling ──
+
+    screen.addEventListener('click', (e) => {
+        const sellBtn = e.target.closest('[data-sell]');
+        if (sellBtn) {
+            e.stopPropagation();
+            sell(sellBtn.dataset.sell);
+            return;
+        }
+
+        const card = e.target.closest('[data-fragment-id]');
+        if (!card) return;
+        const fragments = game.voidSystems?.fragments;
+        if (!fragments) return;
+
+        if (fragments.getEquippedById(card.dataset.fragmentId)) {
+            unequip(card.dataset.fragmentId);
+        } else {
+            equipInto(card.dataset.fragmentId, fragments.equippedFragments.length);
+        }
+    });
+
+    // ==========================================
+    // ACTIONS
+    // ==========================================
+
+    /**
+     * Put a fragment in a slot, swapping out whatever was there
+     */
+    function equipInto(fragmentId, slotIndex) {
+        const fragments = game.voidSystems?.fragments;
+        if (!fragments || !fragmentId) return;
+
+        // Already equipped: just change slots
+        if (fragments.getEquippedById(fragmentId)) {
+            if (fragments.moveFragment(fragmentId, slotIndex)) {
+                game.audioManager?.playSFX?.('ui_click');
+                changed = true;
+            }
+            render();
+            return;
+        }
+
+        const swapped = fragments.equippedFragments[slotIndex];
+        if (swapped) fragments.unequipFragment(swapped.id);
+
+        if (fragments.equipFragment(fragmentId, slotIndex)) {
+            game.audioManager?.playSFX?.('ui_confirm');
+            changed = true;
+        } else {
+            game.audioManager?.playSFX?.('ui_error');
+            if (swapped) fragments.equipFragment(swapped.id, slotIndex);
+        }
+        render();
+    }
+
+    function unequip(fragmentId) {
+        const fragments = game.voidSystems?.fragments;
+        if (!fragments || !fragmentId) return;
+
+        if (fragments.unequipFragment(fragmentId)) {
+            game.audioManager?.playSFX?.('ui_cancel');
+            changed = true;
+        }
+        render();
+    }
+
+    /**
+     * First click asks, second click sells
+     */
+    function sell(fragmentId) {
+        if (!game.voidMerchant) return;
+
+        if (pendingSell !== fragmentId) {
+            game.audioManager?.playSFX?.('ui_click');
+            pendingSell = fragmentId;
+            render();
+            return;
+        }
+
+        pendingSell = null;
+        const result = game.voidMerchant.sellFragment(fragmentId);
+        if (result) {
+            game.audioManager?.playSFX?.('coin');
+            changed = true;
+        } else {
+            game.audioManager?.playSFX?.('ui_error');
+        }
+        render();
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    function render() {
+        const fragments = game.voidSystems?.fragments;
+        if (!fragments) {
+            summaryEl.innerHTML = '';
+            slotsEl.innerHTML = '';
+            setsEl.innerHTML = '';
+            inventoryEl.innerHTML = '<p class="fragments-empty">Void fragments are unavailable.</p>';
+            previewEl.innerHTML = '';
+            return;
+        }
+
+        const uiData = fragments.getUIData();
+        renderSummary(fragments, uiData);
+        renderSlots(fragments, uiData);
+        renderSets(uiData);
+        renderInventory(uiData);
+        renderPreview(fragments);
+    }
+
+    function renderSummary(fragments, uiData) {
+        const corruption = game.state.get('corruption') || 0;
+        const credits = game.state.get('credits') || 0;
+        const unlocked = uiData.slots.filter(s => s.unlocked).length;
+        const next = uiData.slots.find(s => !s.unlocked);
+
+        let progress = '<span class="fragments-progress-done">All slots unlocked</span>';
+        if (next) {
+            const previous = uiData.slots[next.index - 1]?.unlockThreshold ?? 0;
+            const pct = Math.max(0, Math.min(100, ((corruption - previous) / (next.unlockThreshold - previous)) * 100));
+            progress = `
+                <span>Next slot at ${next.unlockThreshold}% corruption (${Math.ceil(next.unlockThreshold - corruption)}% to go)</span>
+                <div class="fragments-progress"><div class="fragments-progress-fill" style="width: ${pct}%"></div></div>
+            `;
+        }
+
+        summaryEl.innerHTML = `
+            <div class="fragments-stat"><span>◉</span> ${corruption}% corruption</div>
+            <div class="fragments-stat"><span>◈</span> ${credits} credits</div>
+            <div class="fragments-stat"><span>◇</span> ${unlocked}/${fragments.maxSlots} slots</div>
+            <div class="fragments-stat cost"><span>+</span>${uiData.totalCorruptionCost} corruption per combat</div>
+            <div class="fragments-unlock">${progress}</div>
+        `;
+    }
+
+    function renderSlots(fragments, uiData) {
+        const setMembers = new Set(uiData.sets.flatMap(set => fragments.getSetMembers(set)));
+
+        slotsEl.innerHTML = uiData.slots.map(slot => {
+            if (!slot.unlocked) {
+                return `<div class="loadout-slot locked" data-slot="${slot.index}">
+                    <div class="loadout-slot-label">🔒 ${slot.unlockThreshold}%</div>
+                </div>`;
+            }
+            if (!slot.fragment) {
+                return `<div class="loadout-slot empty" data-slot="${slot.index}">
+                    <div class="loadout-slot-label">Drop a fragment here</div>
+                </div>`;
+            }
+            return `<div class="loadout-slot" data-slot="${slot.index}">
+                ${renderFragmentCard(slot.fragment, { inSet: setMembers.has(slot.fragment.id) })}
+            </div>`;
+        }).join('');
+    }
+
+    function renderSets(uiData) {
+        setsEl.innerHTML = uiData.sets.map(set => `
+            <div class="fragments-set">
+                <span class="fragments-set-name">◈ ${set.name}</span>
+                <span class="fragments-set-desc">${set.description}</span>
+            </div>
+        `).join('');
+    }
+
+    function renderInventory(uiData) {
+        if (uiData.collected.length === 0) {
+            inventoryEl.innerHTML = '<p class="fragments-empty">No unequipped fragments. Drag one here to take it out of its slot.</p>';
+            return;
+        }
+        inventoryEl.innerHTML = uiData.collected.map(f => renderFragmentCard(f)).join('');
+    }
+
+    function renderFragmentCard(fragment, { inSet = false } = {}) {
+        const icon = game.voidSystems.getFragmentIcon?.(fragment) || '◆';
+        const price = game.voidMerchant?.getFragmentSellPrice(fragment);
+        const sellLabel = pendingSell === fragment.id ? `SELL? +${price}◈` : `Sell ${price}◈`;
+
+        return `<div class="loadout-fragment rarity-${fragment.rarity || 'common'} ${inSet ? 'in-set' : ''}"
+                     draggable="true" data-fragment-id="${fragment.id}">
+            <div class="loadout-fragment-head">
+                <span class="loadout-fragment-icon">${icon}</span>
+                <span class="loadout-fragment-name">${fragment.name}</span>
+                <span class="loadout-fragment-cost">+${fragment.corruptionPerCombat || 0}/combat</span>
+            </div>
+            <div class="loadout-fragment-desc">${fragment.description}</div>
+            <div class="loadout-fragment-foot">
+                <span class="loadout-fragment-type">${fragment.rarity} · ${fragment.type}</span>
+                ${price !== undefined ? `<button class="loadout-sell ${pendingSell === fragment.id ? 'confirm' : ''}" data-sell="${fragment.id}">${sellLabel}</button>` : ''}
+            </div>
+        </div>`;
+    }
+
+    /**
+     * The deck's numbers with no fragments against the current loadout
+     */
+    function renderPreview(fragments) {
+        const loadout = fragments.equippedFragments;
+        const chains = game.voidSystems.chains;
+        const chainAt = (length, fragmentList) => chains ? chains.getMultiplierForLength(length, fragmentList) : 1;
+
+        const chainRows = PREVIEW_CHAIN_LENGTHS.map(length => {
+            const before = chainAt(length, []);
+            const after = chainAt(length, loadout);
+            return `<tr>
+                <td>${length} cards</td>
+                <td>×${before.toFixed(2)}</td>
+                <td class="${after !== before ? 'changed' : ''}">×${after.toFixed(2)}</td>
+            </tr>`;
+        }).join('');
+
+        const cards = uniqueCards(game.state.get('deck') || []);
+        const cardRows = cards.map(card => {
+            const base = getCardNumbers(card, [], fragments, 1);
+            const withLoadout = getCardNumbers(card, loadout, fragments, 1);
+            const chained = getCardNumbers(card, loadout, fragments, chainAt(PREVIEW_CHAIN, loadout));
+            if (!base.damage && !base.block) return '';
+
+            const cell = (key) => base[key] || withLoadout[key]
+                ? `${base[key]} → <span class="${withLoadout[key] !== base[key] ? 'changed' : ''}">${withLoadout[key]}</span>`
+                : '—';
+            return `<tr>
+                <td>${card.name}${card.count > 1 ? ` ×${card.count}` : ''}</td>
+                <td>${cell('damage')}</td>
+                <td>${cell('block')}</td>
+                <td>${chained.damage || chained.block || '—'}</td>
+            </tr>`;
+        }).join('');
+
+        previewEl.innerHTML = `
+            <h4>CHAIN MULTIPLIER</h4>
+            <table class="fragments-table">
+                <thead><tr><th>Chain</th><th>No fragments</th><th>Loadout</th></tr></thead>
+                <tbody>${chainRows}</tbody>
+            </table>
+            <h4>YOUR DECK</h4>
+            <table class="fragments-table">
+                <thead><tr><th>Card</th><th>Damage</th><th>Block</th><th>In a ${PREVIEW_CHAIN}-chain</th></tr></thead>
+                <tbody>${cardRows || '<tr><td colspan="4">No damage or block cards.</td></tr>'}</tbody>
+            </table>
+            <p class="fragments-note">${SITUATIONAL_NOTE}</p>
+        `;
+    }
+
+    console.log('[FragmentScreen] Setup complete');
+}
+
+/**
+ * One entry per distinct card (id + upgraded), with how many copies the deck has
+ */
+function uniqueCards(deck) {
+    const byKey = new Map();
+    deck.forEach(card => {
+        const key = `${card.id}:${card.upgraded ? 1 : 0}`;
+        if (byKey.has(key)) {
+            byKey.get(key).count++;
+        } else {
+            byKey.set(key, { ...card, count: 1 });
+        }
+    });
+    return [...byKey.values()];
+}
+
+/**
+ * Total damage and block a card deals under a loadout, following CombatScreen:
+ * flat bonus, then fragment multiplier, then chain multiplier, per hit
+ */
+function getCardNumbers(card, loadout, fragments, chainMultiplier) {
+    const effects = Array.isArray(card.effects) ? card.effects : [];
+    const damageEffects = effects.filter(e => e.type === 'damage' && typeof e.value === 'number');
+    const blockEffects = effects.filter(e => (e.type === 'block' || e.type === 'block_gain') && typeof e.value === 'number');
+    if (damageEffects.length === 0 && card.damage) damageEffects.push({ value: card.damage });
+    if (blockEffects.length === 0 && card.block) blockEffects.push({ value: card.block });
+
+    const mods = fragments.getCardModifiers(card, loadout);
+
+    const damage = damageEffects.reduce((sum, e) => {
+        const perHit = Math.floor((e.value + mods.flatDamage) * mods.damageMultiplier);
+        const hits = typeof e.hits === 'number' ? Math.max(1, e.hits) : 1;
+        return sum + Math.floor(perHit * chainMultiplier) * hits;
+    }, 0);
+    const block = blockEffects.reduce((sum, e) => sum + Math.floor((e.value + mods.flatBlock) * chainMultiplier), 0);
+
+    return { damage, block };
+}
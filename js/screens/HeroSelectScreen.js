@@ -4,9 +4,12 @@
  * 
  * FIXED: Ensures hero cards are visible with inline styles
  * FIXED: Background properly applied
+ * Heroes sold as meta unlocks stay locked until bought (game.meta)
+ * Ascension picker: any level up to the hero's highest unlocked (game.ascension)
  */
 
 let selectedHeroId = null;
+let selectedAscension = 0;
 
 // MVP Fallback heroes if DataLoader fails
 const MVP_HEROES = [
@@ -45,15 +48,15 @@ const MVP_HEROES = [
         name: 'Auren Solari',
         title: 'The Fallen Light',
         description: 'A former holy knight seeking redemption in the Radiant Highlands. His faith shattered years ago.',
-        hp: 85,
+        hp: 75,
         energy: 3,
         locked: true,
         archetypes: [
             { name: 'Radiant', description: 'Holy DoT that builds and burns' },
-            { name: 'Aegis', description: 'Defense and counters' },
-            { name: 'Judgment', description: 'Punish debuffed enemies' }
+            { name: 'Aegis', description: 'Block that carries between turns' },
+            { name: 'Judgment', description: 'Bank Judgment, spend it on verdicts' }
         ],
-        startingDeck: []
+        startingDeck: ['radiant_strike', 'radiant_strike', 'radiant_strike', 'solemn_defense', 'solemn_defense', 'solemn_defense', 'dawn_brand', 'aegis_of_faith']
     },
     {
         id: 'shade',
@@ -81,6 +84,32 @@ export function setupHeroSelect(game) {
     
     const btnBack = document.getElementById('btn-back-title');
     const btnStartRun = document.getElementById('btn-start-run');
+    const seedToggle = document.getElementById('seeded-run-toggle');
+    const seedInput = document.getElementById('seed-input');
+    const btnAscensionDown = document.getElementById('btn-ascension-down');
+    const btnAscensionUp = document.getElementById('btn-ascension-up');
+
+    // -----------------------------
+    // Seeded run: enable the seed field only when opted in
+    // -----------------------------
+    if (seedToggle && seedInput) {
+        seedToggle.addEventListener('change', () => {
+            seedInput.disabled = !seedToggle.checked;
+            if (seedToggle.checked) seedInput.focus();
+        });
+    }
+
+    // -----------------------------
+    // Ascension: step within 0..the hero's unlocked level
+    // -----------------------------
+    btnAscensionDown?.addEventListener('click', () => {
+        game.audioManager.playSFX('ui_click');
+        setAscension(game, selectedAscension - 1);
+    });
+    btnAscensionUp?.addEventListener('click', () => {
+        game.audioManager.playSFX('ui_click');
+        setAscension(game, selectedAscension + 1);
+    });
 
     // -----------------------------
     // Back to start screen
@@ -107,9 +136,10 @@ export function setupHeroSelect(game) {
                 return;
             }
 
-            console.log(`[HeroSelect] Starting run with hero: ${heroId}`);
+            const seed = getEnteredSeed();
+            console.log(`[HeroSelect] Starting run with hero: ${heroId}${seed ? ` (seed: ${seed})` : ''}${selectedAscension ? ` at ascension ${selectedAscension}` : ''}`);
             game.audioManager.playSFX('ui_confirm');
-            game.startNewRun(heroId);
+            game.startNewRun(heroId, seed, selectedAscension);
         });
     }
 
@@ -442,6 +472,11 @@ function normalizeHero(hero) {
         isLocked = hero.unlocked === false;
     }
     
+    // Meta progression has the final say
+    if (gameRef?.meta) {
+        isLocked = !gameRef.meta.isHeroUnlocked(hero.id, isLocked);
+    }
+    
     // Normalize archetypes - convert strings to objects if needed
     let archetypes = hero.archetypes || [];
     if (archetypes.length > 0 && typeof archetypes[0] === 'string') {
@@ -494,7 +529,7 @@ function getHeroes(game) {
     
     if (heroes.length === 0) {
         console.log('[HeroSelect] Using fallback MVP heroes');
-        heroes = MVP_HEROES;
+        heroes = MVP_HEROES.map(normalizeHero);
     }
     
     return heroes;
@@ -594,7 +629,7 @@ function renderHeroCards(game) {
             ${hero.locked ? `
                 <div class="locked-overlay" style="margin-left: auto; display: flex; flex-direction: column; align-items: center; gap: 4px; text-align: center;">
                     <span class="lock-icon" style="font-size: 1.5rem;">🔒</span>
-                    <span class="lock-text" style="max-width: 100px; font-size: 0.75rem; color: #606080;">Locked</span>
+                    <span class="lock-text" style="max-width: 100px; font-size: 0.75rem; color: #606080;">${getLockText(game, hero.id)}</span>
                 </div>
             ` : ''}
         </div>
@@ -638,6 +673,15 @@ function renderHeroCards(game) {
     console.log('[HeroSelect] Hero cards rendered successfully');
 }
 
+/**
+ * What a locked hero card says: the meta unlock's condition, if it has one
+ */
+function getLockText(game, heroId) {
+    const unlock = game.meta?.getUnlockFor('heroes', heroId);
+    if (!unlock) return 'Locked';
+    return unlock.conditionMet ? `${unlock.cost} Echoes` : unlock.conditionText;
+}
+
 /**
  * Get hero color for silhouette
  */
@@ -698,6 +742,41 @@ function selectHero(game, heroId) {
     }
 
     displayHeroDetails(game, heroId);
+
+    // Each hero remembers its own highest level; start there
+    setAscension(game, game.ascension?.getUnlockedLevel(heroId) || 0);
+}
+
+/**
+ * Pick an ascension level for the selected hero and redraw the picker
+ * @param {Object} game
+ * @param {number} level - Clamped to 0..the hero's unlocked level
+ */
+function setAscension(game, level) {
+    const picker = document.getElementById('ascension-picker');
+    const heroId = selectedHeroId || game.selectedHeroId;
+    if (!picker || !game.ascension || !heroId) return;
+
+    const unlocked = game.ascension.getUnlockedLevel(heroId);
+    selectedAscension = Math.max(0, Math.min(level, unlocked));
+
+    picker.hidden = false;
+    setText('ascension-level', String(selectedAscension));
+    document.getElementById('btn-ascension-down').disabled = selectedAscension <= 0;
+    document.getElementById('btn-ascension-up').disabled = selectedAscension >= unlocked;
+
+    const current = game.ascension.getLevel(selectedAscension);
+    let desc;
+    if (current) {
+        desc = `${current.name}: ${current.description}`;
+        if (selectedAscension === 2) desc += ' Plus level 1.';
+        if (selectedAscension > 2) desc += ` Plus levels 1–${selectedAscension - 1}.`;
+    } else if (unlocked === 0 && game.ascension.getMaxLevel() > 0) {
+        desc = 'Win a run to unlock Ascension 1.';
+    } else {
+        desc = 'No modifiers.';
+    }
+    setText('ascension-desc', desc);
 }
 
 /**
@@ -791,6 +870,10 @@ function clearHeroDetails() {
     const stats = document.getElementById('hero-stats');
     if (stats) stats.innerHTML = '';
 
+    const picker = document.getElementById('ascension-picker');
+    if (picker) picker.hidden = true;
+    selectedAscension = 0;
+
     const archetypes = document.getElementById('hero-archetypes');
     if (archetypes) archetypes.innerHTML = '';
 
@@ -801,6 +884,18 @@ function clearHeroDetails() {
     }
 }
 
+/**
+ * Read the seed field if "Seeded Run" is checked
+ * @returns {string|null} Raw seed text, or null for a fresh random run
+ */
+function getEnteredSeed() {
+    const seedToggle = document.getElementById('seeded-run-toggle');
+    const seedInput = document.getElementById('seed-input');
+    if (!seedToggle?.checked || !seedInput) return null;
+    const value = seedInput.value.trim();
+    return value.length > 0 ? value : null;
+}
+
 /**
  * Utility
  */
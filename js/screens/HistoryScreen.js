@@ -0,0 +1,250 @@
+/**
+ * HistoryScreen - Past runs, win rates and favourite picks
+ * Shattered Star
+ *
+ * Reads everything from game.runHistory (RunHistory). The hero and result
+ * filters narrow both the run list and the most-picked cards; clicking a
+ * run opens its final deck, relics, fragments and choices.
+ */
+
+import { escapeHtml } from '../ui/HtmlEscape.js';
+
+const CHOICE_LABELS = {
+    card: 'Took',
+    skip: 'Skipped a card reward',
+    purchase: 'Bought',
+    remove: 'Removed',
+    relic: 'Gained',
+    fragment: 'Picked fragment',
+    sell: 'Sold fragment',
+    rest: 'Rested',
+    event: 'Event'
+};
+
+export function setupHistoryScreen(game) {
+    const screen = document.getElementById('history-screen');
+    if (!screen) {
+        console.warn('[HistoryScreen] #history-screen not found');
+        return;
+    }
+
+    console.log('[HistoryScreen] Setting up history screen');
+
+    const heroFilter = document.getElementById('history-filter-hero');
+    const resultFilter = document.getElementById('history-filter-result');
+    const sortSelect = document.getElementById('history-sort');
+    const heroesEl = document.getElementById('history-heroes');
+    const picksEl = document.getElementById('history-picks');
+    const listEl = document.getElementById('history-list');
+    const detailEl = document.getElementById('history-detail');
+
+    game.eventBus.on('screen:show', (screenId) => {
+        if (screenId === 'history-screen') render();
+    });
+
+    game.eventBus.on('screen:changed', (data) => {
+        const targetScreen = typeof data === 'string' ? data : data?.to;
+        if (targetScreen === 'history-screen') render();
+    });
+
+    document.getElementById('btn-history-back')?.addEventListener('click', () => {
+        game.audioManager?.playSFX?.('ui_click');
+        closeDetail();
+        game.screenManager.transitionTo('start-screen');
+    });
+
+    [heroFilter, resultFilter, sortSelect].forEach(el => {
+        el?.addEventListener('change', () => renderRuns());
+    });
+
+    listEl.addEventListener('click', (e) => {
+        const entry = e.target.closest('[data-run-id]');
+        if (!entry) return;
+        game.audioManager?.playSFX?.('ui_click');
+        openDetail(entry.dataset.runId);
+    });
+
+    detailEl.addEventListener('click', (e) => {
+        if (e.target === detailEl || e.target.closest('.history-detail-close')) closeDetail();
+    });
+
+    function render() {
+        closeDetail();
+        if (!game.runHistory) {
+            listEl.innerHTML = '<p class="history-empty">Run history is unavailable.</p>';
+            heroesEl.innerHTML = '';
+            picksEl.innerHTML = '';
+            return;
+        }
+
+        const summaries = game.runHistory.getHeroSummaries();
+        const selected = heroFilter.value;
+        heroFilter.innerHTML = [
+            '<option value="">All heroes</option>',
+            ...summaries.map(s => `<option value="${s.heroId}">${s.heroName}</option>`)
+        ].join('');
+        if (summaries.some(s => s.heroId === selected)) heroFilter.value = selected;
+
+        heroesEl.innerHTML = summaries.length > 0
+            ? summaries.map(renderHeroSummary).join('')
+            : '<p class="history-empty">No runs yet.</p>';
+
+        renderRuns();
+    }
+
+    function renderRuns() {
+        if (!game.runHistory) return;
+
+        const records = game.runHistory.getRecords({
+            heroId: heroFilter.value || null,
+            result: resultFilter.value || null,
+            sort: sortSelect.value
+        });
+
+        const picks = game.runHistory.getMostPickedCards(records, 8);
+        picksEl.innerHTML = picks.length > 0
+            ? picks.map(p => `
+                <div class="history-pick">
+                    <span>${p.name}</span>
+                    <span class="history-pick-count">×${p.count}</span>
+                </div>
+            `).join('')
+            : '<p class="history-empty">No cards picked.</p>';
+
+        listEl.innerHTML = records.length > 0
+            ? records.map(renderRun).join('')
+            : '<p class="history-empty">No runs match.</p>';
+    }
+
+    function renderHeroSummary(summary) {
+        const pct = Math.round(summary.winRate * 100);
+        return `
+            <div class="history-hero">
+                <div class="history-hero-name">${summary.heroName}</div>
+                <div class="history-hero-rate">
+                    <span class="history-rate-bar"><span style="width: ${pct}%"></span></span>
+                    ${summary.wins}/${summary.runs} (${pct}%)
+                </div>
+                <div class="history-hero-best">
+                    Best floor ${summary.bestFloor}${summary.bestAscension ? ` · A${summary.bestAscension} cleared` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function renderRun(record) {
+        return `
+            <div class="history-run ${record.victory ? 'won' : 'lost'}" data-run-id="${record.id}">
+                <div class="history-run-result">${record.victory ? 'VICTORY' : 'DEFEAT'}</div>
+                <div class="history-run-info">
+                    <div class="history-run-title">
+                        ${record.heroName}${record.ascension ? ` <span class="history-run-ascension">A${record.ascension}</span>` : ''}
+                    </div>
+                    <div class="history-run-meta">
+                        Act ${record.act} · Floor ${record.floor}${record.killer ? ` · ${record.killer}` : ''}
+                    </div>
+                </div>
+                <div class="history-run-stats">
+                    <div>${record.deck?.length || 0} cards · ${record.relics?.length || 0} relics</div>
+                    <div>Peak corruption ${record.peakCorruption || 0}</div>
+                </div>
+                <div class="history-run-when">
+                    <div>${record.endedAt ? new Date(record.endedAt).toLocaleDateString() : ''}</div>
+                    <div>${formatDuration(record.duration)}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    function openDetail(runId) {
+        const record = game.runHistory?.getRecord(runId);
+        if (!record) return;
+
+        // Group copies so the deck reads like a decklist
+        const deck = new Map();
+        (record.deck || []).forEach(card => {
+            const key = `${card.id}${card.upgraded ? '+' : ''}`;
+            const entry = deck.get(key) || { ...card, count: 0 };
+            entry.count++;
+            deck.set(key, entry);
+        });
+
+        detailEl.innerHTML = `
+            <div class="history-detail-panel">
+                <div class="history-detail-header">
+                    <h3>${record.heroName} · ${record.victory ? 'Victory' : `Fell on floor ${record.floor}`}</h3>
+                    <button class="back-btn history-detail-close">✕</button>
+                </div>
+                <div class="history-detail-meta">
+                    ${record.seed ? `Seed ${escapeHtml(record.seed)} · ` : ''}${formatDuration(record.duration)}
+                    · ${record.echoes || 0} echoes
+                    ${record.killer ? ` · Killed by ${record.killer}` : ''}
+                </div>
+                <div class="history-detail-columns">
+                    <div class="history-detail-section">
+                        <h4>FINAL DECK (${record.deck?.length || 0})</h4>
+                        ${[...deck.values()]
+                            .sort((a, b) => (a.type || '').localeCompare(b.type || '') || a.name.localeCompare(b.name))
+                            .map(card => `
+                                <div class="history-deck-card ${card.rarity || ''}">
+                                    <span>${card.name}${card.upgraded ? '+' : ''}</span>
+                                    ${card.count > 1 ? `<span class="history-pick-count">×${card.count}</span>` : ''}
+                                </div>
+                            `).join('')}
+                    </div>
+                    <div class="history-detail-section">
+                        <h4>RELICS</h4>
+                        ${renderNames(record.relics)}
+                        <h4>FRAGMENTS</h4>
+                        ${renderNames((record.fragments || []).map(f => ({ ...f, name: f.equipped ? `${f.name} (equipped)` : f.name })))}
+                    </div>
+                    <div class="history-detail-section history-choices">
+                        <h4>CHOICES</h4>
+                        ${(record.choices || []).length > 0
+                            ? record.choices.map(c => `
+                                <div class="history-choice">
+                                    <span class="history-choice-floor">${c.act}-${c.floor}</span>
+                                    ${describeChoice(c)}
+                                </div>
+                            `).join('')
+                            : '<p class="history-empty">None recorded.</p>'}
+                    </div>
+                </div>
+            </div>
+        `;
+        detailEl.classList.remove('hidden');
+    }
+
+    function closeDetail() {
+        detailEl.classList.add('hidden');
+        detailEl.innerHTML = '';
+    }
+
+    function renderNames(items = []) {
+        return items.length > 0
+            ? items.map(i => `<div class="history-deck-card">${i.name}</div>`).join('')
+            : '<p class="history-empty">None.</p>';
+    }
+
+    function describeChoice(choice) {
+        const label = CHOICE_LABELS[choice.type] || choice.type;
+        switch (choice.type) {
+            case 'skip':
+                return label;
+            case 'rest':
+                return `${label}: ${choice.action}${choice.name ? ` ${choice.name}` : ''}`;
+            case 'event':
+                return `${choice.name}: ${choice.text || ''}`;
+            case 'sell':
+                return `${label} ${choice.name} (+${choice.credits})`;
+            default:
+                return `${label} ${choice.name}`;
+        }
+    }
+
+    function formatDuration(ms) {
+        if (!ms) return '—';
+        const minutes = Math.round(ms / 60000);
+        return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+    }
+}
@@ -1,14 +1,17 @@
 /**
  * MapScreen - Node map screen handler
  * FIXED VERSION: Robust screen transitions, proper state sync
- * @version 0.2.3
+ * @version 0.3.1
  */
 
+import { isJunkCard } from '../systems/CardInjector.js';
+
 export function setupMapScreen(game) {
     console.log('[MapScreen] Setting up map screen...');
     
     const btnDeck = document.getElementById('btn-deck');
     const btnArtifacts = document.getElementById('btn-artifacts');
+    const btnFragments = document.getElementById('btn-fragments');
     const btnMapMenu = document.getElementById('btn-map-menu');
     const btnCloseDeck = document.getElementById('btn-close-deck');
     
@@ -40,6 +43,14 @@ export function setupMapScreen(game) {
         });
     }
     
+    // Fragment loadout button
+    if (btnFragments) {
+        btnFragments.addEventListener('click', () => {
+            try { game.audioManager.playSFX('ui_click'); } catch(e) {}
+            game.screenManager.transitionTo('fragment-screen');
+        });
+    }
+    
     // Menu button
     if (btnMapMenu) {
         btnMapMenu.addEventListener('click', () => {
@@ -165,6 +176,8 @@ function updateMapHeader(game) {
     const creditsEl = document.getElementById('map-credits');
     const corruptionEl = document.getElementById('map-corruption');
     const actTitle = document.getElementById('act-title');
+    const seedEl = document.getElementById('map-seed');
+    const ascensionEl = document.getElementById('map-ascension');
     
     if (hpEl) {
         const hp = game.state.get('hero.hp') || 80;
@@ -184,12 +197,21 @@ function updateMapHeader(game) {
     
     if (actTitle) {
         const act = game.state.get('act') || 1;
-        const actNames = {
-            1: 'ACT I: ASHES OF IRONSPINE',
-            2: 'ACT II: THE FRACTURED CORE',
-            3: 'ACT III: BEYOND THE VEIL'
-        };
-        actTitle.textContent = actNames[act] || `ACT ${act}`;
+        const numerals = { 1: 'I', 2: 'II', 3: 'III' };
+        const actName = game.dataLoader?.getActConfig?.(act)?.name;
+        actTitle.textContent = actName
+            ? `ACT ${numerals[act] || act}: ${actName.toUpperCase()}`
+            : `ACT ${act}`;
+    }
+    
+    if (seedEl) {
+        const seed = game.state.get('seed');
+        seedEl.textContent = seed ? `SEED ${seed}` : '';
+    }
+    
+    if (ascensionEl) {
+        const level = game.state.get('ascension.level') || 0;
+        ascensionEl.textContent = level > 0 ? `ASCENSION ${level}` : '';
     }
 }
 
@@ -385,8 +407,8 @@ function handleNodeClick(game, node) {
             startCombat(game, 'elite');
             break;
         case 'boss':
-            console.log('[MapScreen] → Dispatching to startCombat(boss)');
-            startCombat(game, 'boss');
+            console.log('[MapScreen] → Dispatching to startBossEncounter');
+            startBossEncounter(game);
             break;
         case 'event':
             console.log('[MapScreen] → Dispatching to startEvent');
@@ -495,6 +517,33 @@ function forceScreenTransition(game, targetScreenId) {
     }, 100);  // Reduced delay for faster transition
 }
 
+/**
+ * Boss node: show the act's pre-boss event first, if there is one
+ * BossEventScreen emits boss:start_combat when the player proceeds.
+ */
+function startBossEncounter(game) {
+    const act = game.state.get('act') || 1;
+    const bossId = game.dataLoader?.getActConfig?.(act)?.boss;
+    
+    let preEvent = null;
+    try {
+        preEvent = game.narrativeBookends?.getPreBossEvent(act)
+            || game.bossNarrative?.getPreBossEvent(act, bossId);
+    } catch (e) {
+        console.warn('[MapScreen] Pre-boss event lookup failed:', e);
+    }
+    
+    if (!preEvent) {
+        startCombat(game, 'boss');
+        return;
+    }
+    
+    console.log(`[MapScreen] Showing pre-boss event: ${preEvent.name}`);
+    game.eventBus.once('boss:start_combat', () => startCombat(game, 'boss'));
+    game.eventBus.emit('boss:pre_event', preEvent);
+    forceScreenTransition(game, 'event-screen');
+}
+
 /**
  * Start combat encounter - CRITICAL FUNCTION
  * FIXED: Better logging, pendingCombat storage, error handling
@@ -507,7 +556,9 @@ function startCombat(game, difficulty) {
     console.log(`[MapScreen] Current screen: ${game.screenManager?.currentScreen}`);
     
     const act = game.state.get('act') || 1;
-    console.log(`[MapScreen] Current Act: ${act}`);
+    // Map layer of the fight; enemies scale with it (see EncounterTable)
+    const depth = game.mapGenerator?.getNode?.(game.state.get('map.currentNode'))?.layer || 0;
+    console.log(`[MapScreen] Current Act: ${act}, depth: ${depth}`);
     
     let enemies = null;
     
@@ -522,12 +573,12 @@ function startCombat(game, difficulty) {
                 enemies = boss ? [boss] : null;
                 console.log(`[MapScreen] Got boss:`, boss?.name || 'none');
             } else if (difficulty === 'elite') {
-                enemies = game.dataLoader.getEliteEncounter?.(act) || 
-                          game.dataLoader.getEnemiesForAct?.(act, 'elite');
+                enemies = game.dataLoader.getEliteEncounter?.(act, depth) || 
+                          game.dataLoader.getEnemiesForAct?.(act, 'elite', depth);
                 console.log(`[MapScreen] Got elite encounter:`, enemies?.length || 0, 'enemies');
             } else {
-                enemies = game.dataLoader.getRandomEncounter?.(act) || 
-                          game.dataLoader.getEnemiesForAct?.(act, 'normal');
+                enemies = game.dataLoader.getRandomEncounter?.(act, 'normal', depth) || 
+                          game.dataLoader.getEnemiesForAct?.(act, 'normal', depth);
                 console.log(`[MapScreen] Got normal encounter:`, enemies?.length || 0, 'enemies');
             }
         } else {
@@ -760,12 +811,18 @@ function showDeckModal(game) {
     const deck = game.state.get('deck') || [];
     const cardsContainer = modal.querySelector('.deck-cards');
     
-    cardsContainer.innerHTML = deck.map(card => `
+    const renderCard = (card) => `
         <div class="deck-card type-${card.type || 'skill'}">
-            <span class="card-cost">${card.cost || 0}</span>
+            <span class="card-cost">${card.cost < 0 ? '–' : card.cost || 0}</span>
             <span class="card-name">${card.name || 'Unknown'}</span>
         </div>
-    `).join('') || '<p>No cards in deck</p>';
+    `;
+    const junk = deck.filter(isJunkCard);
+    
+    cardsContainer.innerHTML = (deck.filter(card => !isJunkCard(card)).map(renderCard).join('') +
+        (junk.length > 0
+            ? `<div class="deck-section-label">☠️ Curses & Status (${junk.length})</div>${junk.map(renderCard).join('')}`
+            : '')) || '<p>No cards in deck</p>';
     
     modal.classList.add('active');
 }
@@ -0,0 +1,128 @@
+/**
+ * MetaScreen - Spend echoes on heroes, card pools and relics
+ * Shattered Star
+ *
+ * Reads and buys everything through game.meta (MetaProgression). Entries
+ * whose condition isn't met show the condition and progress; met ones can
+ * be bought once the profile has the echoes.
+ */
+
+const SECTIONS = [
+    { category: 'heroes', label: 'HEROES', icon: '👤' },
+    { category: 'cardPools', label: 'CARD POOLS', icon: '🂠' },
+    { category: 'relics', label: 'RELICS', icon: '💎' }
+];
+
+export function setupMetaScreen(game) {
+    const screen = document.getElementById('meta-screen');
+    if (!screen) {
+        console.warn('[MetaScreen] #meta-screen not found');
+        return;
+    }
+
+    console.log('[MetaScreen] Setting up meta progression screen');
+
+    const sectionsEl = document.getElementById('meta-sections');
+    const balanceEl = document.getElementById('meta-balance');
+
+    game.eventBus.on('screen:show', (screenId) => {
+        if (screenId === 'meta-screen') open();
+    });
+
+    game.eventBus.on('screen:changed', (data) => {
+        const targetScreen = typeof data === 'string' ? data : data?.to;
+        if (targetScreen === 'meta-screen') open();
+    });
+
+    document.getElementById('btn-meta-back')?.addEventListener('click', () => {
+        game.audioManager?.playSFX?.('ui_click');
+        game.screenManager.transitionTo('start-screen');
+    });
+
+    sectionsEl?.addEventListener('click', (e) => {
+        const button = e.target.closest('.meta-buy-btn');
+        if (!button || button.disabled) return;
+
+        if (game.meta?.purchase(button.dataset.id)) {
+            game.audioManager?.playSFX?.('ui_confirm');
+        } else {
+            game.audioManager?.playSFX?.('ui_error');
+        }
+        render();
+    });
+
+    async function open() {
+        render();
+        // Card pool entries name their cards; preload only covers some heroes
+        try {
+            await game.dataLoader?.loadCategory?.('cards');
+        } catch (e) {
+            console.warn('[MetaScreen] Could not load cards:', e);
+        }
+        render();
+    }
+
+    function render() {
+        if (!game.meta) {
+            sectionsEl.innerHTML = '<p class="meta-empty">Meta progression is unavailable.</p>';
+            balanceEl.textContent = '';
+            return;
+        }
+
+        balanceEl.textContent = `◈ ${game.meta.getEchoes()} ECHOES`;
+
+        sectionsEl.innerHTML = SECTIONS.map(({ category, label, icon }) => {
+            const entries = game.meta.getCatalog(category);
+            const owned = entries.filter(u => u.unlocked).length;
+            return `
+                <section class="meta-section">
+                    <h3 class="meta-section-title">${icon} ${label}
+                        <span class="meta-section-count">${owned}/${entries.length}</span>
+                    </h3>
+                    <div class="meta-entries">
+                        ${entries.length ? entries.map(renderEntry).join('') : '<p class="meta-empty">Nothing to unlock yet.</p>'}
+                    </div>
+                </section>
+            `;
+        }).join('');
+    }
+
+    function renderEntry(unlock) {
+        const state = unlock.unlocked ? 'unlocked' : unlock.conditionMet ? 'available' : 'locked';
+        return `
+            <div class="meta-entry ${state}">
+                <div class="meta-entry-info">
+                    <div class="meta-entry-name">${unlock.name}</div>
+                    <div class="meta-entry-desc">${unlock.description || ''}</div>
+                    ${describeCards(unlock)}
+                    <div class="meta-entry-condition">
+                        ${unlock.conditionMet ? '✓' : '🔒'} ${unlock.conditionText}
+                        ${!unlock.conditionMet && unlock.progress.target > 1 ? `<span class="meta-progress">(${unlock.progress.current}/${unlock.progress.target})</span>` : ''}
+                    </div>
+                </div>
+                ${renderAction(unlock, state)}
+            </div>
+        `;
+    }
+
+    function renderAction(unlock, state) {
+        if (state === 'unlocked') {
+            return '<span class="meta-entry-owned">UNLOCKED</span>';
+        }
+        const canBuy = state === 'available' && unlock.affordable;
+        return `
+            <button class="meta-buy-btn" data-id="${unlock.id}" ${canBuy ? '' : 'disabled'}>
+                ◈ ${unlock.cost}
+            </button>
+        `;
+    }
+
+    /**
+     * Card pools list the cards they add
+     */
+    function describeCards(unlock) {
+        if (!unlock.cards?.length) return '';
+        const names = unlock.cards.map(id => game.dataLoader?.getCard?.(id)?.name || id);
+        return `<div class="meta-entry-cards">${names.join(' · ')}</div>`;
+    }
+}
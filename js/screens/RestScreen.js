@@ -4,7 +4,8 @@
  * FIXED: Correct button IDs matching HTML
  * FIXED: Added upgrade preview showing before/after stats
  * ADDED: "Commune with the Void" option to discover fragments
- * @version 0.3.0
+ * ADDED: Fragment loadout can be managed without using the rest
+ * @version 0.3.1
  */
 
 import { showFragmentReward } from '../ui/FragmentRewardOverlay.js';
@@ -15,6 +16,12 @@ export function setupRestScreen(game) {
     
     console.log('[RestScreen] Setting up rest screen v0.2.2');
     
+    // Managing fragments doesn't use up the rest; the loadout screen returns here
+    document.getElementById('btn-rest-fragments')?.addEventListener('click', () => {
+        game.audioManager?.playSFX?.('ui_click');
+        game.screenManager.transitionTo('fragment-screen');
+    });
+    
     // FIXED: Listen for screen:show event to initialize
     game.eventBus.on('screen:show', (screenId) => {
         if (screenId === 'rest-screen') {
@@ -146,6 +153,7 @@ export function setupRestScreen(game) {
                 game.state.set('hero.hp', newHp);
                 game.eventBus.emit('heal', newHp - hp);
                 game.eventBus.emit('hp:changed', { current: newHp, max: maxHp });
+                game.eventBus.emit('rest:choice', { action: 'heal', amount: newHp - hp });
                 
                 completeRest();
             });
@@ -183,6 +191,7 @@ export function setupRestScreen(game) {
                     delta: communeCorruptionCost
                 });
                 game.eventBus.emit('corruption:gained', communeCorruptionCost);
+                game.eventBus.emit('rest:choice', { action: 'commune' });
                 
                 // Show fragment reward overlay — complete rest when done
                 showFragmentReward(game, {
@@ -496,6 +505,7 @@ export function setupRestScreen(game) {
             
             game.state.set('deck', deck);
             game.eventBus.emit('card:upgraded', card);
+            game.eventBus.emit('rest:choice', { action: 'upgrade', card });
             
             // Show upgrade confirmation
             showUpgradeConfirmation(card);
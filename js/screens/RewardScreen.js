@@ -3,6 +3,8 @@
  * FIXED: Now properly initializes when screen becomes visible
  */
 
+import rng from '../core/RNG.js';
+
 export function setupRewardScreen(game) {
     const screen = document.getElementById('reward-screen');
     
@@ -51,16 +53,19 @@ export function setupRewardScreen(game) {
         const act = game.state.get('act') || 1;
         
         // Basic combat rewards
-        const credits = Math.floor(Math.random() * 20) + 10 + (act * 5);
+        const credits = rng.stream('rewards').int(10, 29) + (act * 5);
         
         // Card selection
         let cardChoices = [];
         try {
             const heroId = game.state.get('hero.id') || 'korvax';
-            const allCards = game.dataLoader?.getCardsForHero?.(heroId) || [];
-            const eligibleCards = allCards.filter(c => c.rarity !== 'starter');
-            cardChoices = eligibleCards
-                .sort(() => Math.random() - 0.5)
+            // Reward pool leaves out starters and locked card pools
+            let eligibleCards = game.dataLoader?.getCardRewardPool?.(heroId) || [];
+            if (eligibleCards.length === 0) {
+                eligibleCards = (game.dataLoader?.getCardsForHero?.(heroId) || []).filter(c => c.rarity !== 'starter');
+            }
+            cardChoices = rng.stream('rewards')
+                .shuffle(eligibleCards)
                 .slice(0, 3);
         } catch (e) {
             console.warn('[RewardScreen] Failed to get cards:', e);
@@ -207,6 +212,7 @@ export function setupRewardScreen(game) {
                     rewards.claimed = rewards.claimed || {};
                     rewards.claimed.card = true;
                     game.state.set('rewards.pending', rewards);
+                    game.eventBus.emit('reward:skipped');
                     renderRewards(rewards);
                 });
             }
@@ -9,8 +9,15 @@
  * FIX v4: Use hardcoded HTML template for standard shop sections instead of fragile caching.
  * FIX v4: Add diagnostic logging for shop:enter lifecycle.
  * FIX v4: Defensive screen element lookups throughout.
+ * ADDED: Card removal service - deck picker overlay, price rising with each
+ *        removal this run (GameConfig CARD_REMOVAL, count in shop.removals).
+ * ADDED: Ascension markup on every price (state.ascension.modifiers.shopPrices).
  */
 
+import rng from '../core/RNG.js';
+import { CARD_REMOVAL, DECK_LIMITS } from '../systems/GameConfig.js';
+import { showCardRemoval } from '../ui/CardRemovalOverlay.js';
+
 // Dynamic import - won't crash the module if VoidMerchant.js is missing
 let VoidMerchantClass = null;
 
@@ -79,6 +86,11 @@ export function setupShopScreen(game) {
         }
     });
     
+    // Card removal: the service only opens the picker; credits are taken on confirm
+    game.eventBus.on('shop:remove_card', (data) => {
+        openCardRemoval(data?.cost ?? getRemovalCost());
+    });
+    
     game.eventBus.on('screen:show', (screenId) => {
         if (screenId === 'shop-screen') {
             console.log('[ShopScreen] screen:show → shop-screen');
@@ -101,16 +113,17 @@ export function setupShopScreen(game) {
             cards: [],
             artifacts: [],
             services: [
-                { id: 'remove_card', name: 'Remove Card', cost: 75, type: 'service', icon: '✂️' },
-                { id: 'cleanse', name: 'Cleanse Corruption', cost: 100, type: 'service', removes: 10, icon: '✨' }
+                { id: 'remove_card', name: 'Remove Card', cost: getRemovalCost(), type: 'service', icon: '✂️' },
+                { id: 'cleanse', name: 'Cleanse Corruption', cost: withMarkup(100), type: 'service', removes: 10, icon: '✨' }
             ]
         };
         
-        // Generate 3-5 cards
-        const cardCount = 3 + Math.floor(Math.random() * 3);
+        // Generate 3-5 cards (stock comes from the seeded rewards stream)
+        const rewards = rng.stream('rewards');
+        const cardCount = rewards.int(3, 5);
         const usedIds = new Set();
         for (let i = 0; i < cardCount; i++) {
-            const rarity = Math.random() < 0.6 ? 'common' : (Math.random() < 0.75 ? 'uncommon' : 'rare');
+            const rarity = rewards.chance(0.6) ? 'common' : (rewards.chance(0.75) ? 'uncommon' : 'rare');
             try {
                 const pool = game.dataLoader?.getCardRewardPool?.(heroId, rarity);
                 if (!pool || pool.length === 0) {
@@ -119,7 +132,7 @@ export function setupShopScreen(game) {
                 }
                 const available = pool.filter(c => !usedIds.has(c.id));
                 if (available.length > 0) {
-                    const card = available[Math.floor(Math.random() * available.length)];
+                    const card = rewards.pick(available);
                     usedIds.add(card.id);
                     shopInventory.cards.push({ ...card, price: getCardPrice(card) });
                 }
@@ -129,7 +142,7 @@ export function setupShopScreen(game) {
         }
         
         // Generate 1-2 artifacts
-        const artifactCount = 1 + Math.floor(Math.random() * 2);
+        const artifactCount = rewards.int(1, 2);
         for (let i = 0; i < artifactCount; i++) {
             try {
                 const artifact = game.dataLoader?.getRandomArtifact?.();
@@ -149,7 +162,7 @@ export function setupShopScreen(game) {
                 { id: 'iron_wave', name: 'Iron Wave', type: 'attack', cost: 1, damage: 5, block: 5, rarity: 'common', description: 'Deal 5 damage. Gain 5 Block.', price: 50 },
                 { id: 'shrug_it_off', name: 'Shrug It Off', type: 'skill', cost: 1, block: 8, draw: 1, rarity: 'common', description: 'Gain 8 Block. Draw 1 card.', price: 55 },
                 { id: 'reckless_charge', name: 'Reckless Charge', type: 'attack', cost: 0, damage: 7, rarity: 'uncommon', description: 'Deal 7 damage. Shuffle a Daze into your draw pile.', price: 75 }
-            ];
+            ].map(card => ({ ...card, price: withMarkup(card.price) }));
         }
         
         console.log(`[ShopScreen] Generated: ${shopInventory.cards.length} cards, ${shopInventory.artifacts.length} artifacts, ${shopInventory.services.length} services`);
@@ -171,14 +184,34 @@ export function setupShopScreen(game) {
         displayShop(voidAvailable);
     }
     
+    /**
+     * Apply the run's ascension markup (state.ascension.modifiers.shopPrices)
+     */
+    function withMarkup(price) {
+        const markup = game.state.get('ascension.modifiers.shopPrices') || 0;
+        return Math.round(price * (1 + markup));
+    }
+    
     function getCardPrice(card) {
         const basePrices = { common: 50, uncommon: 75, rare: 150, legendary: 250 };
-        return basePrices[card.rarity] || 50;
+        return withMarkup(basePrices[card.rarity] || 50);
+    }
+    
+    /**
+     * Removal price: base cost plus a step for every removal this run, capped
+     * (the cap applies before the ascension markup)
+     */
+    function getRemovalCost() {
+        const removals = game.state.get('shop.removals') || 0;
+        return withMarkup(Math.min(
+            CARD_REMOVAL.maxCost,
+            CARD_REMOVAL.baseCost + removals * CARD_REMOVAL.costIncreasePerRemoval
+        ));
     }
     
     function getArtifactPrice(artifact) {
         const basePrices = { common: 150, rare: 250, cosmic: 300 };
-        return basePrices[artifact.rarity] || 150;
+        return withMarkup(basePrices[artifact.rarity] || 150);
     }
     
     function displayShop(voidAvailable = false) {
@@ -329,13 +362,13 @@ export function setupShopScreen(game) {
         const servicesGrid = document.getElementById('shop-services');
         if (servicesGrid && shopInventory) {
             servicesGrid.innerHTML = shopInventory.services.map((service, i) => `
-                <div class="shop-item service-item ${credits < service.cost ? 'unaffordable' : ''}" 
+                <div class="shop-item service-item ${credits < service.cost || service.soldOut ? 'unaffordable' : ''}" 
                      data-type="service" data-index="${i}">
                     <div class="item-icon">${service.icon || '🔧'}</div>
                     <div class="item-details">
                         <div class="item-name">${service.name}</div>
                     </div>
-                    <div class="item-price">${service.cost} ◈</div>
+                    <div class="item-price">${service.soldOut ? 'SOLD' : `${service.cost} ◈`}</div>
                 </div>
             `).join('');
         } else {
@@ -374,7 +407,17 @@ export function setupShopScreen(game) {
             price = item?.cost;
         }
         
-        if (!item || credits < price) return;
+        if (!item || item.soldOut || credits < price) return;
+        
+        if (type === 'service' && item.id === 'remove_card') {
+            const deckSize = (game.state.get('deck') || []).length;
+            if (deckSize <= DECK_LIMITS.minDeckSize) {
+                console.log(`[ShopScreen] Deck is at the minimum size (${deckSize}); nothing to remove`);
+                return;
+            }
+            game.eventBus.emit('shop:remove_card', { cost: price });
+            return;
+        }
         
         // Deduct credits
         game.state.set('credits', credits - price);
@@ -392,9 +435,7 @@ export function setupShopScreen(game) {
             game.eventBus.emit('artifact:purchased', item);
             shopInventory.artifacts.splice(index, 1);
         } else if (type === 'service') {
-            if (item.id === 'remove_card') {
-                game.eventBus.emit('shop:remove_card');
-            } else if (item.id === 'cleanse') {
+            if (item.id === 'cleanse') {
                 const corruption = game.state.get('corruption') || 0;
                 game.state.set('corruption', Math.max(0, corruption - item.removes));
                 game.eventBus.emit('corruption:lost', item.removes);
@@ -404,6 +445,40 @@ export function setupShopScreen(game) {
         displayShop(voidMerchant?.isRevealed || false);
     }
     
+    function openCardRemoval(cost) {
+        showCardRemoval(game, {
+            cost,
+            onConfirm: (card) => removeCard(card, cost)
+        });
+    }
+    
+    /**
+     * Charge for and remove one deck card; the service is used up for this visit
+     */
+    function removeCard(card, cost) {
+        const credits = game.state.get('credits') || 0;
+        if (credits < cost) return;
+        
+        const removed = game.deck
+            ? game.deck.removeCardFromDeck(card.instanceId || card.id)
+            : game.state.removeCardFromDeck(card.instanceId || card.id);
+        if (!removed) {
+            console.warn(`[ShopScreen] Card ${card.id} not found in deck; nothing removed`);
+            return;
+        }
+        
+        game.state.set('credits', credits - cost);
+        game.state.set('shop.removals', (game.state.get('shop.removals') || 0) + 1);
+        
+        const service = shopInventory?.services.find(s => s.id === 'remove_card');
+        if (service) service.soldOut = true;
+        
+        console.log(`[ShopScreen] Removed ${removed.name} for ${cost} credits`);
+        game.eventBus.emit('shop:card_removed', { card: removed, cost });
+        
+        if (shopInventory) displayShop(voidMerchant?.isRevealed || false);
+    }
+    
     function handleVoidPurchase(type, index) {
         if (!voidMerchant) return;
         
@@ -0,0 +1,154 @@
+/**
+ * SlotsScreen - Profile slot picker
+ * Shattered Star
+ *
+ * Lists game.saveManager's slots with a preview of each one's saved run, and
+ * lets the player switch, rename, copy and delete them. Deleting asks for a
+ * second click; the last remaining slot can't be deleted.
+ */
+
+import { escapeHtml } from '../ui/HtmlEscape.js';
+
+export function setupSlotsScreen(game) {
+    const screen = document.getElementById('slots-screen');
+    if (!screen) {
+        console.warn('[SlotsScreen] #slots-screen not found');
+        return;
+    }
+
+    console.log('[SlotsScreen] Setting up profile slots screen');
+
+    const listEl = document.getElementById('slots-list');
+    const btnNew = document.getElementById('btn-slot-new');
+
+    // Slot whose delete button is waiting for the confirming click
+    let confirmingDelete = null;
+
+    game.eventBus.on('screen:show', (screenId) => {
+        if (screenId === 'slots-screen') render();
+    });
+
+    game.eventBus.on('screen:changed', (data) => {
+        const targetScreen = typeof data === 'string' ? data : data?.to;
+        if (targetScreen === 'slots-screen') render();
+    });
+
+    document.getElementById('btn-slots-back')?.addEventListener('click', () => {
+        game.audioManager?.playSFX?.('ui_click');
+        game.screenManager.transitionTo('start-screen');
+    });
+
+    btnNew?.addEventListener('click', () => {
+        const slot = game.saveManager.createSlot();
+        if (!slot) return;
+        game.audioManager?.playSFX?.('ui_confirm');
+        render();
+    });
+
+    listEl.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const slotId = button.closest('[data-slot-id]')?.dataset.slotId;
+        if (!slotId) return;
+
+        game.audioManager?.playSFX?.('ui_click');
+        switch (button.dataset.action) {
+            case 'play':
+                game.saveManager.switchSlot(slotId);
+                game.screenManager.transitionTo('start-screen');
+                return;
+            case 'rename':
+                startRename(slotId);
+                return;
+            case 'copy':
+                game.saveManager.copySlot(slotId);
+                break;
+            case 'delete':
+                if (confirmingDelete !== slotId) {
+                    confirmingDelete = slotId;
+                    render();
+                    return;
+                }
+                game.saveManager.deleteSlot(slotId);
+                break;
+        }
+        confirmingDelete = null;
+        render();
+    });
+
+    function render() {
+        const slots = game.saveManager.getSlots();
+        const full = slots.length >= game.saveManager.maxSlots;
+
+        listEl.innerHTML = slots.map(slot => renderSlot(slot, full, slots.length > 1)).join('');
+        if (btnNew) btnNew.disabled = full;
+    }
+
+    function renderSlot(slot, full, canDelete) {
+        const { run } = slot;
+        const preview = run
+            ? `
+                <div class="slot-run-hero">${run.heroName}${run.ascension ? ` <span class="slot-ascension">A${run.ascension}</span>` : ''}</div>
+                <div class="slot-run-stats">
+                    <span>Act ${run.act} · Floor ${run.floor}</span>
+                    <span>HP ${run.hp}/${run.maxHp}</span>
+                    <span class="slot-corruption">Corruption ${run.corruption}</span>
+                </div>
+            `
+            : '<div class="slot-run-empty">No run in progress</div>';
+
+        return `
+            <div class="slot-entry ${slot.active ? 'active' : ''}" data-slot-id="${slot.id}">
+                <div class="slot-header">
+                    <span class="slot-name">${escapeHtml(slot.name)}</span>
+                    ${slot.active ? '<span class="slot-active-tag">ACTIVE</span>' : ''}
+                </div>
+                <div class="slot-run">${preview}</div>
+                <div class="slot-meta">
+                    ${slot.totalRuns} runs · ${slot.echoes} echoes
+                    · ${slot.lastPlayed ? `Last played ${new Date(slot.lastPlayed).toLocaleString()}` : 'Never played'}
+                </div>
+                <div class="slot-actions">
+                    ${slot.active ? '' : '<button class="slot-btn" data-action="play">PLAY</button>'}
+                    <button class="slot-btn" data-action="rename">RENAME</button>
+                    <button class="slot-btn" data-action="copy" ${full ? 'disabled' : ''}>COPY</button>
+                    <button class="slot-btn danger" data-action="delete" ${canDelete ? '' : 'disabled'}>
+                        ${confirmingDelete === slot.id ? 'CONFIRM DELETE' : 'DELETE'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Swap the slot's name for a text field; Enter saves, Escape cancels
+     */
+    function startRename(slotId) {
+        const nameEl = listEl.querySelector(`[data-slot-id="${slotId}"] .slot-name`);
+        if (!nameEl) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'slot-name-input';
+        input.maxLength = 24;
+        input.value = nameEl.textContent;
+        nameEl.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) game.saveManager.renameSlot(slotId, input.value);
+            render();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+            e.stopPropagation();
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+}
@@ -72,13 +72,48 @@ export function setupTitleScreen(game) {
         });
     }
     
-    // Codex button (disabled for MVP)
+    // Codex button
     const btnCodex = document.getElementById('btn-codex');
     if (btnCodex) {
         btnCodex.addEventListener('click', () => {
             game.audioManager.playSFX('ui_click');
-            // TODO: Implement codex
-            console.log('Codex not yet implemented');
+            game.screenManager.transitionTo('codex-screen');
+        });
+    }
+    
+    // Echoes (meta progression) button
+    const btnMeta = document.getElementById('btn-meta');
+    if (btnMeta) {
+        btnMeta.addEventListener('click', () => {
+            game.audioManager.playSFX('ui_click');
+            game.screenManager.transitionTo('meta-screen');
+        });
+    }
+    
+    // Achievements button
+    const btnAchievements = document.getElementById('btn-achievements');
+    if (btnAchievements) {
+        btnAchievements.addEventListener('click', () => {
+            game.audioManager.playSFX('ui_click');
+            game.screenManager.transitionTo('achievements-screen');
+        });
+    }
+    
+    // Profile slots button
+    const btnSlots = document.getElementById('btn-slots');
+    if (btnSlots) {
+        btnSlots.addEventListener('click', () => {
+            game.audioManager.playSFX('ui_click');
+            game.screenManager.transitionTo('slots-screen');
+        });
+    }
+    
+    // Run history button
+    const btnHistory = document.getElementById('btn-history');
+    if (btnHistory) {
+        btnHistory.addEventListener('click', () => {
+            game.audioManager.playSFX('ui_click');
+            game.screenManager.transitionTo('history-screen');
         });
     }
     
@@ -102,6 +137,13 @@ export function setupTitleScreen(game) {
     // Volume sliders
     setupVolumeControls(game);
     
+    // Settings belong to the profile slot
+    applySettings(game);
+    game.eventBus.on('save:slot_changed', () => {
+        applySettings(game);
+        updateStartScreen(game);
+    });
+    
     // ===========================================
     // Screen change handlers - try multiple event types
     // ===========================================
@@ -142,11 +184,22 @@ function handleScreenChange(game, to, from) {
     if (to === 'start-screen') {
         setScreenBackground(game, 'start-screen', 'startscreen1');
         
-        // Update continue button state
-        const continueBtn = document.getElementById('btn-continue');
-        if (continueBtn) {
-            continueBtn.disabled = !game.saveManager.hasSave();
-        }
+        updateStartScreen(game);
+    }
+}
+
+/**
+ * Continue button state and the active slot's name
+ */
+function updateStartScreen(game) {
+    const continueBtn = document.getElementById('btn-continue');
+    if (continueBtn) {
+        continueBtn.disabled = !game.saveManager.hasSave();
+    }
+    
+    const slotName = document.getElementById('active-slot-name');
+    if (slotName) {
+        slotName.textContent = game.saveManager.getActiveSlot()?.name || '';
     }
 }
 
@@ -249,22 +302,44 @@ function setupVolumeControls(game) {
 
 function saveSettings(game) {
     const settings = {
-        masterVolume: document.getElementById('setting-master-volume')?.value || 80,
-        musicVolume: document.getElementById('setting-music-volume')?.value || 70,
-        sfxVolume: document.getElementById('setting-sfx-volume')?.value || 80,
+        ...game.saveManager.getSettings(),
+        masterVolume: (document.getElementById('setting-master-volume')?.value ?? 80) / 100,
+        musicVolume: (document.getElementById('setting-music-volume')?.value ?? 70) / 100,
+        sfxVolume: (document.getElementById('setting-sfx-volume')?.value ?? 80) / 100,
         screenShake: document.getElementById('setting-screen-shake')?.checked ?? true,
         corruptionEffects: document.getElementById('setting-corruption-effects')?.value || 'full'
     };
     
-    game.state.set('settings', settings);
-    
     try {
-        localStorage.setItem('shattered-star-settings', JSON.stringify(settings));
+        game.saveManager.saveSettings(settings);
     } catch (e) {
         console.warn('[TitleScreen] Could not save settings to localStorage');
     }
 }
 
+/**
+ * Load the active slot's settings into the modal and the audio levels
+ */
+function applySettings(game) {
+    const settings = game.saveManager.getSettings();
+    game.state.set('settings', settings, true);
+    
+    const shake = document.getElementById('setting-screen-shake');
+    if (shake) shake.checked = settings.screenShake !== false;
+    
+    const effects = document.getElementById('setting-corruption-effects');
+    if (effects) effects.value = typeof settings.corruptionEffects === 'string' ? settings.corruptionEffects : 'full';
+    
+    // Slots that never saved the modal keep the current levels
+    if (settings.masterVolume === undefined) return;
+    
+    [['master', 'masterVolume'], ['music', 'musicVolume'], ['sfx', 'sfxVolume']].forEach(([channel, key]) => {
+        const slider = document.getElementById(`setting-${channel}-volume`);
+        if (slider) slider.value = Math.round(settings[key] * 100);
+        game.audioManager.setVolume(channel, settings[key]);
+    });
+}
+
 function animateTitleScreen() {
     const title = document.querySelector('.game-title');
     if (title) {
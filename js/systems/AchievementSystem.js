@@ -0,0 +1,207 @@
+/**
+ * AchievementSystem - Data-driven achievements evaluated on EventBus events
+ * Shattered Star
+ *
+ * Achievements are defined in data/meta/achievements.json. Each names the
+ * event it listens for and what has to hold when it fires:
+ *
+ *   { id: 'chain_reaction', name: 'Chain Reaction', icon: '⛓',
+ *     trigger: { event: 'chain:grow',
+ *                where: { ... },                      payload fields that must match
+ *                checks: [{ source: 'event', path: 'length', min: 10 }],
+ *                count: 50,                           matching events, across runs
+ *                collect: { path, values: [...] } } } distinct values, across runs
+ *
+ * Check sources:
+ *   event    The event payload
+ *   state    GameState (run stats, corruption, hero...)
+ *   combat   Tallies for the fight in progress (hpLost, cardsPlayed). hpLost
+ *            follows hero.hp itself, so DoT, self-damage and event costs count
+ *
+ * Earned achievements are stored in the profile's achievements list as
+ * { id, unlockedAt }; count/collect progress lives in achievementProgress.
+ * Each unlock is announced as 'achievement:unlocked'.
+ *
+ * @version 0.1.1
+ */
+
+/**
+ * Read 'a.b.c' from an object
+ */
+function readPath(source, path) {
+    return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+class AchievementSystem {
+    constructor(state, eventBus, saveManager, dataLoader) {
+        this.state = state;
+        this.eventBus = eventBus;
+        this.saveManager = saveManager;
+        this.dataLoader = dataLoader;
+
+        this.definitions = this.dataLoader.getAchievementDefinitions?.() || [];
+
+        // Tallies for the fight in progress (the 'combat' check source)
+        this.combat = this.freshCombat();
+
+        this.setupListeners();
+    }
+
+    freshCombat() {
+        return { hpLost: 0, cardsPlayed: 0 };
+    }
+
+    setupListeners() {
+        this.eventBus.on('combat:start', () => {
+            this.combat = this.freshCombat();
+        });
+        // Only GameState's hp:changed carries 'previous'; hand-rolled emits repeat it
+        this.eventBus.on('hp:changed', ({ current, previous } = {}) => {
+            if (typeof previous === 'number' && current < previous) {
+                this.combat.hpLost += previous - current;
+            }
+        });
+        this.eventBus.on('card:played', () => {
+            this.combat.cardsPlayed++;
+        });
+
+        // One listener per event any achievement cares about
+        const events = new Set(this.definitions.map(def => def.trigger?.event).filter(Boolean));
+        events.forEach(event => {
+            this.eventBus.on(event, (payload) => this.handleEvent(event, payload || {}));
+        });
+    }
+
+    /**
+     * Evaluate every locked achievement listening for this event
+     */
+    handleEvent(event, payload) {
+        const earned = this.getEarnedIds();
+
+        this.definitions
+            .filter(def => def.trigger?.event === event && !earned.has(def.id))
+            .forEach(def => {
+                try {
+                    if (this.matches(def.trigger, payload) && this.advance(def, payload)) {
+                        this.unlock(def.id);
+                    }
+                } catch (e) {
+                    console.warn(`[AchievementSystem] Failed to evaluate ${def.id}:`, e);
+                }
+            });
+    }
+
+    /**
+     * Do the event's payload and the checks' sources pass the trigger?
+     * @returns {boolean}
+     */
+    matches(trigger, payload) {
+        const where = trigger.where || {};
+        if (Object.entries(where).some(([path, value]) => readPath(payload, path) !== value)) {
+            return false;
+        }
+
+        return (trigger.checks || []).every(check => {
+            const value = this.readSource(check.source, check.path, payload);
+            if (check.equals !== undefined && value !== check.equals) return false;
+            if (check.min !== undefined && !(Number(value) >= check.min)) return false;
+            if (check.max !== undefined && !(Number(value) <= check.max)) return false;
+            return true;
+        });
+    }
+
+    readSource(source, path, payload) {
+        switch (source) {
+            case 'state': return this.state.get(path);
+            case 'combat': return readPath(this.combat, path);
+            default: return readPath(payload, path);
+        }
+    }
+
+    /**
+     * Record progress for count/collect triggers
+     * @returns {boolean} True once the achievement is complete
+     */
+    advance(def, payload) {
+        const { count, collect } = def.trigger;
+        if (!count && !collect) return true;
+
+        const profile = this.saveManager.getProfile();
+        profile.achievementProgress = profile.achievementProgress || {};
+        let done;
+
+        if (collect) {
+            const seen = new Set(profile.achievementProgress[def.id] || []);
+            const value = readPath(payload, collect.path);
+            if (collect.values.includes(value)) seen.add(value);
+            profile.achievementProgress[def.id] = [...seen];
+            done = collect.values.every(v => seen.has(v));
+        } else {
+            const total = (profile.achievementProgress[def.id] || 0) + 1;
+            profile.achievementProgress[def.id] = total;
+            done = total >= count;
+        }
+
+        this.saveManager.saveProfile(profile);
+        return done;
+    }
+
+    /**
+     * Mark an achievement earned
+     * @param {string} id
+     * @returns {boolean} True if it was newly earned
+     */
+    unlock(id) {
+        const def = this.definitions.find(d => d.id === id);
+        if (!def) return false;
+
+        const profile = this.saveManager.getProfile();
+        profile.achievements = profile.achievements || [];
+        if (profile.achievements.some(a => (a.id || a) === id)) return false;
+
+        const entry = { id, unlockedAt: Date.now() };
+        profile.achievements.push(entry);
+        this.saveManager.saveProfile(profile);
+
+        this.eventBus.emit('achievement:unlocked', { ...def, unlockedAt: entry.unlockedAt });
+        console.log(`[AchievementSystem] Unlocked: ${def.name}`);
+        return true;
+    }
+
+    /**
+     * Ids in the profile (older profiles may hold bare id strings)
+     * @returns {Set<string>}
+     */
+    getEarnedIds() {
+        const list = this.saveManager.getProfile().achievements || [];
+        return new Set(list.map(a => a.id || a));
+    }
+
+    /**
+     * Every achievement with its status, for the achievements page
+     * @returns {Array<Object>} Definitions plus earned, unlockedAt and progress
+     *   ({current, target} for count/collect triggers, else null)
+     */
+    getAll() {
+        const profile = this.saveManager.getProfile();
+        const earned = new Map((profile.achievements || []).map(a => [a.id || a, a.unlockedAt || null]));
+        const progress = profile.achievementProgress || {};
+
+        return this.definitions.map(def => {
+            const { count, collect } = def.trigger || {};
+            let tally = null;
+            if (collect) tally = { current: (progress[def.id] || []).length, target: collect.values.length };
+            else if (count) tally = { current: Math.min(progress[def.id] || 0, count), target: count };
+
+            return {
+                ...def,
+                earned: earned.has(def.id),
+                unlockedAt: earned.get(def.id) || null,
+                progress: tally
+            };
+        });
+    }
+}
+
+export { AchievementSystem };
+export default AchievementSystem;
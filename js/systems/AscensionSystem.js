@@ -0,0 +1,207 @@
+/**
+ * AscensionSystem - Stacking difficulty levels for repeat runs
+ * Shattered Star
+ *
+ * Levels are defined in data/meta/ascension.json, lowest first:
+ *
+ *   { level: 3, name: 'Cold Camps', modifier: { type: 'rest_sites', value: 0.5 } }
+ *
+ * A run at level N has the modifiers of levels 1..N. Each hero starts with
+ * only level 0 (no modifiers); winning a run at the hero's highest level
+ * unlocks the next one (heroStats.ascension in the profile).
+ *
+ * At run start the stacked modifiers are written to state.ascension, so the
+ * systems they touch read them from there (and saved runs keep them):
+ *
+ *   enemyHp, enemyDamage   Fraction added to enemy HP / intent damage (CombatScreen)
+ *   restSites              Multiplier on the rest-site weight (MapGenerator)
+ *   shopPrices             Fraction added to shop prices (ShopScreen)
+ *   bossPhaseStrength      Strength a boss gains entering each new phase
+ *   startingCorruption     Applied here, once
+ *   curses                 Card ids added to the starting deck, here, once
+ *
+ * @version 0.1.0
+ */
+
+import { GameEvents } from '../core/EventBus.js';
+
+/**
+ * Modifiers for a run without ascension
+ */
+function getBaseModifiers() {
+    return {
+        enemyHp: 0,
+        enemyDamage: 0,
+        restSites: 1,
+        shopPrices: 0,
+        bossPhaseStrength: 0,
+        startingCorruption: 0,
+        curses: []
+    };
+}
+
+/**
+ * Scale an enemy's HP and intent damage for the run's ascension
+ * Safe to call twice on the same enemy; only the first call scales it.
+ * @param {Object} enemy - Normalized enemy (currentHp/maxHp set)
+ * @param {Object} [modifiers] - state.ascension.modifiers
+ * @returns {Object} The scaled enemy
+ */
+function applyAscensionToEnemy(enemy, modifiers) {
+    if (!modifiers || enemy.ascensionScaled) return enemy;
+
+    const hpScale = 1 + (modifiers.enemyHp || 0);
+    const damageScale = 1 + (modifiers.enemyDamage || 0);
+    const scaleIntent = (intent) => (intent && intent.damage
+        ? { ...intent, damage: Math.round(intent.damage * damageScale) }
+        : intent);
+
+    const scaled = {
+        ...enemy,
+        maxHp: Math.round(enemy.maxHp * hpScale),
+        currentHp: Math.round(enemy.currentHp * hpScale),
+        intent: scaleIntent(enemy.intent),
+        ascensionScaled: true
+    };
+    if (Array.isArray(enemy.intents)) scaled.intents = enemy.intents.map(scaleIntent);
+    if (Array.isArray(enemy.phases)) {
+        scaled.phases = enemy.phases.map(phase => ({
+            ...phase,
+            intents: (phase.intents || []).map(scaleIntent)
+        }));
+        scaled.phaseStrength = modifiers.bossPhaseStrength || 0;
+    }
+    return scaled;
+}
+
+class AscensionSystem {
+    constructor(state, eventBus, saveManager, dataLoader) {
+        this.state = state;
+        this.eventBus = eventBus;
+        this.saveManager = saveManager;
+        this.dataLoader = dataLoader;
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        // Winning at the hero's highest level unlocks the next
+        this.eventBus.on(GameEvents.RUN_END, ({ heroId, victory, ascension = 0 } = {}) => {
+            if (!victory || !heroId) return;
+            const next = Math.min(ascension + 1, this.getMaxLevel());
+            try {
+                if (next > this.getUnlockedLevel(heroId) && this.saveManager.unlockAscension(heroId, next)) {
+                    const level = this.getLevel(next);
+                    this.eventBus.emit('ascension:unlocked', { heroId, level: next, name: level?.name });
+                    console.log(`[AscensionSystem] ${heroId} unlocked ascension ${next}`);
+                }
+            } catch (e) {
+                console.warn('[AscensionSystem] Failed to unlock ascension:', e);
+            }
+        });
+    }
+
+    // ==========================================
+    // Levels
+    // ==========================================
+
+    /**
+     * @returns {Array<Object>} Level definitions, lowest first
+     */
+    getLevels() {
+        return this.dataLoader.getAscensionLevels?.() || [];
+    }
+
+    getLevel(level) {
+        return this.getLevels().find(l => l.level === level) || null;
+    }
+
+    getMaxLevel() {
+        return this.getLevels().length;
+    }
+
+    /**
+     * @param {string} heroId
+     * @returns {number} Highest level the hero may pick
+     */
+    getUnlockedLevel(heroId) {
+        const stats = this.saveManager.getProfile().heroStats?.[heroId];
+        return Math.min(stats?.ascension || 0, this.getMaxLevel());
+    }
+
+    /**
+     * Every modifier of levels 1..level, stacked
+     * @param {number} level
+     * @returns {Object} See the module comment
+     */
+    getModifiers(level) {
+        const modifiers = getBaseModifiers();
+
+        this.getLevels()
+            .filter(l => l.level <= level)
+            .forEach(({ modifier = {} }) => {
+                const value = modifier.value || 0;
+                switch (modifier.type) {
+                    case 'enemy_hp': modifiers.enemyHp += value; break;
+                    case 'enemy_damage': modifiers.enemyDamage += value; break;
+                    case 'rest_sites': modifiers.restSites *= Math.max(0, 1 - value); break;
+                    case 'shop_prices': modifiers.shopPrices += value; break;
+                    case 'starting_corruption': modifiers.startingCorruption += value; break;
+                    case 'boss_phase_strength': modifiers.bossPhaseStrength += value; break;
+                    case 'starting_curse': if (modifier.card) modifiers.curses.push(modifier.card); break;
+                    default:
+                        console.warn(`[AscensionSystem] Unknown modifier: ${modifier.type}`);
+                }
+            });
+
+        return modifiers;
+    }
+
+    // ==========================================
+    // Runs
+    // ==========================================
+
+    /**
+     * Set up a freshly started run at a level (call after the deck is dealt)
+     * @param {number} level - Clamped to the hero's unlocked level
+     * @returns {number} The level the run is played at
+     */
+    applyToRun(level = 0) {
+        const heroId = this.state.get('hero.id');
+        const runLevel = Math.max(0, Math.min(level, this.getUnlockedLevel(heroId)));
+        const modifiers = this.getModifiers(runLevel);
+
+        this.state.set('ascension', { level: runLevel, modifiers });
+        if (runLevel === 0) return 0;
+
+        if (modifiers.startingCorruption) {
+            this.state.set('corruption', (this.state.get('corruption') || 0) + modifiers.startingCorruption);
+        }
+
+        if (modifiers.curses.length > 0) {
+            const deck = [...(this.state.get('deck') || [])];
+            modifiers.curses.forEach((cardId, i) => {
+                const card = this.dataLoader.getCard?.('status', cardId);
+                if (!card) {
+                    console.warn(`[AscensionSystem] Curse not found: ${cardId}`);
+                    return;
+                }
+                deck.push({ ...card, instanceId: `ascension_${cardId}_${Date.now()}_${i}` });
+            });
+            this.state.set('deck', deck);
+        }
+
+        console.log(`[AscensionSystem] Run started at ascension ${runLevel}`);
+        return runLevel;
+    }
+
+    /**
+     * @returns {number} The current run's level
+     */
+    getRunLevel() {
+        return this.state.get('ascension.level') || 0;
+    }
+}
+
+export { AscensionSystem, applyAscensionToEnemy };
+export default AscensionSystem;
@@ -12,9 +12,11 @@
  * Integration: CombatScreen calls biome methods at key moments.
  * This module is purely data-driven and side-effect-free except for event emissions.
  * 
- * @version 1.0.0
+ * @version 1.1.1
  */
 
+import rng from '../core/RNG.js';
+
 const BIOME_EFFECTS = {
     ironspine_wastes: {
         id: 'scavengers_luck',
@@ -258,40 +260,41 @@ class BiomeEffects {
         if (!enemies || enemies.length === 0) return enemies;
         
         const modified = [...enemies];
+        const combatRng = rng.stream('combat');
         
         modified.forEach((enemy, i) => {
             // Chance to shift intent
-            if (Math.random() < this.activeEffect.shiftChance) {
+            if (combatRng.chance(this.activeEffect.shiftChance)) {
                 const oldIntent = enemy.intent ? { ...enemy.intent } : null;
                 
                 // Generate a completely new random intent
                 const intentTypes = ['attack', 'block', 'buff', 'debuff'];
-                const newType = intentTypes[Math.floor(Math.random() * intentTypes.length)];
+                const newType = combatRng.pick(intentTypes);
                 
                 switch (newType) {
                     case 'attack':
                         enemy.intent = {
                             type: 'attack',
-                            damage: Math.floor(Math.random() * 8) + 4
+                            damage: combatRng.int(4, 11)
                         };
                         break;
                     case 'block':
                         enemy.intent = {
                             type: 'block',
-                            value: Math.floor(Math.random() * 8) + 4
+                            value: combatRng.int(4, 11)
                         };
                         break;
                     case 'buff':
                         enemy.intent = {
                             type: 'buff',
                             effect: 'strength',
-                            value: Math.floor(Math.random() * 2) + 1
+                            value: combatRng.int(1, 2)
                         };
                         break;
                     case 'debuff':
                         enemy.intent = {
                             type: 'debuff',
-                            effect: Math.random() < 0.5 ? 'weak' : 'vulnerable',
+                            effect: combatRng.chance(0.5) ? 'weak' : 'vulnerable',
                             value: 1
                         };
                         break;
@@ -308,10 +311,10 @@ class BiomeEffects {
         });
         
         // Rare: swap enemy positions (affects targeting)
-        if (modified.length > 1 && Math.random() < this.activeEffect.swapChance) {
-            const a = Math.floor(Math.random() * modified.length);
-            let b = Math.floor(Math.random() * modified.length);
-            while (b === a) b = Math.floor(Math.random() * modified.length);
+        if (modified.length > 1 && combatRng.chance(this.activeEffect.swapChance)) {
+            const a = combatRng.int(0, modified.length - 1);
+            let b = combatRng.int(0, modified.length - 1);
+            while (b === a) b = combatRng.int(0, modified.length - 1);
             
             [modified[a], modified[b]] = [modified[b], modified[a]];
             console.log(`[BiomeEffects] Shifting Faces: swapped positions of ${modified[a].name} and ${modified[b].name}`);
@@ -331,21 +334,21 @@ class BiomeEffects {
      */
     applyTemporalFlux(hand) {
         const effect = this.activeEffect;
-        const count = effect.cardsAffectedMin + 
-            Math.floor(Math.random() * (effect.cardsAffectedMax - effect.cardsAffectedMin + 1));
+        const combatRng = rng.stream('combat');
+        const count = combatRng.int(effect.cardsAffectedMin, effect.cardsAffectedMax);
         
         // Pick random card indices
         const indices = [];
         const available = hand.map((_, i) => i);
         for (let i = 0; i < Math.min(count, available.length); i++) {
-            const pick = Math.floor(Math.random() * available.length);
+            const pick = combatRng.int(0, available.length - 1);
             indices.push(available[pick]);
             available.splice(pick, 1);
         }
         
         const modifiedHand = hand.map((card, i) => {
             if (indices.includes(i)) {
-                const shift = Math.random() < 0.5 ? -1 : 1;
+                const shift = combatRng.chance(0.5) ? -1 : 1;
                 const originalCost = card._originalCost !== undefined ? card._originalCost : card.cost;
                 const newCost = Math.max(0, originalCost + shift);
                 
@@ -449,6 +452,28 @@ class BiomeEffects {
         if (!card._temporalFlux) return null;
         return card._temporalFlux > 0 ? 'increased' : 'decreased';
     }
+    
+    // ─────────────────────────────────────────────
+    // SAVE / LOAD - Fight in progress (see CombatSnapshot)
+    // ─────────────────────────────────────────────
+    
+    getSaveData() {
+        return {
+            effectId: this.activeEffect?.id || null,
+            turnModifiers: this.turnModifiers,
+            combatActive: this.combatActive
+        };
+    }
+    
+    /**
+     * Resume a saved fight's biome. No start-of-combat effects are reapplied;
+     * Temporal Flux costs are already on the saved hand.
+     */
+    loadSaveData(data) {
+        this.activeEffect = Object.values(BIOME_EFFECTS).find(e => e.id === data.effectId) || null;
+        this.turnModifiers = data.turnModifiers || [];
+        this.combatActive = !!data.combatActive;
+    }
 }
 
 export default BiomeEffects;
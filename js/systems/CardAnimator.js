@@ -11,6 +11,8 @@
  * @version 1.0.0
  */
 
+import saveManager from '../core/SaveManager.js';
+
 class CardAnimator {
     constructor(eventBus) {
         this.eventBus = eventBus;
@@ -205,8 +207,7 @@ class CardAnimator {
      */
     _screenShake() {
         try {
-            const settings = JSON.parse(localStorage.getItem('shattered-star-settings') || '{}');
-            if (settings.screenShake === false) return;
+            if (saveManager.getSettings().screenShake === false) return;
         } catch (e) { /* Safari private browsing */ }
 
         document.body.classList.add('screen-shake');
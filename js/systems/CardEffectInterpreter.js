@@ -0,0 +1,557 @@
+/**
+ * CardEffectInterpreter - Runs a card's `effects` list, in order
+ * Shattered Star
+ *
+ * The one place card rules live. The live CombatScreen, the headless
+ * CombatEngine and the legacy CombatSystem each hand the interpreter an
+ * effect context (see EffectContext below) that maps a few combat primitives
+ * (deal damage, gain block, change a status, draw) onto their own state. The
+ * interpreter owns everything else: effect order, targets (self, enemy,
+ * all_enemies, random_enemy), conditionals, repeats, value sources such as
+ * "block" or "corruption_div_10", and scaling ("+1 per Overheat stack").
+ *
+ * Effect types are registered rather than switched on, so a new card design
+ * only needs JSON, and a plugin can add a mechanic without touching combat:
+ *
+ *   cardEffects.registerEffect('siphon', (effect, play, value, targets) => {
+ *       targets.forEach(enemy => play.ctx.dealDamage(enemy, value, { ignoreBlock: true }));
+ *       play.ctx.heal(value);
+ *   }, { target: 'enemy' });
+ *
+ * @version 0.3.0
+ */
+
+import { hasKeyword } from './CardKeywords.js';
+
+/**
+ * @typedef {Object} EffectContext
+ * @property {function(string): number} getValue - Player value by id: hp, maxHp, block,
+ *     corruption, statuses/resources (strength, overheat, astralCharge, weak, ...),
+ *     tookDamageThisTurn, tookDamageLastTurn, cardsPlayedThisTurn, handSize
+ * @property {function(string, number): void} addPlayerStatus - Add to a player status or resource
+ * @property {function(string, number): void} setPlayerStatus - Overwrite a player status or resource
+ * @property {function(): Array<Object>} getEnemies - Enemies currently in the fight
+ * @property {function(): RandomStream} random - Stream used for random targets
+ * @property {function(number, Object, Object): number} modifyDamage - Base damage → outgoing damage
+ *     (strength, weak, relics, and whatever else the caller models)
+ * @property {function(Object, number, {hits?: number, ignoreBlock?: boolean}): number} dealDamage -
+ *     Hit one enemy (Vulnerable and block apply; ignoreBlock means flat HP loss); returns HP damage dealt
+ * @property {function(Object, string, number): void} applyEnemyStatus
+ * @property {function(number, Object): number} modifyBlock - Base block → block gained
+ * @property {function(number): void} gainBlock
+ * @property {function(number, {type?: string}=): void} drawCards - Optionally only cards of one type
+ * @property {function(Object): number} discardHand - Discard the hand except the played card; returns the count
+ * @property {function(number): void} gainEnergy
+ * @property {function(number): void} heal
+ * @property {function(number): void} loseHp - Self-damage; never lethal
+ * @property {function(number): void} gainMaxHp
+ * @property {function(number): void} gainCorruption
+ * @property {function(number): void} [gainCredits]
+ * @property {function(Object): void} addTrigger - Register a power's passive/trigger effect
+ * @property {function(Object): void} upgradeAllCards - Apotheosis; the played card is passed to skip it
+ * @property {function(): void} triggerMeltdown
+ * @property {function(Object, number): void} [defeatEnemy] - Called once per enemy a card effect kills
+ * @property {function(Object): void} [addCards] - Resolve an add_card spec (see CardInjector)
+ */
+
+const OVERHEAT_MAX = 15;
+
+/**
+ * Spellings in card data that name the same player/enemy value
+ */
+const STATUS_ALIASES = {
+    vulnerability: 'vulnerable',
+    armour: 'armor',
+    armor_plating: 'armor',
+    astral_charge: 'astralCharge',
+    temporal_flux: 'temporalFlux',
+    no_draw: 'noDraw'
+};
+
+const ENEMY_TARGETS = ['enemy', 'all', 'all_enemies', 'random_enemy'];
+
+/**
+ * Canonical status/resource id for a name used in card data
+ * @param {string} name
+ * @returns {string}
+ */
+function statusId(name) {
+    return STATUS_ALIASES[name] || name;
+}
+
+class CardEffectInterpreter {
+    constructor() {
+        this.handlers = new Map();
+        this.conditions = new Map();
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // REGISTRY
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * Register (or replace) the handler for an effect type.
+     * The handler is called as handler(effect, play, value, targets) where
+     * `value` is the effect's resolved number and `targets` is the list of
+     * living enemies it hits, or null for player-targeted effects.
+     * @param {string} type
+     * @param {Function} handler
+     * @param {Object} [options]
+     * @param {string} [options.target='self'] - Target used when the effect doesn't name one
+     * @returns {CardEffectInterpreter}
+     */
+    registerEffect(type, handler, options = {}) {
+        if (typeof handler !== 'function') {
+            throw new TypeError(`[CardEffects] Handler for '${type}' must be a function`);
+        }
+        if (this.handlers.has(type)) {
+            console.warn(`[CardEffects] Replacing handler for effect type '${type}'`);
+        }
+        this.handlers.set(type, { handler, target: options.target || 'self' });
+        return this;
+    }
+
+    unregisterEffect(type) {
+        return this.handlers.delete(type);
+    }
+
+    hasEffect(type) {
+        return this.handlers.has(type);
+    }
+
+    getEffectTypes() {
+        return [...this.handlers.keys()];
+    }
+
+    /**
+     * Register a condition usable as `conditional.trigger` or a `conditional`
+     * effect's `trigger`. The predicate gets (play, effect) and returns a boolean.
+     * @param {string} trigger
+     * @param {Function} predicate
+     * @returns {CardEffectInterpreter}
+     */
+    registerCondition(trigger, predicate) {
+        if (typeof predicate !== 'function') {
+            throw new TypeError(`[CardEffects] Condition '${trigger}' must be a function`);
+        }
+        this.conditions.set(trigger, predicate);
+        return this;
+    }
+
+    hasCondition(trigger) {
+        return this.conditions.has(trigger);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // QUERIES
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * @param {Object} card
+     * @returns {Array<Object>} The card's effect list (empty when it has none)
+     */
+    getEffects(card) {
+        return Array.isArray(card?.effects) ? card.effects : [];
+    }
+
+    /**
+     * Target an effect resolves against: its own `target`, else the type's default
+     * @param {Object} effect
+     * @returns {string}
+     */
+    getTarget(effect) {
+        return effect.target || this.handlers.get(effect.type)?.target || 'self';
+    }
+
+    /**
+     * True if any effect hits the single enemy the player picks
+     * @param {Object} card
+     * @returns {boolean}
+     */
+    needsEnemyTarget(card) {
+        return this.getEffects(card).some(effect => this.getTarget(effect) === 'enemy');
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // EXECUTION
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * Run every effect of a card
+     * @param {Object} card
+     * @param {EffectContext} ctx
+     * @param {Object} [options]
+     * @param {Object} [options.target] - The enemy the player targeted
+     * @returns {Object} The play record: { card, ctx, target, kills, damageDealt, discarded }
+     */
+    run(card, ctx, { target = null } = {}) {
+        const play = this.createPlay(card, ctx, target);
+        this.runEffects(this.getEffects(card), play);
+        return play;
+    }
+
+    /**
+     * Fire the in-hand effects of Unplayable cards (curses, status cards):
+     * their `passive` effects with a matching trigger run while the card
+     * sits in hand (Burn Wound at turn_end, Pain on card_played).
+     * @param {Array<Object>} hand
+     * @param {string} trigger - 'turn_end' | 'card_played'
+     * @param {EffectContext} ctx
+     */
+    runHeldTriggers(hand, trigger, ctx) {
+        hand.filter(card => hasKeyword(card, 'unplayable')).forEach(card => {
+            const play = this.createPlay(card, ctx);
+            this.getEffects(card)
+                .filter(effect => effect.type === 'passive' && effect.trigger === trigger)
+                .forEach(effect => this.runEffects(effect.apply, play));
+        });
+    }
+
+    /**
+     * State shared by the effects of one card play
+     */
+    createPlay(card, ctx, target = null) {
+        return {
+            card,
+            ctx,
+            target,
+            interpreter: this,
+            kills: 0,
+            damageDealt: 0,
+            discarded: 0,
+            defeated: new Set()
+        };
+    }
+
+    /**
+     * Run a list of effects (or a single effect) within an existing play —
+     * used for nested `apply` blocks
+     */
+    runEffects(effects, play) {
+        (Array.isArray(effects) ? effects : [effects]).forEach(effect => {
+            if (effect) this.runEffect(effect, play);
+        });
+    }
+
+    runEffect(effect, play) {
+        const entry = this.handlers.get(effect.type);
+        if (!entry) {
+            console.log(`[CardEffects] Unhandled effect type '${effect.type}' on card '${play.card?.name || play.card?.id}'`);
+            return;
+        }
+
+        const repeat = this.resolveRepeat(effect, play);
+        for (let i = 0; i < repeat; i++) {
+            const value = this.resolveEffectValue(effect, play);
+            if (value === null) return;
+            const targets = this.resolveTargets(this.getTarget(effect), play);
+            try {
+                entry.handler(effect, play, value, targets);
+            } catch (e) {
+                console.warn(`[CardEffects] Effect '${effect.type}' failed (non-fatal):`, e);
+            }
+        }
+    }
+
+    /**
+     * The number an effect resolves to right now, or null when its
+     * conditional gates it off. A conditional with a value replaces the
+     * effect's value when met (Rage Spike); one without a value gates the
+     * whole effect (Radiant Strike). Also used for previews and AI estimates.
+     * @returns {number|null}
+     */
+    resolveEffectValue(effect, play) {
+        const conditional = effect.conditional;
+        const conditionMet = conditional ? this.checkCondition(conditional.trigger, play, effect) : false;
+        if (conditional && conditional.value === undefined && !conditionMet) return null;
+
+        const base = conditionMet && conditional.value !== undefined ? conditional.value : effect.value;
+        return this.resolveValue(base, play) + this.resolveScaling(effect.scaling, play);
+    }
+
+    /**
+     * How many times an effect runs (`repeat`, a number or value source)
+     * @returns {number}
+     */
+    resolveRepeat(effect, play) {
+        return Math.max(0, Math.floor(this.resolveValue(effect.repeat ?? 1, play)));
+    }
+
+    /**
+     * Strikes per target for a damage effect (`hits`)
+     * @returns {number}
+     */
+    resolveHits(effect, play) {
+        return Math.max(1, Math.floor(this.resolveValue(effect.hits ?? 1, play)));
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    checkCondition(trigger, play, effect) {
+        const predicate = this.conditions.get(trigger);
+        if (!predicate) {
+            console.log(`[CardEffects] Unknown condition '${trigger}'`);
+            return false;
+        }
+        return !!predicate(play, effect);
+    }
+
+    /**
+     * Resolve an effect value: a number, a named source ("block", "overheat",
+     * "missing_hp", "discarded_count", "block_plus_judgment", "hand_size") or a divided
+     * source ("corruption_div_10")
+     * @returns {number}
+     */
+    resolveValue(value, play) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return 0;
+
+        const ctx = play.ctx;
+        switch (value) {
+            case 'discarded_count':
+                return play.discarded;
+            case 'missing_hp':
+                return Math.max(0, (ctx.getValue('maxHp') || 0) - (ctx.getValue('hp') || 0));
+            case 'block_plus_judgment':
+                return (ctx.getValue('block') || 0) + (ctx.getValue('judgment') || 0);
+            case 'hand_size':
+                return ctx.getValue('handSize') || 0;
+            default: {
+                const divided = value.match(/^(.+)_div_(\d+)$/);
+                if (divided) {
+                    return Math.floor(this.resolveValue(divided[1], play) / Number(divided[2]));
+                }
+                return Number(ctx.getValue(statusId(value))) || 0;
+            }
+        }
+    }
+
+    /**
+     * Bonus from `scaling`: a source name ("astral_charge": +1 per charge) or
+     * { source, multiplier, divisor } ("+4 per Overheat stack")
+     * @returns {number}
+     */
+    resolveScaling(scaling, play) {
+        if (!scaling) return 0;
+        if (typeof scaling === 'string') return this.resolveValue(scaling, play);
+        const sourceValue = this.resolveValue(scaling.source, play);
+        return Math.floor(sourceValue * (scaling.multiplier ?? 1) / (scaling.divisor || 1));
+    }
+
+    /**
+     * @returns {Array<Object>|null} Living enemies hit, or null for player-targeted effects
+     */
+    resolveTargets(target, play) {
+        if (!ENEMY_TARGETS.includes(target)) return null;
+
+        const living = play.ctx.getEnemies().filter(enemy => enemy && enemy.currentHp > 0);
+        switch (target) {
+            case 'all':
+            case 'all_enemies':
+                return living;
+            case 'random_enemy':
+                return living.length > 0 ? [play.ctx.random().pick(living)] : [];
+            default:
+                // The chosen enemy; untargeted plays fall back to the first living enemy
+                if (play.target) return play.target.currentHp > 0 ? [play.target] : [];
+                return living.slice(0, 1);
+        }
+    }
+
+    /**
+     * Report enemies an effect just killed (once each) and count them for
+     * `enemy_dies` conditionals
+     */
+    settleDefeats(enemies, play) {
+        enemies.forEach(enemy => {
+            if (!enemy || enemy.currentHp > 0 || play.defeated.has(enemy)) return;
+            play.defeated.add(enemy);
+            play.kills++;
+            play.ctx.defeatEnemy?.(enemy, Math.abs(Math.min(0, enemy.currentHp)));
+        });
+    }
+}
+
+// ══════════════════════════════════════════════════════════
+// BUILT-IN EFFECTS
+// ══════════════════════════════════════════════════════════
+
+function changeOverheat(play, delta) {
+    const ctx = play.ctx;
+    const heat = Math.max(0, Math.min(OVERHEAT_MAX, (ctx.getValue('overheat') || 0) + delta));
+    ctx.setPlayerStatus('overheat', heat);
+    if (delta > 0 && heat >= OVERHEAT_MAX) ctx.triggerMeltdown();
+}
+
+function addPlayerStatus(play, id, amount) {
+    if (id === 'overheat') {
+        changeOverheat(play, amount);
+    } else {
+        play.ctx.addPlayerStatus(id, amount);
+    }
+}
+
+/**
+ * Handler for a status named by the effect (`type: 'status'`) or fixed by
+ * the effect type (`type: 'weak'`). Enemy-targeted effects whose target
+ * already died do nothing.
+ */
+function statusHandler(fixedStatus = null) {
+    return (effect, play, value, targets) => {
+        const id = statusId(fixedStatus || effect.status);
+        if (targets) {
+            targets.forEach(enemy => play.ctx.applyEnemyStatus(enemy, id, value));
+        } else {
+            addPlayerStatus(play, id, value);
+        }
+    };
+}
+
+function damageHandler(effect, play, value, targets) {
+    if (!targets || targets.length === 0) return;
+    const { ctx, card } = play;
+    const amount = ctx.modifyDamage(value, card, targets[0]);
+    const hits = play.interpreter.resolveHits(effect, play);
+
+    targets.forEach(enemy => {
+        const dealt = ctx.dealDamage(enemy, amount, { hits });
+        play.damageDealt += dealt;
+        if (effect.lifesteal && dealt > 0) ctx.heal(dealt);
+    });
+    play.interpreter.settleDefeats(targets, play);
+}
+
+/**
+ * Spend a resource for flat bonus damage to the target (Astral Nova, Searing Verdict)
+ */
+function consumeHandler(resource, perStackKeys, defaultPerStack) {
+    return (effect, play, value, targets) => {
+        const ctx = play.ctx;
+        const stacks = ctx.getValue(resource) || 0;
+        if (stacks <= 0) return;
+        ctx.setPlayerStatus(resource, 0);
+        if (effect.consume_all || !targets) return;
+
+        const perStack = perStackKeys.map(key => effect[key]).find(v => v !== undefined) ?? defaultPerStack;
+        const bonus = stacks * perStack;
+        targets.forEach(enemy => {
+            play.damageDealt += ctx.dealDamage(enemy, bonus, { ignoreBlock: true });
+        });
+        play.interpreter.settleDefeats(targets, play);
+    };
+}
+
+/**
+ * Burn off the Radiance on each target for flat damage per stack (Purifying Flame)
+ */
+function consumeRadianceHandler(effect, play, value, targets) {
+    if (!targets) return;
+    const ctx = play.ctx;
+    const perStack = effect.damagePerStack ?? 2;
+    targets.forEach(enemy => {
+        const stacks = enemy.radiance || 0;
+        if (stacks <= 0) return;
+        ctx.applyEnemyStatus(enemy, 'radiance', -stacks);
+        play.damageDealt += ctx.dealDamage(enemy, stacks * perStack, { ignoreBlock: true });
+    });
+    play.interpreter.settleDefeats(targets, play);
+}
+
+/**
+ * Powers that repeat a basic effect at the start of every turn (Chronofracture)
+ */
+function perTurnHandler(applyType) {
+    return (effect, play, value) => {
+        play.ctx.addTrigger({ type: 'passive', trigger: 'turn_start', apply: { type: applyType, value }, source: effect.type });
+    };
+}
+
+function registerBuiltins(interpreter) {
+    interpreter
+        .registerEffect('damage', damageHandler, { target: 'enemy' })
+        .registerEffect('block', (effect, play, value) => {
+            play.ctx.gainBlock(play.ctx.modifyBlock(value, play.card));
+        })
+        .registerEffect('reset_block', (effect, play) => play.ctx.setPlayerStatus('block', 0))
+        .registerEffect('draw', (effect, play, value) => {
+            if ((play.ctx.getValue('noDraw') || 0) > 0) return;
+            play.ctx.drawCards(value);
+        })
+        .registerEffect('draw_type', (effect, play, value) => {
+            if ((play.ctx.getValue('noDraw') || 0) > 0) return;
+            play.ctx.drawCards(value, { type: effect.cardType });
+        })
+        .registerEffect('draw_conditional', (effect, play, value) => {
+            if ((play.ctx.getValue('cardsPlayedThisTurn') || 0) < (effect.minCardsPlayed || 0)) return;
+            if ((play.ctx.getValue('noDraw') || 0) > 0) return;
+            play.ctx.drawCards(value);
+        })
+        .registerEffect('discard_hand', (effect, play) => {
+            play.discarded += play.ctx.discardHand(play.card);
+        })
+        .registerEffect('energy', (effect, play, value) => play.ctx.gainEnergy(value))
+        .registerEffect('heal', (effect, play, value) => play.ctx.heal(value))
+        .registerEffect('max_hp', (effect, play, value) => play.ctx.gainMaxHp(value))
+        .registerEffect('self_damage', (effect, play, value) => play.ctx.loseHp(value))
+        .registerEffect('corruption', (effect, play, value) => play.ctx.gainCorruption(value))
+        .registerEffect('credits', (effect, play, value) => play.ctx.gainCredits?.(value))
+        .registerEffect('status', statusHandler())
+        .registerEffect('overheat_reduce', (effect, play, value) => changeOverheat(play, -value))
+        .registerEffect('reset_overheat', (effect, play) => play.ctx.setPlayerStatus('overheat', 0))
+        .registerEffect('modify_status', (effect, play, value) => {
+            const id = statusId(effect.status);
+            if (id === 'overheat') return changeOverheat(play, value);
+            play.ctx.setPlayerStatus(id, Math.max(0, (play.ctx.getValue(id) || 0) + value));
+        })
+        .registerEffect('reset_status', (effect, play) => play.ctx.setPlayerStatus(statusId(effect.status), 0))
+        .registerEffect('double_status', (effect, play) => {
+            const id = statusId(effect.status);
+            const current = play.ctx.getValue(id) || 0;
+            if (current > 0) play.ctx.setPlayerStatus(id, current * 2);
+        })
+        .registerEffect('trigger', (effect, play) => play.ctx.addTrigger(effect))
+        .registerEffect('passive', (effect, play) => play.ctx.addTrigger(effect))
+        .registerEffect('energy_per_turn', perTurnHandler('energy'))
+        .registerEffect('draw_per_turn', perTurnHandler('draw'))
+        .registerEffect('block_per_turn', perTurnHandler('block'))
+        .registerEffect('conditional', (effect, play) => {
+            if (play.interpreter.checkCondition(effect.trigger, play, effect)) {
+                play.interpreter.runEffects(effect.apply, play);
+            }
+        })
+        .registerEffect('upgrade_all', (effect, play) => play.ctx.upgradeAllCards(play.card))
+        .registerEffect('add_card', (effect, play) => play.ctx.addCards?.(effect))
+        .registerEffect('consume_astral', consumeHandler('astralCharge', ['damagePerCharge', 'multiplier'], 3), { target: 'enemy' })
+        .registerEffect('consume_astral_charge', consumeHandler('astralCharge', ['damagePerCharge', 'multiplier'], 1), { target: 'enemy' })
+        .registerEffect('consume_judgment', consumeHandler('judgment', ['bonus_damage_per_stack'], 1), { target: 'enemy' })
+        .registerEffect('consume_radiance', consumeRadianceHandler, { target: 'enemy' });
+
+    // Shorthand status types ({ "type": "weak", "value": 2 })
+    ['vulnerable', 'vulnerability', 'weak', 'poison', 'bleed', 'burn', 'stun', 'slow', 'radiance'].forEach(type => {
+        interpreter.registerEffect(type, statusHandler(type), { target: 'enemy' });
+    });
+    ['strength', 'dexterity', 'frail', 'regen', 'intangible', 'overheat', 'rage',
+        'armor', 'armour', 'armor_plating', 'thorns', 'counter', 'judgment',
+        'astral_charge', 'temporal_flux', 'aegis'].forEach(type => {
+        interpreter.registerEffect(type, statusHandler(type));
+    });
+    interpreter.registerEffect('block_gain', interpreter.handlers.get('block').handler);
+
+    interpreter
+        .registerCondition('took_damage_this_turn', play => play.ctx.getValue('tookDamageThisTurn'))
+        .registerCondition('took_damage_last_turn', play => play.ctx.getValue('tookDamageLastTurn'))
+        .registerCondition('has_block', play => (play.ctx.getValue('block') || 0) > 0)
+        .registerCondition('overheat_10', play => (play.ctx.getValue('overheat') || 0) >= 10)
+        .registerCondition('enemy_dies', play => play.kills > 0)
+        .registerCondition('target_has_radiance', play => {
+            const target = play.target || play.ctx.getEnemies().find(enemy => enemy && enemy.currentHp > 0);
+            return (target?.radiance || 0) > 0;
+        });
+}
+
+const cardEffects = new CardEffectInterpreter();
+registerBuiltins(cardEffects);
+
+export { CardEffectInterpreter, cardEffects, statusId, OVERHEAT_MAX };
+export default cardEffects;
@@ -0,0 +1,146 @@
+/**
+ * CardInjector - Puts curses and status cards into the player's piles
+ * Shattered Star
+ *
+ * Enemy intents, card effects, corruption cascades and event choices all
+ * describe added cards with the same `add_card` spec:
+ *
+ *   { "type": "add_card", "card": "burn_wound", "count": 2, "pile": "discard" }
+ *
+ * pile is one of:
+ *   draw     Shuffled into the draw pile
+ *   discard  Onto the discard pile (default in combat)
+ *   hand     Into the hand; cards past the hand limit go to the discard pile
+ *   deck     Into the permanent deck (default, and the only pile, outside
+ *            combat); in combat a copy also joins the discard pile
+ *
+ * Event choices may also give just the card id: "add_card": "doubt".
+ * The cards themselves live in data/cards/status_cards.json.
+ *
+ * @version 0.1.0
+ */
+
+import { normalizeCard } from './CardNormalizer.js';
+
+const ADD_CARD_PILES = ['draw', 'discard', 'hand', 'deck'];
+
+const STATE_PILES = {
+    draw: 'combat.drawPile',
+    discard: 'combat.discardPile',
+    hand: 'combat.hand',
+    deck: 'deck'
+};
+
+const MAX_HAND_SIZE = 10;
+
+/**
+ * Curses and status cards: the cards deck viewers list on their own
+ * @param {Object} card
+ * @returns {boolean}
+ */
+function isJunkCard(card) {
+    return card?.type === 'curse' || card?.type === 'status';
+}
+
+/**
+ * Read an add_card spec (an object or a bare card id)
+ * @param {Object|string} spec
+ * @param {string} [defaultPile='discard']
+ * @returns {{card: string, count: number, pile: string}|null}
+ */
+function parseAddCard(spec, defaultPile = 'discard') {
+    const raw = typeof spec === 'string' ? { card: spec } : spec;
+    if (!raw?.card) return null;
+    const pile = ADD_CARD_PILES.includes(raw.pile) ? raw.pile : defaultPile;
+    if (raw.pile && raw.pile !== pile) {
+        console.warn(`[CardInjector] Unknown pile '${raw.pile}' for ${raw.card}; using ${pile}`);
+    }
+    return {
+        card: raw.card,
+        count: Math.max(1, Math.floor(Number(raw.count ?? raw.value) || 1)),
+        pile
+    };
+}
+
+/**
+ * Fresh combat-ready copies of a card
+ * @param {Object} cardData
+ * @param {number} count
+ * @param {string} [source] - Who added them (enemy id, cascade id, event id)
+ * @returns {Object[]}
+ */
+function createCopies(cardData, count, source) {
+    return Array.from({ length: count }, (_, i) => normalizeCard({
+        ...cardData,
+        instanceId: `${cardData.id}_added_${Date.now()}_${i}_${Math.random().toString(36).substr(2, 5)}`,
+        ...(source ? { addedBy: source } : {})
+    }));
+}
+
+/**
+ * Place cards into pile arrays (mutated in place)
+ * @param {{draw?: Object[], discard?: Object[], hand?: Object[], deck?: Object[]}} piles
+ * @param {Object[]} cards
+ * @param {string} pile
+ * @param {RandomStream} [random] - Picks draw pile positions
+ */
+function insertCards(piles, cards, pile, random = null) {
+    cards.forEach(card => {
+        if (pile === 'hand' && piles.hand && piles.hand.length < MAX_HAND_SIZE) {
+            piles.hand.push(card);
+        } else if (pile === 'draw' && piles.draw) {
+            const position = random ? random.int(0, piles.draw.length) : piles.draw.length;
+            piles.draw.splice(position, 0, card);
+        } else if (pile === 'deck' && piles.deck) {
+            piles.deck.push(card);
+            piles.discard?.push({ ...card });
+        } else {
+            piles.discard?.push(card);
+        }
+    });
+}
+
+/**
+ * Resolve an add_card spec against GameState piles
+ * @param {GameState} state
+ * @param {Object|string} spec
+ * @param {Object} options
+ * @param {function(string): Object|null} options.getCard - Card data by id
+ * @param {boolean} [options.inCombat=true] - Outside combat every card goes to the deck
+ * @param {RandomStream} [options.random]
+ * @param {string} [options.source]
+ * @returns {Object[]} The cards added (empty if the card id is unknown)
+ */
+function addCardsToState(state, spec, { getCard, inCombat = true, random = null, source = null } = {}) {
+    const parsed = parseAddCard(spec, inCombat ? 'discard' : 'deck');
+    if (!parsed) return [];
+
+    const cardData = getCard?.(parsed.card);
+    if (!cardData) {
+        console.warn(`[CardInjector] Unknown card '${parsed.card}'; nothing added`);
+        return [];
+    }
+
+    const pile = inCombat ? parsed.pile : 'deck';
+    const cards = createCopies(cardData, parsed.count, source);
+    const piles = { deck: state.get('deck') || [] };
+    if (inCombat) {
+        piles.draw = state.get('combat.drawPile') || [];
+        piles.discard = state.get('combat.discardPile') || [];
+        piles.hand = state.get('combat.hand') || [];
+    }
+    insertCards(piles, cards, pile, random);
+    Object.entries(piles).forEach(([name, list]) => state.set(STATE_PILES[name], list));
+
+    console.log(`[CardInjector] Added ${cards.length}× ${cardData.name} to ${pile}${source ? ` (${source})` : ''}`);
+    return cards;
+}
+
+export {
+    ADD_CARD_PILES,
+    isJunkCard,
+    parseAddCard,
+    createCopies,
+    insertCards,
+    addCardsToState
+};
@@ -0,0 +1,113 @@
+/**
+ * CardKeywords - Lifecycle keywords cards declare in JSON
+ * Shattered Star
+ *
+ * Cards list keywords in a `keywords` array:
+ *   { "id": "meltdown", ..., "keywords": ["retain"] }
+ * The older boolean form ("exhaust": true) is still read, so every consumer
+ * should ask hasKeyword() rather than checking card fields directly.
+ *
+ *   exhaust     Removed from combat after it is played
+ *   ethereal    Exhausted at end of turn if still in hand
+ *   retain      Stays in hand at end of turn
+ *   innate      Always in the opening hand
+ *   unplayable  Can't be played (curses, status cards)
+ *
+ * The pile helpers below are shared by CombatScreen, CombatEngine and
+ * DeckManager so the live game and the simulator deal and discard alike.
+ *
+ * @version 0.1.0
+ */
+
+const CARD_KEYWORDS = {
+    exhaust: {
+        name: 'Exhaust',
+        description: 'Removed from combat after it is played.'
+    },
+    ethereal: {
+        name: 'Ethereal',
+        description: 'If this card is still in your hand at end of turn, it is Exhausted.'
+    },
+    retain: {
+        name: 'Retain',
+        description: 'Not discarded at end of turn.'
+    },
+    innate: {
+        name: 'Innate',
+        description: 'Always starts combat in your opening hand.'
+    },
+    unplayable: {
+        name: 'Unplayable',
+        description: 'This card cannot be played.'
+    }
+};
+
+const KEYWORD_IDS = Object.keys(CARD_KEYWORDS);
+
+/**
+ * Keyword ids on a card, from its `keywords` array and the legacy boolean flags
+ * @param {Object} card
+ * @returns {string[]} Known keyword ids in CARD_KEYWORDS order
+ */
+function getCardKeywords(card) {
+    if (!card) return [];
+    const listed = Array.isArray(card.keywords)
+        ? card.keywords.map(k => String(k).toLowerCase())
+        : [];
+    return KEYWORD_IDS.filter(id => listed.includes(id) || card[id] === true);
+}
+
+/**
+ * @param {Object} card
+ * @param {string} keyword - e.g. 'exhaust'
+ */
+function hasKeyword(card, keyword) {
+    return getCardKeywords(card).includes(keyword);
+}
+
+/**
+ * Tooltip entries for a card's keywords: [{ id, name, description }]
+ */
+function describeKeywords(card) {
+    return getCardKeywords(card).map(id => ({ id, ...CARD_KEYWORDS[id] }));
+}
+
+/**
+ * Split a shuffled deck into the opening hand and draw pile. Innate cards
+ * go to the hand first; the hand grows past handSize (up to maxHandSize)
+ * if there are more Innate cards than that.
+ * @param {Object[]} shuffled - Deck in draw order (index 0 is dealt first)
+ * @returns {{ hand: Object[], drawPile: Object[] }}
+ */
+function dealOpeningHand(shuffled, handSize, maxHandSize = handSize) {
+    const innate = shuffled.filter(c => hasKeyword(c, 'innate'));
+    const ordered = [...innate, ...shuffled.filter(c => !hasKeyword(c, 'innate'))];
+    const size = Math.min(Math.max(handSize, innate.length), maxHandSize);
+    return { hand: ordered.slice(0, size), drawPile: ordered.slice(size) };
+}
+
+/**
+ * Sort the cards left in hand at end of turn
+ * Retain wins over Ethereal: a retained Ethereal card stays in hand.
+ * @param {Object[]} hand
+ * @returns {{ retained: Object[], exhausted: Object[], discarded: Object[] }}
+ */
+function sortEndOfTurnHand(hand) {
+    const result = { retained: [], exhausted: [], discarded: [] };
+    hand.forEach(card => {
+        if (hasKeyword(card, 'retain')) result.retained.push(card);
+        else if (hasKeyword(card, 'ethereal')) result.exhausted.push(card);
+        else result.discarded.push(card);
+    });
+    return result;
+}
+
+export {
+    CARD_KEYWORDS,
+    KEYWORD_IDS,
+    getCardKeywords,
+    hasKeyword,
+    describeKeywords,
+    dealOpeningHand,
+    sortEndOfTurnHand
+};
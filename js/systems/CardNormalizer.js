@@ -0,0 +1,99 @@
+/**
+ * CardNormalizer - Turns card data into combat-ready card instances
+ * Gives each instance its own `effects` list (the list CardEffectInterpreter
+ * runs) plus the summary fields card faces read. Pure and DOM-free so the
+ * live CombatScreen and the headless CombatEngine see identical cards.
+ * @version 0.2.0
+ */
+
+import cardEffects from './CardEffectInterpreter.js';
+import { getCardKeywords } from './CardKeywords.js';
+
+/**
+ * Top-level card fields that stand for an effect's value. Upgrades, corruption
+ * and cascades edit these directly (card.damage *= 1.4), so normalizeCard
+ * folds them back into the matching effect before combat runs the list.
+ */
+const STAT_FIELDS = [
+    { field: 'damage', types: ['damage'] },
+    { field: 'block', types: ['block', 'block_gain'] },
+    { field: 'draw', types: ['draw'] },
+    { field: 'energy', types: ['energy'] },
+    { field: 'heal', types: ['heal'] },
+    { field: 'selfDamage', types: ['self_damage'] }
+];
+
+/**
+ * Copy a card's effects into a list combat can own. Older card definitions
+ * (RewardSystem's corrupted pool) use a { corruption: 3, strength: 2 } map.
+ */
+function toEffectList(effects) {
+    if (Array.isArray(effects)) return JSON.parse(JSON.stringify(effects));
+    if (!effects || typeof effects !== 'object') return [];
+    return Object.entries(effects)
+        .filter(([, value]) => typeof value === 'number')
+        .map(([type, value]) => ({ type, value }));
+}
+
+/**
+ * Build a combat-ready card: its own copy of the `effects` list (so upgrading
+ * one copy never changes another), top-level stat edits folded into that
+ * list, the summary fields (damage, block, draw, hits) the card UI shows and
+ * a `keywords` array that also covers the legacy boolean flags.
+ * The effects list is what combat runs; see CardEffectInterpreter.
+ * Safe to call on an already-normalized card.
+ */
+export function normalizeCard(card) {
+    const normalized = { ...card };
+    
+    if (!normalized.instanceId) {
+        normalized.instanceId = `${card.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+    
+    const effects = toEffectList(card.effects);
+    const synthesized = [];
+    STAT_FIELDS.forEach(({ field, types }) => {
+        const value = card[field];
+        if (typeof value !== 'number') return;
+        const matching = effects.filter(e => types.includes(e.type));
+        const numeric = matching.find(e => typeof e.value === 'number');
+        if (numeric) {
+            numeric.value = value;
+        } else if (matching.length === 0 && value > 0) {
+            // Cards defined only by top-level fields (fallback and legacy cards)
+            synthesized.push({ type: types[0], value });
+        }
+    });
+    normalized.effects = [...synthesized, ...effects];
+    
+    const damageEffect = normalized.effects.find(e => e.type === 'damage');
+    if (damageEffect) {
+        // Card-level multi-hit and lifesteal (Pummel, Abyssal Drain) belong to the strike
+        if (damageEffect.hits === undefined && typeof (card.hits ?? card.times) === 'number') {
+            damageEffect.hits = card.hits ?? card.times;
+        }
+        if (card.lifesteal || card.effects?.lifesteal === true) damageEffect.lifesteal = true;
+    }
+    
+    // Summary fields for card faces, previews and AI estimates
+    const summary = (types) => normalized.effects.find(e => types.includes(e.type))?.value;
+    normalized.damage = summary(['damage']);
+    normalized.block = summary(['block', 'block_gain']);
+    normalized.draw = summary(['draw']);
+    if (damageEffect?.hits !== undefined) normalized.hits = damageEffect.hits;
+    normalized.keywords = getCardKeywords(card);
+    
+    return normalized;
+}
+
+/**
+ * Determine if a card needs an enemy target
+ * Attacks always do; other cards do when an effect hits the chosen enemy
+ * (single-target debuffs, consume effects). All-enemy effects don't.
+ */
+export function cardNeedsEnemyTarget(card) {
+    if (card.type === 'attack') return true;
+    if (card.damage > 0) return true;
+    if (card.targetRequired) return true;
+    return cardEffects.needsEnemyTarget(card);
+}
@@ -11,9 +11,11 @@
  *   Replace the simple upgrade logic in RestScreen.js and DeckManager.js
  *   with calls to upgrader.upgradeCard(card).
  * 
- * @version 2.0.0 — Full coverage for all heroes + neutrals
+ * @version 2.1.0 — Full Auren pool; effectValues overrides for non-stat effects
  */
 
+import rng from '../core/RNG.js';
+
 // ═══════════════════════════════════════════
 // KORVAX UPGRADE TABLE
 // ═══════════════════════════════════════════
@@ -137,7 +139,7 @@ const KORVAX_UPGRADES = {
     },
     rage_protocol: {
         upgradedName: 'Berserker Protocol',
-        description: 'Whenever you take damage, gain 2 Rage.',
+        description: 'Innate. Whenever you take damage, gain 2 Rage.',
         flavor: '"Protocol override. All limiters disengaged."'
     },
     armor_plating: {
@@ -204,7 +206,7 @@ const KORVAX_UPGRADES = {
     },
     meltdown: {
         upgradedName: 'Critical Meltdown',
-        description: 'Deal damage equal to Overheat ×5 to ALL. Reset Overheat.',
+        description: 'Retain. Deal damage equal to Overheat ×5 to ALL. Reset Overheat.',
         flavor: '"The warnings blared. Korvax ignored them all."'
     },
     berserk: {
@@ -258,18 +260,18 @@ const KORVAX_UPGRADES = {
     barricade: {
         upgradedName: 'Eternal Barricade',
         cost: 2,
-        description: 'Block is not removed at the start of your turn.',
+        description: 'Innate. Block is not removed at the start of your turn.',
         flavor: '"This wall doesn\'t fall. Ever."'
     },
     critical_mass: {
         upgradedName: 'Supercritical Mass',
-        description: 'Deal 8 damage. If Overheat 10+, deal 40 instead. Reset Overheat.',
+        description: 'Retain. Deal 8 damage. If Overheat 10+, deal 40 instead. Reset Overheat.',
         flavor: '"The event horizon. No coming back."'
     },
     titans_wrath: {
         upgradedName: 'Titan\'s Apocalypse',
         damage: 25,
-        description: 'Deal 25 damage +7 per Rage. Lose all Rage.',
+        description: 'Retain. Deal 25 damage +7 per Rage. Lose all Rage.',
         flavor: '"He wound up. The world held its breath."'
     }
 };
@@ -383,52 +385,199 @@ const AUREN_UPGRADES = {
     radiant_strike: {
         upgradedName: 'Blazing Judgment',
         damage: 8,
+        effectValues: { judgment: 2 },
         description: 'Deal 8 damage. If you have Block, gain 2 Judgment.',
         flavor: '"Light doesn\'t ask permission to burn."'
     },
     solemn_defense: {
         upgradedName: 'Sanctified Shield',
         block: 8,
+        effectValues: { judgment: 2 },
         description: 'Gain 8 Block. If you took damage last turn, gain 2 Judgment.',
         flavor: '"Suffering refines the worthy."'
     },
+    dawn_brand: {
+        upgradedName: 'Sunrise Brand',
+        damage: 6,
+        effectValues: { radiance: 3 },
+        description: 'Deal 6 damage. Apply 3 Radiance.',
+        flavor: '"The mark of the dawn does not fade. It spreads."'
+    },
+    aegis_of_faith: {
+        upgradedName: 'Aegis of Conviction',
+        block: 6,
+        effectValues: { aegis: 4 },
+        description: 'Gain 6 Block. Gain 4 Aegis.',
+        flavor: '"Faith broke. The shield did not."'
+    },
     aegis_pulse: {
         upgradedName: 'Radiant Aegis',
-        block: 12,
-        description: 'Gain 12 Block. Excess Block becomes Judgment.',
+        block: 11,
+        effectValues: { aegis: 3 },
+        description: 'Gain 11 Block. Gain 3 Aegis.',
         flavor: '"The shield does not merely protect. It judges."'
     },
     searing_verdict: {
         upgradedName: 'Final Verdict',
         damage: 10,
+        effectValues: { consume_judgment: { bonus_damage_per_stack: 4 } },
         description: 'Deal 10 damage. Consume Judgment for +4 damage each.',
         flavor: '"The sentence is passed. The sentence is carried out."'
     },
+    sunspear: {
+        upgradedName: 'Zenith Spear',
+        damage: 13,
+        effectValues: { radiance: 5 },
+        description: 'Deal 13 damage. Apply 5 Radiance.',
+        flavor: '"Noon has no shadows to hide in."'
+    },
+    halo_burst: {
+        upgradedName: 'Crown of Fire',
+        damage: 6,
+        effectValues: { radiance: 3 },
+        description: 'Deal 6 damage to ALL enemies. Apply 3 Radiance to ALL enemies.',
+        flavor: '"The halo slipped. Everyone nearby regretted it."'
+    },
+    kindle: {
+        upgradedName: 'Immolate',
+        effectValues: { radiance: 7 },
+        description: 'Apply 7 Radiance.',
+        flavor: '"A spark is a promise. This is the keeping of it."'
+    },
+    oathbound_guard: {
+        upgradedName: 'Oathkeeper\'s Guard',
+        block: 10,
+        description: 'Gain 10 Block. Gain 1 Judgment.',
+        flavor: '"The oath outlived the order that swore it."'
+    },
+    penitent_blow: {
+        upgradedName: 'Flagellant\'s Blow',
+        damage: 12,
+        description: 'Deal 12 damage. Lose 2 HP. Gain 2 Judgment.',
+        flavor: '"Every sin has a price. Some pay it forward."'
+    },
+    gilded_ward: {
+        upgradedName: 'Golden Bastion',
+        block: 16,
+        effectValues: { aegis: 4 },
+        description: 'Gain 16 Block. Gain 4 Aegis.',
+        flavor: '"The gilt flaked off long ago. The wall stayed."'
+    },
+    chastise: {
+        upgradedName: 'Castigate',
+        damage: 9,
+        description: 'Deal 9 damage. Apply 1 Weak. If the target has Radiance, apply 1 Vulnerable.',
+        flavor: '"Lesson one: the light sees you."'
+    },
+    lantern_step: {
+        upgradedName: 'Beacon Step',
+        block: 5,
+        draw: 2,
+        description: 'Gain 5 Block. Draw 2 cards.',
+        flavor: '"Walk where the light falls. Never where it is needed."'
+    },
     judicators_stance: {
         upgradedName: 'Arbiter\'s Decree',
+        effectValues: { judgment: 2 },
         description: 'Whenever you gain Block, gain 2 Judgment.',
         flavor: '"Every wall built is another law enacted."'
     },
     shield_of_truth: {
         upgradedName: 'Bulwark of Verity',
         block: 14,
-        description: 'Gain 14 Block. Enemies attacking you take 5 damage.',
+        effectValues: { thorns: 5 },
+        description: 'Gain 14 Block. Gain 5 Thorns.',
         flavor: '"Truth hurts. Especially when you punch it."'
     },
+    purifying_flame: {
+        upgradedName: 'Cleansing Pyre',
+        damage: 8,
+        effectValues: { consume_radiance: { damagePerStack: 3 } },
+        description: 'Deal 8 damage. Consume the target\'s Radiance: deal 3 damage per stack.',
+        flavor: '"Purity is what remains after the fire."'
+    },
+    sanctuary: {
+        upgradedName: 'Inviolate Sanctuary',
+        block: 14,
+        effectValues: { aegis: 7 },
+        description: 'Gain 14 Block. Gain 7 Aegis. Exhaust.',
+        flavor: '"No door. No wall. Nothing gets in anyway."'
+    },
+    dawnbreaker_aura: {
+        upgradedName: 'Unending Dawn',
+        effectValues: { radiance: 3 },
+        description: 'At the start of your turn, apply 3 Radiance to ALL enemies.',
+        flavor: '"Every morning, without fail, the world catches fire."'
+    },
+    verdict_of_light: {
+        upgradedName: 'Verdict of the Sun',
+        damage: 7,
+        scalingMultiplier: 3,
+        description: 'Deal 7 damage, +3 per Judgment.',
+        flavor: '"The court of light has never acquitted anyone."'
+    },
+    steadfast: {
+        upgradedName: 'Unshakeable',
+        cost: 0,
+        description: 'Double your Aegis. Exhaust.',
+        flavor: '"He stopped counting the blows. He stopped feeling them."'
+    },
+    radiant_ward: {
+        upgradedName: 'Searing Ward',
+        block: 9,
+        effectValues: { radiance: 3 },
+        description: 'Gain 9 Block. Apply 3 Radiance to ALL enemies.',
+        flavor: '"Touch the ward. Learn why you shouldn\'t."'
+    },
+    mercy_of_the_fallen: {
+        upgradedName: 'Grace of the Fallen',
+        effectValues: { heal: 7, judgment: 3 },
+        description: 'Heal 7 HP. Gain 3 Judgment. Exhaust.',
+        flavor: '"Mercy was the first thing the Order forgot."'
+    },
     first_light_broken: {
         upgradedName: 'Dawn Shattered',
-        description: 'Gain 3 Judgment per turn. Spending Judgment gives Corruption.',
+        effectValues: { judgment: 3 },
+        description: 'At the start of your turn, gain 3 Judgment. Gain 2 Corruption.',
         flavor: '"The first light broke. What came after was darker. And stronger."'
     },
     final_absolution: {
         upgradedName: 'Absolute Absolution',
-        description: 'Deal damage equal to your Block + Judgment ×1.5. Lose both.',
+        cost: 2,
+        description: 'Deal damage equal to your Block + Judgment. Lose both.',
         flavor: '"Forgiveness is a weapon. The final one."'
     },
     martyrs_resolve: {
         upgradedName: 'Saint\'s Sacrifice',
-        description: 'Lose 7 HP. Gain Block equal to HP lost. Draw 3 cards.',
+        draw: 3,
+        effectValues: { self_damage: 7 },
+        description: 'Lose 7 HP. Gain 10 Block. Draw 3 cards.',
         flavor: '"Less blood. More resolve. Same outcome."'
+    },
+    solar_judgment: {
+        upgradedName: 'Solar Verdict',
+        damage: 11,
+        effectValues: { radiance: 5 },
+        description: 'Deal 11 damage to ALL enemies. Apply 5 Radiance to ALL enemies. Exhaust.',
+        flavor: '"The sun passed judgment on the whole field at once."'
+    },
+    eternal_aegis: {
+        upgradedName: 'Undying Aegis',
+        effectValues: { aegis: 9, block_per_turn: 5 },
+        description: 'Gain 9 Aegis. At the start of your turn, gain 5 Block.',
+        flavor: '"The shield outlived the knight. Then the knight came back."'
+    },
+    sentence_of_dawn: {
+        upgradedName: 'Sentence Carried Out',
+        effectValues: { consume_radiance: { damagePerStack: 5 } },
+        description: 'Consume the target\'s Radiance: deal 5 damage per stack. Exhaust.',
+        flavor: '"The dawn does not forgive. It only arrives."'
+    },
+    last_vigil: {
+        upgradedName: 'Eternal Vigil',
+        scalingMultiplier: 3,
+        description: 'Gain Block equal to three times your Judgment. Retain.',
+        flavor: '"He kept watch long after there was anything left to guard."'
     }
 };
 
@@ -650,6 +799,9 @@ class CardUpgradeSystem {
     upgradeCard(card) {
         if (!card || card.upgraded) return card;
 
+        // Upgrade this copy only: a card's effects array can be shared with the card data
+        if (Array.isArray(card.effects)) card.effects = JSON.parse(JSON.stringify(card.effects));
+
         const upgradeInfo = this.upgradeTable[card.id];
 
         if (upgradeInfo) {
@@ -687,6 +839,16 @@ class CardUpgradeSystem {
                     if (eff.scaling && upgradeInfo.scalingMultiplier !== undefined) {
                         eff.scaling.multiplier = upgradeInfo.scalingMultiplier;
                     }
+                    // Per-effect overrides: a number sets the value, an object sets fields.
+                    // Status effects and power applies match on their status name.
+                    if (upgradeInfo.effectValues) {
+                        [eff, ...(eff.apply ? [].concat(eff.apply) : [])].forEach(target => {
+                            const key = target.type === 'status' ? target.status : target.type;
+                            const override = upgradeInfo.effectValues[key];
+                            if (typeof override === 'number') target.value = override;
+                            else if (override && typeof override === 'object') Object.assign(target, override);
+                        });
+                    }
                 });
             }
         } else {
@@ -703,7 +865,7 @@ class CardUpgradeSystem {
             if (card.draw && card.draw > 0 && card.draw < 5) card.draw = card.draw + 1;
             
             // 40% chance to reduce cost on expensive cards
-            if (card.cost > 1 && Math.random() < 0.4) card.cost = Math.max(0, card.cost - 1);
+            if (card.cost > 1 && rng.random('rewards') < 0.4) card.cost = Math.max(0, card.cost - 1);
             
             // Boost heal values
             if (card.heal && card.heal > 0) card.heal = Math.ceil(card.heal * scale);
@@ -7,15 +7,16 @@
  * 
  * Integration:
  *   import CascadeEventRenderer from '../systems/CascadeEventRenderer.js';
- *   const renderer = new CascadeEventRenderer(game.eventBus);
+ *   const renderer = new CascadeEventRenderer(game.eventBus, game.audioManager);
  *   // It self-registers on cascade:triggered events
  * 
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 class CascadeEventRenderer {
-    constructor(eventBus) {
+    constructor(eventBus, audioManager = null) {
         this.eventBus = eventBus;
+        this.audioManager = audioManager;
         this.queue = [];
         this.isShowing = false;
         
@@ -53,7 +54,7 @@ class CascadeEventRenderer {
         this._updateCorruptionTint(corruption);
         
         // Sound effect
-        this._playCascadeSound(event.color);
+        this._playCascadeSound();
         
         // Auto-dismiss and process queue
         setTimeout(() => {
@@ -129,37 +130,8 @@ class CascadeEventRenderer {
     /**
      * Play procedural cascade sound
      */
-    _playCascadeSound(color) {
-        try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Ethereal sweep sound
-            const osc1 = audioCtx.createOscillator();
-            const osc2 = audioCtx.createOscillator();
-            const gain = audioCtx.createGain();
-            
-            osc1.type = 'sine';
-            osc1.frequency.value = 200;
-            osc1.frequency.exponentialRampToValueAtTime(600, audioCtx.currentTime + 0.3);
-            
-            osc2.type = 'triangle';
-            osc2.frequency.value = 300;
-            osc2.frequency.exponentialRampToValueAtTime(150, audioCtx.currentTime + 0.4);
-            
-            gain.gain.value = 0.06;
-            gain.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.5);
-            
-            osc1.connect(gain);
-            osc2.connect(gain);
-            gain.connect(audioCtx.destination);
-            
-            osc1.start();
-            osc2.start();
-            osc1.stop(audioCtx.currentTime + 0.5);
-            osc2.stop(audioCtx.currentTime + 0.5);
-        } catch (e) {
-            // Audio is non-fatal
-        }
+    _playCascadeSound() {
+        this.audioManager?.playSFX('cascade_event');
     }
 }
 
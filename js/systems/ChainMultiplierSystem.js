@@ -8,10 +8,21 @@
  * Chain: Attack → Attack → Attack = x1.0 → x1.2 → x1.5
  * Break: Attack → Skill = chain resets to x1.0
  * 
- * @version 1.0.0
+ * The rules come from data/chain_rules.json (loadChainRules):
+ * - steps: multiplier per chain length, with per-hero tables per chain type
+ * - extenders: types (power) that add to any chain without breaking it
+ * - combos: mixed patterns like Attack → Skill → Attack ("Weave"). A card
+ *   that is the next step of a combo holds the chain at x1.0 instead of
+ *   breaking it; the card that completes the combo adds the held cards to
+ *   the chain and multiplies it by the combo's multiplier until it breaks.
+ * 
+ * @version 1.2.0
  * @system Shattered Star MVP
  */
 
+// Card types remembered per chain for combo matching (longest combo pattern)
+const SEQUENCE_MEMORY = 8;
+
 class ChainMultiplierSystem {
     constructor(state, eventBus, voidFragmentSystem) {
         this.state = state;
@@ -33,22 +44,22 @@ class ChainMultiplierSystem {
             // Which card types can chain
             chainableTypes: ['attack', 'skill', 'power', 'corrupted'],
             
+            // Types that chain as another type, and types that extend any chain
+            typeAliases: { echo: 'attack', temporal: 'skill' },
+            extenders: [],
+            
             // Multiplier applies to these effects
             affectsDamage: true,
             affectsBlock: true,
             affectsSelfDamage: false
         };
         
+        // Combos shared by every hero, and per-hero overrides (see loadChainRules)
+        this.combos = [];
+        this.heroRules = {};
+        
         // Current chain state
-        this.chain = {
-            active: false,
-            type: null,           // 'attack', 'skill', 'power', 'corrupted'
-            length: 0,
-            multiplier: 1.0,
-            maxThisRun: 0,        // Best chain this combat for stats
-            totalChains: 0,       // Total chains completed this combat
-            brokenChains: 0       // Times chain was broken (stat)
-        };
+        this.chain = this.createChainState();
         
         // History for visual effects
         this.chainHistory = [];   // Last N chain events for trail animation
@@ -58,6 +69,60 @@ class ChainMultiplierSystem {
         console.log('[ChainMultiplier] Initialized');
     }
 
+    // ==========================================
+    // RULES
+    // ==========================================
+
+    /**
+     * Load chain rules from data (data/chain_rules.json). Anything missing
+     * keeps the built-in defaults.
+     */
+    loadChainRules(rules) {
+        if (!rules) {
+            console.warn('[ChainMultiplier] No chain rules provided');
+            return;
+        }
+        
+        if (Array.isArray(rules.steps)) this.config.multiplierSteps = [...rules.steps];
+        if (Array.isArray(rules.chainableTypes)) this.config.chainableTypes = [...rules.chainableTypes];
+        if (rules.typeAliases) this.config.typeAliases = { ...rules.typeAliases };
+        if (Array.isArray(rules.extenders)) this.config.extenders = [...rules.extenders];
+        
+        this.combos = Array.isArray(rules.combos) ? rules.combos.map(c => ({ ...c })) : [];
+        this.heroRules = rules.heroes || {};
+        
+        console.log(`[ChainMultiplier] Loaded ${this.combos.length} combos, hero tables for ${Object.keys(this.heroRules).join(', ') || 'none'}`);
+    }
+
+    /**
+     * Overrides for the current run's hero
+     */
+    getHeroRules() {
+        return this.heroRules[this.state.get('hero.id')] || {};
+    }
+
+    /**
+     * Multiplier table for a chain type (the hero's if it has one)
+     */
+    getSteps(type) {
+        return this.getHeroRules().steps?.[type] || this.config.multiplierSteps;
+    }
+
+    /**
+     * Shared and hero combos, longest pattern first so it wins a tie
+     */
+    getCombos() {
+        return [...this.combos, ...(this.getHeroRules().combos || [])]
+            .sort((a, b) => b.pattern.length - a.pattern.length);
+    }
+
+    /**
+     * The bits of a combo match the UI needs
+     */
+    describeCombo({ combo, step, complete }) {
+        return { id: combo.id, name: combo.name, step, of: combo.pattern.length, complete };
+    }
+
     // ==========================================
     // EVENT LISTENERS
     // ==========================================
@@ -77,7 +142,7 @@ class ChainMultiplierSystem {
      * Called BEFORE damage/block calculation so multiplier is ready.
      * 
      * @param {Object} card - The card being played
-     * @returns {Object} { multiplier, chainLength, chainType, continued, broke }
+     * @returns {Object} { multiplier, chainLength, chainType, continued, broke, held, combo }
      */
     processCardPlay(card) {
         if (!card || !card.type) {
@@ -91,19 +156,55 @@ class ChainMultiplierSystem {
             return this.getChainResult(false);
         }
         
-        // Check for Void Fragment: Type Bleed (skill continues attack chains, etc.)
-        const bridged = this.voidFragments && 
-            this.chain.active && 
-            cardType !== this.chain.type &&
-            this.voidFragments.doesTypeBridgeChain(cardType, this.chain.type);
+        const step = this.evaluateCard(cardType);
         
-        // Determine if chain continues
-        const continues = this.chain.active && (cardType === this.chain.type || bridged);
+        if (step.action === 'hold') {
+            // HOLD the chain: this card is a step towards a combo
+            this.chain.sequence = [...this.chain.sequence, cardType].slice(-SEQUENCE_MEMORY);
+            this.chain.held++;
+            this.chain.pending = this.describeCombo(step.combo);
+            
+            this.chainHistory.push({
+                type: cardType,
+                length: this.chain.length,
+                multiplier: 1.0,
+                timestamp: Date.now(),
+                held: true
+            });
+            
+            this.eventBus.emit('chain:hold', {
+                type: this.chain.type,
+                length: this.chain.length,
+                combo: this.chain.pending,
+                cardName: card.name
+            });
+            
+            return this.getChainResult(true);
+        }
         
-        if (continues) {
+        if (step.action === 'continue') {
             // EXTEND the chain
-            this.chain.length++;
-            this.chain.multiplier = this.getMultiplierForLength(this.chain.length);
+            const { bridged, extended, combo } = step;
+            
+            if (extended) {
+                // Extenders add to the chain without taking part in combos
+                this.chain.length++;
+            } else {
+                this.chain.sequence = [...this.chain.sequence, cardType].slice(-SEQUENCE_MEMORY);
+                this.chain.length += 1 + this.chain.held;
+                this.chain.held = 0;
+                this.chain.pending = null;
+            }
+            
+            if (combo?.complete) {
+                // The chain carries on as the type that completed the combo
+                this.chain.type = cardType;
+                if (!this.chain.combos.includes(combo.combo.id)) {
+                    this.chain.combos = [...this.chain.combos, combo.combo.id];
+                }
+            }
+            
+            this.chain.multiplier = this.getChainMultiplier();
             
             // Track max
             if (this.chain.length > this.chain.maxThisRun) {
@@ -115,15 +216,27 @@ class ChainMultiplierSystem {
                 length: this.chain.length,
                 multiplier: this.chain.multiplier,
                 timestamp: Date.now(),
-                bridged
+                bridged,
+                extended
             });
             
+            if (combo?.complete) {
+                this.eventBus.emit('chain:combo', {
+                    combo: this.describeCombo(combo),
+                    type: this.chain.type,
+                    length: this.chain.length,
+                    multiplier: this.chain.multiplier
+                });
+            }
+            
             // Emit chain growth event
             this.eventBus.emit('chain:grow', {
                 type: this.chain.type,
                 length: this.chain.length,
                 multiplier: this.chain.multiplier,
                 bridged,
+                extended,
+                combo: combo?.complete ? combo.combo.name : null,
                 cardName: card.name
             });
             
@@ -135,6 +248,7 @@ class ChainMultiplierSystem {
         } else {
             // BREAK and start new chain
             const oldChain = { ...this.chain };
+            const carried = this.getCarriedCards(cardType);
             
             if (this.chain.active && this.chain.length >= 2) {
                 this.chain.brokenChains++;
@@ -148,15 +262,19 @@ class ChainMultiplierSystem {
                 });
             }
             
-            // Start new chain
+            // Start new chain (held cards of the same type start it with this one)
             this.chain.active = true;
             this.chain.type = cardType;
-            this.chain.length = 1;
-            this.chain.multiplier = this.getMultiplierForLength(1);
+            this.chain.length = 1 + carried;
+            this.chain.sequence = Array(carried + 1).fill(cardType);
+            this.chain.held = 0;
+            this.chain.pending = null;
+            this.chain.combos = [];
+            this.chain.multiplier = this.getChainMultiplier();
             
             this.chainHistory.push({
                 type: cardType,
-                length: 1,
+                length: this.chain.length,
                 multiplier: this.chain.multiplier,
                 timestamp: Date.now(),
                 newChain: true
@@ -164,6 +282,7 @@ class ChainMultiplierSystem {
             
             this.eventBus.emit('chain:start', {
                 type: cardType,
+                length: this.chain.length,
                 cardName: card.name
             });
             
@@ -171,16 +290,97 @@ class ChainMultiplierSystem {
         }
     }
 
+    /**
+     * Work out what a card of this type would do to the chain, without changing it
+     * @param {string} cardType - Normalized card type
+     * @returns {{action: 'continue'|'hold'|'break', bridged: boolean, extended: boolean, combo: Object|null}}
+     *   combo is the matchCombo result that made the card continue or hold
+     */
+    evaluateCard(cardType) {
+        const result = { action: 'break', bridged: false, extended: false, combo: null };
+        if (!this.chain.active) return result;
+        
+        const combo = this.matchCombo(cardType);
+        const isExtender = this.config.extenders.includes(cardType) && cardType !== this.chain.type;
+        
+        // While held, only the next step of a combo (or an extender) keeps the chain
+        if (this.chain.held > 0) {
+            if (combo) return { ...result, action: combo.complete ? 'continue' : 'hold', combo };
+            if (isExtender) return { ...result, action: 'continue', extended: true };
+            return result;
+        }
+        
+        if (cardType === this.chain.type) {
+            return { ...result, action: 'continue', combo: combo?.complete ? combo : null };
+        }
+        if (combo?.complete) {
+            return { ...result, action: 'continue', combo };
+        }
+        
+        // Check for Void Fragment: Type Bleed (skill continues attack chains, etc.)
+        if (this.voidFragments && this.voidFragments.doesTypeBridgeChain(cardType, this.chain.type)) {
+            return { ...result, action: 'continue', bridged: true };
+        }
+        if (isExtender) {
+            return { ...result, action: 'continue', extended: true };
+        }
+        if (combo) {
+            return { ...result, action: 'hold', combo };
+        }
+        return result;
+    }
+
+    /**
+     * Find the combo a card of this type would complete, or failing that, advance.
+     * The chain's last cards must match the start of the pattern, including any
+     * held cards and at least one card before them.
+     * @param {string} cardType - Normalized card type
+     * @returns {{combo: Object, step: number, complete: boolean}|null}
+     */
+    matchCombo(cardType) {
+        const seq = this.chain.sequence;
+        let partial = null;
+        
+        for (const combo of this.getCombos()) {
+            const pattern = combo.pattern;
+            for (let k = Math.min(pattern.length - 1, seq.length); k > this.chain.held; k--) {
+                if (pattern[k] !== cardType) continue;
+                const tail = seq.slice(seq.length - k);
+                if (!tail.every((type, i) => type === pattern[i])) continue;
+                
+                const complete = k + 1 === pattern.length;
+                if (complete) return { combo, step: k + 1, complete };
+                if (!partial) partial = { combo, step: k + 1, complete };
+                break;
+            }
+        }
+        
+        return partial;
+    }
+
+    /**
+     * Held cards that start the next chain when a hold fails on a card of their type
+     */
+    getCarriedCards(cardType) {
+        const held = this.chain.held;
+        if (held === 0) return 0;
+        return this.chain.sequence.slice(-held).every(type => type === cardType) ? held : 0;
+    }
+
     /**
      * Get the multiplier for a given chain length
+     * @param {number} length
+     * @param {Array<Object>} [loadout] - Fragments to assume (default: equipped)
+     * @param {string} [type] - Chain type, for hero tables (default: the current chain's)
      */
-    getMultiplierForLength(length) {
+    getMultiplierForLength(length, loadout, type = this.chain.type) {
         // Get base multiplier from Void Fragments (Chain Resonance)
         const baseMultiplier = this.voidFragments ? 
-            this.voidFragments.getChainBaseMultiplier() : 1.0;
+            this.voidFragments.getChainBaseMultiplier(loadout) : 1.0;
         
-        const idx = Math.min(length - 1, this.config.multiplierSteps.length - 1);
-        const stepMultiplier = this.config.multiplierSteps[idx];
+        const steps = this.getSteps(type);
+        const idx = Math.min(length - 1, steps.length - 1);
+        const stepMultiplier = steps[idx];
         
         // If base > 1.0 (Chain Resonance), scale the chain up
         if (baseMultiplier > 1.0 && length > 1) {
@@ -191,12 +391,25 @@ class ChainMultiplierSystem {
         return stepMultiplier;
     }
 
+    /**
+     * Length multiplier times the multipliers of the combos completed in the chain
+     */
+    getChainMultiplier(length = this.chain.length, type = this.chain.type, comboIds = this.chain.combos) {
+        return comboIds.reduce((multiplier, id) => {
+            const combo = this.getCombos().find(c => c.id === id);
+            return multiplier * (combo?.multiplier || 1.0);
+        }, this.getMultiplierForLength(length, undefined, type));
+    }
+
     /**
      * Apply chain multiplier to a damage value
      */
     applyToValue(baseValue, isBlock = false) {
         if (!this.chain.active || this.chain.length < 2) return baseValue;
         
+        // Cards holding the chain for a combo play at x1.0
+        if (this.chain.held > 0) return baseValue;
+        
         if (isBlock && !this.config.affectsBlock) return baseValue;
         if (!isBlock && !this.config.affectsDamage) return baseValue;
         
@@ -207,6 +420,7 @@ class ChainMultiplierSystem {
      * Get current multiplier (for display)
      */
     getCurrentMultiplier() {
+        if (this.chain.held > 0) return 1.0;
         return this.chain.active ? this.chain.multiplier : 1.0;
     }
 
@@ -214,11 +428,18 @@ class ChainMultiplierSystem {
      * Get current chain info (for UI)
      */
     getChainInfo() {
+        const comboNames = this.chain.combos
+            .map(id => this.getCombos().find(c => c.id === id)?.name)
+            .filter(Boolean);
+        
         return {
-            active: this.chain.active && this.chain.length >= 2,
+            active: this.chain.active && (this.chain.length >= 2 || this.chain.held > 0),
             type: this.chain.type,
             length: this.chain.length,
             multiplier: this.chain.multiplier,
+            held: this.chain.held,
+            pending: this.chain.pending,      // Combo the held cards are building
+            combos: comboNames,               // Combos completed in this chain
             maxThisRun: this.chain.maxThisRun,
             totalChains: this.chain.totalChains,
             isHot: this.chain.length >= this.config.shakeThreshold,
@@ -233,6 +454,16 @@ class ChainMultiplierSystem {
     checkChainMilestones() {
         const len = this.chain.length;
         
+        // One event per milestone, for sound and anything else that marks them
+        const milestones = [this.config.shakeThreshold, this.config.explosionThreshold, this.config.maxChainLength];
+        if (milestones.includes(len)) {
+            this.eventBus.emit('chain:milestone', {
+                type: this.chain.type,
+                length: len,
+                multiplier: this.chain.multiplier
+            });
+        }
+        
         // Screen shake at threshold
         if (len === this.config.shakeThreshold) {
             this.eventBus.emit('vfx:screenShake', { intensity: 'light', duration: 200 });
@@ -280,16 +511,24 @@ class ChainMultiplierSystem {
     }
 
     resetChain() {
-        this.chain = {
+        this.chain = this.createChainState();
+        this.chainHistory = [];
+    }
+
+    createChainState() {
+        return {
             active: false,
-            type: null,
+            type: null,           // 'attack', 'skill', 'power', 'corrupted'
             length: 0,
             multiplier: 1.0,
-            maxThisRun: 0,
-            totalChains: 0,
-            brokenChains: 0
+            sequence: [],         // Types of the chain's last cards, for combos
+            held: 0,              // Cards holding the chain for a combo
+            pending: null,        // { id, name, step, of } of that combo
+            combos: [],           // Ids of combos completed in this chain
+            maxThisRun: 0,        // Best chain this combat for stats
+            totalChains: 0,       // Total chains completed this combat
+            brokenChains: 0       // Times chain was broken (stat)
         };
-        this.chainHistory = [];
     }
 
     // ==========================================
@@ -299,11 +538,8 @@ class ChainMultiplierSystem {
     normalizeType(type) {
         if (!type) return 'attack';
         const t = type.toLowerCase().trim();
-        // Echo cards (Shade) count as whatever they're mimicking
-        if (t === 'echo') return 'attack';
-        // Temporal cards (Lyria) count as skill
-        if (t === 'temporal') return 'skill';
-        return t;
+        // Echo cards (Shade) count as attacks, temporal cards (Lyria) as skills
+        return this.config.typeAliases[t] || t;
     }
 
     getChainResult(continued, previousChain = null) {
@@ -312,6 +548,8 @@ class ChainMultiplierSystem {
             chainLength: this.chain.length,
             chainType: this.chain.type,
             continued,
+            held: this.chain.held > 0,
+            combo: this.chain.pending || null,
             broke: !continued && previousChain && previousChain.length >= 2,
             previousChain: previousChain && previousChain.length >= 2 ? {
                 type: previousChain.type,
@@ -323,34 +561,58 @@ class ChainMultiplierSystem {
 
     /**
      * Preview what would happen if a card is played (for UI hover)
+     * @returns {Object} { wouldContinue, held, nextMultiplier, nextLength, chainType, combo }
+     *   combo is { id, name, step, of, complete } when the card would complete
+     *   a combo (complete) or hold the chain for one
      */
     previewCardPlay(card) {
         if (!card || !card.type) {
-            return { wouldContinue: false, nextMultiplier: 1.0 };
+            return { wouldContinue: false, held: false, nextMultiplier: 1.0, combo: null };
         }
         
         const cardType = this.normalizeType(card.type);
+        if (!this.config.chainableTypes.includes(cardType)) {
+            return { wouldContinue: false, held: false, nextMultiplier: 1.0, combo: null };
+        }
         
-        const wouldContinue = this.chain.active && (
-            cardType === this.chain.type ||
-            (this.voidFragments && this.voidFragments.doesTypeBridgeChain(cardType, this.chain.type))
-        );
+        const step = this.evaluateCard(cardType);
+        const combo = step.combo ? this.describeCombo(step.combo) : null;
+        
+        if (step.action === 'hold') {
+            return {
+                wouldContinue: true,
+                held: true,
+                nextMultiplier: 1.0,
+                nextLength: this.chain.length,
+                chainType: this.chain.type,
+                combo
+            };
+        }
         
-        if (wouldContinue) {
-            const nextLength = this.chain.length + 1;
+        if (step.action === 'continue') {
+            const nextLength = this.chain.length + 1 + (step.extended ? 0 : this.chain.held);
+            const chainType = combo?.complete ? cardType : this.chain.type;
+            const comboIds = combo?.complete && !this.chain.combos.includes(combo.id)
+                ? [...this.chain.combos, combo.id]
+                : this.chain.combos;
             return {
                 wouldContinue: true,
-                nextMultiplier: this.getMultiplierForLength(nextLength),
+                held: false,
+                nextMultiplier: this.getChainMultiplier(nextLength, chainType, comboIds),
                 nextLength,
-                chainType: this.chain.type
+                chainType,
+                combo
             };
         }
         
+        const nextLength = 1 + this.getCarriedCards(cardType);
         return {
             wouldContinue: false,
-            nextMultiplier: this.getMultiplierForLength(1),
-            nextLength: 1,
-            chainType: cardType
+            held: false,
+            nextMultiplier: this.getMultiplierForLength(nextLength, undefined, cardType),
+            nextLength,
+            chainType: cardType,
+            combo: null
         };
     }
 
@@ -359,12 +621,13 @@ class ChainMultiplierSystem {
     // ==========================================
 
     getSaveData() {
-        return { ...this.chain };
+        return { ...this.chain, sequence: [...this.chain.sequence], combos: [...this.chain.combos] };
     }
 
     loadSaveData(data) {
         if (data) {
-            Object.assign(this.chain, data);
+            // Chains saved before combos existed have no sequence/held/combos
+            Object.assign(this.chain, this.createChainState(), data);
         }
     }
 }
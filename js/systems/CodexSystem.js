@@ -0,0 +1,268 @@
+/**
+ * CodexSystem - Cross-run record of what the player has discovered
+ * Shattered Star
+ *
+ * Discoveries are stored in the profile's codexEntries (SaveManager), so
+ * they survive between runs:
+ *
+ *   { category: 'lore', id: 'herald_warning', foundAt: 1718000000000,
+ *     source: { type: 'event', id: 'herald_whisper', name: 'Whisper of the Herald', act: 1 } }
+ *
+ * Categories:
+ *   lore     Lore keys granted by event choices (lore:discovered)
+ *   enemy    Enemies fought
+ *   card     Cards that joined the deck
+ *   relic    Relics obtained
+ *   boss     Bosses defeated
+ *
+ * source.type is 'event' or 'fight' (with the fight's enemy ids), or the
+ * node type ('shop', 'rest', 'treasure') for other finds.
+ *
+ * @version 0.1.0
+ */
+
+import { GameEvents } from '../core/EventBus.js';
+
+const CODEX_CATEGORIES = ['lore', 'enemy', 'card', 'relic', 'boss'];
+
+const FIGHT_NODES = ['combat', 'elite', 'boss'];
+
+/**
+ * 'herald_warning' -> 'Herald Warning'
+ */
+function titleFromKey(key) {
+    return String(key).split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+class CodexSystem {
+    constructor(state, eventBus, saveManager, dataLoader) {
+        this.state = state;
+        this.eventBus = eventBus;
+        this.saveManager = saveManager;
+        this.dataLoader = dataLoader;
+
+        // Enemies of the fight in progress (source for anything found in it)
+        this.currentFight = null;
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        this.eventBus.on(GameEvents.LORE_DISCOVERED, (data) => {
+            if (data?.lore) this.discover('lore', data.lore, data.source);
+        });
+
+        this.eventBus.on('combat:start', ({ enemies } = {}) => {
+            const list = (enemies || []).filter(e => e?.id);
+            this.currentFight = {
+                type: 'fight',
+                id: list.map(e => e.id).join('+'),
+                name: list.map(e => e.name || titleFromKey(e.id)).join(', '),
+                enemies: list.map(e => e.id),
+                difficulty: this.state.get('currentNodeType') || 'combat'
+            };
+            list.forEach(enemy => this.discover('enemy', enemy.id));
+            this.syncDeck();
+        });
+
+        // Summoned adds only show up once they fall
+        this.eventBus.on('enemy:defeated', (enemy) => {
+            if (enemy?.id) this.discover('enemy', enemy.id);
+        });
+
+        this.eventBus.on('boss:defeated', ({ act } = {}) => {
+            const bossId = this.dataLoader?.getBossForAct?.(act)?.id;
+            if (bossId) this.discover('boss', bossId);
+        });
+
+        ['card:added', 'card:purchased', 'card:obtained', 'node:completed'].forEach(name => {
+            this.eventBus.on(name, () => this.syncDeck());
+        });
+
+        ['artifact:gained', 'artifact:purchased'].forEach(name => {
+            this.eventBus.on(name, (artifact) => {
+                const id = artifact?.id || artifact?.artifact?.id;
+                if (id) this.discover('relic', id);
+            });
+        });
+    }
+
+    /**
+     * Where something found right now came from
+     * @returns {Object}
+     */
+    getCurrentSource() {
+        const act = this.state.get('act') || 1;
+        const nodeType = this.state.get('currentNodeType');
+
+        if (nodeType === 'event') {
+            const event = this.state.get('event.currentEvent');
+            if (event) return { type: 'event', id: event.id, name: event.name || titleFromKey(event.id), act };
+        }
+        if (FIGHT_NODES.includes(nodeType) && this.currentFight) {
+            return { ...this.currentFight, act };
+        }
+        return { type: nodeType || 'run', act };
+    }
+
+    /**
+     * Record every deck card not yet in the codex
+     */
+    syncDeck() {
+        (this.state.get('deck') || []).forEach(card => {
+            if (card?.id) this.discover('card', card.id);
+        });
+    }
+
+    /**
+     * Record a discovery (first find wins; later finds are ignored)
+     * @param {string} category - One of CODEX_CATEGORIES
+     * @param {string} id
+     * @param {Object} [source] - Defaults to getCurrentSource()
+     * @returns {boolean} True if this was a new entry
+     */
+    discover(category, id, source = null) {
+        if (!CODEX_CATEGORIES.includes(category) || !id) return false;
+
+        try {
+            const profile = this.saveManager.getProfile();
+            profile.codexEntries = profile.codexEntries || [];
+            if (profile.codexEntries.some(e => e.category === category && e.id === id)) return false;
+
+            const entry = {
+                category,
+                id,
+                foundAt: Date.now(),
+                source: source || this.getCurrentSource()
+            };
+            profile.codexEntries.push(entry);
+
+            // Older profile fields, kept for collection counts
+            if (category === 'card' && Array.isArray(profile.cardsSeen)) profile.cardsSeen.push(id);
+            if (category === 'relic' && Array.isArray(profile.artifactsSeen)) profile.artifactsSeen.push(id);
+
+            this.saveManager.saveProfile(profile);
+            this.eventBus.emit('codex:discovered', entry);
+            console.log(`[CodexSystem] New ${category} entry: ${id}`);
+            return true;
+        } catch (e) {
+            console.warn('[CodexSystem] Failed to record discovery:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Discovered entries for a category, by id
+     * @param {string} category
+     * @returns {Map<string, Object>}
+     */
+    getDiscovered(category) {
+        const entries = this.saveManager.getProfile().codexEntries || [];
+        return new Map(entries.filter(e => e.category === category).map(e => [e.id, e]));
+    }
+
+    /**
+     * Everything that can appear in a category, found or not
+     * Discovered ids missing from the data (removed content, built-in
+     * fallbacks) are listed at the end so nothing found disappears.
+     * @param {string} category
+     * @returns {Array<{id, name, data, found: Object|null}>}
+     */
+    getCatalog(category) {
+        const discovered = this.getDiscovered(category);
+        // Minion lists repeat roster enemies; keep the first of each id
+        const listed = new Set();
+        const catalog = this.buildCatalog(category).filter(entry => {
+            if (listed.has(entry.id)) return false;
+            listed.add(entry.id);
+            return true;
+        });
+
+        discovered.forEach((entry, id) => {
+            if (!listed.has(id)) catalog.push({ id, name: titleFromKey(id), data: {} });
+        });
+
+        return catalog.map(entry => ({ ...entry, found: discovered.get(entry.id) || null }));
+    }
+
+    /**
+     * Make sure every content file the catalog reads from is cached
+     * (preload only covers the starting hero's cards)
+     * @returns {Promise<void>}
+     */
+    async loadCatalog() {
+        await Promise.all(['cards', 'enemies', 'events', 'artifacts'].map(category =>
+            this.dataLoader.loadCategory(category).catch(e => {
+                console.warn(`[CodexSystem] Could not load ${category}:`, e);
+            })
+        ));
+    }
+
+    buildCatalog(category) {
+        const loader = this.dataLoader;
+        if (!loader?.getAllContent) return [];
+
+        const describe = (item) => ({ id: item.id, name: item.name || titleFromKey(item.id), data: item });
+
+        switch (category) {
+            case 'lore':
+                return this.buildLoreCatalog();
+            case 'enemy':
+                return [
+                    ...loader.getAllContent('enemies', 'enemies'),
+                    ...loader.getAllContent('enemies', 'minions')
+                ].map(describe);
+            case 'card':
+                return loader.getAllContent('cards', 'cards').map(describe);
+            case 'relic':
+                return [
+                    ...loader.getAllContent('artifacts', 'relics'),
+                    ...loader.getAllContent('artifacts', 'artifacts')
+                ].map(describe);
+            case 'boss':
+                return loader.getAllContent('enemies', 'bosses').map(describe);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Lore keys come from event choices; the choice's result text is the entry
+     */
+    buildLoreCatalog() {
+        const entries = new Map();
+
+        this.dataLoader.getAllContent('events', 'events').forEach(event => {
+            (event.choices || []).forEach(choice => {
+                const lore = choice.effects?.lore;
+                if (!lore || entries.has(lore)) return;
+                entries.set(lore, {
+                    id: lore,
+                    name: titleFromKey(lore),
+                    data: { text: choice.result || '', eventId: event.id, eventName: event.name }
+                });
+            });
+        });
+
+        return [...entries.values()];
+    }
+
+    /**
+     * Found / total counts per category
+     * @returns {Object<string, {found: number, total: number}>}
+     */
+    getProgress() {
+        const progress = {};
+        CODEX_CATEGORIES.forEach(category => {
+            const catalog = this.getCatalog(category);
+            progress[category] = {
+                found: catalog.filter(e => e.found).length,
+                total: catalog.length
+            };
+        });
+        return progress;
+    }
+}
+
+export { CodexSystem, CODEX_CATEGORIES, titleFromKey };
+export default CodexSystem;
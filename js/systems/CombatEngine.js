@@ -0,0 +1,1030 @@
+/**
+ * CombatEngine - Headless, DOM-free combat for balance simulation
+ * Shattered Star
+ *
+ * Plays full fights from JSON data (hero, deck, relics, enemy encounter)
+ * using the same rules as CombatScreen: damage/block formulas, statuses and
+ * DoTs, power triggers, overheat + meltdown, phased bosses and cyclic intents.
+ * Card effects resolve through the shared CardEffectInterpreter; curses and
+ * status cards that enemies add (add_card intents) need options.getCard.
+ * A player policy decides which cards to play, so fights run start to finish
+ * without any input. Runs in the browser or under Node (see tools/).
+ *
+ * Not modelled (screen-only systems): biome effects, corruption currency,
+ * corruption cascades, void fragments/chains and boss summons.
+ *
+ * @version 0.3.0
+ */
+
+import rng from '../core/RNG.js';
+import { normalizeCard, cardNeedsEnemyTarget } from './CardNormalizer.js';
+import cardEffects, { statusId } from './CardEffectInterpreter.js';
+import CardUpgradeSystem from './CardUpgradeSystem.js';
+import { hasKeyword, dealOpeningHand, sortEndOfTurnHand } from './CardKeywords.js';
+import { parseAddCard, createCopies, insertCards } from './CardInjector.js';
+import { tickRadiance, blockAtTurnStart } from './HolyMechanics.js';
+
+const HAND_SIZE = 5;
+const MAX_HAND_SIZE = 10;
+const MELTDOWN_HEAT = 15;
+const DEFAULT_MAX_TURNS = 60;
+
+const PLAYER_STATUS_IDS = ['vulnerable', 'weak', 'frail', 'poison', 'bleed', 'burn', 'regen', 'stun', 'slow', 'artifact', 'noDraw'];
+
+/**
+ * relics.json `effect` types that map onto the combat stats CombatScreen reads
+ * from RewardSystem's artifact table. Anything not listed is out-of-combat or
+ * not yet modelled and is ignored.
+ */
+const RELIC_EFFECT_STATS = {
+    combat_start_block: e => ({ startOfCombatBlock: e.value }),
+    bonus_energy: e => (e.duration ? { startOfCombatEnergy: e.value } : { maxEnergy: e.value }),
+    combat_start_armor: e => ({ armor: e.value }),
+    permanent_armor: e => ({ armor: e.value }),
+    flat_damage_reduction: e => ({ armor: e.value }),
+    damage_bonus: e => ({ strength: e.value }),
+    combat_start_heal: e => ({ startOfCombatHeal: e.value }),
+    combat_start_overheat: e => ({ startOfCombatOverheat: e.value }),
+    bonus_draw: e => ({ drawPerTurn: e.value }),
+    radiance_multiplier: e => ({ radianceBonusPercent: e.percent ?? e.value }),
+    combat_start_radiance: e => ({ startOfCombatRadiance: e.value })
+};
+
+/**
+ * Resolve a relic to a flat stat map. Accepts enriched artifacts (RewardSystem
+ * `effects` object) and raw relics.json entries (`effect` object or array).
+ * @param {Object} relic
+ * @returns {Object<string, number>}
+ */
+function resolveRelicEffects(relic) {
+    const stats = {};
+    if (!relic) return stats;
+
+    const add = (source) => {
+        Object.entries(source || {}).forEach(([stat, value]) => {
+            if (typeof value === 'number') stats[stat] = (stats[stat] || 0) + value;
+        });
+    };
+
+    if (relic.effects && !Array.isArray(relic.effects)) add(relic.effects);
+
+    const dataEffects = Array.isArray(relic.effect) ? relic.effect : (relic.effect ? [relic.effect] : []);
+    dataEffects.forEach(effect => {
+        const mapper = effect && RELIC_EFFECT_STATS[effect.type];
+        if (mapper) add(mapper(effect));
+    });
+
+    return stats;
+}
+
+class CombatEngine {
+    /**
+     * @param {Object} options
+     * @param {Object} options.hero - Hero JSON (hp/maxHp, energy, id)
+     * @param {Array} options.deck - Card objects (raw JSON or already normalized)
+     * @param {Array} [options.relics] - Relics/artifacts equipped
+     * @param {Array} options.enemies - Enemy JSON objects for this encounter
+     * @param {number} [options.hp] - Current HP entering the fight (defaults to max)
+     * @param {number} [options.corruption] - Run corruption entering the fight
+     * @param {number} [options.maxTurns] - Safety cap; the fight is a loss past it
+     * @param {RandomStream} [options.random] - Stream for shuffles/targets (default: combat stream)
+     * @param {function(string): Object|null} [options.getCard] - Card data by id, for add_card intents
+     */
+    constructor(options = {}) {
+        this.hero = options.hero || {};
+        this.getCard = options.getCard || (() => null);
+        this.relics = options.relics || [];
+        this.maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+        this.random = options.random || rng.stream('combat');
+
+        this.relicStats = {};
+        this.relics.forEach(relic => {
+            Object.entries(resolveRelicEffects(relic)).forEach(([stat, value]) => {
+                this.relicStats[stat] = (this.relicStats[stat] || 0) + value;
+            });
+        });
+
+        const maxHp = Number(this.hero.maxHp ?? this.hero.hp) || 80;
+        const maxEnergy = (Number(this.hero.energy) || 3) + this.getRelicBonus('maxEnergy');
+
+        this.player = {
+            hp: Math.min(maxHp, Number(options.hp ?? maxHp)),
+            maxHp,
+            block: 0,
+            energy: maxEnergy,
+            maxEnergy,
+            strength: 0,
+            dexterity: 0,
+            overheat: 0,
+            rage: 0,
+            armor: 0,
+            thorns: 0,
+            counter: 0,
+            intangible: 0,
+            judgment: 0,
+            aegis: 0,
+            astralCharge: 0,
+            temporalFlux: 0,
+            corruption: options.corruption || 0,
+            tookDamageThisTurn: false,
+            tookDamageLastTurn: false,
+            cardsPlayedThisTurn: 0,
+            triggers: [],
+            status: Object.fromEntries(PLAYER_STATUS_IDS.map(id => [id, 0]))
+        };
+
+        this.enemies = (options.enemies || []).map((enemy, i) => this.normalizeEnemy(enemy, i));
+        this.deck = (options.deck || []).map(card => normalizeCard(card));
+        this.effectContext = this.createEffectContext();
+        this.upgrader = new CardUpgradeSystem();
+        this.hand = [];
+        this.drawPile = [];
+        this.discardPile = [];
+        this.exhaustPile = [];
+
+        this.turn = 0;
+        this.started = false;
+        this.outcome = null; // 'victory' | 'defeat' | 'timeout'
+        this.startHp = this.player.hp;
+
+        this.stats = {
+            cardsPlayed: 0,
+            damageDealt: 0,
+            damageTaken: 0,
+            damageByEnemy: {},
+            cardPlays: {},
+            meltdowns: 0,
+            cardsAdded: 0
+        };
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // SETUP
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * Mirror CombatScreen.normalizeEnemy with sanitized HP and an initial intent
+     */
+    normalizeEnemy(enemy, index) {
+        const rawMaxHp = enemy.maxHp ?? enemy.hp ?? enemy.health ?? 30;
+        const maxHp = (Number.isFinite(Number(rawMaxHp)) && Number(rawMaxHp) > 0) ? Number(rawMaxHp) : 30;
+        const rawHp = enemy.currentHp ?? enemy.hp ?? maxHp;
+        const currentHp = (Number.isFinite(Number(rawHp)) && Number(rawHp) > 0) ? Number(rawHp) : maxHp;
+
+        return {
+            ...enemy,
+            index,
+            currentHp,
+            maxHp,
+            block: Number(enemy.block) || 0,
+            vulnerable: Number(enemy.vulnerable) || 0,
+            weak: Number(enemy.weak) || 0,
+            strength: Number(enemy.strength) || 0,
+            intent: enemy.intent || (enemy.intents && enemy.intents.length > 0 ? { ...enemy.intents[0] } : { type: 'attack', damage: 8 })
+        };
+    }
+
+    /**
+     * Shuffle the deck, draw the opening hand and apply relic combat-start effects
+     */
+    start() {
+        if (this.started) return this;
+        this.started = true;
+        this.turn = 1;
+
+        const { hand, drawPile } = dealOpeningHand(this.random.shuffle(this.deck), HAND_SIZE, MAX_HAND_SIZE);
+        this.hand = hand;
+        this.drawPile = drawPile;
+
+        const r = this.relicStats;
+        if (r.startOfCombatStrength) this.player.strength += r.startOfCombatStrength;
+        if (r.startOfCombatDexterity) this.player.dexterity += r.startOfCombatDexterity;
+        if (r.startOfCombatBlock) this.player.block += r.startOfCombatBlock;
+        if (r.startOfCombatEnergy) this.player.energy += r.startOfCombatEnergy;
+        if (r.startOfCombatOverheat) this.player.overheat += r.startOfCombatOverheat;
+        if (r.startOfCombatHeal) this.player.hp = Math.min(this.player.maxHp, this.player.hp + r.startOfCombatHeal);
+        for (let i = 0; i < (r.startOfCombatDraw || 0); i++) this.drawCard();
+        if (r.startOfCombatRadiance) {
+            this.enemies.forEach(enemy => { enemy.radiance = (enemy.radiance || 0) + r.startOfCombatRadiance; });
+        }
+
+        return this;
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // FORMULAS (kept in step with CombatScreen)
+    // ══════════════════════════════════════════════════════════
+
+    getRelicBonus(stat) {
+        return this.relicStats[stat] || 0;
+    }
+
+    calculatePlayerDamage(baseDamage) {
+        let damage = baseDamage + this.player.strength + this.player.rage;
+        if (this.player.overheat >= 5) damage += 2;
+        damage += this.getRelicBonus('strength');
+        if (this.player.status.weak > 0) damage = Math.floor(damage * 0.75);
+        return Math.max(0, damage);
+    }
+
+    calculatePlayerBlock(baseBlock) {
+        let block = baseBlock + this.player.dexterity + this.getRelicBonus('dexterity');
+        if (this.player.status.frail > 0) block = Math.floor(block * 0.75);
+        return Math.max(0, block);
+    }
+
+    calculateIncomingDamage(baseDamage) {
+        if (this.player.intangible > 0) return 1;
+        let damage = baseDamage;
+        if (this.player.status.vulnerable > 0) damage = Math.floor(damage * 1.5);
+        if (this.player.armor > 0) damage = Math.max(0, damage - this.player.armor);
+        const relicArmor = this.getRelicBonus('armor');
+        if (relicArmor > 0) damage = Math.max(0, damage - relicArmor);
+        return Math.max(0, damage);
+    }
+
+    /**
+     * Per-hit damage an enemy's current intent would deal before player modifiers
+     * @param {Object} enemy
+     * @returns {{damage: number, hits: number}}
+     */
+    getIntentDamage(enemy) {
+        const intent = enemy.intent;
+        if (!intent || enemy.stun > 0) return { damage: 0, hits: 0 };
+        const attackTypes = ['attack', 'heavy_attack', 'multi_attack', 'attack_debuff'];
+        if (!attackTypes.includes(intent.type)) return { damage: 0, hits: 0 };
+
+        let damage = (Number(intent.damage) || 5) + (enemy.strength || 0);
+        if (enemy.weak > 0) damage = Math.floor(damage * 0.75);
+        let hits = intent.hits || intent.times || (intent.type === 'multi_attack' ? 2 : 1);
+        if (intent.type === 'attack_debuff') hits = 1;
+        return { damage, hits };
+    }
+
+    /**
+     * Total HP-relevant damage all enemies intend to deal this turn, after
+     * player modifiers but before block
+     * @returns {number}
+     */
+    getIncomingDamage() {
+        return this.enemies.reduce((sum, enemy) => {
+            if (enemy.currentHp <= 0) return sum;
+            const { damage, hits } = this.getIntentDamage(enemy);
+            return sum + this.calculateIncomingDamage(damage) * hits;
+        }, 0);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // QUERIES (used by policies)
+    // ══════════════════════════════════════════════════════════
+
+    isOver() {
+        return this.outcome !== null;
+    }
+
+    getLivingEnemies() {
+        return this.enemies.filter(e => e.currentHp > 0);
+    }
+
+    /**
+     * Cards in hand the player can afford right now
+     * @returns {Array<{index: number, card: Object, needsTarget: boolean}>}
+     */
+    getPlayableCards() {
+        if (this.isOver()) return [];
+        return this.hand
+            .map((card, index) => ({ index, card, needsTarget: cardNeedsEnemyTarget(card) }))
+            .filter(({ card }) => !hasKeyword(card, 'unplayable') && (Number(card.cost) || 0) <= this.player.energy);
+    }
+
+    /**
+     * Estimate the damage a card would deal to one enemy (before enemy block)
+     * @param {Object} card
+     * @param {Object} [enemy]
+     * @returns {number} Total across damage effects, hits and repeats
+     */
+    estimateCardDamage(card, enemy = null) {
+        const play = cardEffects.createPlay(card, this.effectContext, enemy);
+        return cardEffects.getEffects(card).reduce((total, effect) => {
+            if (effect.type !== 'damage') return total;
+            const base = cardEffects.resolveEffectValue(effect, play);
+            if (base === null) return total;
+            let damage = this.calculatePlayerDamage(base);
+            if (enemy && enemy.vulnerable > 0) damage = Math.floor(damage * 1.5);
+            return total + damage * cardEffects.resolveHits(effect, play) * cardEffects.resolveRepeat(effect, play);
+        }, 0);
+    }
+
+    /**
+     * Estimate the block a card would grant
+     * @param {Object} card
+     * @returns {number}
+     */
+    estimateCardBlock(card) {
+        const play = cardEffects.createPlay(card, this.effectContext);
+        return cardEffects.getEffects(card).reduce((total, effect) => {
+            if (effect.type !== 'block' && effect.type !== 'block_gain') return total;
+            const base = cardEffects.resolveEffectValue(effect, play);
+            return base === null ? total : total + this.calculatePlayerBlock(base) * cardEffects.resolveRepeat(effect, play);
+        }, 0);
+    }
+
+    /**
+     * What a card's non-damage effects add up to, for policies
+     * @param {Object} card
+     * @returns {{hitsAll: boolean, energy: number, draw: number, debuffs: number, dots: number,
+     *     buffs: number, heal: number, selfDamage: number, overheat: number}}
+     */
+    describeCard(card) {
+        const profile = { hitsAll: false, energy: 0, draw: 0, debuffs: 0, dots: 0, buffs: 0, heal: 0, selfDamage: 0, overheat: 0 };
+        cardEffects.getEffects(card).forEach(effect => {
+            const value = typeof effect.value === 'number' ? effect.value : 0;
+            const id = statusId(effect.type === 'status' ? effect.status : effect.type);
+            if (effect.type === 'damage' && ['all', 'all_enemies'].includes(effect.target)) profile.hitsAll = true;
+            switch (id) {
+                case 'energy': profile.energy += value; break;
+                case 'draw': profile.draw += value; break;
+                case 'vulnerable':
+                case 'weak': profile.debuffs += 1; break;
+                case 'poison':
+                case 'bleed':
+                case 'burn':
+                case 'radiance': profile.dots += value; break;
+                case 'strength':
+                case 'dexterity':
+                case 'rage': profile.buffs += 1; break;
+                case 'heal': profile.heal += value; break;
+                case 'self_damage': profile.selfDamage += value; break;
+                case 'overheat': profile.overheat += value; break;
+                default: break;
+            }
+        });
+        return profile;
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // CARD PLAY
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * Play a card from hand
+     * @param {number} handIndex
+     * @param {number|null} targetIndex - Index into this.enemies (auto-targets a lone enemy)
+     * @returns {boolean} True if the card was played
+     */
+    playCard(handIndex, targetIndex = null) {
+        if (this.isOver()) return false;
+        const card = this.hand[handIndex];
+        if (!card || hasKeyword(card, 'unplayable')) return false;
+
+        const cost = Number(card.cost) || 0;
+        if (cost > this.player.energy) return false;
+
+        if (cardNeedsEnemyTarget(card) && this.enemies.length > 0) {
+            const valid = targetIndex !== null && targetIndex >= 0 && targetIndex < this.enemies.length;
+            if (!valid) {
+                if (this.enemies.length !== 1) return false;
+                targetIndex = 0;
+            }
+        }
+
+        this.player.energy -= cost;
+        this.player.cardsPlayedThisTurn++;
+        this.hand.splice(handIndex, 1);
+        this.applyCardEffects(card, targetIndex);
+        cardEffects.runHeldTriggers(this.hand, 'card_played', this.effectContext);
+
+        if (hasKeyword(card, 'exhaust')) {
+            this.exhaustPile.push(card);
+        } else {
+            this.discardPile.push(card);
+        }
+
+        this.stats.cardsPlayed++;
+        this.stats.cardPlays[card.id] = (this.stats.cardPlays[card.id] || 0) + 1;
+
+        this.checkCombatEnd();
+        return true;
+    }
+
+    /**
+     * Resolve every effect of a card through the shared CardEffectInterpreter
+     */
+    applyCardEffects(card, targetIndex) {
+        const target = (targetIndex !== null && targetIndex >= 0) ? this.enemies[targetIndex] || null : null;
+        cardEffects.run(card, this.effectContext, { target });
+        this.removeDeadEnemies();
+    }
+
+    /**
+     * Effect context for CardEffectInterpreter over this engine's state
+     */
+    createEffectContext() {
+        const engine = this;
+        const p = this.player;
+        const isStatus = (id) => id in p.status;
+
+        return {
+            getValue: (id) => (id === 'handSize' ? engine.hand.length : (isStatus(id) ? p.status[id] : p[id])) || 0,
+            addPlayerStatus(id, amount) {
+                if (isStatus(id)) p.status[id] += amount;
+                else p[id] = (p[id] || 0) + amount;
+            },
+            setPlayerStatus(id, value) {
+                if (isStatus(id)) p.status[id] = value;
+                else p[id] = value;
+            },
+            getEnemies: () => engine.enemies,
+            random: () => engine.random,
+            modifyDamage: (base) => engine.calculatePlayerDamage(base),
+            dealDamage(enemy, amount, { hits = 1, ignoreBlock = false } = {}) {
+                if (!enemy || enemy.currentHp <= 0) return 0;
+                const perHit = (!ignoreBlock && enemy.vulnerable > 0) ? Math.floor(amount * 1.5) : amount;
+                let dealt = 0;
+                for (let h = 0; h < hits && enemy.currentHp > 0; h++) {
+                    dealt += engine.damageEnemy(enemy, perHit, { ignoreBlock });
+                }
+                return dealt;
+            },
+            applyEnemyStatus(enemy, id, amount) {
+                enemy[id] = (enemy[id] || 0) + amount;
+            },
+            modifyBlock: (base) => engine.calculatePlayerBlock(base),
+            gainBlock: (amount) => engine.gainBlock(amount),
+            drawCards(count, { type } = {}) {
+                if (!type) {
+                    for (let i = 0; i < count; i++) engine.drawCard();
+                    return;
+                }
+                const room = Math.max(0, MAX_HAND_SIZE - engine.hand.length);
+                const picked = engine.random.shuffle(engine.drawPile.filter(c => c.type === type)).slice(0, Math.min(count, room));
+                picked.forEach(c => {
+                    engine.drawPile.splice(engine.drawPile.indexOf(c), 1);
+                    engine.hand.push(c);
+                });
+            },
+            discardHand() {
+                // The played card has already left the hand
+                const count = engine.hand.length;
+                engine.discardPile.push(...engine.hand);
+                engine.hand = [];
+                return count;
+            },
+            gainEnergy(amount) { p.energy += amount; },
+            heal(amount) { p.hp = Math.min(p.maxHp, p.hp + amount); },
+            loseHp(amount) {
+                p.hp = Math.max(1, p.hp - amount);
+                p.triggers.forEach(trigger => {
+                    if (trigger.trigger !== 'on_self_damage' || !trigger.apply) return;
+                    if (trigger.apply.type === 'status' && trigger.apply.status === 'strength') {
+                        p.strength += trigger.apply.value || 1;
+                    }
+                });
+            },
+            gainMaxHp(amount) {
+                p.maxHp += amount;
+                p.hp += amount;
+            },
+            gainCorruption(amount) { p.corruption = Math.min(100, p.corruption + amount); },
+            addTrigger(effect) { p.triggers.push(effect); },
+            upgradeAllCards(playedCard) {
+                [...engine.hand, ...engine.drawPile, ...engine.discardPile].forEach(c => {
+                    if (c.upgraded || c === playedCard) return;
+                    engine.upgrader.upgradeCard(c);
+                    Object.assign(c, normalizeCard(c));
+                });
+            },
+            triggerMeltdown: () => engine.triggerMeltdown(),
+            addCards: (spec) => engine.addCards(spec)
+        };
+    }
+
+    /**
+     * Resolve an add_card spec against this fight's piles. The run deck is
+     * not modelled here, so 'deck' cards land in the discard pile.
+     * @returns {Object[]} The cards added
+     */
+    addCards(spec) {
+        const parsed = parseAddCard(spec);
+        const cardData = parsed && this.getCard(parsed.card);
+        if (!cardData) return [];
+        const cards = createCopies(cardData, parsed.count);
+        insertCards({ draw: this.drawPile, discard: this.discardPile, hand: this.hand }, cards, parsed.pile, this.random);
+        this.stats.cardsAdded += cards.length;
+        return cards;
+    }
+
+    /**
+     * Deal damage to an enemy through its block
+     * @returns {number} HP damage dealt
+     */
+    damageEnemy(enemy, amount, { ignoreBlock = false } = {}) {
+        if (!enemy || enemy.currentHp <= 0 || amount <= 0) return 0;
+        const blocked = ignoreBlock ? 0 : Math.min(enemy.block || 0, amount);
+        enemy.block = Math.max(0, (enemy.block || 0) - blocked);
+        const hpDamage = Math.min(enemy.currentHp, amount - blocked);
+        enemy.currentHp -= hpDamage;
+        this.stats.damageDealt += hpDamage;
+        return hpDamage;
+    }
+
+    gainBlock(amount) {
+        this.player.block += amount;
+
+        // on_gain_block triggers (Juggernaut, Judicator's Stance)
+        this.player.triggers.forEach(trigger => {
+            if (trigger.trigger !== 'on_gain_block') return;
+            if (trigger.apply?.type === 'status') {
+                const id = statusId(trigger.apply.status);
+                this.player[id] = (this.player[id] || 0) + (trigger.apply.value || 1);
+                return;
+            }
+            if (trigger.apply?.type !== 'damage') return;
+            const victim = this.random.pick(this.getLivingEnemies());
+            if (victim) {
+                const hpDamage = Math.min(victim.currentHp, trigger.apply.value || 3);
+                victim.currentHp -= hpDamage;
+                this.stats.damageDealt += hpDamage;
+            }
+        });
+    }
+
+    drawCard() {
+        if (this.drawPile.length === 0) {
+            if (this.discardPile.length === 0) return null;
+            this.drawPile = this.random.shuffle(this.discardPile);
+            this.discardPile = [];
+        }
+        if (this.hand.length >= MAX_HAND_SIZE) return null;
+        const card = this.drawPile.pop();
+        this.hand.push(card);
+        return card;
+    }
+
+    /**
+     * Korvax meltdown at 15 heat: heat x3 to all enemies, half heat as self-damage
+     */
+    triggerMeltdown() {
+        const heat = this.player.overheat || MELTDOWN_HEAT;
+        this.getLivingEnemies().forEach(enemy => this.damageEnemy(enemy, heat * 3));
+        this.player.hp = Math.max(1, this.player.hp - Math.floor(heat * 0.5));
+        this.player.overheat = 0;
+        this.stats.meltdowns++;
+        this.removeDeadEnemies();
+    }
+
+    removeDeadEnemies() {
+        this.enemies = this.enemies.filter(e => e.currentHp > 0);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // TURN FLOW
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * End the player's turn: player end-of-turn statuses, the enemy turn,
+     * then the next player turn if the fight continues.
+     */
+    endTurn() {
+        if (this.isOver()) return;
+
+        this.processPlayerEndOfTurn();
+        if (this.checkCombatEnd()) return;
+
+        this.enemyTurn();
+        if (this.checkCombatEnd()) return;
+
+        if (this.turn >= this.maxTurns) {
+            this.outcome = 'timeout';
+            return;
+        }
+        this.startPlayerTurn();
+    }
+
+    processPlayerEndOfTurn() {
+        const p = this.player;
+        const s = p.status;
+
+        let dot = 0;
+        if (s.poison > 0) { dot += s.poison; s.poison -= 1; }
+        if (s.bleed > 0) { dot += s.bleed; s.bleed -= 1; }
+        if (s.burn > 0) { dot += s.burn; s.burn = Math.floor(s.burn / 2); }
+        if (dot > 0) this.damagePlayer(dot, null);
+
+        if (s.regen > 0) {
+            p.hp = Math.min(p.maxHp, p.hp + s.regen);
+            s.regen -= 1;
+        }
+
+        ['vulnerable', 'weak', 'frail', 'stun', 'slow'].forEach(id => {
+            if (s[id] > 0) s[id] -= 1;
+        });
+
+        if (p.overheat >= 10 && p.overheat < MELTDOWN_HEAT) this.damagePlayer(3, null);
+
+        cardEffects.runHeldTriggers(this.hand, 'turn_end', this.effectContext);
+
+        p.counter = 0;
+        if (p.intangible > 0) p.intangible -= 1;
+
+        this.processTriggers('turn_end');
+    }
+
+    /**
+     * Run power-card triggers for turn_start / turn_end
+     */
+    processTriggers(when) {
+        const p = this.player;
+        p.triggers.forEach(trigger => {
+            if (trigger.trigger !== when) return;
+            const applies = Array.isArray(trigger.apply) ? trigger.apply : [trigger.apply];
+            applies.forEach(apply => {
+                if (!apply) return;
+                switch (apply.type) {
+                    case 'block':
+                        p.block += this.calculatePlayerBlock(apply.value || 0);
+                        break;
+                    case 'energy':
+                        if (when === 'turn_start') p.energy += apply.value || 1;
+                        break;
+                    case 'draw':
+                        if (when === 'turn_start') {
+                            for (let d = 0; d < (apply.value || 1); d++) this.drawCard();
+                        }
+                        break;
+                    case 'self_damage':
+                        p.hp = Math.max(1, p.hp - (apply.value || 1));
+                        break;
+                    case 'damage':
+                        if (when === 'turn_end' && apply.target === 'all') {
+                            this.getLivingEnemies().forEach(enemy => {
+                                const hpDamage = Math.min(enemy.currentHp, apply.value || 5);
+                                enemy.currentHp -= hpDamage;
+                                this.stats.damageDealt += hpDamage;
+                            });
+                            this.removeDeadEnemies();
+                        }
+                        break;
+                    case 'status':
+                        if (!apply.target || apply.target === 'self') {
+                            if (apply.status in p.status) p.status[apply.status] += apply.value || 1;
+                            else p[apply.status] = (p[apply.status] || 0) + (apply.value || 1);
+                        } else if (apply.target === 'all') {
+                            this.getLivingEnemies().forEach(enemy => {
+                                enemy[apply.status] = (enemy[apply.status] || 0) + (apply.value || 1);
+                            });
+                        }
+                        break;
+                    default:
+                        break;
+                }
+            });
+        });
+    }
+
+    /**
+     * Damage the player. Attacks go through block; DoTs (attacker null) bypass it.
+     * @returns {number} HP lost
+     */
+    damagePlayer(amount, attacker) {
+        const p = this.player;
+        let hpDamage = amount;
+        if (attacker) {
+            const blocked = Math.min(p.block, amount);
+            p.block -= blocked;
+            hpDamage = amount - blocked;
+        }
+        hpDamage = Math.min(p.hp, hpDamage);
+        p.hp -= hpDamage;
+        this.stats.damageTaken += hpDamage;
+        if (attacker && hpDamage > 0) {
+            const key = attacker.id || attacker.name || 'unknown';
+            this.stats.damageByEnemy[key] = (this.stats.damageByEnemy[key] || 0) + hpDamage;
+        }
+        return hpDamage;
+    }
+
+    enemyTurn() {
+        this.enemies.forEach(enemy => { enemy.block = 0; });
+
+        this.enemies.forEach(enemy => {
+            if (!enemy.intent || enemy.currentHp <= 0) return;
+
+            if (!(enemy.stun > 0)) {
+                this.checkPhaseTransition(enemy);
+                this.executeIntent(enemy);
+            }
+
+            enemy.intent = this.nextIntent(enemy);
+
+            if (enemy.vulnerable > 0) enemy.vulnerable--;
+            if (enemy.weak > 0) enemy.weak--;
+            if (enemy.stun > 0) enemy.stun--;
+            if (enemy.slow > 0) enemy.slow--;
+        });
+
+        this.processEnemyEndOfTurn();
+    }
+
+    checkPhaseTransition(enemy) {
+        if (enemy.aiBehavior !== 'phased' || !enemy.phases || enemy.phases.length === 0) return;
+
+        const hpPercent = (enemy.currentHp / enemy.maxHp) * 100;
+        let newPhase = 0;
+        for (let i = enemy.phases.length - 1; i >= 0; i--) {
+            if (hpPercent <= enemy.phases[i].hpThreshold) {
+                newPhase = i;
+                break;
+            }
+        }
+        if (newPhase === (enemy._currentPhaseIndex || 0)) return;
+
+        enemy._currentPhaseIndex = newPhase;
+        enemy.intentIndex = 0;
+        const onEnter = enemy.phases[newPhase].onEnter;
+        if (!onEnter) return;
+        if (onEnter.type === 'buff') {
+            if (onEnter.effect === 'strength') enemy.strength = (enemy.strength || 0) + (onEnter.value || 0);
+            else if (onEnter.effect === 'armor') enemy.block = (enemy.block || 0) + (onEnter.value || 0);
+            else if (onEnter.effect === 'thorns') enemy.thorns = (enemy.thorns || 0) + (onEnter.value || 0);
+        } else if (onEnter.type === 'heal') {
+            enemy.currentHp = Math.min(enemy.maxHp, enemy.currentHp + (onEnter.value || 0));
+        }
+    }
+
+    executeIntent(enemy) {
+        const intent = enemy.intent;
+        const { damage, hits } = this.getIntentDamage(enemy);
+
+        for (let h = 0; h < hits; h++) {
+            if (this.player.hp <= 0) break;
+            this.applyEnemyHit(enemy, damage);
+        }
+
+        switch (intent.type) {
+            case 'attack_debuff':
+            case 'debuff':
+                this.applyEnemyDebuff(intent.effect, intent.value || 1);
+                break;
+            case 'block':
+            case 'defend':
+                enemy.block = (enemy.block || 0) + (intent.value || intent.block || 5);
+                break;
+            case 'buff':
+                if (intent.effect === 'strength') enemy.strength = (enemy.strength || 0) + (intent.value || 1);
+                else if (intent.effect === 'armor') enemy.block = (enemy.block || 0) + (intent.value || 1);
+                break;
+            case 'heal':
+                enemy.currentHp = Math.min(enemy.maxHp, enemy.currentHp + (intent.value || intent.heal || 5));
+                break;
+            case 'add_card':
+                this.addCards(intent);
+                break;
+            default:
+                break;
+        }
+    }
+
+    applyEnemyHit(enemy, baseDamage) {
+        const p = this.player;
+        const hpDamage = this.damagePlayer(this.calculateIncomingDamage(baseDamage), enemy);
+        if (hpDamage <= 0) return;
+
+        p.tookDamageThisTurn = true;
+        if (p.thorns > 0) enemy.currentHp = Math.max(0, enemy.currentHp - p.thorns);
+        if (p.counter > 0) enemy.currentHp = Math.max(0, enemy.currentHp - p.counter);
+
+        p.triggers.forEach(trigger => {
+            const onDamage = trigger.on === 'take_damage' || trigger.trigger === 'on_damage_taken' || trigger.on === 'on_damage_taken';
+            if (!onDamage || !trigger.apply) return;
+            const apply = trigger.apply;
+            if (apply.type === 'rage' || (apply.type === 'status' && apply.status === 'rage')) p.rage += apply.value || 1;
+            if (apply.type === 'status' && apply.status === 'strength') p.strength += apply.value || 1;
+        });
+    }
+
+    applyEnemyDebuff(effect, value) {
+        if (!effect || !value) return;
+        if (effect === 'corruption') {
+            this.player.corruption = Math.min(100, this.player.corruption + value);
+        } else if (effect in this.player.status) {
+            this.player.status[effect] += value;
+        }
+    }
+
+    /**
+     * Next intent: phased enemies cycle their phase list, everyone else cycles intents
+     */
+    nextIntent(enemy) {
+        if (enemy.aiBehavior === 'phased' && enemy.phases) {
+            const phase = enemy.phases[enemy._currentPhaseIndex || 0];
+            if (phase && phase.intents && phase.intents.length > 0) {
+                const idx = (enemy.intentIndex || 0) % phase.intents.length;
+                enemy.intentIndex = idx + 1;
+                return { ...phase.intents[idx] };
+            }
+        }
+
+        if (enemy.intents && enemy.intents.length > 0) {
+            const idx = enemy.intentIndex || 0;
+            enemy.intentIndex = (idx + 1) % enemy.intents.length;
+            return { ...enemy.intents[idx % enemy.intents.length] };
+        }
+
+        const type = this.random.pick(['attack', 'attack', 'block']);
+        return {
+            type,
+            damage: type === 'attack' ? this.random.int(6, 10) : 0,
+            value: type === 'block' ? this.random.int(5, 9) : 0
+        };
+    }
+
+    processEnemyEndOfTurn() {
+        this.enemies.forEach(enemy => {
+            if (enemy.currentHp <= 0) return;
+            let dot = 0;
+            if (enemy.poison > 0) { dot += enemy.poison; enemy.poison -= 1; }
+            if (enemy.bleed > 0) { dot += enemy.bleed; enemy.bleed -= 1; }
+            if (enemy.burn > 0) { dot += enemy.burn; enemy.burn = Math.floor(enemy.burn / 2); }
+            dot += tickRadiance(enemy, this.getRelicBonus('radianceBonusPercent'));
+            if (dot > 0) this.damageEnemy(enemy, dot, { ignoreBlock: true });
+            if (enemy.regen > 0) {
+                enemy.currentHp = Math.min(enemy.maxHp, enemy.currentHp + enemy.regen);
+                enemy.regen -= 1;
+            }
+        });
+        this.removeDeadEnemies();
+    }
+
+    startPlayerTurn() {
+        const p = this.player;
+        p.energy = p.maxEnergy;
+
+        const retainBlock = p.triggers.some(t => t.status === 'retain_block' || t.retainBlock);
+        p.block = blockAtTurnStart(p.block, p.aegis, retainBlock);
+
+        const { retained, exhausted, discarded } = sortEndOfTurnHand(this.hand);
+        this.discardPile.push(...discarded);
+        this.exhaustPile.push(...exhausted);
+        this.hand = retained;
+        const drawCount = HAND_SIZE + this.getRelicBonus('drawPerTurn');
+        for (let i = 0; i < drawCount; i++) this.drawCard();
+
+        this.turn++;
+        p.tookDamageLastTurn = p.tookDamageThisTurn;
+        p.tookDamageThisTurn = false;
+        p.cardsPlayedThisTurn = 0;
+        p.status.noDraw = 0;
+        this.processTriggers('turn_start');
+    }
+
+    /**
+     * @returns {boolean} True if the fight has ended
+     */
+    checkCombatEnd() {
+        if (this.outcome) return true;
+        if (this.player.hp <= 0) this.outcome = 'defeat';
+        else if (this.getLivingEnemies().length === 0) this.outcome = 'victory';
+        return this.outcome !== null;
+    }
+
+    // ══════════════════════════════════════════════════════════
+    // AUTOPLAY
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * Play the fight to completion with a policy
+     * @param {Object|string} policy - Policy object or a key of POLICIES
+     * @returns {Object} Result (see getResult)
+     */
+    run(policy = 'heuristic') {
+        const chosen = typeof policy === 'string' ? POLICIES[policy] : policy;
+        if (!chosen) throw new Error(`[CombatEngine] Unknown policy: ${policy}`);
+
+        this.start();
+        while (!this.isOver()) {
+            // Guard against policies that never pass the turn
+            for (let actions = 0; actions < 50 && !this.isOver(); actions++) {
+                const action = chosen.chooseAction(this);
+                if (!action || !this.playCard(action.handIndex, action.targetIndex ?? null)) break;
+            }
+            this.endTurn();
+        }
+        return this.getResult();
+    }
+
+    getResult() {
+        return {
+            won: this.outcome === 'victory',
+            outcome: this.outcome,
+            turns: this.turn,
+            hpStart: this.startHp,
+            hpEnd: Math.max(0, this.player.hp),
+            hpLost: Math.max(0, this.startHp - this.player.hp),
+            maxHp: this.player.maxHp,
+            corruption: this.player.corruption,
+            ...this.stats
+        };
+    }
+}
+
+// ══════════════════════════════════════════════════════════
+// PLAYER POLICIES
+// A policy's chooseAction(engine) returns { handIndex, targetIndex } to play
+// a card, or null to end the turn.
+// ══════════════════════════════════════════════════════════
+
+function lowestHpTarget(engine) {
+    let best = null;
+    engine.enemies.forEach((enemy, index) => {
+        if (enemy.currentHp <= 0) return;
+        if (best === null || enemy.currentHp + (enemy.block || 0) < engine.enemies[best].currentHp + (engine.enemies[best].block || 0)) {
+            best = index;
+        }
+    });
+    return best;
+}
+
+/**
+ * Scripted: play affordable cards left to right, attacking the weakest enemy.
+ * A deliberately naive baseline.
+ */
+const scriptedPolicy = {
+    id: 'scripted',
+    chooseAction(engine) {
+        const playable = engine.getPlayableCards();
+        if (playable.length === 0) return null;
+        const { index, needsTarget } = playable[0];
+        return { handIndex: index, targetIndex: needsTarget ? lowestHpTarget(engine) : null };
+    }
+};
+
+/**
+ * Heuristic: take lethal when available, block what's coming in, play powers
+ * early, then spend remaining energy on the most damage per energy.
+ */
+const heuristicPolicy = {
+    id: 'heuristic',
+    chooseAction(engine) {
+        const playable = engine.getPlayableCards();
+        if (playable.length === 0) return null;
+
+        const p = engine.player;
+        const unblocked = Math.max(0, engine.getIncomingDamage() - p.block);
+        const lowHp = p.hp <= p.maxHp * 0.3;
+
+        let best = null;
+        playable.forEach(({ index, card, needsTarget }) => {
+            const cost = Math.max(1, Number(card.cost) || 0);
+            let score = 0;
+            let targetIndex = null;
+
+            const profile = engine.describeCard(card);
+
+            if (needsTarget || profile.hitsAll) {
+                engine.enemies.forEach((enemy, eIdx) => {
+                    if (enemy.currentHp <= 0) return;
+                    const dmg = engine.estimateCardDamage(card, enemy);
+                    const effective = Math.max(0, dmg - (enemy.block || 0));
+                    let s = Math.min(effective, enemy.currentHp);
+                    if (effective >= enemy.currentHp) s += 30; // kill
+                    if (profile.hitsAll) {
+                        score += s;
+                    } else if (targetIndex === null || s > score) {
+                        score = s;
+                        targetIndex = eIdx;
+                    }
+                });
+                if (needsTarget && targetIndex === null) targetIndex = lowestHpTarget(engine);
+            }
+
+            const block = engine.estimateCardBlock(card);
+            if (block > 0) score += Math.min(block, unblocked) * (lowHp ? 1.5 : 1.1) + block * 0.1;
+
+            if (card.type === 'power') score += engine.turn <= 2 ? 20 : 6;
+            if (profile.draw) score += profile.draw * 3;
+            if (profile.energy) score += profile.energy * 6;
+            if (profile.debuffs) score += 4;
+            if (profile.dots) score += profile.dots;
+            if (profile.buffs) score += 5;
+            if (profile.heal) score += Math.min(profile.heal, p.maxHp - p.hp);
+            if (profile.selfDamage) score -= profile.selfDamage * (lowHp ? 3 : 1);
+            if (profile.overheat && p.overheat + profile.overheat >= 10 && p.overheat + profile.overheat < 15) score -= 4;
+
+            const value = score / cost;
+            if (score > 0 && (!best || value > best.value)) {
+                best = { value, handIndex: index, targetIndex };
+            }
+        });
+
+        return best ? { handIndex: best.handIndex, targetIndex: best.targetIndex } : null;
+    }
+};
+
+const POLICIES = {
+    scripted: scriptedPolicy,
+    heuristic: heuristicPolicy
+};
+
+export { CombatEngine, POLICIES, RELIC_EFFECT_STATS, resolveRelicEffects };
+export default CombatEngine;
@@ -0,0 +1,93 @@
+/**
+ * CombatSnapshot - Saves a fight in progress so Continue resumes it
+ * Shattered Star
+ *
+ * Most of a fight already lives in the state and is saved with it:
+ * combat.enemies (HP, block, statuses, intents, intentIndex and boss phase),
+ * combat.hand and the piles, player statuses, energy and power triggers.
+ * What doesn't is held by systems: the chain, fragment counters, corruption
+ * lies, biome and void channeling, the legacy CombatSystem/DeckManager.
+ *
+ * Those systems register here with a save/load pair. Whenever the run is
+ * saved during a fight (SAVE_START with combat.active) their data is written
+ * to combat.snapshot; on Continue, restore() hands it back to them and
+ * CombatScreen picks the fight up without dealing a new one.
+ *
+ * Fights are only saved on the player's turn (SaveManager skips enemy
+ * turns), so a resumed fight always starts with the player to act.
+ *
+ * @version 0.1.0
+ */
+
+import { GameEvents } from '../core/EventBus.js';
+
+class CombatSnapshot {
+    constructor(state, eventBus) {
+        this.state = state;
+        this.eventBus = eventBus;
+
+        // key -> { save: () => data, load: (data) => void }
+        this.sources = new Map();
+
+        this.eventBus.on(GameEvents.SAVE_START, () => {
+            const snapshot = this.state.get('combat.active') ? this.capture() : null;
+            this.state.set('combat.snapshot', snapshot, true);
+        });
+    }
+
+    /**
+     * Add a system whose combat data isn't in the state
+     * @param {string} key - Name in the snapshot
+     * @param {{save: Function, load: Function}} source
+     */
+    register(key, source) {
+        this.sources.set(key, source);
+    }
+
+    /**
+     * @returns {Object} key -> the source's saved data
+     */
+    capture() {
+        const snapshot = { savedAt: Date.now() };
+        this.sources.forEach((source, key) => {
+            try {
+                snapshot[key] = source.save() ?? null;
+            } catch (e) {
+                console.warn(`[CombatSnapshot] Failed to save ${key}:`, e);
+            }
+        });
+        return snapshot;
+    }
+
+    /**
+     * Whether the loaded save is in the middle of a fight
+     * @returns {boolean}
+     */
+    hasSnapshot() {
+        return !!this.state.get('combat.active') && !!this.state.get('combat.snapshot');
+    }
+
+    /**
+     * Give each registered system its saved data back
+     * @returns {boolean} False if there was nothing to restore
+     */
+    restore() {
+        if (!this.hasSnapshot()) return false;
+
+        const snapshot = this.state.get('combat.snapshot');
+        this.sources.forEach((source, key) => {
+            if (snapshot[key] == null) return;
+            try {
+                source.load(snapshot[key]);
+            } catch (e) {
+                console.warn(`[CombatSnapshot] Failed to restore ${key}:`, e);
+            }
+        });
+
+        console.log('[CombatSnapshot] Fight restored');
+        return true;
+    }
+}
+
+export { CombatSnapshot };
+export default CombatSnapshot;
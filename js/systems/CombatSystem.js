@@ -1,3 +1,8 @@
+import rng from '../core/RNG.js';
+import { normalizeCard } from './CardNormalizer.js';
+import cardEffects, { OVERHEAT_MAX } from './CardEffectInterpreter.js';
+import { hasKeyword } from './CardKeywords.js';
+
 /**
  * CombatSystem - Handles all combat mechanics
  */
@@ -19,10 +24,11 @@ class CombatSystem {
         
         // Korvax-specific
         this.overheat = 0;
-        this.maxOverheat = 10;
+        this.maxOverheat = OVERHEAT_MAX;
         this.rage = 0;
         
         this.tookDamageThisTurn = false;
+        this.triggers = [];
         
         this.setupEventListeners();
     }
@@ -62,6 +68,7 @@ class CombatSystem {
         this.overheat = 0;
         this.rage = 0;
         this.tookDamageThisTurn = false;
+        this.triggers = [];
         
         // Setup deck
         this.deck.startCombat();
@@ -302,7 +309,7 @@ class CombatSystem {
      */
     selectCard(instanceId) {
         const card = this.deck.getCardFromHand(instanceId);
-        if (!card) return;
+        if (!card || hasKeyword(card, 'unplayable')) return;
         
         // Check if player has enough energy
         if (card.cost > this.playerEnergy) {
@@ -336,7 +343,7 @@ class CombatSystem {
      */
     playSelectedCard(card, target) {
         if (this.phase !== 'player') return;
-        if (card.cost > this.playerEnergy) return;
+        if (hasKeyword(card, 'unplayable') || card.cost > this.playerEnergy) return;
         
         console.log(`[CombatSystem] Playing card: ${card.name}`);
         
@@ -361,80 +368,105 @@ class CombatSystem {
 
     /**
      * Execute card effect
+     * Runs the card's effects list through CardEffectInterpreter
      */
     executeCard(card, target) {
-        // Deal damage
-        if (card.damage) {
-            let damage = card.damage;
-            
-            // Apply Overheat bonus
-            if (card.overheat && this.state.get('artifacts.thermal_regulator')) {
-                damage += 1;
-            }
-            
-            // Apply rage bonus
-            damage += this.rage;
-            
-            // Check conditional damage (Rage Spike)
-            if (card.conditionalDamage && card.condition === 'tookDamageThisTurn' && this.tookDamageThisTurn) {
-                damage = card.conditionalDamage;
-            }
-            
-            this.dealDamageToEnemy(target, damage);
-        }
-        
-        // Meltdown special
-        if (card.damageMultiplier === 'overheat') {
-            const damage = this.overheat * (card.damagePerOverheat || 1);
-            this.dealDamageToEnemy(target, damage);
-            if (card.resetOverheat) {
-                this.overheat = 0;
-            }
-        }
-        
-        // Gain block
-        if (card.block) {
-            this.playerBlock += card.block;
-            this.eventBus.emit('block:gained', card.block);
-        }
-        
-        // Gain overheat
-        if (card.overheat) {
-            this.overheat = Math.min(this.maxOverheat, this.overheat + card.overheat);
-            this.eventBus.emit('overheat:changed', this.overheat);
-        }
-        
-        // Reduce overheat
-        if (card.overheatReduce) {
-            this.overheat = Math.max(0, this.overheat - card.overheatReduce);
-            this.eventBus.emit('overheat:changed', this.overheat);
-        }
-        
-        // Gain energy
-        if (card.energy) {
-            this.playerEnergy += card.energy;
-            this.eventBus.emit('energy:gained', card.energy);
-        }
-        
-        // Draw cards
-        if (card.draw) {
-            this.deck.drawCards(card.draw);
-        }
-        
-        // Self damage
-        if (card.selfDamage) {
-            this.dealDamageToPlayer(card.selfDamage);
-        }
-        
-        // Gain armor
-        if (card.armor) {
-            this.applyPlayerBuff('armor', card.armor);
-        }
+        cardEffects.run(normalizeCard(card), this.createEffectContext(), { target: target || null });
         
         // Update stats
         this.state.increment('stats.cardsPlayed');
     }
 
+    /**
+     * Effect context for CardEffectInterpreter over this system's state
+     */
+    createEffectContext() {
+        const debuffIds = ['vulnerable', 'weak', 'frail', 'poison', 'bleed', 'burn'];
+        const statusKey = (id) => `${debuffIds.includes(id) ? 'debuffs' : 'buffs'}.${id}`;
+        const fields = { block: 'playerBlock', overheat: 'overheat', rage: 'rage' };
+        
+        const setField = (id, value) => {
+            this[fields[id]] = value;
+            if (id === 'overheat') this.eventBus.emit('overheat:changed', this.overheat);
+            if (id === 'rage') this.eventBus.emit('rage:changed', this.rage);
+        };
+        
+        return {
+            getValue: (id) => {
+                if (fields[id]) return this[fields[id]];
+                switch (id) {
+                    case 'hp': return this.state.get('hero.hp') || 0;
+                    case 'maxHp': return this.state.get('hero.maxHp') || 0;
+                    case 'corruption': return this.state.get('corruption') || 0;
+                    case 'tookDamageThisTurn': return this.tookDamageThisTurn;
+                    default: return this.state.get(statusKey(id)) || 0;
+                }
+            },
+            addPlayerStatus: (id, amount) => {
+                if (fields[id]) setField(id, this[fields[id]] + amount);
+                else if (debuffIds.includes(id)) this.applyPlayerDebuff(id, amount);
+                else this.applyPlayerBuff(id, amount);
+            },
+            setPlayerStatus: (id, value) => {
+                if (fields[id]) setField(id, value);
+                else this.state.set(statusKey(id), value);
+            },
+            getEnemies: () => this.enemies,
+            random: () => rng.stream('combat'),
+            modifyDamage: (base) => base + this.rage,
+            dealDamage: (enemy, amount, { hits = 1 } = {}) => {
+                const before = enemy.currentHp;
+                for (let h = 0; h < hits && enemy.currentHp > 0; h++) {
+                    this.dealDamageToEnemy(enemy, amount);
+                }
+                return before - enemy.currentHp;
+            },
+            applyEnemyStatus: (enemy, id, amount) => this.applyStatusEffect(enemy, id, amount),
+            modifyBlock: (base) => base,
+            gainBlock: (amount) => {
+                this.playerBlock += amount;
+                this.eventBus.emit('block:gained', amount);
+            },
+            drawCards: (count) => this.deck.drawCards(count),
+            discardHand: (playedCard) => {
+                const discarded = this.deck.hand.filter(c => c.instanceId !== playedCard.instanceId);
+                this.deck.discardPile.push(...discarded);
+                this.deck.hand = this.deck.hand.filter(c => c.instanceId === playedCard.instanceId);
+                this.eventBus.emit('hand:updated');
+                return discarded.length;
+            },
+            gainEnergy: (amount) => {
+                this.playerEnergy += amount;
+                this.eventBus.emit('energy:gained', amount);
+            },
+            heal: (amount) => {
+                const maxHp = this.state.get('hero.maxHp');
+                this.state.set('hero.hp', Math.min(maxHp, this.state.get('hero.hp') + amount));
+            },
+            loseHp: (amount) => this.dealDamageToPlayer(amount),
+            gainMaxHp: (amount) => {
+                this.state.increment('hero.maxHp', amount);
+                this.state.increment('hero.hp', amount);
+            },
+            gainCorruption: (amount) => this.eventBus.emit('corruption:gained', amount),
+            gainCredits: (amount) => this.state.increment('credits', amount),
+            addTrigger: (effect) => this.triggers.push(effect),
+            upgradeAllCards: () => {
+                [...this.deck.getHand(), ...this.deck.getDrawPile(), ...this.deck.getDiscardPile()].forEach(c => {
+                    if (c.upgraded) return;
+                    c.upgraded = true;
+                    if (typeof c.damage === 'number') c.damage = Math.floor(c.damage * 1.25);
+                    if (typeof c.block === 'number') c.block = Math.floor(c.block * 1.25);
+                });
+            },
+            triggerMeltdown: () => {
+                const damage = this.overheat * 3;
+                this.enemies.filter(e => e.currentHp > 0).forEach(e => this.dealDamageToEnemy(e, damage));
+                setField('overheat', 0);
+            }
+        };
+    }
+
     /**
      * Deal damage to enemy
      */
@@ -678,7 +710,7 @@ class CombatSystem {
         
         container.innerHTML = hand.map((card, index) => `
             <div class="card type-${card.type} rarity-${card.rarity} 
-                        ${card.cost > this.playerEnergy ? 'unplayable' : ''}"
+                        ${hasKeyword(card, 'unplayable') || card.cost > this.playerEnergy ? 'unplayable' : ''}"
                  data-card-id="${card.instanceId}"
                  data-index="${index}">
                 <div class="card-cost">${card.cost}</div>
@@ -7,13 +7,20 @@
  * 
  * Integration:
  *   import CorruptionCascade from '../systems/CorruptionCascade.js';
- *   const cascade = new CorruptionCascade(game.state, game.eventBus);
+ *   const cascade = new CorruptionCascade(game.state, game.eventBus, game.dataLoader);
  *   // Call in applyCardEffects or wherever corruption changes:
  *   cascade.checkAndTrigger(oldCorruption, newCorruption);
  * 
- * @version 1.0.0
+ * Cascades that add cards call ctx.addCard(spec) with an add_card spec
+ * (see CardInjector); the cards come from data/cards/status_cards.json.
+ * 
+ * @version 1.1.0
  */
 
+import rng from '../core/RNG.js';
+import { hasKeyword } from './CardKeywords.js';
+import { addCardsToState } from './CardInjector.js';
+
 // ═══════════════════════════════════════════
 // CASCADE EVENT TABLE
 // Each event has: id, name, flavor, weight, effect function
@@ -82,7 +89,7 @@ const CASCADE_EVENTS = [
             const hand = ctx.state.get('combat.hand') || [];
             const upgradeable = hand.filter(c => !c.upgraded && !c._cascadeUpgraded);
             if (upgradeable.length > 0) {
-                const target = upgradeable[Math.floor(Math.random() * upgradeable.length)];
+                const target = upgradeable[Math.floor(rng.random('cascades') * upgradeable.length)];
                 target._cascadeUpgraded = true;
                 target._originalName = target.name;
                 // Temporary combat-only upgrade: +40% to primary stat
@@ -183,24 +190,9 @@ const CASCADE_EVENTS = [
         weight: 8,
         tier: 'mid',
         execute: (ctx) => {
-            // Add a temporary curse-like card to hand
-            const hand = ctx.state.get('combat.hand') || [];
-            if (hand.length < 10) {
-                hand.push({
-                    id: 'void_fragment',
-                    instanceId: `void_fragment_${Date.now()}`,
-                    name: 'Void Fragment',
-                    type: 'curse',
-                    cost: 0,
-                    rarity: 'curse',
-                    description: 'Unplayable. Discard at end of turn.',
-                    effects: [],
-                    unplayable: true,
-                    exhaust: true,
-                    _cascade: true
-                });
-                ctx.state.set('combat.hand', hand);
-            }
+            // Add an Unplayable, Ethereal status card to hand
+            const added = ctx.addCard({ card: 'void_fragment', pile: 'hand' });
+            if (added.length === 0) return { description: 'The void flickers, but nothing comes through.', value: 0 };
             return { description: 'A Void Fragment appears in your hand.', value: -1 };
         }
     },
@@ -215,9 +207,9 @@ const CASCADE_EVENTS = [
         execute: (ctx) => {
             // A random card in hand costs +1 this turn
             const hand = ctx.state.get('combat.hand') || [];
-            const playable = hand.filter(c => c.cost >= 0 && !c.unplayable);
+            const playable = hand.filter(c => c.cost >= 0 && !hasKeyword(c, 'unplayable'));
             if (playable.length > 0) {
-                const target = playable[Math.floor(Math.random() * playable.length)];
+                const target = playable[Math.floor(rng.random('cascades') * playable.length)];
                 target._originalCost = target._originalCost ?? target.cost;
                 target.cost += 1;
                 return { description: `${target.name} costs +1 this turn`, value: target.name };
@@ -259,7 +251,7 @@ const CASCADE_EVENTS = [
             const drawPile = ctx.state.get('combat.drawPile') || [];
             const handSize = hand.length;
             drawPile.push(...hand);
-            const shuffled = drawPile.sort(() => Math.random() - 0.5);
+            const shuffled = rng.stream('cascades').shuffle(drawPile);
             const newHand = shuffled.splice(0, Math.min(handSize, shuffled.length));
             ctx.state.set('combat.hand', newHand);
             ctx.state.set('combat.drawPile', shuffled);
@@ -281,7 +273,7 @@ const CASCADE_EVENTS = [
                 const enemies = ctx.state.get('combat.enemies') || [];
                 const alive = enemies.filter(e => e.currentHp > 0);
                 if (alive.length > 0) {
-                    const target = alive[Math.floor(Math.random() * alive.length)];
+                    const target = alive[Math.floor(rng.random('cascades') * alive.length)];
                     target.currentHp -= block;
                     ctx.state.set('combat.enemies', enemies);
                     return { description: `Mirror deals ${block} damage to ${target.name}!`, value: block };
@@ -303,9 +295,15 @@ const TIER_THRESHOLDS = {
 };
 
 class CorruptionCascade {
-    constructor(state, eventBus) {
+    /**
+     * @param {GameState} state
+     * @param {EventBus} eventBus
+     * @param {DataLoader} [dataLoader] - Card lookups for cascades that add cards
+     */
+    constructor(state, eventBus, dataLoader = null) {
         this.state = state;
         this.eventBus = eventBus;
+        this.dataLoader = dataLoader;
         this.cascadeHistory = []; // Track recent cascades for variety
         this.cascadeCount = 0;
         
@@ -369,7 +367,7 @@ class CorruptionCascade {
         }));
         
         const totalWeight = weighted.reduce((sum, e) => sum + e.adjustedWeight, 0);
-        let roll = Math.random() * totalWeight;
+        let roll = rng.random('cascades') * totalWeight;
         
         for (const event of weighted) {
             roll -= event.adjustedWeight;
@@ -393,7 +391,12 @@ class CorruptionCascade {
         const result = event.execute({
             state: this.state,
             eventBus: this.eventBus,
-            corruption
+            corruption,
+            addCard: (spec) => addCardsToState(this.state, spec, {
+                getCard: (id) => this.dataLoader?.getCard(id),
+                random: rng.stream('combat'),
+                source: event.id
+            })
         });
         
         // Emit event for VFX and UI
@@ -19,7 +19,7 @@
  * 
  * THRESHOLDS trigger bonus/penalty effects when corruption crosses 25/50/75.
  * 
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 const VOID_ABILITIES = {
@@ -164,6 +164,28 @@ class CorruptionCurrency {
         this.cooldowns = {};
     }
     
+    // ─────────────────────────────────────────────
+    // SAVE / LOAD - Fight in progress (see CombatSnapshot)
+    // ─────────────────────────────────────────────
+    
+    getSaveData() {
+        return {
+            combatActive: this.combatActive,
+            empowerStacks: this.empowerStacks,
+            cooldowns: { ...this.cooldowns },
+            usedThisCombat: { ...this.usedThisCombat },
+            voidResonance: this.voidResonance
+        };
+    }
+    
+    loadSaveData(data) {
+        this.combatActive = !!data.combatActive;
+        this.empowerStacks = data.empowerStacks || 0;
+        this.cooldowns = { ...(data.cooldowns || {}) };
+        this.usedThisCombat = { ...(data.usedThisCombat || {}) };
+        this.voidResonance = !!data.voidResonance;
+    }
+    
     // ─────────────────────────────────────────────
     // ABILITY USAGE
     // ─────────────────────────────────────────────
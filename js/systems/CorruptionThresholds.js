@@ -6,9 +6,11 @@
  * 25%, 50%, and 75% thresholds. Events become progressively darker
  * and more dangerous as corruption rises.
  * 
- * @version 1.0.0
+ * @version 1.0.1
  */
 
+import rng from '../core/RNG.js';
+
 export default class CorruptionThresholds {
     constructor(game) {
         this.game = game;
@@ -184,7 +186,7 @@ export default class CorruptionThresholds {
         if (!pool || pool.length === 0) return;
         
         // Pick random event from pool
-        const event = pool[Math.floor(Math.random() * pool.length)];
+        const event = rng.stream('events').pick(pool);
         
         // Show the overlay
         this.showMicroEventOverlay(event, threshold);
@@ -10,34 +10,25 @@
  * 
  * Integration:
  *   import DamageCascadeRenderer from '../systems/DamageCascadeRenderer.js';
- *   const renderer = new DamageCascadeRenderer(game.eventBus);
+ *   const renderer = new DamageCascadeRenderer(game.eventBus, game.audioManager);
  *   // Replace instant damage display with:
  *   await renderer.showDamageCascade(targetEl, steps, finalDamage);
  * 
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 class DamageCascadeRenderer {
-    constructor(eventBus) {
+    constructor(eventBus, audioManager = null) {
         this.eventBus = eventBus;
         this.isAnimating = false;
         this.container = null;
         
-        // Audio context for escalating pitch
-        this.audioCtx = null;
-        this._initAudio();
+        // Escalating pitch ticks play through the shared AudioManager
+        this.audioManager = audioManager;
         
         console.log('[DamageCascade] Renderer initialized');
     }
 
-    _initAudio() {
-        try {
-            this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-        } catch (e) {
-            console.warn('[DamageCascade] Web Audio not available');
-        }
-    }
-
     /**
      * Build the cascade steps from a card play context.
      * Call this INSTEAD of calculatePlayerDamage — it returns the same final number
@@ -423,54 +414,14 @@ class DamageCascadeRenderer {
      * Play escalating tick sound
      */
     _playTick(stepIndex, totalSteps) {
-        if (!this.audioCtx) return;
-        try {
-            const osc = this.audioCtx.createOscillator();
-            const gain = this.audioCtx.createGain();
-            
-            // Pitch escalates with each step
-            const baseFreq = 220;
-            const maxFreq = 880;
-            const freq = baseFreq + (maxFreq - baseFreq) * (stepIndex / Math.max(1, totalSteps - 1));
-            
-            osc.type = 'sine';
-            osc.frequency.value = freq;
-            gain.gain.value = 0.08 + stepIndex * 0.02;
-            
-            osc.connect(gain);
-            gain.connect(this.audioCtx.destination);
-            
-            osc.start();
-            gain.gain.exponentialRampToValueAtTime(0.001, this.audioCtx.currentTime + 0.15);
-            osc.stop(this.audioCtx.currentTime + 0.15);
-        } catch (e) {
-            // Audio failures are non-fatal
-        }
+        this.audioManager?.playSFX('cascade_tick', { step: stepIndex, total: totalSteps });
     }
 
     /**
      * Play impact sound for final damage
      */
     _playImpact() {
-        if (!this.audioCtx) return;
-        try {
-            const osc = this.audioCtx.createOscillator();
-            const gain = this.audioCtx.createGain();
-            
-            osc.type = 'sawtooth';
-            osc.frequency.value = 80;
-            gain.gain.value = 0.15;
-            
-            osc.connect(gain);
-            gain.connect(this.audioCtx.destination);
-            
-            osc.start();
-            osc.frequency.exponentialRampToValueAtTime(40, this.audioCtx.currentTime + 0.2);
-            gain.gain.exponentialRampToValueAtTime(0.001, this.audioCtx.currentTime + 0.3);
-            osc.stop(this.audioCtx.currentTime + 0.3);
-        } catch (e) {
-            // Non-fatal
-        }
+        this.audioManager?.playSFX('cascade_impact');
     }
 
     /**
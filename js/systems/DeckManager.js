@@ -1,8 +1,11 @@
 /**
  * DeckManager - Handles all deck-related operations
  * FIXED VERSION: Proper hand management, card drawing, and pile handling
- * @version 0.2.2
+ * @version 0.3.1
  */
+import rng from '../core/RNG.js';
+import { hasKeyword, dealOpeningHand, sortEndOfTurnHand } from './CardKeywords.js';
+
 class DeckManager {
     constructor(state, eventBus) {
         this.state = state;
@@ -18,6 +21,7 @@ class DeckManager {
         this.maxHandSize = 10;
         
         this.cardIdCounter = 0;
+        this.openingHandSize = this.handSize; // Grows when the deck has more Innate cards
     }
 
     /**
@@ -66,8 +70,10 @@ class DeckManager {
             }
         }
         
-        // Shuffle deck into draw pile
-        this.drawPile = this.shuffleArray([...this.deck]);
+        // Shuffle deck into draw pile, Innate cards on top (drawPile pops from the end)
+        const { hand: innateFirst, drawPile: rest } = dealOpeningHand(this.shuffleArray([...this.deck]), this.handSize, this.maxHandSize);
+        this.drawPile = [...rest.reverse(), ...innateFirst.reverse()];
+        this.openingHandSize = innateFirst.length;
         this.hand = [];
         this.discardPile = [];
         this.exhaustPile = [];
@@ -78,27 +84,23 @@ class DeckManager {
     }
 
     /**
-     * Shuffle an array (Fisher-Yates algorithm)
+     * Shuffle an array (Fisher-Yates algorithm, seeded combat stream)
      */
     shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+        return rng.stream('combat').shuffle(array);
     }
 
     /**
      * Draw starting hand for turn
      */
     drawStartingHand() {
-        // Discard current hand first if any
+        // Discard current hand first if any (Retain cards stay)
         if (this.hand.length > 0) {
             this.discardHand();
         }
         
-        this.drawCards(this.handSize);
+        this.drawCards(this.openingHandSize || this.handSize);
+        this.openingHandSize = 0;
     }
 
     /**
@@ -167,10 +169,15 @@ class DeckManager {
             return null;
         }
         
+        if (hasKeyword(this.hand[cardIndex], 'unplayable')) {
+            console.warn('[DeckManager] Card is Unplayable:', this.hand[cardIndex].name);
+            return null;
+        }
+        
         const card = this.hand.splice(cardIndex, 1)[0];
         
         // Move to discard unless exhausted
-        if (!card.exhaust) {
+        if (!hasKeyword(card, 'exhaust')) {
             this.discardPile.push(card);
         } else {
             this.exhaustPile.push(card);
@@ -184,15 +191,19 @@ class DeckManager {
     }
 
     /**
-     * Discard entire hand
+     * Discard hand at end of turn
+     * Retain cards stay in hand; Ethereal cards are exhausted instead
      */
     discardHand() {
-        console.log(`[DeckManager] Discarding ${this.hand.length} cards from hand`);
+        const { retained, exhausted, discarded } = sortEndOfTurnHand(this.hand);
+        console.log(`[DeckManager] Discarding ${discarded.length} cards from hand (${retained.length} retained, ${exhausted.length} exhausted)`);
         
-        while (this.hand.length > 0) {
-            const card = this.hand.pop();
-            this.discardPile.push(card);
-        }
+        this.discardPile.push(...discarded);
+        exhausted.forEach(card => {
+            this.exhaustPile.push(card);
+            this.eventBus.emit('card:exhausted', { card });
+        });
+        this.hand = retained;
         
         this.eventBus.emit('hand:updated');
     }
@@ -274,18 +285,20 @@ class DeckManager {
 
     /**
      * Remove card from deck (permanent)
+     * The run deck in GameState is the master; this.deck is only loaded from
+     * it at combat start, so the card comes out of both.
+     * @param {string} cardId - instanceId or card id
      */
     removeCardFromDeck(cardId) {
-        const index = this.deck.findIndex(c => c.id === cardId || c.instanceId === cardId);
+        const card = this.state.removeCardFromDeck(cardId); // emits card:removed
+        if (!card) return null;
         
-        if (index > -1) {
-            const card = this.deck.splice(index, 1)[0];
-            this.state.set('deck', this.deck);
-            this.eventBus.emit('card:removed', { card });
-            return card;
-        }
+        const index = this.deck.findIndex(c => card.instanceId
+            ? c.instanceId === card.instanceId
+            : c.id === card.id);
+        if (index > -1) this.deck.splice(index, 1);
         
-        return null;
+        return card;
     }
 
     /**
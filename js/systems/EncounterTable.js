@@ -0,0 +1,96 @@
+/**
+ * EncounterTable - Rolls enemy groups from an act's enemy roster
+ * Shattered Star
+ *
+ * Each data/enemies/act<N>_enemies.json lists weighted encounter groups per
+ * difficulty and a scaling block:
+ *
+ *   "encounters": { "normal": [{ "enemies": ["rust_hound", "rust_hound"], "weight": 2 }], ... }
+ *   "scaling": {
+ *     "floor_hp_bonus": 0.02,          +2% HP per map layer into the act
+ *     "floor_damage_bonus": 0.015,     +1.5% attack damage per map layer
+ *     "elite_hp_multiplier": 1.0,      Extra multiplier for elites
+ *     "elite_damage_multiplier": 1.0
+ *   }
+ *
+ * Groups without a weight count as weight 1. Shared by DataLoader and the
+ * run simulator so the live game and the balance tools roll the same fights.
+ *
+ * @version 0.1.0
+ */
+
+/**
+ * Pick an encounter group for a difficulty
+ * @param {Object} roster - Parsed act<N>_enemies.json
+ * @param {string} difficulty - 'normal', 'elite' or 'hard'
+ * @param {RandomStream} random
+ * @returns {string[]|null} Enemy ids, or null if the roster has no groups for it
+ */
+function pickEncounter(roster, difficulty, random) {
+    const groups = (roster?.encounters?.[difficulty] || [])
+        .filter(group => Array.isArray(group?.enemies) && group.enemies.length > 0);
+    if (groups.length === 0) return null;
+
+    const group = random.weighted(groups.map(g => ({ ...g, weight: g.weight ?? 1 })));
+    return group ? [...group.enemies] : null;
+}
+
+/**
+ * Copy of an enemy with the roster's scaling applied
+ * @param {Object} enemy
+ * @param {Object} [scaling] - The roster's scaling block
+ * @param {Object} [options]
+ * @param {number} [options.depth=0] - Map layer of the fight within the act
+ * @param {boolean} [options.elite=false]
+ * @returns {Object}
+ */
+function scaleEnemy(enemy, scaling = {}, { depth = 0, elite = false } = {}) {
+    const hpScale = (1 + (scaling.floor_hp_bonus || 0) * depth)
+        * (elite ? (scaling.elite_hp_multiplier ?? 1) : 1);
+    const damageScale = (1 + (scaling.floor_damage_bonus || 0) * depth)
+        * (elite ? (scaling.elite_damage_multiplier ?? 1) : 1);
+
+    const scaled = JSON.parse(JSON.stringify(enemy));
+    const baseHp = enemy.maxHp || enemy.hp || 30;
+    scaled.hp = scaled.maxHp = Math.max(1, Math.round(baseHp * hpScale));
+
+    if (damageScale !== 1) {
+        const scaleIntent = (intent) => {
+            if (typeof intent?.damage === 'number') {
+                intent.damage = Math.max(1, Math.round(intent.damage * damageScale));
+            }
+        };
+        (scaled.intents || []).forEach(scaleIntent);
+        (scaled.phases || []).forEach(phase => (phase.intents || []).forEach(scaleIntent));
+        (scaled.conditionalIntents || []).forEach(entry => scaleIntent(entry.intent));
+        (scaled.adaptiveRules || []).forEach(rule => scaleIntent(rule.intent));
+    }
+
+    return scaled;
+}
+
+/**
+ * Roll a full encounter: pick a group, look its enemies up and scale them
+ * @param {Object} roster - Parsed act<N>_enemies.json
+ * @param {string} difficulty
+ * @param {RandomStream} random
+ * @param {Object} [options]
+ * @param {number} [options.depth=0]
+ * @returns {Object[]} Scaled enemy copies (empty if the roster can't supply the difficulty)
+ */
+function rollEncounter(roster, difficulty, random, { depth = 0 } = {}) {
+    const ids = pickEncounter(roster, difficulty, random);
+    if (!ids) return [];
+
+    const elite = difficulty === 'elite';
+    return ids
+        .map(id => (roster.enemies || []).find(e => e.id === id))
+        .filter(Boolean)
+        .map(enemy => scaleEnemy(enemy, roster.scaling, { depth, elite }));
+}
+
+export {
+    pickEncounter,
+    scaleEnemy,
+    rollEncounter
+};
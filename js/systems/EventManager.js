@@ -8,6 +8,9 @@
  * Layer 5: Data validation - ensures every choice has real consequences
  */
 
+import rng from '../core/RNG.js';
+import { addCardsToState } from './CardInjector.js';
+
 class EventManager {
     constructor(gameState, eventBus, dataLoader) {
         this.state = gameState;
@@ -228,7 +231,7 @@ class EventManager {
      * This is the bridge between the event data format and the game systems
      * 
      * Handles: hp, maxHp, credits, corruption, reputation, lore, card,
-     *          artifact, upgrade, removeCard, block, healPercent, status,
+     *          add_card, artifact, upgrade, removeCard, block, healPercent, status,
      *          combat, insight, setsFlags, unlocks, viewNextNodes, random
      */
     processEffects(effects, eventId = null) {
@@ -388,6 +391,18 @@ class EventManager {
             console.log(`[EventManager] Card reward: ${effects.card}`);
         }
 
+        // ── Curses / status cards added to the deck ──
+        if (effects.add_card) {
+            [].concat(effects.add_card).forEach(spec => {
+                const added = addCardsToState(this.state, spec, {
+                    getCard: (id) => this.dataLoader?.getCard(id),
+                    inCombat: false,
+                    source: eventId || 'event'
+                });
+                if (added.length > 0) this.eventBus.emit('card:added', { cards: added, pile: 'deck', source: eventId || 'event' });
+            });
+        }
+
         // ── Artifact rewards ──
         if (effects.artifact) {
             const artifact = this.dataLoader.getRandomArtifact ?
@@ -433,7 +448,7 @@ class EventManager {
 
         // ── Random outcomes (coin flip) ──
         if (effects.random && Array.isArray(effects.random)) {
-            const outcome = effects.random[Math.floor(Math.random() * effects.random.length)];
+            const outcome = effects.random[Math.floor(rng.random('events') * effects.random.length)];
             console.log(`[EventManager] Random outcome selected:`, outcome);
             // Recursively process the randomly selected effects
             this.processEffects(outcome, eventId);
@@ -539,7 +554,7 @@ class EventManager {
             }
             // Ultimate fallback: pick anything
             console.warn('[EventManager] All events seen. Picking random from full pool.');
-            return { ...eventPool[Math.floor(Math.random() * eventPool.length)] };
+            return { ...eventPool[Math.floor(rng.random('events') * eventPool.length)] };
         }
 
         // ── Step 2: Weighted selection with chain priority ──
@@ -587,7 +602,7 @@ class EventManager {
 
         // Weighted random selection
         const totalWeight = weights.reduce((a, b) => a + b, 0);
-        let roll = Math.random() * totalWeight;
+        let roll = rng.random('events') * totalWeight;
 
         for (let i = 0; i < pool.length; i++) {
             roll -= weights[i];
@@ -1,7 +1,7 @@
 /**
  * FeatureIntegration - Initializes and wires up feature pack systems
  * Connects BossNarrative, VoidMerchant, and post-boss event flow
- * @version 0.3.0
+ * @version 0.4.0
  */
 
 import BossNarrative from './BossNarrative.js';
@@ -31,24 +31,13 @@ export function initializeNewFeatures(game) {
     }
     
     // Wire up post-boss event flow
-    // When boss is defeated, BossNarrative can show a post-boss event
-    // After that event completes, emit act:complete
-    game.eventBus.on('boss:post_event_complete', () => {
-        console.log('[FeatureIntegration] Post-boss event complete, triggering act completion');
+    // main.js shows the post-boss event when the boss falls; BossEventScreen
+    // emits act:complete when the player moves on. Pre-boss events are shown
+    // by BossEventScreen itself (MapScreen emits boss:pre_event).
+    game.eventBus.on('act:complete', ({ act } = {}) => {
+        console.log(`[FeatureIntegration] Act ${act} post-boss event complete, triggering act completion`);
         game.handleBossVictory();
     });
     
-    // Wire up pre-boss events
-    game.eventBus.on('boss:pre_event', (event) => {
-        console.log('[FeatureIntegration] Pre-boss event triggered');
-        game.eventBus.emit('event:start', event);
-        game.screenManager.transitionTo('event-screen');
-        
-        // Listen for when this event completes to start actual boss fight
-        game.eventBus.once('event:complete', () => {
-            game.eventBus.emit('boss:start_combat');
-        });
-    });
-    
     console.log('[FeatureIntegration] Feature pack initialization complete');
 }
@@ -0,0 +1,45 @@
+/**
+ * HolyMechanics - Auren's Radiance and Aegis rules
+ * Shattered Star
+ *
+ *   radiance    Enemy status. At the end of the enemy turn it burns for one
+ *               damage per stack (ignoring block), then loses a stack.
+ *               Relics can raise the burn by a percentage.
+ *   aegis       Player resource. At the start of your turn, Block is kept up
+ *               to your Aegis instead of falling to 0.
+ *
+ * Judgment, Auren's third resource, is plain card data (consume_judgment,
+ * block_plus_judgment) and needs no helper.
+ *
+ * Shared by CombatScreen and CombatEngine so the live game and the simulator
+ * resolve both alike.
+ *
+ * @version 0.1.0
+ */
+
+/**
+ * Burn one enemy's Radiance for the turn and drop a stack
+ * @param {Object} enemy
+ * @param {number} [bonusPercent=0] - Relic bonus (Shard of First Light: 50)
+ * @returns {number} Damage to deal, ignoring block (0 when the enemy has none)
+ */
+function tickRadiance(enemy, bonusPercent = 0) {
+    const stacks = enemy?.radiance || 0;
+    if (stacks <= 0) return 0;
+    enemy.radiance = stacks - 1;
+    return Math.floor(stacks * (100 + bonusPercent) / 100);
+}
+
+/**
+ * Block left at the start of the player's turn
+ * @param {number} block - Block at the end of the enemy turn
+ * @param {number} aegis
+ * @param {boolean} [retainAll=false] - Barricade-style powers keep everything
+ * @returns {number}
+ */
+function blockAtTurnStart(block, aegis, retainAll = false) {
+    if (retainAll) return block;
+    return Math.min(block, Math.max(0, aegis || 0));
+}
+
+export { tickRadiance, blockAtTurnStart };
@@ -1,8 +1,12 @@
 /**
  * MapGenerator - Generates procedural node maps for each act
  * UPDATED: Adjusted positioning for scrollable extended map
- * @version 0.3.0
+ * UPDATED: Per-act node mix and elite distance from data/maps/act<N>_config.json
+ * UPDATED: Ascension thins out rest sites (the pre-boss rest stays)
+ * @version 0.5.0
  */
+import rng from '../core/RNG.js';
+
 class MapGenerator {
     constructor(state, eventBus) {
         this.state = state;
@@ -10,6 +14,7 @@ class MapGenerator {
         
         this.currentMap = null;
         this.currentNodeIndex = 0;
+        this.actConfig = null;
         
         this.config = {
             nodesPerAct: {
@@ -19,6 +24,7 @@ class MapGenerator {
             },
             minPaths: 1,
             maxPaths: 3,
+            eliteMinDistance: 3,
             nodeTypes: {
                 combat: { weight: 40, icon: '⚔️', name: 'Combat' },
                 elite: { weight: 10, icon: '💀', name: 'Elite' },
@@ -50,12 +56,22 @@ class MapGenerator {
         return this.currentMap;
     }
 
-    generateAct(actNumber) {
+    /**
+     * Generate and store the map for an act
+     * @param {number} actNumber
+     * @param {Object} [actConfig] - The act's map config (DataLoader.getActConfig);
+     *   its nodeDistribution and paths.eliteMinDistance replace the defaults
+     * @returns {Object} The map
+     */
+    generateAct(actNumber, actConfig = null) {
         console.log(`[MapGenerator] Generating Act ${actNumber} map (scrollable version)`);
         
+        this.actConfig = actConfig;
         const nodeCount = this.config.nodesPerAct[actNumber] || 15;
         const map = {
             act: actNumber,
+            name: actConfig?.name || null,
+            region: actConfig?.region || null,
             nodes: [],
             paths: [],
             currentNode: null,
@@ -111,12 +127,12 @@ class MapGenerator {
         const layers = [];
         let remaining = totalNodes;
         
-        const firstLayerCount = Math.min(remaining, 2 + Math.floor(Math.random() * 2));
+        const firstLayerCount = Math.min(remaining, 2 + Math.floor(this.random() * 2));
         layers.push(this.generateLayer(firstLayerCount, 0));
         remaining -= firstLayerCount;
         
         while (remaining > 4) {
-            const layerCount = Math.min(remaining - 3, 2 + Math.floor(Math.random() * 3));
+            const layerCount = Math.min(remaining - 3, 2 + Math.floor(this.random() * 3));
             layers.push(this.generateLayer(layerCount, layers.length));
             remaining -= layerCount;
         }
@@ -143,17 +159,39 @@ class MapGenerator {
         return this.shuffleArray(layer);
     }
 
+    /**
+     * Node type weights for the current act: the act config's
+     * nodeDistribution if it has one, else the default nodeTypes weights.
+     * Types the map can't place (e.g. 'faction') are dropped. The run's
+     * ascension scales the rest weight (state.ascension.modifiers.restSites).
+     * @returns {Array<[string, number]>}
+     */
+    getNodeWeights() {
+        const placeable = (type) => this.config.nodeTypes[type] && type !== 'boss' && type !== 'start';
+        const distribution = this.actConfig?.nodeDistribution;
+        
+        const weights = distribution
+            ? Object.entries(distribution).map(([type, share]) => [type, Number(share) || 0])
+            : Object.entries(this.config.nodeTypes).map(([type, config]) => [type, config.weight]);
+        
+        const restScale = this.state.get('ascension.modifiers.restSites') ?? 1;
+        
+        return weights
+            .map(([type, weight]) => [type, type === 'rest' ? weight * restScale : weight])
+            .filter(([type, weight]) => placeable(type) && weight > 0);
+    }
+
     getRandomNodeType(layerIndex) {
-        const types = Object.entries(this.config.nodeTypes)
-            .filter(([type, config]) => type !== 'boss' && type !== 'start' && config.weight > 0);
+        const types = this.getNodeWeights();
+        const eliteMinDistance = this.actConfig?.paths?.eliteMinDistance ?? this.config.eliteMinDistance;
         
-        const totalWeight = types.reduce((sum, [, config]) => sum + config.weight, 0);
-        let random = Math.random() * totalWeight;
+        const totalWeight = types.reduce((sum, [, weight]) => sum + weight, 0);
+        let random = this.random() * totalWeight;
         
-        for (const [type, config] of types) {
-            random -= config.weight;
+        for (const [type, weight] of types) {
+            random -= weight;
             if (random <= 0) {
-                if (type === 'elite' && layerIndex < 3) {
+                if (type === 'elite' && layerIndex < eliteMinDistance) {
                     return 'combat';
                 }
                 return type;
@@ -171,7 +209,7 @@ class MapGenerator {
             if (nextLayerNodes.length === 0) continue;
             
             currentLayerNodes.forEach(node => {
-                const connectionCount = 1 + Math.floor(Math.random() * 2);
+                const connectionCount = 1 + Math.floor(this.random() * 2);
                 const shuffledNext = this.shuffleArray([...nextLayerNodes]);
                 
                 for (let i = 0; i < Math.min(connectionCount, shuffledNext.length); i++) {
@@ -186,7 +224,7 @@ class MapGenerator {
                 const hasConnection = map.paths.some(c => c.to === nextNode.id);
                 if (!hasConnection) {
                     const randomCurrent = currentLayerNodes[
-                        Math.floor(Math.random() * currentLayerNodes.length)
+                        Math.floor(this.random() * currentLayerNodes.length)
                     ];
                     map.paths.push({
                         from: randomCurrent.id,
@@ -232,8 +270,8 @@ class MapGenerator {
                 const baseX = pos.horizontalMargin + nodeSpacing * (nodeIndex + 1);
                 
                 const randomFactor = pos.positionRandomness;
-                const offsetX = (Math.random() - 0.5) * nodeSpacing * randomFactor;
-                const offsetY = (Math.random() - 0.5) * layerHeight * randomFactor * 0.5;
+                const offsetX = (this.random() - 0.5) * nodeSpacing * randomFactor;
+                const offsetY = (this.random() - 0.5) * layerHeight * randomFactor * 0.5;
                 
                 node.x = Math.max(
                     pos.horizontalMargin + 5, 
@@ -359,10 +397,18 @@ class MapGenerator {
         return node?.type === 'boss';
     }
 
+    /**
+     * Map-stream random float in [0, 1) — deterministic per run seed
+     * @returns {number}
+     */
+    random() {
+        return rng.random('map');
+    }
+
     shuffleArray(array) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
@@ -19,10 +19,12 @@
  * - Leaked cards have void particle effects
  * - Distorted UI elements have a subtle chromatic aberration
  * 
- * @version 1.0.0
+ * @version 1.1.0
  * @system Shattered Star MVP
  */
 
+import rng from '../core/RNG.js';
+
 class MetaCorruptionSystem {
     constructor(state, eventBus) {
         this.state = state;
@@ -161,6 +163,15 @@ class MetaCorruptionSystem {
         return this.state.get('corruption') || 0;
     }
 
+    /**
+     * Seeded roll for which lies fire and what they show.
+     * Uses its own 'meta' stream so display lies never shift gameplay rolls;
+     * pure animation timings stay on Math.random.
+     */
+    random() {
+        return rng.random('meta');
+    }
+
     // ==========================================
     // INTENT CORRUPTION - "The enemies are lying"
     // ==========================================
@@ -175,55 +186,60 @@ class MetaCorruptionSystem {
         
         const tier = this.getCurrentTier();
         
-        if (Math.random() < tier.intentFlickerChance) {
-            const fakeIntent = this.generateFakeIntent(intent);
-            
-            // Store the lie
-            this.activeLies.intents.set(enemy.id || enemy.name, {
-                realIntent: intent,
-                fakeIntent,
-                revealed: false
-            });
-            
-            // Show the fake intent first
-            this.eventBus.emit('meta:falseIntent', {
-                enemy,
-                fakeIntent,
-                realIntent: intent,
-                hasTell: true // UI should render with purple shimmer
-            });
-            
-            // After a delay, "correct" to real intent with a glitch
-            const correctionDelay = 1500 + Math.random() * 2000;
-            const timeout = setTimeout(() => {
-                const lie = this.activeLies.intents.get(enemy.id || enemy.name);
-                if (lie && !lie.revealed) {
-                    lie.revealed = true;
-                    this.eventBus.emit('meta:intentCorrected', {
-                        enemy,
-                        realIntent: intent,
-                        wasShowing: fakeIntent
-                    });
-                }
-            }, correctionDelay);
-            
-            this.activeTimeouts.push(timeout);
+        if (this.random() < tier.intentFlickerChance) {
+            this.showFalseIntent(enemy, intent, this.generateFakeIntent(intent));
         }
     }
 
+    /**
+     * Store an intent lie, show it, and schedule its correction
+     */
+    showFalseIntent(enemy, intent, fakeIntent) {
+        // Store the lie
+        this.activeLies.intents.set(enemy.id || enemy.name, {
+            realIntent: intent,
+            fakeIntent,
+            revealed: false
+        });
+        
+        // Show the fake intent first
+        this.eventBus.emit('meta:falseIntent', {
+            enemy,
+            fakeIntent,
+            realIntent: intent,
+            hasTell: true // UI should render with purple shimmer
+        });
+        
+        // After a delay, "correct" to real intent with a glitch
+        const correctionDelay = 1500 + Math.random() * 2000;
+        const timeout = setTimeout(() => {
+            const lie = this.activeLies.intents.get(enemy.id || enemy.name);
+            if (lie && !lie.revealed) {
+                lie.revealed = true;
+                this.eventBus.emit('meta:intentCorrected', {
+                    enemy,
+                    realIntent: intent,
+                    wasShowing: fakeIntent
+                });
+            }
+        }, correctionDelay);
+        
+        this.activeTimeouts.push(timeout);
+    }
+
     /**
      * Generate a plausible but wrong intent
      */
     generateFakeIntent(realIntent) {
         const intentTypes = ['attack', 'defend', 'buff', 'debuff', 'special'];
         const fakeType = intentTypes.filter(t => t !== realIntent.type);
-        const chosenType = fakeType[Math.floor(Math.random() * fakeType.length)];
+        const chosenType = fakeType[Math.floor(this.random() * fakeType.length)];
         
         // Generate a fake value that's close to real but wrong
         let fakeValue = realIntent.value || 0;
         if (fakeValue > 0) {
             const variance = Math.max(2, Math.floor(fakeValue * 0.4));
-            fakeValue += (Math.random() > 0.5 ? 1 : -1) * (1 + Math.floor(Math.random() * variance));
+            fakeValue += (this.random() > 0.5 ? 1 : -1) * (1 + Math.floor(this.random() * variance));
             fakeValue = Math.max(1, fakeValue);
         }
         
@@ -253,7 +269,7 @@ class MetaCorruptionSystem {
      */
     tryEnergyGhost() {
         const tier = this.getCurrentTier();
-        if (Math.random() >= tier.energyGhostChance) return;
+        if (this.random() >= tier.energyGhostChance) return;
         
         const now = Date.now();
         if (now - this.lastFlickerTime < this.flickerCooldown) return;
@@ -262,8 +278,8 @@ class MetaCorruptionSystem {
         const realEnergy = this.state.get('combat.energy') || this.state.get('hero.energy') || 0;
         
         // Show a wrong number: +1 or -1 from real, or occasionally +2
-        const offset = Math.random() > 0.7 ? 2 : 1;
-        const direction = Math.random() > 0.5 ? 1 : -1;
+        const offset = this.random() > 0.7 ? 2 : 1;
+        const direction = this.random() > 0.5 ? 1 : -1;
         const fakeEnergy = Math.max(0, realEnergy + (offset * direction));
         
         if (fakeEnergy === realEnergy) return; // No point lying with truth
@@ -302,13 +318,20 @@ class MetaCorruptionSystem {
         if (!card) return;
         
         const tier = this.getCurrentTier();
-        if (Math.random() >= tier.costDisplayLieChance) return;
+        if (this.random() >= tier.costDisplayLieChance) return;
         
         const realCost = card.cost || 0;
-        const fakeCost = Math.max(0, realCost + (Math.random() > 0.5 ? 1 : -1));
+        const fakeCost = Math.max(0, realCost + (this.random() > 0.5 ? 1 : -1));
         
         if (fakeCost === realCost) return;
         
+        this.showFalseCost(card, realCost, fakeCost);
+    }
+
+    /**
+     * Store a card cost lie, show it, and schedule its correction
+     */
+    showFalseCost(card, realCost, fakeCost) {
         const cardId = card.instanceId || card.id;
         this.activeLies.cardCosts.set(cardId, {
             realCost,
@@ -343,14 +366,14 @@ class MetaCorruptionSystem {
      */
     tryCardLeak() {
         const tier = this.getCurrentTier();
-        if (Math.random() >= tier.cardLeakChance) return;
+        if (this.random() >= tier.cardLeakChance) return;
         
         // Get discard pile
         const discard = this.state.get('combat.discardPile') || [];
         if (discard.length === 0) return;
         
         // Pick a random discarded card
-        const leakedCard = discard[Math.floor(Math.random() * discard.length)];
+        const leakedCard = discard[Math.floor(this.random() * discard.length)];
         
         this.eventBus.emit('meta:cardLeak', {
             card: { ...leakedCard, isPhantom: true },
@@ -382,11 +405,11 @@ class MetaCorruptionSystem {
      */
     tryDamageNumberLie(realDamage) {
         const tier = this.getCurrentTier();
-        if (Math.random() >= tier.damageNumberLieChance) return null;
+        if (this.random() >= tier.damageNumberLieChance) return null;
         
         // Show a number that's 20-60% off
-        const variance = 0.2 + Math.random() * 0.4;
-        const direction = Math.random() > 0.5 ? 1 : -1;
+        const variance = 0.2 + this.random() * 0.4;
+        const direction = this.random() > 0.5 ? 1 : -1;
         const fakeDamage = Math.max(1, Math.round(realDamage * (1 + variance * direction)));
         
         if (fakeDamage === realDamage) return null;
@@ -409,17 +432,17 @@ class MetaCorruptionSystem {
      */
     tryWhisper() {
         const tier = this.getCurrentTier();
-        if (Math.random() >= tier.whisperChance) return;
+        if (this.random() >= tier.whisperChance) return;
         
         const now = Date.now();
         if (now - this.lastWhisperTime < this.whisperCooldown) return;
         this.lastWhisperTime = now;
         
-        const message = this.whispers[Math.floor(Math.random() * this.whispers.length)];
+        const message = this.whispers[Math.floor(this.random() * this.whispers.length)];
         
         // Position: random edge of screen
         const positions = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
-        const position = positions[Math.floor(Math.random() * positions.length)];
+        const position = positions[Math.floor(this.random() * positions.length)];
         
         this.eventBus.emit('meta:whisper', {
             message,
@@ -438,7 +461,7 @@ class MetaCorruptionSystem {
      */
     tryUITremor() {
         const tier = this.getCurrentTier();
-        if (Math.random() >= tier.uiTremorChance) return;
+        if (this.random() >= tier.uiTremorChance) return;
         
         // Pick a random UI element to tremor
         const targets = [
@@ -450,7 +473,7 @@ class MetaCorruptionSystem {
             'discard-pile'
         ];
         
-        const target = targets[Math.floor(Math.random() * targets.length)];
+        const target = targets[Math.floor(this.random() * targets.length)];
         const intensity = this.getCorruptionLevel() / 100; // 0-1
         
         this.eventBus.emit('meta:uiTremor', {
@@ -467,8 +490,13 @@ class MetaCorruptionSystem {
 
     onCombatStart() {
         this.clearAllLies();
-        
-        // Start periodic effect checks
+        this.startCorruptionTick();
+    }
+
+    /**
+     * Start periodic effect checks; the tick stops itself once combat ends
+     */
+    startCorruptionTick() {
         const corruptionTick = setInterval(() => {
             if (!this.isInCombat()) {
                 clearInterval(corruptionTick);
@@ -607,13 +635,48 @@ class MetaCorruptionSystem {
     // SAVE / LOAD
     // ==========================================
 
+    /**
+     * Lies still showing in the fight in progress (see CombatSnapshot).
+     * Energy ghosts, leaks and damage numbers last about a second and aren't kept.
+     */
     getSaveData() {
-        // Meta corruption is ephemeral - no persistent state needed
-        return { active: true };
+        const intents = [];
+        this.activeLies.intents.forEach((lie, enemyId) => {
+            if (!lie.revealed) intents.push({ enemyId, realIntent: lie.realIntent, fakeIntent: lie.fakeIntent });
+        });
+        
+        const cardCosts = [];
+        this.activeLies.cardCosts.forEach((lie, cardId) => {
+            cardCosts.push({ cardId, realCost: lie.realCost, displayedCost: lie.displayedCost });
+        });
+        
+        return { intents, cardCosts };
     }
 
+    /**
+     * Resume a saved fight: restart the tick and tell the same lies again once
+     * CombatScreen has drawn the enemies and hand. Each gets a fresh correction.
+     */
     loadSaveData(data) {
-        // Nothing to restore - effects regenerate from corruption level
+        this.clearAllLies();
+        this.cleanupTimers();
+        this.startCorruptionTick();
+        
+        const timeout = setTimeout(() => {
+            const enemies = this.state.get('combat.enemies') || [];
+            (data.intents || []).forEach(({ enemyId, realIntent, fakeIntent }) => {
+                const enemy = enemies.find(e => (e.id || e.name) === enemyId);
+                if (enemy) this.showFalseIntent(enemy, realIntent, fakeIntent);
+            });
+            
+            const hand = this.state.get('combat.hand') || [];
+            (data.cardCosts || []).forEach(({ cardId, realCost, displayedCost }) => {
+                const card = hand.find(c => (c.instanceId || c.id) === cardId);
+                if (card) this.showFalseCost(card, realCost, displayedCost);
+            });
+        }, 300);
+        
+        this.activeTimeouts.push(timeout);
     }
 
     /**
@@ -0,0 +1,284 @@
+/**
+ * MetaProgression - Echo-bought unlocks between runs
+ * Shattered Star
+ *
+ * Unlocks are defined in data/meta/unlocks.json:
+ *
+ *   { id: 'hero_lyria', category: 'heroes', target: 'lyria', cost: 60,
+ *     condition: { type: 'boss_defeated', boss: 'scrap_king', hero: 'korvax' } }
+ *
+ * An unlock can be bought once its condition is met and the profile has the
+ * echoes; the target is then added to SaveManager's unlock list for its
+ * category. Until then:
+ *
+ *   heroes      The hero can't be picked on hero select
+ *   cardPools   The entry's `cards` never show up as rewards or in the shop
+ *   relics      The relic never drops or shows up in the shop
+ *
+ * Conditions (optional `hero` narrows them to one hero's runs):
+ *   boss_defeated   { boss }    Boss killed at least once
+ *   runs_won        { count }   Runs won
+ *   runs_played     { count }   Runs finished, won or lost
+ *   floor_reached   { floor }   Best floor
+ *
+ * Also keeps the run's kill tallies (stats.enemiesKilled etc.) that echoes
+ * are paid out from, and records each run into the profile when it ends
+ * (announced as GameEvents.RUN_END).
+ *
+ * @version 0.1.0
+ */
+
+import { GameEvents } from '../core/EventBus.js';
+
+const UNLOCK_CATEGORIES = ['heroes', 'cardPools', 'relics'];
+
+class MetaProgression {
+    constructor(state, eventBus, saveManager, dataLoader) {
+        this.state = state;
+        this.eventBus = eventBus;
+        this.saveManager = saveManager;
+        this.dataLoader = dataLoader;
+
+        this.setupListeners();
+        this.dataLoader.setUnlockFilter?.(this);
+    }
+
+    setupListeners() {
+        this.eventBus.on('enemy:defeated', () => {
+            if (this.state.get('runActive')) this.state.increment('stats.enemiesKilled');
+        });
+
+        this.eventBus.on('combat:victory', () => {
+            if (this.state.get('currentNodeType') === 'elite') this.state.increment('stats.elitesKilled');
+        });
+
+        this.eventBus.on(GameEvents.BOSS_DEFEATED, ({ act } = {}) => {
+            this.state.increment('stats.bossesKilled');
+            const heroId = this.state.get('hero.id');
+            const bossId = this.dataLoader.getBossForAct?.(act || this.state.get('act') || 1)?.id;
+            if (!heroId || !bossId) return;
+            try {
+                this.saveManager.recordBossDefeat(heroId, bossId);
+            } catch (e) {
+                console.warn('[MetaProgression] Failed to record boss defeat:', e);
+            }
+        });
+    }
+
+    // ==========================================
+    // Run results
+    // ==========================================
+
+    /**
+     * Write a finished run into the profile and pay out its echoes
+     * @param {boolean} victory
+     * @returns {{echoes: number, total: number, available: Array}|null}
+     */
+    recordRunEnd(victory) {
+        const heroId = this.state.get('hero.id');
+        if (!heroId) return null;
+
+        try {
+            const { echoes } = this.saveManager.updateProfileFromRun({
+                heroId,
+                victory,
+                floor: this.state.get('floor') || 0,
+                ascension: this.state.get('ascension.level') || 0,
+                stats: { ...this.state.get('stats') }
+            });
+
+            // Everything buyable now, so the end screens can point at it
+            const result = { echoes, total: this.getEchoes(), available: this.getAvailable() };
+
+            this.eventBus.emit(GameEvents.RUN_END, {
+                heroId,
+                victory,
+                floor: this.state.get('floor') || 0,
+                act: this.state.get('act') || 1,
+                corruption: this.state.get('corruption') || 0,
+                ascension: this.state.get('ascension.level') || 0,
+                echoes
+            });
+            this.eventBus.emit('meta:echoes_earned', result);
+            console.log(`[MetaProgression] Run recorded: +${echoes} echoes (${result.total} total)`);
+            return result;
+        } catch (e) {
+            console.warn('[MetaProgression] Failed to record run:', e);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {number} Unspent echoes
+     */
+    getEchoes() {
+        return this.saveManager.getProfile().echoes || 0;
+    }
+
+    // ==========================================
+    // Unlock catalog
+    // ==========================================
+
+    /**
+     * Every unlock with its current status
+     * @param {string} [category] - Only this category
+     * @returns {Array<Object>} Definitions plus unlocked, conditionMet,
+     *   affordable, progress {current, target} and conditionText
+     */
+    getCatalog(category = null) {
+        const profile = this.saveManager.getProfile();
+        const echoes = profile.echoes || 0;
+
+        return this.dataLoader.getUnlockDefinitions()
+            .filter(def => UNLOCK_CATEGORIES.includes(def.category))
+            .filter(def => !category || def.category === category)
+            .map(def => {
+                const progress = this.getProgress(def.condition, profile);
+                return {
+                    ...def,
+                    unlocked: this.saveManager.isUnlocked(def.category, def.target),
+                    conditionMet: progress.current >= progress.target,
+                    affordable: echoes >= (def.cost || 0),
+                    progress,
+                    conditionText: this.describeCondition(def.condition)
+                };
+            });
+    }
+
+    /**
+     * Unlocks whose condition is met but that haven't been bought
+     * @returns {Array<Object>}
+     */
+    getAvailable() {
+        return this.getCatalog().filter(u => u.conditionMet && !u.unlocked);
+    }
+
+    /**
+     * The unlock that gates a target, if any
+     * @param {string} category
+     * @param {string} target
+     * @returns {Object|null}
+     */
+    getUnlockFor(category, target) {
+        return this.getCatalog(category).find(u => u.target === target) || null;
+    }
+
+    /**
+     * Buy an unlock with echoes
+     * @param {string} unlockId
+     * @returns {boolean} True if it was bought
+     */
+    purchase(unlockId) {
+        const unlock = this.getCatalog().find(u => u.id === unlockId);
+        if (!unlock || unlock.unlocked || !unlock.conditionMet) return false;
+
+        if (!this.saveManager.spendEchoes(unlock.cost || 0)) return false;
+        this.saveManager.unlock(unlock.category, unlock.target);
+
+        this.eventBus.emit('meta:unlocked', unlock);
+        console.log(`[MetaProgression] Unlocked ${unlock.category}/${unlock.target} for ${unlock.cost} echoes`);
+        return true;
+    }
+
+    /**
+     * Progress toward a condition
+     * @param {Object} condition
+     * @param {Object} profile
+     * @returns {{current: number, target: number}}
+     */
+    getProgress(condition = {}, profile) {
+        const stats = this.getHeroStats(profile, condition.hero);
+
+        switch (condition.type) {
+            case 'boss_defeated':
+                return { current: stats.some(s => (s.bossesDefeated || []).includes(condition.boss)) ? 1 : 0, target: 1 };
+            case 'runs_won':
+                return { current: stats.reduce((sum, s) => sum + (s.wins || 0), 0), target: condition.count || 1 };
+            case 'runs_played':
+                return { current: stats.reduce((sum, s) => sum + (s.runs || 0), 0), target: condition.count || 1 };
+            case 'floor_reached':
+                return { current: Math.max(0, ...stats.map(s => s.bestFloor || 0)), target: condition.floor || 1 };
+            default:
+                // No (or an unknown) condition: only the echo cost gates it
+                return { current: 1, target: 1 };
+        }
+    }
+
+    /**
+     * Hero stats a condition reads: one hero's, or every hero's
+     */
+    getHeroStats(profile, heroId) {
+        const all = profile.heroStats || {};
+        if (heroId) return all[heroId] ? [all[heroId]] : [];
+        return Object.values(all);
+    }
+
+    /**
+     * { type: 'boss_defeated', boss: 'scrap_king', hero: 'korvax' }
+     *   -> 'Defeat The Scrap-King with Korvax'
+     * @param {Object} condition
+     * @returns {string}
+     */
+    describeCondition(condition = {}) {
+        const hero = condition.hero ? this.dataLoader.getAllHeroes?.().find(h => h.id === condition.hero) : null;
+        const withHero = condition.hero ? ` with ${(hero?.name || condition.hero).split(' ')[0]}` : '';
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+        switch (condition.type) {
+            case 'boss_defeated': {
+                const boss = this.dataLoader.getAllContent?.('enemies', 'bosses').find(b => b.id === condition.boss);
+                return `Defeat ${boss?.name || condition.boss}${withHero}`;
+            }
+            case 'runs_won':
+                return `Win ${plural(condition.count || 1, 'run')}${withHero}`;
+            case 'runs_played':
+                return `Finish ${plural(condition.count || 1, 'run')}${withHero}`;
+            case 'floor_reached':
+                return `Reach floor ${condition.floor}${withHero}`;
+            default:
+                return '';
+        }
+    }
+
+    // ==========================================
+    // Gates (DataLoader and hero select ask these)
+    // ==========================================
+
+    /**
+     * @param {string} heroId
+     * @param {boolean} [lockedByDefault=false] - The hero data's own locked flag
+     * @returns {boolean}
+     */
+    isHeroUnlocked(heroId, lockedByDefault = false) {
+        if (this.saveManager.isUnlocked('heroes', heroId)) return true;
+        if (this.getDefinition('heroes', heroId)) return false;
+        return !lockedByDefault;
+    }
+
+    /**
+     * @param {string} cardId
+     * @returns {boolean} False while a locked card pool holds the card
+     */
+    isCardUnlocked(cardId) {
+        return !this.dataLoader.getUnlockDefinitions().some(def =>
+            def.category === 'cardPools'
+            && (def.cards || []).includes(cardId)
+            && !this.saveManager.isUnlocked('cardPools', def.target)
+        );
+    }
+
+    /**
+     * @param {string} relicId
+     * @returns {boolean}
+     */
+    isRelicUnlocked(relicId) {
+        return !this.getDefinition('relics', relicId) || this.saveManager.isUnlocked('relics', relicId);
+    }
+
+    getDefinition(category, target) {
+        return this.dataLoader.getUnlockDefinitions().find(def => def.category === category && def.target === target) || null;
+    }
+}
+
+export { MetaProgression, UNLOCK_CATEGORIES };
+export default MetaProgression;
@@ -14,8 +14,24 @@
  *   const postBossEvent = bookends.getPostBossEvent(1);
  *   // Show this in EventScreen, then transition to act screen
  * 
- * @version 1.0.0
+ * Bookends live in data/events/act<N>_bookends.json, one file per act.
+ * Event text comes back as an array of paragraphs (split on blank lines),
+ * which is what BossEventScreen reveals one at a time.
+ * 
+ * @version 1.1.0
+ */
+
+const BOOKEND_ACTS = [1, 2, 3];
+
+/**
+ * Split bookend text into paragraphs
+ * @param {string|string[]} text
+ * @returns {string[]}
  */
+function toParagraphs(text) {
+    if (Array.isArray(text)) return text;
+    return String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+}
 
 class NarrativeBookends {
     constructor(state, eventBus, varraTracker = null) {
@@ -29,17 +45,28 @@ class NarrativeBookends {
     }
 
     async _loadData() {
-        try {
-            const resp = await fetch('./data/events/act1_bookends.json');
-            if (resp.ok) {
-                const data = await resp.json();
-                this.bookendData[data.act] = data.narrativeBookends;
-                this.loaded = true;
-                console.log('[NarrativeBookends] Act 1 bookends loaded');
+        await Promise.all(BOOKEND_ACTS.map(async (act) => {
+            try {
+                const resp = await fetch(`./data/events/act${act}_bookends.json`);
+                if (resp.ok) {
+                    const data = await resp.json();
+                    this.bookendData[data.act] = data.narrativeBookends;
+                    this.loaded = true;
+                    console.log(`[NarrativeBookends] Act ${data.act} bookends loaded`);
+                }
+            } catch (e) {
+                console.warn(`[NarrativeBookends] Failed to load act ${act} bookend data:`, e);
             }
-        } catch (e) {
-            console.warn('[NarrativeBookends] Failed to load bookend data:', e);
-        }
+        }));
+    }
+
+    /**
+     * Whether an act has bookend data loaded
+     * @param {number} act
+     * @returns {boolean}
+     */
+    hasAct(act) {
+        return !!this.bookendData[act];
     }
 
     /**
@@ -74,7 +101,7 @@ class NarrativeBookends {
         return {
             id: preBoss.id,
             name: preBoss.name,
-            text: text,
+            text: toParagraphs(text),
             image: preBoss.image,
             type: 'narrative',
             isPreBoss: true,
@@ -103,12 +130,15 @@ class NarrativeBookends {
         const event = {
             id: postBoss.id,
             name: postBoss.name,
-            text: postBoss.text,
+            text: toParagraphs(postBoss.text),
             image: postBoss.image,
             type: 'narrative',
             isPostBoss: true,
+            act,
             choices: postBoss.choices,
             postChoiceText: postBoss.postChoiceText || '',
+            // BossEventScreen shows the epilogue after a choice is made
+            epilogue: postBoss.postChoiceText || '',
             transition: postBoss.transition || null
         };
         
@@ -19,8 +19,10 @@ class NarrativeSystem {
     
     setupListeners() {
         // React to corruption changes
-        this.eventBus.on('corruption:changed', (level) => {
-            this.updateDread(level);
+        // Sent as the new value, or as {current, previous, delta}
+        this.eventBus.on('corruption:changed', (data) => {
+            const level = typeof data === 'number' ? data : data?.current;
+            if (Number.isFinite(level)) this.updateDread(level);
         });
         
         this.eventBus.on('corruption:threshold', ({ threshold }) => {
@@ -62,7 +64,8 @@ class NarrativeSystem {
     }
     
     onCombatVictory() {
-        // Occasionally trigger atmospheric effects after combat
+        // Occasionally trigger atmospheric effects after combat. Presentation only,
+        // so it stays off the seeded streams
         if (this.dreadLevel > 30 && Math.random() < 0.3) {
             this.eventBus.emit('atmosphere:change', {
                 type: 'post_combat',
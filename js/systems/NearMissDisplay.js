@@ -20,6 +20,8 @@
  * @version 1.0.0
  */
 
+import { escapeHtml } from '../ui/HtmlEscape.js';
+
 class NearMissDisplay {
     constructor(state, eventBus) {
         this.state = state;
@@ -88,6 +90,8 @@ class NearMissDisplay {
      * @param {Array} context.hand - Cards in hand at death
      * @param {number} context.corruption - Corruption level at death
      * @param {number} context.floor - Map floor/node number
+     * @param {string} context.seed - Run seed (shown so the run can be shared)
+     * @param {number} [context.echoes] - Echoes the run paid out
      */
     show(context = {}) {
         const existing = document.getElementById('near-miss-overlay');
@@ -98,6 +102,7 @@ class NearMissDisplay {
         const hand = context.hand || this.state.get('combat.hand') || [];
         const corruption = context.corruption || this.state.get('corruption') || 0;
         const floor = context.floor || this.state.get('currentNode') || this.state.get('floor') || '?';
+        const seed = context.seed || this.state.get('seed');
 
         // Calculate near-miss metrics
         const nearMissData = this._calculateNearMiss(enemies, drawPile, hand, corruption);
@@ -113,6 +118,8 @@ class NearMissDisplay {
                     <div class="near-miss-static"></div>
                     <h1 class="near-miss-title">SIGNAL LOST</h1>
                     <div class="near-miss-subtitle">Connection terminated at node ${floor}</div>
+                    ${seed ? `<div class="near-miss-seed">SEED ${escapeHtml(seed)}</div>` : ''}
+                    ${context.echoes ? `<div class="near-miss-seed">+${context.echoes} ECHOES</div>` : ''}
                 </div>
 
                 <div class="near-miss-body">
@@ -12,6 +12,7 @@
  */
 
 import CardUpgradeSystem from './CardUpgradeSystem.js';
+import rng from '../core/RNG.js';
 
 class RewardSystem {
     constructor(state, eventBus, dataLoader) {
@@ -148,6 +149,12 @@ class RewardSystem {
                 description: '+1 Energy and draw 1 extra card each combat.',
                 rarity: 'rare',
                 effects: { maxEnergy: 1, startOfCombatDraw: 1 }
+            },
+            shard_of_first_light: {
+                name: 'Shard of First Light',
+                description: 'Radiance deals 50% more damage. Start combat with 2 Radiance on all enemies.',
+                rarity: 'rare',
+                effects: { radianceBonusPercent: 50, startOfCombatRadiance: 2 }
             }
         };
 
@@ -273,17 +280,17 @@ class RewardSystem {
         }
         
         // Maybe offer a corrupted card alongside standard choices
-        const corruptedRoll = Math.random();
+        const corruptedRoll = this.random();
         const corruptionBonus = corruption / 200; // Higher corruption = more corrupted offerings
         if (corruptedRoll < (config.corruptedChance + corruptionBonus)) {
             const available = this.corruptedCards.filter(c => !usedIds.has(c.id));
             if (available.length > 0) {
-                rewards.corruptedCard = { ...available[Math.floor(Math.random() * available.length)] };
+                rewards.corruptedCard = { ...available[Math.floor(this.random() * available.length)] };
             }
         }
         
         // Maybe generate artifact
-        if (config.artifactChance && Math.random() < config.artifactChance) {
+        if (config.artifactChance && this.random() < config.artifactChance) {
             const rarity = config.rareArtifact ? 'rare' : 'common';
             try {
                 rewards.artifact = this.dataLoader.getRandomArtifact(rarity);
@@ -307,7 +314,7 @@ class RewardSystem {
         if (!rewards.corruptedCard) {
             const available = this.corruptedCards.filter(c => !rewards.cards.find(r => r.id === c.id));
             if (available.length > 0) {
-                rewards.corruptedCard = { ...available[Math.floor(Math.random() * available.length)] };
+                rewards.corruptedCard = { ...available[Math.floor(this.random() * available.length)] };
             }
         }
         return rewards;
@@ -321,13 +328,13 @@ class RewardSystem {
             const pool = this.dataLoader.getCardRewardPool(heroId, rarity);
             const available = pool.filter(c => !usedIds.has(c.id));
             if (available.length > 0) {
-                return available[Math.floor(Math.random() * available.length)];
+                return available[Math.floor(this.random() * available.length)];
             }
             // Fallback: try any rarity
             const anyPool = this.dataLoader.getCardRewardPool(heroId, 'common');
             const anyAvailable = anyPool.filter(c => !usedIds.has(c.id));
             if (anyAvailable.length > 0) {
-                return anyAvailable[Math.floor(Math.random() * anyAvailable.length)];
+                return anyAvailable[Math.floor(this.random() * anyAvailable.length)];
             }
         } catch (e) {
             console.warn('[RewardSystem] Card pool fetch failed:', e);
@@ -340,7 +347,7 @@ class RewardSystem {
      */
     rollRarity(weights) {
         const total = Object.values(weights).reduce((a, b) => a + b, 0);
-        let roll = Math.random() * total;
+        let roll = this.random() * total;
         
         for (const [rarity, weight] of Object.entries(weights)) {
             roll -= weight;
@@ -349,11 +356,18 @@ class RewardSystem {
         return 'common';
     }
 
+    /**
+     * Rewards-stream random float — deterministic per run seed
+     */
+    random() {
+        return rng.random('rewards');
+    }
+
     /**
      * Random range helper
      */
     randomRange(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(this.random() * (max - min + 1)) + min;
     }
 
     /**
@@ -0,0 +1,277 @@
+/**
+ * RunHistory - A record of every finished run
+ * Shattered Star
+ *
+ * While a run is going this logs the decisions the player makes into
+ * state.choices (so they survive save/continue) and keeps the run's peak
+ * corruption and start time in state.stats. When the run ends
+ * (GameEvents.RUN_END) it is written to SaveManager's run history:
+ *
+ *   { id, heroId, heroName, seed, ascension, victory, act, floor, killer,
+ *     deck: [{id, name, type, rarity, upgraded}], relics: [{id, name}],
+ *     fragments: [{id, name, equipped}], corruption, peakCorruption,
+ *     startedAt, endedAt, duration, echoes, stats, choices }
+ *
+ * Choice entries are { type, act, floor, ... }:
+ *   card       Card taken from a reward or event        { id, name }
+ *   skip       Card reward skipped
+ *   purchase   Bought at a shop                         { kind: 'card'|'relic', id, name }
+ *   remove     Card removed at a shop                   { id, name }
+ *   relic      Relic gained outside the shop            { id, name }
+ *   fragment   Void fragment picked                     { id, name }
+ *   sell       Void fragment sold to the merchant       { id, name, credits }
+ *   rest       Rest site action                         { action, id?, name? }
+ *   event      Event choice                             { id, name, text }
+ *
+ * @version 0.1.1
+ */
+
+import { GameEvents } from '../core/EventBus.js';
+
+const SORTS = {
+    recent: (a, b) => (b.endedAt || 0) - (a.endedAt || 0),
+    floor: (a, b) => (b.floor || 0) - (a.floor || 0),
+    ascension: (a, b) => (b.ascension || 0) - (a.ascension || 0),
+    corruption: (a, b) => (b.peakCorruption || 0) - (a.peakCorruption || 0),
+    duration: (a, b) => (a.duration || Infinity) - (b.duration || Infinity)
+};
+
+/**
+ * The bits of a card or relic worth keeping in a record
+ */
+function summarize(item) {
+    return item ? { id: item.id, name: item.name || item.id } : { id: null, name: 'Unknown' };
+}
+
+class RunHistory {
+    constructor(state, eventBus, saveManager, dataLoader) {
+        this.state = state;
+        this.eventBus = eventBus;
+        this.saveManager = saveManager;
+        this.dataLoader = dataLoader;
+
+        // Void fragments live in VoidFragmentSystem, not the state, and it is
+        // created after this; main.js installs a getter for it
+        this.fragmentProvider = null;
+
+        this.setupListeners();
+    }
+
+    /**
+     * @param {Function|null} provider - () => VoidFragmentSystem
+     */
+    setFragmentProvider(provider) {
+        this.fragmentProvider = provider;
+    }
+
+    setupListeners() {
+        this.eventBus.on(GameEvents.RUN_START, () => {
+            this.state.set('stats.startedAt', Date.now(), true);
+        });
+
+        this.eventBus.on(GameEvents.UI_UPDATE, ({ path, value } = {}) => {
+            if (path !== 'corruption' || !this.state.get('runActive')) return;
+            if ((value || 0) > (this.state.get('stats.peakCorruption') || 0)) {
+                this.state.set('stats.peakCorruption', value, true);
+            }
+        });
+
+        this.eventBus.on('card:obtained', (card) => this.log('card', summarize(card)));
+        this.eventBus.on('reward:selected', ({ card } = {}) => this.log('card', summarize(card)));
+        this.eventBus.on('reward:skipped', () => this.log('skip'));
+        this.eventBus.on('card:purchased', (card) => this.log('purchase', { kind: 'card', ...summarize(card) }));
+        this.eventBus.on('artifact:purchased', (relic) => this.log('purchase', { kind: 'relic', ...summarize(relic) }));
+        this.eventBus.on('shop:card_removed', ({ card } = {}) => this.log('remove', summarize(card)));
+        this.eventBus.on('artifact:gained', (relic) => this.log('relic', summarize(relic)));
+        this.eventBus.on('fragment:acquired', ({ fragment } = {}) => this.log('fragment', summarize(fragment)));
+        this.eventBus.on('fragment:sold', ({ fragment, credits } = {}) => this.log('sell', { ...summarize(fragment), credits }));
+        this.eventBus.on('rest:choice', ({ action, card } = {}) => {
+            this.log('rest', card ? { action, ...summarize(card) } : { action });
+        });
+        this.eventBus.on('event:choice', ({ eventId, eventName, text } = {}) => {
+            this.log('event', { id: eventId, name: eventName || eventId, text });
+        });
+
+        this.eventBus.on(GameEvents.RUN_END, (result) => {
+            try {
+                const record = this.buildRecord(result || {});
+                this.saveManager.addRunRecord(record);
+                this.eventBus.emit('history:recorded', record);
+                console.log(`[RunHistory] Recorded run ${record.id}`);
+            } catch (e) {
+                console.warn('[RunHistory] Failed to record run:', e);
+            }
+        });
+    }
+
+    /**
+     * Append a decision to the current run's log
+     * @param {string} type - See the module comment
+     * @param {Object} [details]
+     */
+    log(type, details = {}) {
+        if (!this.state.get('runActive')) return;
+        const choices = this.state.get('choices') || [];
+        choices.push({
+            type,
+            act: this.state.get('act') || 1,
+            floor: this.state.get('floor') || 0,
+            ...details
+        });
+        this.state.set('choices', choices, true);
+    }
+
+    // ==========================================
+    // Recording
+    // ==========================================
+
+    /**
+     * Snapshot the run that just ended
+     * @param {Object} result - The RUN_END payload
+     * @returns {Object} The record
+     */
+    buildRecord(result) {
+        const endedAt = Date.now();
+        const startedAt = this.state.get('stats.startedAt') || null;
+        const heroId = result.heroId || this.state.get('hero.id');
+        const stats = this.state.get('stats') || {};
+
+        return {
+            id: `run_${endedAt}`,
+            heroId,
+            heroName: this.state.get('hero.name') || heroId,
+            seed: this.state.get('seed') || null,
+            ascension: result.ascension ?? (this.state.get('ascension.level') || 0),
+            victory: !!result.victory,
+            act: result.act || this.state.get('act') || 1,
+            floor: result.floor ?? (this.state.get('floor') || 0),
+            killer: result.victory ? null : this.findKiller(),
+            deck: (this.state.get('deck') || []).map(card => ({
+                ...summarize(card),
+                type: card.type || null,
+                rarity: card.rarity || null,
+                upgraded: !!card.upgraded
+            })),
+            relics: (this.state.get('artifacts') || []).map(summarize),
+            fragments: this.getFragments(),
+            corruption: result.corruption ?? (this.state.get('corruption') || 0),
+            peakCorruption: Math.max(stats.peakCorruption || 0, this.state.get('corruption') || 0),
+            startedAt,
+            endedAt,
+            duration: startedAt ? endedAt - startedAt : null,
+            echoes: result.echoes || 0,
+            stats: {
+                cardsPlayed: stats.cardsPlayed || 0,
+                damageDealt: stats.damageDealt || 0,
+                combatsWon: stats.combatsWon || 0,
+                enemiesKilled: stats.enemiesKilled || 0,
+                elitesKilled: stats.elitesKilled || 0,
+                bossesKilled: stats.bossesKilled || 0
+            },
+            choices: [...(this.state.get('choices') || [])]
+        };
+    }
+
+    /**
+     * What ended a lost run: the enemies still standing, else where it happened
+     * @returns {string}
+     */
+    findKiller() {
+        const living = (this.state.get('combat.enemies') || []).filter(e => (e.currentHp ?? e.hp ?? 0) > 0);
+        if (living.length > 0) return living.map(e => e.name || e.id).join(', ');
+
+        const event = this.state.get('event.currentEvent');
+        if (this.state.get('currentNodeType') === 'event' && event) return event.name || event.id;
+
+        if ((this.state.get('corruption') || 0) >= (this.state.get('maxCorruption') || 100)) return 'Corruption';
+        return 'Unknown';
+    }
+
+    getFragments() {
+        let fragments = null;
+        let data = null;
+        try {
+            fragments = this.fragmentProvider?.();
+            data = fragments?.getSaveData();
+        } catch (e) {
+            console.warn('[RunHistory] Failed to read fragments:', e);
+        }
+        if (!data) return [];
+
+        const equipped = new Set(data.equipped || []);
+        return [...new Set([...(data.equipped || []), ...(data.collected || [])])].map(id => ({
+            id,
+            name: fragments.fragmentDatabase?.[id]?.name || id,
+            equipped: equipped.has(id)
+        }));
+    }
+
+    // ==========================================
+    // Queries (history screen)
+    // ==========================================
+
+    /**
+     * @param {Object} [filter]
+     * @param {string} [filter.heroId] - Only this hero's runs
+     * @param {string} [filter.result] - 'won' | 'lost'
+     * @param {string} [filter.sort='recent'] - recent | floor | ascension | corruption | duration
+     * @returns {Array<Object>}
+     */
+    getRecords({ heroId = null, result = null, sort = 'recent' } = {}) {
+        return this.saveManager.getRunHistory()
+            .filter(r => !heroId || r.heroId === heroId)
+            .filter(r => !result || (result === 'won' ? r.victory : !r.victory))
+            .sort(SORTS[sort] || SORTS.recent);
+    }
+
+    getRecord(id) {
+        return this.saveManager.getRunHistory().find(r => r.id === id) || null;
+    }
+
+    /**
+     * Runs, wins and bests per hero, from the stored history
+     * @returns {Array<{heroId, heroName, runs, wins, winRate, bestFloor, bestAscension}>}
+     */
+    getHeroSummaries() {
+        const byHero = new Map();
+        this.saveManager.getRunHistory().forEach(r => {
+            const s = byHero.get(r.heroId) || { heroId: r.heroId, heroName: r.heroName || r.heroId, runs: 0, wins: 0, bestFloor: 0, bestAscension: 0 };
+            s.runs++;
+            if (r.victory) {
+                s.wins++;
+                s.bestAscension = Math.max(s.bestAscension, r.ascension || 0);
+            }
+            s.bestFloor = Math.max(s.bestFloor, r.floor || 0);
+            byHero.set(r.heroId, s);
+        });
+
+        return [...byHero.values()]
+            .map(s => ({ ...s, winRate: s.runs > 0 ? s.wins / s.runs : 0 }))
+            .sort((a, b) => b.runs - a.runs);
+    }
+
+    /**
+     * Cards taken most often, from rewards, events and shops
+     * @param {Array<Object>} [records] - Defaults to the whole history
+     * @param {number} [limit=10]
+     * @returns {Array<{id, name, count}>}
+     */
+    getMostPickedCards(records = null, limit = 10) {
+        const counts = new Map();
+        (records || this.saveManager.getRunHistory()).forEach(r => {
+            (r.choices || [])
+                .filter(c => c.type === 'card' || (c.type === 'purchase' && c.kind === 'card'))
+                .filter(c => c.id)
+                .forEach(c => {
+                    const entry = counts.get(c.id) || { id: c.id, name: c.name || c.id, count: 0 };
+                    entry.count++;
+                    counts.set(c.id, entry);
+                });
+        });
+
+        return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+    }
+}
+
+export { RunHistory };
+export default RunHistory;
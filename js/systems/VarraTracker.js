@@ -14,8 +14,16 @@
  * - How you treated her previously
  * - Your corruption level
  * - Your Rustborn reputation
+ * 
+ * When the Scrap-King falls, the run's ending for her story (one of
+ * VARRA_ENDINGS) is announced as 'varra:ending'.
  */
 
+import rng from '../core/RNG.js';
+
+// Post-boss outcomes, from how the relationship stood when the Scrap-King fell
+const VARRA_ENDINGS = ['friendly', 'neutral', 'wary'];
+
 class VarraTracker {
     constructor(state, eventBus) {
         this.state = state;
@@ -34,6 +42,12 @@ class VarraTracker {
                 remembers: []
             });
         }
+        
+        this.eventBus.on('boss:defeated', ({ act } = {}) => {
+            if ((act || this.state.get('act') || 1) !== 1) return;
+            const ending = this.getEnding();
+            if (ending) this.eventBus.emit('varra:ending', { ending });
+        });
     }
     
     /**
@@ -97,12 +111,12 @@ class VarraTracker {
         
         // First encounter chance
         if (varraState.metCount === 0 && nodesVisited >= 2 && nodesVisited <= 6) {
-            return Math.random() < 0.35; // 35% per event node
+            return rng.stream('events').chance(0.35); // 35% per event node
         }
         
         // Second encounter chance
         if (varraState.metCount === 1 && nodesVisited >= 7 && nodesVisited <= 11) {
-            return Math.random() < 0.4; // 40% per event node
+            return rng.stream('events').chance(0.4); // 40% per event node
         }
         
         return false;
@@ -259,9 +273,9 @@ class VarraTracker {
      * Get Varra's post-boss dialogue (appears after post-boss event)
      */
     getPostBossDialogue() {
-        const varraState = this.getState();
+        const ending = this.getEnding();
         
-        if (varraState.metCount === 0) {
+        if (!ending) {
             // Never met Varra — she appears briefly
             return {
                 speaker: 'Unknown Voice',
@@ -284,15 +298,23 @@ class VarraTracker {
             }
         };
         
-        // Map relationship to variant
+        return variants[ending];
+    }
+    
+    /**
+     * Which of VARRA_ENDINGS the relationship leads to
+     * @returns {string|null} Null if the player never met her
+     */
+    getEnding() {
+        const varraState = this.getState();
+        if (varraState.metCount === 0) return null;
+        
         const relationship = varraState.relationship || 'neutral';
-        if (relationship === 'allied' || relationship === 'friendly') {
-            return variants.friendly;
-        } else if (relationship === 'wary' || relationship === 'hostile') {
-            return variants.wary;
-        }
-        return variants.neutral;
+        if (relationship === 'allied' || relationship === 'friendly') return 'friendly';
+        if (relationship === 'wary' || relationship === 'hostile') return 'wary';
+        return 'neutral';
     }
 }
 
+export { VarraTracker, VARRA_ENDINGS };
 export default VarraTracker;
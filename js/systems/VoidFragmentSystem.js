@@ -5,10 +5,20 @@
  * Each fragment passively increases corruption per combat.
  * Fragments interact with ChainMultiplierSystem and MetaCorruptionSystem.
  * 
- * @version 1.0.0
+ * Set bonuses (`setBonuses` in void_fragments.json) add an effect on top when
+ * enough fragments of one type, or a specific named group, are equipped
+ * together. They're derived from the equipped list, so nothing extra is saved.
+ * 
+ * Queries that only depend on the loadout (getCardModifiers, getActiveSets,
+ * getChainBaseMultiplier, getCorruptionPerCombat) take an optional fragment
+ * list, so the loadout screen can preview a loadout before committing to it.
+ * 
+ * @version 1.3.0
  * @system Shattered Star MVP
  */
 
+import rng from '../core/RNG.js';
+
 class VoidFragmentSystem {
     constructor(state, eventBus) {
         this.state = state;
@@ -22,6 +32,10 @@ class VoidFragmentSystem {
         // Fragment database (loaded from data)
         this.fragmentDatabase = {};
         
+        // Set bonus definitions, and the ids active at the last update
+        this.setBonuses = [];
+        this.activeSetIds = new Set();
+        
         // Combat-turn tracking for fragment effects
         this.combatState = {
             cardsPlayedThisTurn: 0,
@@ -59,7 +73,12 @@ class VoidFragmentSystem {
             this.fragmentDatabase[f.id] = { ...f };
         });
         
-        console.log(`[VoidFragmentSystem] Loaded ${Object.keys(this.fragmentDatabase).length} fragments`);
+        if (Array.isArray(fragmentData.setBonuses)) {
+            this.setBonuses = fragmentData.setBonuses.map(set => ({ ...set }));
+        }
+        this.activeSetIds = new Set(this.getActiveSets().map(set => set.id));
+        
+        console.log(`[VoidFragmentSystem] Loaded ${Object.keys(this.fragmentDatabase).length} fragments, ${this.setBonuses.length} set bonuses`);
     }
 
     /**
@@ -120,8 +139,10 @@ class VoidFragmentSystem {
 
     /**
      * Equip a fragment into a slot
+     * @param {string} fragmentId
+     * @param {number} [slotIndex] - Where to put it (default: the first empty slot)
      */
-    equipFragment(fragmentId) {
+    equipFragment(fragmentId, slotIndex = this.equippedFragments.length) {
         const unlocked = this.getUnlockedSlots();
         
         if (this.equippedFragments.length >= unlocked) {
@@ -141,7 +162,8 @@ class VoidFragmentSystem {
             return false;
         }
         
-        this.equippedFragments.push({ ...fragment });
+        const index = Math.max(0, Math.min(slotIndex, this.equippedFragments.length));
+        this.equippedFragments.splice(index, 0, { ...fragment });
         
         // Remove from collected inventory
         const collIdx = this.collectedFragments.indexOf(fragmentId);
@@ -149,6 +171,23 @@ class VoidFragmentSystem {
         
         this.eventBus.emit('fragments:equipped', { fragment });
         console.log(`[VoidFragmentSystem] Equipped: ${fragment.name}`);
+        this.updateActiveSets();
+        return true;
+    }
+
+    /**
+     * Move an equipped fragment to another slot, swapping with its occupant
+     */
+    moveFragment(fragmentId, slotIndex) {
+        const from = this.equippedFragments.findIndex(f => f.id === fragmentId);
+        if (from === -1) return false;
+        
+        const to = Math.max(0, Math.min(slotIndex, this.equippedFragments.length - 1));
+        if (from === to) return false;
+        
+        const list = this.equippedFragments;
+        [list[from], list[to]] = [list[to], list[from]];
+        this.eventBus.emit('fragments:moved', { fragmentId, from, to });
         return true;
     }
 
@@ -164,9 +203,29 @@ class VoidFragmentSystem {
         
         this.eventBus.emit('fragments:unequipped', { fragment });
         console.log(`[VoidFragmentSystem] Unequipped: ${fragment.name}`);
+        this.updateActiveSets();
         return true;
     }
 
+    /**
+     * Take a fragment out of the inventory entirely, equipped or not (selling)
+     * @returns {Object|null} The fragment removed
+     */
+    removeFragment(fragmentId) {
+        const equippedIdx = this.equippedFragments.findIndex(f => f.id === fragmentId);
+        const collectedIdx = this.collectedFragments.indexOf(fragmentId);
+        if (equippedIdx === -1 && collectedIdx === -1) return null;
+        
+        if (equippedIdx > -1) this.equippedFragments.splice(equippedIdx, 1);
+        if (collectedIdx > -1) this.collectedFragments.splice(collectedIdx, 1);
+        
+        const fragment = this.fragmentDatabase[fragmentId] || { id: fragmentId };
+        this.eventBus.emit('fragments:removed', { fragment, wasEquipped: equippedIdx > -1 });
+        console.log(`[VoidFragmentSystem] Removed: ${fragment.name || fragmentId}`);
+        this.updateActiveSets();
+        return fragment;
+    }
+
     /**
      * Add a fragment to collected inventory
      */
@@ -212,7 +271,7 @@ class VoidFragmentSystem {
             let attempts = 0;
             let pick;
             do {
-                pick = weighted[Math.floor(Math.random() * weighted.length)];
+                pick = rng.stream('rewards').pick(weighted);
                 attempts++;
             } while (used.has(pick.id) && attempts < 50);
             
@@ -242,10 +301,7 @@ class VoidFragmentSystem {
         };
         
         // Apply per-combat corruption from equipped fragments
-        let totalCorruptionGain = 0;
-        this.equippedFragments.forEach(f => {
-            totalCorruptionGain += f.corruptionPerCombat || 0;
-        });
+        const totalCorruptionGain = this.getCorruptionPerCombat();
         
         if (totalCorruptionGain > 0) {
             this.eventBus.emit('corruption:gained', totalCorruptionGain);
@@ -365,18 +421,6 @@ class VoidFragmentSystem {
             this.combatState.nextAttackBonus = 0;
         }
         
-        // --- Glass Cannon: All damage +25% ---
-        const glass = this.getEquippedById('void_glass_cannon');
-        if (glass) {
-            multiplier *= glass.effect.bonus.allDamageDealtMultiplier || 1.25;
-        }
-        
-        // --- Corruption Feast: Corrupted cards +50% ---
-        const feast = this.getEquippedById('void_corruption_feast');
-        if (feast && card.corrupted) {
-            multiplier *= feast.effect.bonus.damageMultiplier || 1.5;
-        }
-        
         // --- Echo Amplifier: Descending cost sequence bonus ---
         const amplifier = this.getEquippedById('void_echo_amplifier');
         if (amplifier && this.combatState.costSequence.length >= 2) {
@@ -391,12 +435,11 @@ class VoidFragmentSystem {
             }
         }
         
-        // --- Hungry Void: 0-cost cards +4 damage ---
-        const hungry = this.getEquippedById('void_hungry_void');
-        if (hungry && card.cost === 0) {
-            flatBonus += hungry.effect.bonus.zeroCostDamageBonus || 4;
-            this.emitFragmentTrigger(hungry, 'zeroCostBonus', flatBonus);
-        }
+        // --- Glass Cannon, Corruption Feast, Hungry Void, set bonuses ---
+        const mods = this.getCardModifiers(card);
+        flatBonus += mods.flatDamage;
+        multiplier *= mods.damageMultiplier;
+        this.emitModifierTriggers(mods, 'damage');
         
         return { flatBonus, multiplier };
     }
@@ -405,18 +448,69 @@ class VoidFragmentSystem {
      * Calculate block modifier from fragments
      */
     calculateBlockModifiers(card, baseBlock) {
-        let flatBonus = 0;
+        const mods = this.getCardModifiers(card);
+        if (baseBlock <= 0) return { flatBonus: 0 };
+        
+        this.emitModifierTriggers(mods, 'block');
+        return { flatBonus: mods.flatBlock };
+    }
+
+    /**
+     * Damage and block modifiers that depend only on the card and the loadout,
+     * not on anything that has happened this combat
+     * @param {Object} card
+     * @param {Array<Object>} [loadout] - Fragments to use (default: equipped)
+     * @returns {{flatDamage: number, damageMultiplier: number, flatBlock: number, applied: Array}}
+     *   applied lists { source, isSet, stat: 'damage'|'block', effectType, value } for triggers
+     */
+    getCardModifiers(card, loadout = this.equippedFragments) {
+        const mods = { flatDamage: 0, damageMultiplier: 1.0, flatBlock: 0, applied: [] };
+        const find = (id) => loadout.find(f => f.id === id);
         
-        // --- Hungry Void: 3+ cost cards +4 block ---
-        const hungry = this.getEquippedById('void_hungry_void');
+        // --- Glass Cannon: All damage +25% ---
+        const glass = find('void_glass_cannon');
+        if (glass) {
+            mods.damageMultiplier *= glass.effect.bonus.allDamageDealtMultiplier || 1.25;
+        }
+        
+        // --- Corruption Feast: Corrupted cards +50% ---
+        const feast = find('void_corruption_feast');
+        if (feast && card.corrupted) {
+            mods.damageMultiplier *= feast.effect.bonus.damageMultiplier || 1.5;
+        }
+        
+        // --- Hungry Void: 0-cost cards +4 damage, 3+ cost cards +4 block ---
+        const hungry = find('void_hungry_void');
         if (hungry) {
+            if (card.cost === 0) {
+                const bonus = hungry.effect.bonus.zeroCostDamageBonus || 4;
+                mods.flatDamage += bonus;
+                mods.applied.push({ source: hungry, isSet: false, stat: 'damage', effectType: 'zeroCostBonus', value: bonus });
+            }
             const threshold = hungry.effect.bonus.highCostThreshold || 3;
             if (card.cost >= threshold) {
-                flatBonus += hungry.effect.bonus.highCostBlockBonus || 4;
+                mods.flatBlock += hungry.effect.bonus.highCostBlockBonus || 4;
             }
         }
         
-        return { flatBonus };
+        // --- Set bonuses ---
+        this.getActiveSets(loadout).forEach(set => {
+            const { attackDamageBonus, damageMultiplier, blockBonus } = set.bonus || {};
+            if (attackDamageBonus && card.type === 'attack') {
+                mods.flatDamage += attackDamageBonus;
+                mods.applied.push({ source: set, isSet: true, stat: 'damage', effectType: 'bonusDamage', value: attackDamageBonus });
+            }
+            if (damageMultiplier) {
+                mods.damageMultiplier *= damageMultiplier;
+                mods.applied.push({ source: set, isSet: true, stat: 'damage', effectType: 'damageMultiplier', value: damageMultiplier });
+            }
+            if (blockBonus) {
+                mods.flatBlock += blockBonus;
+                mods.applied.push({ source: set, isSet: true, stat: 'block', effectType: 'bonusBlock', value: blockBonus });
+            }
+        });
+        
+        return mods;
     }
 
     /**
@@ -445,6 +539,14 @@ class VoidFragmentSystem {
             multiplier *= glass.effect.bonus.allDamageReceivedMultiplier || 1.25;
         }
         
+        this.getActiveSets().forEach(set => {
+            const received = set.bonus?.damageReceivedMultiplier;
+            if (received && damage > 0) {
+                multiplier *= received;
+                this.emitSetTrigger(set, 'damageReceived', received);
+            }
+        });
+        
         return Math.floor(damage * multiplier);
     }
 
@@ -481,7 +583,7 @@ class VoidFragmentSystem {
         // --- Overkill Cascade: Splash excess damage ---
         const cascade = this.getEquippedById('void_overkill_cascade');
         if (cascade && overkillDamage > 0 && remainingEnemies && remainingEnemies.length > 0) {
-            const splashTarget = remainingEnemies[Math.floor(Math.random() * remainingEnemies.length)];
+            const splashTarget = rng.stream('combat').pick(remainingEnemies);
             this.eventBus.emit('damage:splash', {
                 target: splashTarget,
                 damage: overkillDamage,
@@ -525,9 +627,18 @@ class VoidFragmentSystem {
     /**
      * Get chain multiplier base (modified by Chain Resonance)
      */
-    getChainBaseMultiplier() {
-        const resonance = this.getEquippedById('void_chain_resonance');
-        return resonance ? (resonance.effect.bonus.chainBaseMultiplier || 1.2) : 1.0;
+    getChainBaseMultiplier(loadout = this.equippedFragments) {
+        const resonance = loadout.find(f => f.id === 'void_chain_resonance');
+        const base = resonance ? (resonance.effect.bonus.chainBaseMultiplier || 1.2) : 1.0;
+        return base + this.getSetBonusSum('chainBaseMultiplierBonus', loadout);
+    }
+
+    /**
+     * Corruption a loadout adds at the start of each combat
+     */
+    getCorruptionPerCombat(loadout = this.equippedFragments) {
+        const total = loadout.reduce((sum, f) => sum + (f.corruptionPerCombat || 0), 0);
+        return Math.max(0, total + this.getSetBonusSum('corruptionPerCombat', loadout));
     }
 
     /**
@@ -541,6 +652,68 @@ class VoidFragmentSystem {
         return bridge.includes(cardType) && bridge.includes(chainType);
     }
 
+    // ==========================================
+    // SET BONUSES
+    // ==========================================
+
+    /**
+     * Set bonuses the equipped fragments currently satisfy
+     * @returns {Array<Object>} Set definitions from void_fragments.json
+     */
+    getActiveSets(loadout = this.equippedFragments) {
+        return this.setBonuses.filter(set => this.isSetActive(set, loadout));
+    }
+
+    /**
+     * A set needs either `count` fragments of one `type`, or all of `fragments`
+     */
+    isSetActive(set, loadout = this.equippedFragments) {
+        const { type, count, fragments } = set.requires || {};
+        if (Array.isArray(fragments)) {
+            return fragments.every(id => loadout.some(f => f.id === id));
+        }
+        if (type) {
+            return loadout.filter(f => f.type === type).length >= (count || 2);
+        }
+        return false;
+    }
+
+    /**
+     * Ids of the loadout's fragments that count toward a set
+     */
+    getSetMembers(set, loadout = this.equippedFragments) {
+        const { type, fragments } = set.requires || {};
+        if (Array.isArray(fragments)) {
+            return fragments.filter(id => loadout.some(f => f.id === id));
+        }
+        return type ? loadout.filter(f => f.type === type).map(f => f.id) : [];
+    }
+
+    /**
+     * Announce sets that turned on or off since the last update
+     */
+    updateActiveSets() {
+        const active = this.getActiveSets();
+        const ids = new Set(active.map(set => set.id));
+        
+        active.filter(set => !this.activeSetIds.has(set.id)).forEach(set => {
+            this.eventBus.emit('fragments:setActivated', { set });
+            console.log(`[VoidFragmentSystem] Set bonus active: ${set.name}`);
+        });
+        this.setBonuses.filter(set => this.activeSetIds.has(set.id) && !ids.has(set.id)).forEach(set => {
+            this.eventBus.emit('fragments:setDeactivated', { set });
+        });
+        
+        this.activeSetIds = ids;
+    }
+
+    /**
+     * Total of one additive bonus across the active sets
+     */
+    getSetBonusSum(key, loadout = this.equippedFragments) {
+        return this.getActiveSets(loadout).reduce((sum, set) => sum + (set.bonus?.[key] || 0), 0);
+    }
+
     // ==========================================
     // HELPERS
     // ==========================================
@@ -562,6 +735,28 @@ class VoidFragmentSystem {
         });
     }
 
+    /**
+     * Announce the getCardModifiers entries for one stat
+     */
+    emitModifierTriggers(mods, stat) {
+        mods.applied.filter(entry => entry.stat === stat).forEach(entry => {
+            if (entry.isSet) {
+                this.emitSetTrigger(entry.source, entry.effectType, entry.value);
+            } else {
+                this.emitFragmentTrigger(entry.source, entry.effectType, entry.value);
+            }
+        });
+    }
+
+    emitSetTrigger(set, effectType, value) {
+        this.eventBus.emit('fragments:setTriggered', {
+            setId: set.id,
+            setName: set.name,
+            effectType,
+            value
+        });
+    }
+
     // ==========================================
     // SAVE / LOAD
     // ==========================================
@@ -585,6 +780,27 @@ class VoidFragmentSystem {
                 this.equippedFragments.push({ ...fragment });
             }
         });
+        
+        // Loading restores sets silently; only later changes are announced
+        this.activeSetIds = new Set(this.getActiveSets().map(set => set.id));
+    }
+
+    /**
+     * Counters for the fight in progress (see CombatSnapshot)
+     */
+    getCombatSaveData() {
+        return {
+            ...this.combatState,
+            costSequence: [...this.combatState.costSequence]
+        };
+    }
+
+    loadCombatSaveData(data) {
+        this.combatState = {
+            ...this.combatState,
+            ...data,
+            costSequence: [...(data.costSequence || [])]
+        };
     }
 
     // ==========================================
@@ -605,7 +821,8 @@ class VoidFragmentSystem {
                 unlockThreshold: this.slotUnlockThresholds[i]
             })),
             collected: this.collectedFragments.map(id => this.fragmentDatabase[id]).filter(Boolean),
-            totalCorruptionCost: this.equippedFragments.reduce((sum, f) => sum + (f.corruptionPerCombat || 0), 0)
+            sets: this.getActiveSets(),
+            totalCorruptionCost: this.getCorruptionPerCombat()
         };
     }
 }
@@ -9,8 +9,14 @@
  * - Dark bargains: trade HP/corruption for power
  * 
  * Appears in shops starting from node 5+, with increasing inventory as corruption rises.
+ * Buys owned void fragments back (sellFragment) from the fragment loadout screen.
  */
 
+import rng from '../core/RNG.js';
+
+// Share of a fragment's shop price the merchant pays to buy it back
+const FRAGMENT_SELL_RATE = 0.4;
+
 class VoidMerchant {
     constructor(state, eventBus) {
         this.state = state;
@@ -36,6 +42,13 @@ class VoidMerchant {
             "The void remembers those who accept its gifts."
         ];
         
+        this.sellLines = [
+            "Returned so soon? The void keeps what it is given.",
+            "I'll find it a new host.",
+            "A fragment never truly leaves you. But I'll take it.",
+            "Lighter now. For a while."
+        ];
+        
         this.highCorruptionGreetings = [
             "You return. Of course you do.",
             "The void has marked you as its own. Prices are... adjusted.",
@@ -231,7 +244,7 @@ class VoidMerchant {
         const baseChance = 0.4;
         const corruptionBonus = corruption / 200;
         
-        return Math.random() < (baseChance + corruptionBonus);
+        return rng.stream('rewards').chance(baseChance + corruptionBonus);
     }
     
     /**
@@ -251,7 +264,7 @@ class VoidMerchant {
         // Select 2-3 corrupted cards (more at higher corruption)
         const cardCount = corruption >= 50 ? 3 : 2;
         const availableCards = this.voidCards.filter(c => !ownedCardIds.has(c.id));
-        const shuffled = [...availableCards].sort(() => Math.random() - 0.5);
+        const shuffled = rng.stream('rewards').shuffle(availableCards);
         this.inventory.cards = shuffled.slice(0, cardCount).map(c => ({
             ...c,
             // Discount at higher corruption
@@ -264,7 +277,7 @@ class VoidMerchant {
             const ownedArtifactIds = new Set(artifacts.map(a => a.id));
             const availableArtifacts = this.voidArtifacts.filter(a => !ownedArtifactIds.has(a.id));
             if (availableArtifacts.length > 0) {
-                const artifact = availableArtifacts[Math.floor(Math.random() * availableArtifacts.length)];
+                const artifact = rng.stream('rewards').pick(availableArtifacts);
                 this.inventory.artifacts.push({
                     ...artifact,
                     price: corruption >= 50 ? Math.floor(artifact.price * 0.7) : artifact.price
@@ -274,14 +287,13 @@ class VoidMerchant {
         
         // Select 1-2 dark bargains
         const bargainCount = corruption >= 40 ? 2 : 1;
-        const shuffledBargains = [...this.darkBargains].sort(() => Math.random() - 0.5);
+        const shuffledBargains = rng.stream('rewards').shuffle(this.darkBargains);
         this.inventory.bargains = shuffledBargains.slice(0, bargainCount);
         
         // Select 1-2 void fragments (if VoidFragmentSystem is available)
         this.inventory.fragments = [];
         try {
-            const fragmentSystem = this.state.get('_game')?.voidSystems?.fragments
-                || window.game?.voidSystems?.fragments;
+            const fragmentSystem = this.getFragmentSystem();
             if (fragmentSystem) {
                 const fragPool = corruption >= 40 ? 'common,uncommon,rare' : 'common,uncommon';
                 const fragCount = corruption >= 50 ? 2 : 1;
@@ -440,6 +452,15 @@ class VoidMerchant {
         return bargain;
     }
     
+    /**
+     * The run's VoidFragmentSystem, if void systems are loaded
+     */
+    getFragmentSystem() {
+        return this.state.get('_game')?.voidSystems?.fragments
+            || window.game?.voidSystems?.fragments
+            || null;
+    }
+    
     /**
      * Get price for a void fragment based on rarity and corruption
      */
@@ -469,8 +490,7 @@ class VoidMerchant {
         this.state.set('corruption', Math.min(100, corruption + corruptionCost));
         
         // Collect and auto-equip fragment
-        const fragmentSystem = this.state.get('_game')?.voidSystems?.fragments
-            || window.game?.voidSystems?.fragments;
+        const fragmentSystem = this.getFragmentSystem();
         if (fragmentSystem) {
             fragmentSystem.collectFragment(fragment.id);
             const unlocked = fragmentSystem.getUnlockedSlots();
@@ -493,6 +513,38 @@ class VoidMerchant {
         return fragment;
     }
     
+    /**
+     * Credits the merchant pays for an owned fragment
+     */
+    getFragmentSellPrice(fragment) {
+        const corruption = this.state.get('corruption') || 0;
+        return Math.floor(this.getFragmentPrice(fragment, corruption) * FRAGMENT_SELL_RATE);
+    }
+    
+    /**
+     * Sell an owned fragment (equipped or not) back to the merchant
+     * @returns {Object|null} { fragment, credits }, or null if it isn't owned
+     */
+    sellFragment(fragmentId) {
+        const fragmentSystem = this.getFragmentSystem();
+        const fragment = fragmentSystem?.fragmentDatabase[fragmentId];
+        if (!fragment) return null;
+        
+        const price = this.getFragmentSellPrice(fragment);
+        if (!fragmentSystem.removeFragment(fragmentId)) return null;
+        
+        const credits = this.state.get('credits') || 0;
+        this.state.set('credits', credits + price);
+        
+        this.eventBus.emit('fragment:sold', { fragment, credits: price });
+        this.eventBus.emit('void:whisper', {
+            text: rng.stream('rewards').pick(this.sellLines),
+            intensity: 'subtle'
+        });
+        
+        return { fragment, credits: price };
+    }
+    
     /**
      * Render Void Merchant tab HTML
      */
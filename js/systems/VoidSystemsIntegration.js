@@ -6,15 +6,15 @@
  * 
  * This module:
  * 1. Initializes and connects all three systems
- * 2. Renders Fragment UI panel during combat
- * 3. Renders Chain Multiplier display
+ * 2. Renders Fragment UI panel (slots and active set bonuses) during combat
+ * 3. Renders Chain Multiplier display (with combo names)
  * 4. Renders Meta Corruption effects (whispers, tremors, tells)
  * 5. Hooks into card play pipeline for modifier calculation
  * 
  * INTEGRATION POINT: Import this in main.js and call init() after game setup.
  * Then call hookIntoCombat() from CombatScreen setup.
  * 
- * @version 1.0.0
+ * @version 1.3.0
  */
 
 import { VoidFragmentSystem } from '../systems/VoidFragmentSystem.js';
@@ -45,12 +45,18 @@ class VoidSystemsIntegration {
             whisperContainer: null
         };
         
-        // Load fragment data
+        // Load fragment data and chain rules
         this.loadFragmentData();
+        this.loadChainRules();
         
         // Setup UI event listeners
         this.setupUIListeners();
         
+        // Fragments and the chain are saved with the run (main.js loads them on Continue)
+        this.eventBus.on('save:start', () => {
+            this.state.set('voidSystems', this.getSaveData(), true);
+        });
+        
         console.log('[VoidSystems] All three systems initialized and integrated');
     }
 
@@ -83,6 +89,24 @@ class VoidSystemsIntegration {
         this.loadFallbackFragments();
     }
 
+    /**
+     * Load chain tables and combos from JSON. Without them chains use
+     * ChainMultiplierSystem's built-in steps and have no combos.
+     */
+    async loadChainRules() {
+        try {
+            const response = await fetch('./data/chain_rules.json');
+            if (response.ok) {
+                this.chains.loadChainRules(await response.json());
+                return;
+            }
+        } catch (e) {
+            // Fall through to the warning
+        }
+        
+        console.warn('[VoidSystems] Could not load chain_rules.json, using built-in chain steps');
+    }
+
     /**
      * Fallback fragment data if JSON file isn't available
      */
@@ -123,11 +147,25 @@ class VoidSystemsIntegration {
         this.eventBus.on('fragments:triggered', (data) => {
             this.flashFragmentSlot(data.fragmentId);
         });
+        this.eventBus.on('fragments:setTriggered', (data) => {
+            this.flashSetBonus(data.setId);
+        });
+        
+        // Loadout changes - redraw the panel if it's up
+        ['fragments:equipped', 'fragments:unequipped', 'fragments:setActivated', 'fragments:setDeactivated'].forEach(event => {
+            this.eventBus.on(event, () => {
+                if (this.uiElements.fragmentPanel && !this.uiElements.fragmentPanel.classList.contains('hidden')) {
+                    this.renderFragmentPanel();
+                }
+            });
+        });
         
         // Chain events - update chain display
         this.eventBus.on('chain:grow', (data) => this.updateChainDisplay(data));
         this.eventBus.on('chain:break', (data) => this.onChainBreak(data));
         this.eventBus.on('chain:start', (data) => this.updateChainDisplay(data));
+        this.eventBus.on('chain:hold', (data) => this.updateChainDisplay(data));
+        this.eventBus.on('chain:combo', (data) => this.onChainCombo(data));
         
         // Meta corruption - render effects
         this.eventBus.on('meta:whisper', (data) => this.renderWhisper(data));
@@ -143,8 +181,8 @@ class VoidSystemsIntegration {
         
         // Combat lifecycle
         this.eventBus.on('screen:changed', (data) => {
-            const screenId = typeof data === 'string' ? data : data?.screen;
-            if (screenId === 'combat') {
+            const screenId = typeof data === 'string' ? data : (data?.to ?? data?.screen);
+            if (screenId === 'combat' || screenId === 'combat-screen') {
                 this.createCombatUI();
             } else {
                 this.hideCombatUI();
@@ -290,6 +328,7 @@ class VoidSystemsIntegration {
         if (!panel) return;
         
         const uiData = this.fragments.getUIData();
+        const setMembers = new Set(uiData.sets.flatMap(set => this.fragments.getSetMembers(set)));
         
         panel.innerHTML = uiData.slots.map((slot, i) => {
             if (!slot.unlocked) {
@@ -309,9 +348,10 @@ class VoidSystemsIntegration {
             
             const f = slot.fragment;
             const rarityClass = `rarity-${f.rarity || 'common'}`;
+            const setClass = setMembers.has(f.id) ? 'in-set' : '';
             const icon = this.getFragmentIcon(f);
             
-            return `<div class="fragment-slot equipped ${rarityClass}" 
+            return `<div class="fragment-slot equipped ${rarityClass} ${setClass}" 
                          data-slot="${i}" data-fragment-id="${f.id}">
                 <div class="fragment-corruption-cost">+${f.corruptionPerCombat}</div>
                 <div class="fragment-icon">${icon}</div>
@@ -325,6 +365,19 @@ class VoidSystemsIntegration {
             </div>`;
         }).join('');
         
+        // Active set bonuses
+        if (uiData.sets.length > 0) {
+            panel.innerHTML += `<div class="fragment-sets">${uiData.sets.map(set => `
+                <div class="fragment-set-bonus" data-set-id="${set.id}">
+                    <div class="fragment-set-name">◈ ${set.name}</div>
+                    <div class="fragment-tooltip">
+                        <div class="fragment-tooltip-name">${set.name}</div>
+                        <div class="fragment-tooltip-desc">${set.description}</div>
+                    </div>
+                </div>`).join('')}
+            </div>`;
+        }
+        
         // Show total corruption cost
         if (uiData.totalCorruptionCost > 0) {
             panel.innerHTML += `<div style="color: #ff6688; font-size: 9px; 
@@ -358,6 +411,14 @@ class VoidSystemsIntegration {
         }
     }
 
+    flashSetBonus(setId) {
+        const chip = document.querySelector(`[data-set-id="${setId}"]`);
+        if (chip) {
+            chip.classList.add('triggered');
+            setTimeout(() => chip.classList.remove('triggered'), 500);
+        }
+    }
+
     // --- Chain Multiplier Display ---
 
     createChainDisplay() {
@@ -369,6 +430,7 @@ class VoidSystemsIntegration {
             display.innerHTML = `
                 <div class="chain-multiplier-value">×1.0</div>
                 <div class="chain-type-label"></div>
+                <div class="chain-combo-label"></div>
                 <div class="chain-pips"></div>
             `;
             document.body.appendChild(display);
@@ -394,6 +456,7 @@ class VoidSystemsIntegration {
         
         const valueEl = display.querySelector('.chain-multiplier-value');
         const labelEl = display.querySelector('.chain-type-label');
+        const comboEl = display.querySelector('.chain-combo-label');
         const pipsEl = display.querySelector('.chain-pips');
         
         if (valueEl) {
@@ -406,11 +469,20 @@ class VoidSystemsIntegration {
             labelEl.textContent = `${info.type} chain`;
         }
         
+        // Combo being built by held cards, else the combos already landed
+        if (comboEl) {
+            comboEl.textContent = info.pending
+                ? `${info.pending.name} ${info.pending.step}/${info.pending.of}`
+                : info.combos.join(' + ');
+            comboEl.classList.toggle('pending', !!info.pending);
+        }
+        
         if (pipsEl) {
             const maxPips = 7;
-            pipsEl.innerHTML = Array.from({ length: maxPips }, (_, i) => 
-                `<div class="chain-pip ${i < info.length ? 'filled' : ''}"></div>`
-            ).join('');
+            pipsEl.innerHTML = Array.from({ length: maxPips }, (_, i) => {
+                const state = i < info.length ? 'filled' : i < info.length + info.held ? 'held' : '';
+                return `<div class="chain-pip ${state}"></div>`;
+            }).join('');
         }
         
         // Add explosive class at high chains
@@ -420,6 +492,14 @@ class VoidSystemsIntegration {
         }
     }
 
+    onChainCombo(data) {
+        const display = this.uiElements.chainDisplay;
+        if (!display) return;
+        
+        display.classList.add('combo');
+        setTimeout(() => display.classList.remove('combo'), 600);
+    }
+
     onChainBreak(data) {
         const display = this.uiElements.chainDisplay;
         if (!display) return;
@@ -653,11 +733,18 @@ class VoidSystemsIntegration {
             const preview = this.chains.previewCardPlay(hand[i]);
             
             // Remove old classes
-            el.classList.remove('chain-continues', 'chain-breaks');
+            el.classList.remove('chain-continues', 'chain-breaks', 'chain-combo');
             el.removeAttribute('data-chain-preview');
             
-            if (this.chains.chain.active && this.chains.chain.length >= 2) {
-                if (preview.wouldContinue) {
+            if (preview.combo?.complete) {
+                // Completing a combo is worth flagging even on a one-card chain
+                el.classList.add('chain-continues', 'chain-combo');
+                el.setAttribute('data-chain-preview', `${preview.combo.name} ×${preview.nextMultiplier.toFixed(1)}`);
+            } else if (this.chains.getChainInfo().active) {
+                if (preview.held) {
+                    el.classList.add('chain-continues', 'chain-combo');
+                    el.setAttribute('data-chain-preview', `${preview.combo.name} ${preview.combo.step}/${preview.combo.of}`);
+                } else if (preview.wouldContinue) {
                     el.classList.add('chain-continues');
                     el.setAttribute('data-chain-preview', `×${preview.nextMultiplier.toFixed(1)}`);
                 } else {
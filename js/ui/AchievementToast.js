@@ -0,0 +1,61 @@
+/**
+ * AchievementToast.js - "Achievement unlocked" popups
+ *
+ * Listens for 'achievement:unlocked' (AchievementSystem) and stacks a toast
+ * in the top-right corner for each one. Toasts remove themselves.
+ *
+ * @version 0.1.0
+ */
+
+const TOAST_DURATION = 4000;
+const MAX_TOASTS = 3;
+
+class AchievementToast {
+    constructor(eventBus, audioManager = null) {
+        this.eventBus = eventBus;
+        this.audioManager = audioManager;
+        this.container = null;
+
+        this.init();
+    }
+
+    init() {
+        this.container = document.createElement('div');
+        this.container.id = 'achievement-toasts';
+        this.container.className = 'achievement-toasts';
+        document.body.appendChild(this.container);
+
+        this.eventBus.on('achievement:unlocked', (achievement) => this.show(achievement));
+    }
+
+    /**
+     * @param {Object} achievement - Achievement definition
+     */
+    show(achievement) {
+        if (!achievement) return;
+
+        // Oldest toast makes room when several unlock at once
+        while (this.container.children.length >= MAX_TOASTS) {
+            this.container.firstElementChild.remove();
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <span class="achievement-toast-icon">${achievement.icon || '★'}</span>
+            <span class="achievement-toast-text">
+                <span class="achievement-toast-label">Achievement unlocked</span>
+                <span class="achievement-toast-name">${achievement.name}</span>
+            </span>
+        `;
+        this.container.appendChild(toast);
+        this.audioManager?.playSFX?.('ui_confirm');
+
+        setTimeout(() => {
+            toast.classList.add('leaving');
+            setTimeout(() => toast.remove(), 400);
+        }, TOAST_DURATION);
+    }
+}
+
+export { AchievementToast };
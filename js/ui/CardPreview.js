@@ -11,9 +11,13 @@
  *   - Fixed game.combatAPI access (was game.combat which was never set).
  *   - Preview is now purely a "confirm you want to play this card" gate.
  * 
- * @version 1.1.0
+ * v1.2.0: Keyword tooltips (Exhaust, Retain, ...) under the enlarged card.
+ * 
+ * @version 1.2.0
  */
 
+import { describeKeywords } from '../systems/CardKeywords.js';
+
 export class CardPreview {
     constructor(game) {
         this.game = game;
@@ -36,7 +40,7 @@ export class CardPreview {
             }
         });
         
-        console.log('[CardPreview] Initialized v1.1.0. Touch device:', this.isTouchDevice);
+        console.log('[CardPreview] Initialized v1.2.0. Touch device:', this.isTouchDevice);
     }
     
     /**
@@ -55,6 +59,7 @@ export class CardPreview {
             <div class="card-preview-backdrop"></div>
             <div class="card-preview-content">
                 <div class="card-preview-card" id="preview-card"></div>
+                <div class="card-preview-keywords" id="preview-keywords"></div>
                 <div class="card-preview-actions">
                     <button class="card-preview-btn play-btn" id="preview-play-btn">
                         <span class="btn-icon">⚔️</span>
@@ -160,6 +165,17 @@ export class CardPreview {
         previewCardContainer.innerHTML = '';
         previewCardContainer.appendChild(clone);
         
+        // Keyword tooltips
+        const keywords = describeKeywords(cardData);
+        const keywordsEl = this.overlay.querySelector('#preview-keywords');
+        keywordsEl.innerHTML = keywords.map(k => `
+            <div class="card-preview-keyword keyword-${k.id}">
+                <span class="keyword-name">${k.name}</span>
+                <span class="keyword-desc">${k.description}</span>
+            </div>
+        `).join('');
+        keywordsEl.style.display = keywords.length > 0 ? 'flex' : 'none';
+        
         // Always show the PLAY button — CombatScreen's selectCard handles targeting
         const playBtn = this.overlay.querySelector('#preview-play-btn');
         playBtn.style.display = 'flex';
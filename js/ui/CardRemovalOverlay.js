@@ -0,0 +1,188 @@
+/**
+ * CardRemovalOverlay.js - Pick a card from the deck to remove
+ *
+ * Lists the whole deck (starter cards highlighted, curses and status cards
+ * grouped last). Clicking a card opens a preview with Remove / Back; the
+ * caller does the charging and the actual removal in onConfirm.
+ *
+ * Usage:
+ *   import { showCardRemoval } from './ui/CardRemovalOverlay.js';
+ *   showCardRemoval(game, { cost: 100, onConfirm: (card) => {}, onCancel: () => {} });
+ *
+ * @version 1.0.0
+ */
+
+import { isJunkCard } from '../systems/CardInjector.js';
+import { describeKeywords } from '../systems/CardKeywords.js';
+
+const TYPE_COLORS = {
+    attack: '#ff2d55',
+    skill: '#00a5ff',
+    power: '#ffd700',
+    curse: '#8b0000',
+    status: '#6b7280'
+};
+
+/**
+ * Show the card removal picker
+ * @param {Object} game - Game instance (needs .state, .audioManager)
+ * @param {Object} options
+ * @param {number} options.cost - Credits the removal costs (display only)
+ * @param {Function} options.onConfirm - Called with the chosen deck card
+ * @param {Function} options.onCancel - Called if the player backs out
+ */
+export function showCardRemoval(game, options = {}) {
+    const { cost = 0, onConfirm = null, onCancel = null } = options;
+    const deck = game.state.get('deck') || [];
+
+    const existing = document.getElementById('card-removal-overlay');
+    if (existing) existing.remove();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'card-removal-overlay';
+    overlay.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+        background: rgba(0, 0, 0, 0.95); z-index: 2000;
+        display: flex; flex-direction: column; align-items: center;
+        padding: 2rem; overflow-y: auto;
+    `;
+
+    const renderTile = (card, index) => {
+        const color = TYPE_COLORS[card.type] || '#9ca3af';
+        const starter = card.rarity === 'starter';
+        return `
+            <div class="removal-card ${starter ? 'starter' : ''}" data-index="${index}" style="
+                background: linear-gradient(180deg, #1a1a2e 0%, #0f0f1a 100%);
+                border: 2px solid ${color}; border-radius: 10px;
+                padding: 0.75rem; cursor: pointer; transition: all 0.2s ease;
+                position: relative;
+            ">
+                ${starter ? `<div class="removal-starter-badge">STARTER</div>` : ''}
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.35rem;">
+                    <span style="font-weight: bold; color: #e8e8f0;">${card.name || 'Unknown'}${card.upgraded ? '+' : ''}</span>
+                    <span style="background: #f5c542; color: #000; border-radius: 50%; width: 24px; height: 24px;
+                        display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 0.8rem;">
+                        ${card.cost < 0 ? '–' : card.cost || 0}
+                    </span>
+                </div>
+                <div style="font-size: 0.7rem; color: #888; text-transform: uppercase;">${card.type || 'skill'}</div>
+            </div>
+        `;
+    };
+
+    // Keep deck indexes so duplicates map back to the right copy
+    const indexed = deck.map((card, index) => ({ card, index }));
+    const kept = indexed.filter(({ card }) => !isJunkCard(card));
+    const junk = indexed.filter(({ card }) => isJunkCard(card));
+
+    overlay.innerHTML = `
+        <style>
+            #card-removal-overlay .removal-card:hover {
+                transform: translateY(-4px);
+                box-shadow: 0 0 20px rgba(255, 45, 85, 0.35);
+            }
+            #card-removal-overlay .removal-card.starter {
+                box-shadow: inset 0 0 0 1px rgba(245, 197, 66, 0.6), 0 0 12px rgba(245, 197, 66, 0.25);
+            }
+            #card-removal-overlay .removal-starter-badge {
+                position: absolute; top: -9px; right: 8px;
+                background: #f5c542; color: #000; font-size: 0.6rem; font-weight: bold;
+                letter-spacing: 0.08em; padding: 1px 6px; border-radius: 4px;
+            }
+        </style>
+
+        <div style="max-width: 900px; width: 100%;">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+                <h2 style="color: #ff2d55; margin: 0; font-family: 'Bebas Neue', sans-serif; letter-spacing: 0.1em;">
+                    REMOVE A CARD
+                </h2>
+                <button id="cancel-card-removal" style="background: none; border: 1px solid #666; color: #999;
+                    padding: 0.5rem 1rem; cursor: pointer; border-radius: 4px;">
+                    Cancel
+                </button>
+            </div>
+            <p style="color: #888; margin-bottom: 1.5rem;">
+                Costs ${cost} ◈. Starter cards are highlighted — they're usually the first to go.
+            </p>
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 1rem;">
+                ${kept.map(({ card, index }) => renderTile(card, index)).join('')}
+            </div>
+            ${junk.length > 0 ? `
+                <div style="color: #888; margin: 1.5rem 0 0.75rem;">☠️ Curses & Status (${junk.length})</div>
+                <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 1rem;">
+                    ${junk.map(({ card, index }) => renderTile(card, index)).join('')}
+                </div>
+            ` : ''}
+        </div>
+
+        <div id="card-removal-preview" style="
+            display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(0, 0, 0, 0.85); align-items: center; justify-content: center;
+        "></div>
+    `;
+
+    document.body.appendChild(overlay);
+
+    const close = () => overlay.remove();
+
+    overlay.querySelectorAll('.removal-card').forEach(el => {
+        el.addEventListener('click', () => {
+            const card = deck[parseInt(el.dataset.index)];
+            if (card) showPreview(card);
+        });
+    });
+
+    document.getElementById('cancel-card-removal').addEventListener('click', () => {
+        close();
+        onCancel?.();
+    });
+
+    function showPreview(card) {
+        game.audioManager?.playSFX?.('ui_click');
+        const preview = document.getElementById('card-removal-preview');
+        const color = TYPE_COLORS[card.type] || '#9ca3af';
+        const keywords = describeKeywords(card);
+
+        preview.innerHTML = `
+            <div style="
+                background: linear-gradient(180deg, #1a1a2e 0%, #0f0f1a 100%);
+                border: 2px solid ${color}; border-radius: 12px;
+                padding: 1.5rem; width: 300px; max-width: 90vw; text-align: center;
+            ">
+                <div style="color: #e8e8f0; font-size: 1.3rem; font-weight: bold; margin-bottom: 0.25rem;">
+                    ${card.name || 'Unknown'}${card.upgraded ? '+' : ''}
+                </div>
+                <div style="font-size: 0.75rem; color: #888; text-transform: uppercase; margin-bottom: 0.75rem;">
+                    ${card.rarity || 'common'} ${card.type || 'skill'} · ${card.cost < 0 ? 'Unplayable' : `${card.cost || 0} energy`}
+                </div>
+                <div style="color: #ccc; font-size: 0.9rem; line-height: 1.4; margin-bottom: 0.75rem;">
+                    ${card.description || ''}
+                </div>
+                ${keywords.map(k => `
+                    <div style="color: #aaa; font-size: 0.75rem; margin-bottom: 0.25rem;">
+                        <strong style="color: #f5c542;">${k.name}</strong> — ${k.description}
+                    </div>
+                `).join('')}
+                <div style="display: flex; gap: 0.75rem; justify-content: center; margin-top: 1.25rem;">
+                    <button id="confirm-card-removal" style="background: #ff2d55; border: none; color: #fff;
+                        padding: 0.6rem 1.2rem; cursor: pointer; border-radius: 6px; font-weight: bold;">
+                        Remove (${cost} ◈)
+                    </button>
+                    <button id="back-card-removal" style="background: none; border: 1px solid #666; color: #999;
+                        padding: 0.6rem 1.2rem; cursor: pointer; border-radius: 6px;">
+                        Back
+                    </button>
+                </div>
+            </div>
+        `;
+        preview.style.display = 'flex';
+
+        document.getElementById('back-card-removal').addEventListener('click', () => {
+            preview.style.display = 'none';
+        });
+        document.getElementById('confirm-card-removal').addEventListener('click', () => {
+            close();
+            onConfirm?.(card);
+        }, { once: true });
+    }
+}
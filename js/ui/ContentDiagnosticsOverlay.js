@@ -0,0 +1,134 @@
+/**
+ * ContentDiagnosticsOverlay.js - Dev panel for missing data and fallbacks
+ *
+ * Lists DataLoader manifest entries that failed to load and every lookup
+ * answered from built-in fallback data. Opened at startup when the game runs
+ * with ?diagnostics in the URL; the backquote key toggles it afterwards.
+ * Updates live as new fallbacks are recorded.
+ *
+ * Usage:
+ *   import { showContentDiagnostics, toggleContentDiagnostics } from './ui/ContentDiagnosticsOverlay.js';
+ *   showContentDiagnostics(dataLoader, eventBus);
+ *
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from './HtmlEscape.js';
+
+const OVERLAY_ID = 'content-diagnostics-overlay';
+
+let unsubscribe = null;
+
+const STATUS_COLORS = {
+    missing: '#ff6b6b',
+    invalid: '#ffaa00',
+    error: '#ffaa00',
+    'not loaded': '#8a8a9a'
+};
+
+function renderBody(report) {
+    const failed = report.manifest.filter(m => m.status !== 'loaded');
+    const loaded = report.manifest.length - failed.length;
+
+    const manifestRows = failed.map(m => {
+        const reason = report.failedFiles.find(f => f.path === m.path)?.reason;
+        return `
+            <tr title="${escapeHtml(reason || '')}">
+                <td style="color: ${STATUS_COLORS[m.status] || '#8a8a9a'};">${escapeHtml(m.status)}</td>
+                <td>${escapeHtml(m.category)}.${escapeHtml(m.key)}</td>
+                <td style="color: #8a8a9a;">data/${escapeHtml(m.path)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const fallbackRows = report.fallbacks.map(f => `
+        <tr>
+            <td style="color: #00f5ff;">${escapeHtml(f.kind)}</td>
+            <td>${escapeHtml(f.id)}${f.count > 1 ? ` <span style="color: #8a8a9a;">×${f.count}</span>` : ''}</td>
+            <td style="color: #c0c0d0;">${escapeHtml(f.reason)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div style="color: #c0c0d0; margin-bottom: 0.75rem;">
+            ${loaded}/${report.manifest.length} manifest files loaded ·
+            <span style="color: ${failed.length ? '#ff6b6b' : '#6bff8a'};">${failed.length} missing or unreadable</span> ·
+            <span style="color: ${report.fallbacks.length ? '#ffaa00' : '#6bff8a'};">${report.fallbacks.length} fallback lookups</span>
+        </div>
+        <h4 style="margin: 0.5rem 0; color: #bf00ff;">Manifest gaps</h4>
+        ${failed.length ? `<table>${manifestRows}</table>` : '<div style="color: #6bff8a;">None</div>'}
+        <h4 style="margin: 0.75rem 0 0.5rem; color: #bf00ff;">Fallback lookups</h4>
+        ${report.fallbacks.length ? `<table>${fallbackRows}</table>` : '<div style="color: #6bff8a;">None</div>'}
+    `;
+}
+
+/**
+ * Show (or refresh) the diagnostics panel
+ * @param {DataLoader} dataLoader
+ * @param {EventBus} eventBus - Used to refresh the panel as fallbacks are recorded
+ */
+export function showContentDiagnostics(dataLoader, eventBus) {
+    let overlay = document.getElementById(OVERLAY_ID);
+
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = OVERLAY_ID;
+        overlay.style.cssText = `
+            position: fixed; top: 1rem; right: 1rem; z-index: 3000;
+            width: min(720px, calc(100vw - 2rem)); max-height: calc(100vh - 2rem); overflow-y: auto;
+            background: rgba(10, 5, 20, 0.96); border: 1px solid #bf00ff; border-radius: 8px;
+            padding: 1rem; font-family: monospace; font-size: 0.75rem; color: #e0e0e0;
+            box-shadow: 0 0 24px rgba(191, 0, 255, 0.3);
+        `;
+        overlay.innerHTML = `
+            <style>
+                #${OVERLAY_ID} table { width: 100%; border-collapse: collapse; }
+                #${OVERLAY_ID} td { padding: 2px 6px; vertical-align: top; border-bottom: 1px solid #222; }
+            </style>
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+                <strong style="color: #bf00ff; letter-spacing: 0.05em;">CONTENT DIAGNOSTICS</strong>
+                <button id="content-diagnostics-close" style="
+                    background: none; border: 1px solid #555; color: #c0c0d0;
+                    border-radius: 4px; cursor: pointer; padding: 2px 8px;
+                ">✕</button>
+            </div>
+            <div id="content-diagnostics-body"></div>
+            <div style="color: #666; margin-top: 0.75rem;">\` toggles this panel · node tools/check-content.mjs prints the same report</div>
+        `;
+        document.body.appendChild(overlay);
+        overlay.querySelector('#content-diagnostics-close').addEventListener('click', () => hideContentDiagnostics());
+    }
+
+    overlay.querySelector('#content-diagnostics-body').innerHTML = renderBody(dataLoader.getDiagnostics());
+
+    if (!unsubscribe && eventBus) {
+        const refresh = () => {
+            const body = document.querySelector(`#${OVERLAY_ID} #content-diagnostics-body`);
+            if (body) body.innerHTML = renderBody(dataLoader.getDiagnostics());
+        };
+        eventBus.on('data:fallback', refresh);
+        unsubscribe = () => eventBus.off('data:fallback', refresh);
+    }
+}
+
+/**
+ * Remove the diagnostics panel
+ */
+export function hideContentDiagnostics() {
+    document.getElementById(OVERLAY_ID)?.remove();
+    unsubscribe?.();
+    unsubscribe = null;
+}
+
+/**
+ * Toggle the diagnostics panel
+ * @param {DataLoader} dataLoader
+ * @param {EventBus} eventBus
+ */
+export function toggleContentDiagnostics(dataLoader, eventBus) {
+    if (document.getElementById(OVERLAY_ID)) {
+        hideContentDiagnostics();
+    } else {
+        showContentDiagnostics(dataLoader, eventBus);
+    }
+}
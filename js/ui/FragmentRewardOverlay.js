@@ -8,9 +8,11 @@
  *   import { showFragmentReward } from './ui/FragmentRewardOverlay.js';
  *   showFragmentReward(game, { pool: 'common,uncommon', count: 3, onComplete: () => {} });
  * 
- * @version 1.0.0
+ * @version 1.0.1
  */
 
+import rng from '../core/RNG.js';
+
 /**
  * Show a fragment reward overlay (pick one of N)
  * @param {Object} game - Game instance (needs .voidSystems.fragments, .eventBus, .audioManager)
@@ -305,10 +307,10 @@ export function shouldOfferFragment(game, nodeType) {
     if (nodeType === 'boss') return true;
 
     // Elite: 60% chance
-    if (nodeType === 'elite') return Math.random() < 0.6;
+    if (nodeType === 'elite') return rng.stream('rewards').chance(0.6);
 
     // Regular combat: 10% chance (rare treat)
-    if (nodeType === 'combat') return Math.random() < 0.10;
+    if (nodeType === 'combat') return rng.stream('rewards').chance(0.10);
 
     return false;
 }
@@ -0,0 +1,22 @@
+/**
+ * HtmlEscape.js - Escaping for text interpolated into innerHTML templates
+ *
+ * Usage:
+ *   import { escapeHtml } from './ui/HtmlEscape.js';
+ *   el.innerHTML = `<span>${escapeHtml(slot.name)}</span>`;
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Escape the characters that are markup in text and attribute values
+ * @param {*} text - Anything; null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[ch]));
+}
+
+export default escapeHtml;
@@ -0,0 +1,138 @@
+/**
+ * Chain multiplier tests
+ * Run with: node --test tests/
+ *
+ * Uses the real data/chain_rules.json, so retuning a table or combo may
+ * mean updating the numbers here.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { ChainMultiplierSystem } from '../js/systems/ChainMultiplierSystem.js';
+
+const rules = JSON.parse(readFileSync(new URL('../data/chain_rules.json', import.meta.url), 'utf8'));
+
+const state = {
+    heroId: 'auren',
+    get(key) { return key === 'hero.id' ? this.heroId : undefined; }
+};
+
+const emitted = [];
+const eventBus = {
+    on() {},
+    emit(event, data) { emitted.push({ event, data }); }
+};
+
+const chains = new ChainMultiplierSystem(state, eventBus, null);
+chains.loadChainRules(rules);
+
+const play = (...types) => types.map(type => chains.processCardPlay({ type, name: type }));
+const events = (name) => emitted.filter(e => e.event === name).map(e => e.data);
+
+describe('ChainMultiplierSystem', () => {
+    beforeEach(() => {
+        state.heroId = 'auren';
+        emitted.length = 0;
+        chains.resetChain();
+    });
+
+    test('same-type cards chain and a different type breaks', () => {
+        play('attack', 'attack', 'attack');
+        assert.equal(chains.chain.length, 3);
+        assert.equal(chains.chain.multiplier, 1.5);
+
+        const [result] = play('corrupted');
+        assert.equal(result.broke, true);
+        assert.equal(chains.chain.type, 'corrupted');
+        assert.equal(chains.chain.length, 1);
+    });
+
+    test('type aliases come from the rules', () => {
+        play('skill', 'temporal');
+        assert.equal(chains.chain.type, 'skill');
+        assert.equal(chains.chain.length, 2);
+    });
+
+    test('powers extend a chain without changing its type', () => {
+        play('attack', 'attack', 'power');
+        assert.equal(chains.chain.type, 'attack');
+        assert.equal(chains.chain.length, 3);
+    });
+
+    test('a weave holds the chain, then lands with the held card', () => {
+        play('attack', 'attack');
+        const [held] = play('skill');
+
+        assert.equal(held.held, true);
+        assert.equal(held.combo.name, 'Weave');
+        assert.equal(chains.applyToValue(10), 10, 'held cards play at x1.0');
+        assert.equal(events('chain:break').length, 0);
+
+        play('attack');
+        assert.equal(chains.chain.length, 4);
+        assert.equal(chains.chain.held, 0);
+        assert.equal(chains.chain.multiplier, 1.8 * 1.15);
+        assert.deepEqual(chains.getChainInfo().combos, ['Weave']);
+        assert.equal(events('chain:combo')[0].combo.id, 'weave');
+    });
+
+    test('each combo counts once per chain', () => {
+        // Alternating lands Weave, then Riposte, then each again
+        play('attack', 'skill', 'attack', 'skill', 'attack', 'skill', 'attack');
+        assert.equal(chains.chain.length, 7);
+        assert.deepEqual(chains.getChainInfo().combos, ['Weave', 'Riposte']);
+        assert.equal(chains.chain.multiplier, 2.5 * 1.15 * 1.15);
+    });
+
+    test('a failed hold breaks the chain and carries held cards of the new type', () => {
+        play('attack', 'attack', 'attack', 'skill');
+        const [result] = play('skill');
+
+        assert.equal(result.broke, true);
+        assert.equal(chains.chain.type, 'skill');
+        assert.equal(chains.chain.length, 2);
+    });
+
+    test('hero tables and combos apply to their hero only', () => {
+        state.heroId = 'korvax';
+        play('attack', 'attack', 'attack');
+        assert.equal(chains.chain.multiplier, 1.6);
+
+        chains.resetChain();
+        state.heroId = 'lyria';
+        play('skill', 'skill', 'attack');
+        assert.deepEqual(chains.getChainInfo().combos, ['Closed Loop']);
+        assert.equal(chains.chain.type, 'attack');
+
+        chains.resetChain();
+        state.heroId = 'auren';
+        play('skill', 'skill', 'attack');
+        assert.deepEqual(chains.getChainInfo().combos, [], 'Closed Loop is Lyria\'s');
+    });
+
+    test('previewCardPlay reports the combo the next card would complete', () => {
+        play('attack', 'skill');
+
+        const preview = chains.previewCardPlay({ type: 'attack' });
+        assert.equal(preview.wouldContinue, true);
+        assert.deepEqual(preview.combo, { id: 'weave', name: 'Weave', step: 3, of: 3, complete: true });
+        assert.equal(preview.nextLength, 3);
+        assert.equal(preview.nextMultiplier, 1.5 * 1.15);
+
+        assert.equal(chains.previewCardPlay({ type: 'corrupted' }).wouldContinue, false);
+        assert.equal(chains.chain.length, 1, 'previewing changes nothing');
+    });
+
+    test('saved chains keep their combo progress', () => {
+        play('attack', 'attack', 'skill');
+        const saved = JSON.parse(JSON.stringify(chains.getSaveData()));
+
+        chains.resetChain();
+        chains.loadSaveData(saved);
+        play('attack');
+        assert.equal(chains.chain.length, 4);
+        assert.deepEqual(chains.getChainInfo().combos, ['Weave']);
+    });
+});
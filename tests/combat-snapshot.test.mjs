@@ -0,0 +1,91 @@
+/**
+ * Mid-fight save tests
+ * Run with: node --test tests/
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key)
+};
+globalThis.window = globalThis;
+
+const { default: saveManager } = await import('../js/core/SaveManager.js');
+const { default: gameState } = await import('../js/core/GameState.js');
+const { default: eventBus } = await import('../js/core/EventBus.js');
+const { CombatSnapshot } = await import('../js/systems/CombatSnapshot.js');
+
+// A system that keeps combat data outside the state
+const counter = { hits: 0 };
+const snapshot = new CombatSnapshot(gameState, eventBus);
+snapshot.register('counter', {
+    save: () => ({ hits: counter.hits }),
+    load: (data) => { counter.hits = data.hits; }
+});
+
+function startFight() {
+    gameState.initRun('korvax', 11);
+    gameState.set('combat.active', true, true);
+    gameState.set('combat.playerTurn', true, true);
+    gameState.set('combat.enemies', [{ id: 'rustborn_raider', hp: 7, maxHp: 22, intentIndex: 2 }], true);
+}
+
+function savedState() {
+    return JSON.parse(store.get(saveManager.RUN_SAVE_KEY)).state;
+}
+
+describe('CombatSnapshot', () => {
+    beforeEach(() => {
+        store.clear();
+        counter.hits = 0;
+    });
+
+    test('saving on the player turn captures registered systems', () => {
+        startFight();
+        counter.hits = 4;
+
+        assert.equal(saveManager.saveRun(), true);
+        assert.equal(savedState().combat.snapshot.counter.hits, 4);
+        assert.equal(savedState().combat.enemies[0].hp, 7);
+    });
+
+    test('saves are skipped during the enemy turn', () => {
+        startFight();
+        gameState.set('combat.playerTurn', false, true);
+
+        assert.equal(saveManager.saveRun(), false);
+        assert.equal(saveManager.hasSave(), false);
+    });
+
+    test('no snapshot is stored outside a fight', () => {
+        gameState.initRun('korvax', 11);
+
+        assert.equal(saveManager.saveRun(), true);
+        assert.equal(savedState().combat.snapshot, null);
+    });
+
+    test('restore hands the saved data back after loading', () => {
+        startFight();
+        counter.hits = 3;
+        saveManager.saveRun();
+
+        counter.hits = 0;
+        gameState.reset();
+        saveManager.loadRun();
+
+        assert.equal(snapshot.hasSnapshot(), true);
+        assert.equal(snapshot.restore(), true);
+        assert.equal(counter.hits, 3);
+        assert.equal(gameState.get('combat.enemies')[0].intentIndex, 2);
+    });
+
+    test('restore does nothing without a saved fight', () => {
+        gameState.initRun('korvax', 11);
+
+        assert.equal(snapshot.restore(), false);
+    });
+});
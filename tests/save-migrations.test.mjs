@@ -0,0 +1,204 @@
+/**
+ * Save migration tests
+ * Run with: node --test tests/
+ *
+ * Fixtures in tests/fixtures/saves are run saves as older builds wrote them.
+ */
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    SAVE_SCHEMA_VERSION,
+    MIGRATIONS,
+    getSaveVersion,
+    migrateSave
+} from '../js/core/SaveMigrations.js';
+
+function fixture(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/saves/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// ==========================================
+// SaveMigrations
+// ==========================================
+
+describe('getSaveVersion', () => {
+    test('reads the stamped version', () => {
+        assert.equal(getSaveVersion(fixture('v3')), 3);
+    });
+
+    test('detects unstamped saves from their shape', () => {
+        assert.equal(getSaveVersion(fixture('v1-legacy')), 1);
+        assert.equal(getSaveVersion(fixture('v2-unstamped')), 2);
+    });
+});
+
+describe('migrateSave', () => {
+    test('there is a step for every version below the current one', () => {
+        for (let version = 1; version < SAVE_SCHEMA_VERSION; version++) {
+            assert.ok(MIGRATIONS.some(m => m.from === version), `missing migration from ${version}`);
+        }
+    });
+
+    test('upgrades a v1 save to the current shape', () => {
+        const { save, from, migrated } = migrateSave(fixture('v1-legacy'));
+
+        assert.equal(from, 1);
+        assert.equal(migrated, true);
+        assert.equal(save.schemaVersion, SAVE_SCHEMA_VERSION);
+
+        const { state } = save;
+        assert.equal(state.event.eventManagerState, null);
+        assert.deepEqual(state.event.history, ['signal_in_the_static']);
+        assert.equal(state.rng, null);
+        assert.equal(state.act, 1);
+        assert.equal(state.actComplete, false);
+        assert.equal(state.shop.removals, 0);
+        assert.deepEqual(state.ascension, { level: 0, modifiers: null });
+        assert.deepEqual(state.choices, []);
+        assert.equal(state.stats.peakCorruption, 18);
+        assert.equal(state.stats.startedAt, null);
+        assert.equal(state.voidSystems, null);
+        assert.equal(state.combat.active, false);
+        assert.equal(state.combat.snapshot, null);
+    });
+
+    test('keeps values the save already has', () => {
+        const { save } = migrateSave(fixture('v2-unstamped'));
+
+        assert.equal(save.state.act, 2);
+        assert.deepEqual(save.state.event.eventManagerState.flags, { met_choir: true });
+        assert.equal(save.state.hero.hp, 33);
+        assert.equal(save.state.deck.length, 1);
+    });
+
+    test('starts from the stamped version', () => {
+        const { save, from } = migrateSave(fixture('v3'));
+
+        assert.equal(from, 3);
+        assert.equal(save.state.shop.removals, 2);
+        assert.equal(save.state.stats.peakCorruption, 64);
+        assert.deepEqual(save.state.choices, []);
+    });
+
+    test('a v4 save from mid-fight has no snapshot to resume', () => {
+        const { save, from } = migrateSave(fixture('v4'));
+
+        assert.equal(from, 4);
+        assert.equal(save.state.combat.active, false);
+        assert.equal(save.state.combat.playerTurn, true);
+        assert.equal(save.state.combat.snapshot, null);
+        assert.equal(save.state.combat.enemies.length, 1);
+        assert.equal(save.state.ascension.level, 2);
+    });
+
+    test('does not modify the save it was given', () => {
+        const original = fixture('v1-legacy');
+        migrateSave(original);
+        assert.deepEqual(original, fixture('v1-legacy'));
+    });
+
+    test('leaves a current save alone', () => {
+        const current = migrateSave(fixture('v1-legacy')).save;
+        const { save, migrated } = migrateSave(current);
+
+        assert.equal(migrated, false);
+        assert.deepEqual(save, current);
+    });
+
+    test('rejects saves from a newer build', () => {
+        assert.throws(() => migrateSave(fixture('future')), /newer version/);
+    });
+
+    test('rejects things that are not saves', () => {
+        assert.throws(() => migrateSave(null), /Not a run save/);
+        assert.throws(() => migrateSave({ timestamp: 1 }), /Not a run save/);
+    });
+});
+
+// ==========================================
+// SaveManager.loadRun
+// ==========================================
+
+const store = new Map();
+globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key)
+};
+globalThis.window = globalThis;
+
+const { default: saveManager, SaveManager } = await import('../js/core/SaveManager.js');
+const { default: gameState } = await import('../js/core/GameState.js');
+
+describe('SaveManager.loadRun', () => {
+    beforeEach(() => store.clear());
+
+    test('loads an old save and stores the upgraded copy', () => {
+        store.set(saveManager.RUN_SAVE_KEY, JSON.stringify(fixture('v1-legacy')));
+
+        const state = saveManager.loadRun();
+
+        assert.equal(state.hero.id, 'korvax');
+        assert.equal(gameState.get('shop.removals'), 0);
+        assert.equal(JSON.parse(store.get(saveManager.RUN_SAVE_KEY)).schemaVersion, SAVE_SCHEMA_VERSION);
+        assert.equal(saveManager.getRunBackup(), null);
+    });
+
+    test('moves a save from a newer build to the backup key', () => {
+        const raw = JSON.stringify(fixture('future'));
+        store.set(saveManager.RUN_SAVE_KEY, raw);
+
+        assert.equal(saveManager.loadRun(), null);
+        assert.equal(saveManager.hasSave(), false);
+
+        const backup = saveManager.getRunBackup();
+        assert.equal(backup.raw, raw);
+        assert.match(backup.reason, /newer version/);
+    });
+
+    test('moves a save that fails validation to the backup key', () => {
+        store.set(saveManager.RUN_SAVE_KEY, JSON.stringify(fixture('broken-hero')));
+
+        assert.equal(saveManager.loadRun(), null);
+        assert.equal(saveManager.hasSave(), false);
+        assert.match(saveManager.getRunBackup().reason, /validation/);
+    });
+
+    test('moves an unparseable save to the backup key', () => {
+        store.set(saveManager.RUN_SAVE_KEY, '{"state": {"hero"');
+
+        assert.equal(saveManager.loadRun(), null);
+        assert.equal(saveManager.getRunBackup().raw, '{"state": {"hero"');
+        assert.match(saveManager.getRunBackup().reason, /Unreadable/);
+    });
+
+    test('saves are stamped with the current schema version', () => {
+        gameState.initRun('korvax', 7);
+
+        assert.equal(saveManager.saveRun(), true);
+        assert.equal(JSON.parse(store.get(saveManager.RUN_SAVE_KEY)).schemaVersion, SAVE_SCHEMA_VERSION);
+    });
+});
+
+describe('SaveManager hero unlocks', () => {
+    beforeEach(() => store.clear());
+
+    test('a slot played before heroes were locked keeps Lyria and Auren', () => {
+        store.set(saveManager.PROFILE_KEY, JSON.stringify({ totalRuns: 3 }));
+
+        const manager = new SaveManager();
+
+        assert.equal(manager.isUnlocked('heroes', 'lyria'), true);
+        assert.equal(manager.isUnlocked('heroes', 'auren'), true);
+    });
+
+    test('a new slot starts with Korvax only, and stays that way', () => {
+        const manager = new SaveManager();
+        store.set(manager.PROFILE_KEY, JSON.stringify({ totalRuns: 1 }));
+
+        assert.deepEqual(new SaveManager().getUnlocks().heroes, ['korvax']);
+    });
+});
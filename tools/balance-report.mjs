@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * balance-report - Simulated act-1 runs per hero, summarized for tuning
+ *
+ * Runs many full act-1 runs (map → fights → rewards → boss) per hero with the
+ * headless CombatEngine and writes a Markdown report:
+ *   - run win rate, floors reached, elite and boss death rates
+ *   - per-card pick rate and win rate when picked vs. offered-but-skipped
+ *   - per-relic win-rate delta (runs with the relic vs. without)
+ *   - per-enemy damage dealt to the player and kills
+ * The RARITY_WEIGHTS and CARD_PRICES in GameConfig.js drive the card offers
+ * and shop, and are echoed at the top of the report.
+ *
+ * Usage:
+ *   node tools/balance-report.mjs [options]
+ *
+ * Options:
+ *   --heroes <ids>       Comma-separated heroes (default: korvax,lyria,auren)
+ *   --runs <n>           Runs per hero (default: 500)
+ *   --policy <id>        CombatEngine policy: heuristic | scripted (default: heuristic)
+ *   --seed <seed>        Base seed; run i uses "<seed>-<hero>-<i>" (default: BALANCE)
+ *   --min-samples <n>    Hide card/relic rows with fewer runs than this (default: 10)
+ *   --out <file>         Write the report to a file instead of stdout
+ *   --json               Emit raw aggregates as JSON instead of Markdown
+ *   --verbose            Keep game-module console logging
+ *
+ * @version 0.1.0
+ */
+
+import { writeFileSync } from 'node:fs';
+import { RARITY_WEIGHTS, CARD_PRICES } from '../js/systems/GameConfig.js';
+import { POLICIES, resolveRelicEffects } from '../js/systems/CombatEngine.js';
+import { createRunContext, simulateRun } from './lib/run-simulator.mjs';
+
+function parseArgs(argv) {
+    const args = { heroes: ['korvax', 'lyria', 'auren'], runs: 500, policy: 'heuristic', seed: 'BALANCE', minSamples: 10 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--heroes': args.heroes = argv[++i].split(',').map(s => s.trim()).filter(Boolean); break;
+            case '--runs': args.runs = Math.max(1, parseInt(argv[++i], 10) || 1); break;
+            case '--policy': args.policy = argv[++i]; break;
+            case '--seed': args.seed = argv[++i]; break;
+            case '--min-samples': args.minSamples = Math.max(0, parseInt(argv[++i], 10) || 0); break;
+            case '--out': args.out = argv[++i]; break;
+            case '--json': args.json = true; break;
+            case '--verbose': args.verbose = true; break;
+            case '--help':
+            case '-h': args.help = true; break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return args;
+}
+
+const rate = (num, den) => (den > 0 ? num / den : null);
+
+/**
+ * Fold a hero's run records into report aggregates
+ */
+function aggregate(heroId, runs, startingRelics) {
+    const wins = runs.filter(r => r.won).length;
+    const baseWinRate = rate(wins, runs.length);
+
+    const fightsByKind = {};
+    const deathsByKind = {};
+    const enemies = {};
+    runs.forEach(run => {
+        run.fights.forEach(fight => {
+            fightsByKind[fight.kind] = (fightsByKind[fight.kind] || 0) + 1;
+            if (!fight.won) deathsByKind[fight.kind] = (deathsByKind[fight.kind] || 0) + 1;
+
+            new Set(fight.enemies).forEach(id => {
+                enemies[id] = enemies[id] || { id, fights: 0, damage: 0, kills: 0 };
+                enemies[id].fights++;
+                if (!fight.won) enemies[id].kills++;
+            });
+            Object.entries(fight.damageByEnemy || {}).forEach(([id, dmg]) => {
+                enemies[id] = enemies[id] || { id, fights: 0, damage: 0, kills: 0 };
+                enemies[id].damage += dmg;
+            });
+        });
+    });
+
+    const cards = {};
+    runs.forEach(run => {
+        const picked = new Set(run.cardsPicked);
+        run.cardsOffered.forEach(id => {
+            const c = cards[id] = cards[id] || { id, offered: 0, picked: 0, pickedWins: 0, skipped: 0, skippedWins: 0 };
+            c.offered++;
+            if (picked.has(id)) {
+                c.picked++;
+                if (run.won) c.pickedWins++;
+            } else {
+                c.skipped++;
+                if (run.won) c.skippedWins++;
+            }
+        });
+    });
+
+    const relics = {};
+    runs.forEach(run => {
+        run.relics.filter(id => !startingRelics.includes(id)).forEach(id => {
+            const r = relics[id] = relics[id] || { id, runs: 0, wins: 0 };
+            r.runs++;
+            if (run.won) r.wins++;
+        });
+    });
+    Object.values(relics).forEach(r => {
+        const withoutRuns = runs.length - r.runs;
+        r.winRate = rate(r.wins, r.runs);
+        r.winRateWithout = rate(wins - r.wins, withoutRuns);
+        r.delta = r.winRate !== null && r.winRateWithout !== null ? r.winRate - r.winRateWithout : null;
+    });
+    Object.values(cards).forEach(c => {
+        c.pickRate = rate(c.picked, c.offered);
+        c.winRatePicked = rate(c.pickedWins, c.picked);
+        c.winRateSkipped = rate(c.skippedWins, c.skipped);
+        c.delta = c.winRatePicked !== null && c.winRateSkipped !== null ? c.winRatePicked - c.winRateSkipped : null;
+    });
+    Object.values(enemies).forEach(e => {
+        e.avgDamage = rate(e.damage, e.fights);
+    });
+
+    return {
+        hero: heroId,
+        runs: runs.length,
+        wins,
+        winRate: baseWinRate,
+        avgFloor: runs.reduce((s, r) => s + r.floor, 0) / runs.length,
+        avgDeckSize: runs.reduce((s, r) => s + r.deck.length, 0) / runs.length,
+        eliteDeathRate: rate(deathsByKind.elite || 0, fightsByKind.elite || 0),
+        bossDeathRate: rate(deathsByKind.boss || 0, fightsByKind.boss || 0),
+        fightsByKind,
+        deathsByKind,
+        cards: Object.values(cards),
+        relics: Object.values(relics),
+        enemies: Object.values(enemies)
+    };
+}
+
+// ── Markdown rendering ──
+
+const pct = (v) => (v === null || v === undefined ? '—' : `${(v * 100).toFixed(1)}%`);
+const signedPct = (v) => (v === null || v === undefined ? '—' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}`);
+const num = (v, digits = 1) => (v === null || v === undefined ? '—' : v.toFixed(digits));
+
+function table(headers, rows) {
+    if (rows.length === 0) return '_No rows with enough samples._\n';
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.join(' | ')} |`)
+    ].join('\n') + '\n';
+}
+
+function renderMarkdown(reports, args, names) {
+    const out = [];
+    out.push('# Balance Report');
+    out.push('');
+    out.push(`${args.runs} simulated act-1 runs per hero · \`${args.policy}\` combat policy · seed \`${args.seed}\``);
+    out.push('');
+    out.push('Card picks, shop buys and pathing are random, so win-rate deltas reflect the cards and relics themselves. Event nodes are skipped. Relics marked "no" under In combat have no effect CombatEngine models, so their delta is noise.');
+    out.push('');
+
+    out.push('## Config under test');
+    out.push('');
+    const rarities = Object.keys(RARITY_WEIGHTS.combat);
+    out.push(table(['Source', ...rarities], Object.entries(RARITY_WEIGHTS).map(([src, w]) => [src, ...rarities.map(r => String(w[r] ?? 0))])));
+    out.push(table(['Rarity', 'Card price'], Object.entries(CARD_PRICES).map(([r, p]) => [r, String(p)])));
+
+    out.push('## Summary');
+    out.push('');
+    out.push(table(
+        ['Hero', 'Runs', 'Win rate', 'Avg floor', 'Avg deck', 'Elite death rate', 'Boss death rate'],
+        reports.map(r => [r.hero, String(r.runs), pct(r.winRate), num(r.avgFloor), num(r.avgDeckSize), pct(r.eliteDeathRate), pct(r.bossDeathRate)])
+    ));
+
+    reports.forEach(r => {
+        out.push(`## ${r.hero}`);
+        out.push('');
+        out.push(`Deaths by node: ${Object.entries(r.deathsByKind).map(([k, v]) => `${k} ${v}`).join(' · ') || 'none'}`);
+        out.push('');
+
+        out.push('### Cards — pick rate and win correlation');
+        out.push('');
+        const cardRows = r.cards
+            .filter(c => c.picked >= args.minSamples && c.skipped >= args.minSamples)
+            .sort((a, b) => (b.delta ?? -Infinity) - (a.delta ?? -Infinity))
+            .map(c => [names.cards[c.id] || c.id, names.rarity[c.id] || '', String(c.offered), pct(c.pickRate), pct(c.winRatePicked), pct(c.winRateSkipped), signedPct(c.delta)]);
+        out.push(table(['Card', 'Rarity', 'Offered', 'Pick rate', 'Win (picked)', 'Win (skipped)', 'Δ pts'], cardRows));
+
+        out.push('### Relics — win-rate delta');
+        out.push('');
+        const relicRows = r.relics
+            .filter(x => x.runs >= args.minSamples)
+            .sort((a, b) => (b.delta ?? -Infinity) - (a.delta ?? -Infinity))
+            .map(x => [names.relics[x.id] || x.id, names.relicModelled[x.id] ? 'yes' : 'no', String(x.runs), pct(x.winRate), pct(x.winRateWithout), signedPct(x.delta)]);
+        out.push(table(['Relic', 'In combat', 'Runs', 'Win (with)', 'Win (without)', 'Δ pts'], relicRows));
+
+        out.push('### Enemies — damage dealt to the player');
+        out.push('');
+        const enemyRows = r.enemies
+            .sort((a, b) => (b.avgDamage ?? 0) - (a.avgDamage ?? 0))
+            .map(e => [names.enemies[e.id] || e.id, String(e.fights), num(e.avgDamage), String(e.damage), String(e.kills)]);
+        out.push(table(['Enemy', 'Fights', 'Avg dmg / fight', 'Total dmg', 'Player deaths'], enemyRows));
+    });
+
+    return out.join('\n');
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        process.stdout.write('Usage: node tools/balance-report.mjs [--heroes korvax,lyria,auren] [--runs 500] [--policy heuristic|scripted] [--seed BALANCE] [--min-samples 10] [--out file] [--json]\n');
+        return;
+    }
+    if (!POLICIES[args.policy]) {
+        throw new Error(`Unknown policy "${args.policy}" (available: ${Object.keys(POLICIES).join(', ')})`);
+    }
+
+    if (!args.verbose) console.log = () => {};
+
+    const names = { cards: {}, rarity: {}, relics: {}, relicModelled: {}, enemies: {} };
+    const reports = args.heroes.map(heroId => {
+        const ctx = createRunContext(heroId);
+        ctx.loadout.cardIndex.forEach(c => { names.cards[c.id] = c.name; names.rarity[c.id] = c.rarity; });
+        ctx.relicPool.forEach(r => {
+            names.relics[r.id] = r.name;
+            names.relicModelled[r.id] = Object.keys(resolveRelicEffects(r)).length > 0;
+        });
+        [...ctx.normalEnemies, ...ctx.eliteEnemies, ctx.boss].filter(Boolean).forEach(e => { names.enemies[e.id] = e.name; });
+
+        const runs = [];
+        for (let i = 0; i < args.runs; i++) {
+            runs.push(simulateRun(ctx, { seed: `${args.seed}-${heroId}-${i}`, policy: args.policy }));
+        }
+        process.stderr.write(`[balance-report] ${heroId}: ${args.runs} runs simulated\n`);
+        return aggregate(heroId, runs, ctx.loadout.relics.map(r => r.id));
+    });
+
+    const output = args.json
+        ? JSON.stringify({ seed: args.seed, policy: args.policy, runsPerHero: args.runs, rarityWeights: RARITY_WEIGHTS, cardPrices: CARD_PRICES, heroes: reports }, null, 2)
+        : renderMarkdown(reports, args, names);
+
+    if (args.out) {
+        writeFileSync(args.out, output + '\n');
+        process.stderr.write(`[balance-report] Wrote ${args.out}\n`);
+    } else {
+        process.stdout.write(output + '\n');
+    }
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(`[balance-report] ${e.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * check-content - Content-integrity report for the DataLoader manifest
+ *
+ * Runs DataLoader.runDiagnostics() against the files on disk: every manifest
+ * entry in DataLoader.dataPaths is loaded (parsed strictly, as the browser's
+ * response.json() would), then each hero, starting deck, starting relic, act
+ * boss and event card reward is resolved. Lists the manifest entries that are
+ * missing or unparseable and every lookup that fell back to built-in data.
+ *
+ * This is the same pass the game runs at startup with ?diagnostics in the URL.
+ *
+ * Usage:
+ *   node tools/check-content.mjs [options]
+ *
+ * Options:
+ *   --strict             Exit 1 if any file is missing or any lookup falls back
+ *   --json               Print the report as JSON
+ *   --verbose            Keep game-module console logging
+ *
+ * @version 0.1.0
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { DataLoader } from '../js/core/DataLoader.js';
+import { ROOT } from './lib/data.mjs';
+
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        switch (arg) {
+            case '--strict': args.strict = true; break;
+            case '--json': args.json = true; break;
+            case '--verbose': args.verbose = true; break;
+            case '--help':
+            case '-h': args.help = true; break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return args;
+}
+
+/**
+ * A DataLoader that reads from the repo instead of fetch()
+ */
+function createDiskLoader() {
+    const loader = new DataLoader();
+    loader.fetchJson = async (fullPath) => {
+        const file = join(ROOT, fullPath);
+        if (!existsSync(file)) {
+            const error = new Error(`Failed to load ${fullPath}: 404`);
+            error.status = 404;
+            throw error;
+        }
+        return JSON.parse(readFileSync(file, 'utf8'));
+    };
+    return loader;
+}
+
+function printReport(report) {
+    const byStatus = (status) => report.manifest.filter(m => m.status === status);
+    const out = [];
+
+    out.push(`Manifest: ${report.manifest.length} entries · ${byStatus('loaded').length} loaded · ${byStatus('missing').length} missing · ${byStatus('invalid').length + byStatus('error').length} unreadable`);
+    out.push('');
+
+    const failed = report.manifest.filter(m => m.status !== 'loaded');
+    if (failed.length > 0) {
+        out.push('Missing or unreadable manifest entries:');
+        failed.forEach(m => {
+            const reason = report.failedFiles.find(f => f.path === m.path)?.reason;
+            const detail = m.status === 'missing' ? '' : `  (${String(reason).replace(/\s+/g, ' ')})`;
+            out.push(`  ${m.status.padEnd(8)} ${`${m.category}.${m.key}`.padEnd(22)} data/${m.path}${detail}`);
+        });
+        out.push('');
+    }
+
+    if (report.fallbacks.length > 0) {
+        out.push('Lookups resolved by fallback:');
+        report.fallbacks.forEach(f => {
+            out.push(`  ${f.kind.padEnd(10)} ${f.id.padEnd(26)} ${f.reason}`);
+        });
+        out.push('');
+    }
+
+    out.push(failed.length === 0 && report.fallbacks.length === 0
+        ? 'All manifest entries load and every lookup resolves to real data.'
+        : `${failed.length} manifest problems · ${report.fallbacks.length} fallback lookups`);
+    process.stdout.write(out.join('\n') + '\n');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        process.stdout.write('Usage: node tools/check-content.mjs [--strict] [--json] [--verbose]\n');
+        return;
+    }
+
+    // DataLoader logs every load and lookup; keep the report readable
+    if (!args.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+    }
+
+    const report = await createDiskLoader().runDiagnostics();
+
+    if (args.json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        printReport(report);
+    }
+
+    const problems = report.manifest.some(m => m.status !== 'loaded') || report.fallbacks.length > 0;
+    process.exitCode = args.strict && problems ? 1 : 0;
+}
+
+main().catch(e => {
+    process.stderr.write(`[check-content] ${e.message}\n`);
+    process.exit(2);
+});
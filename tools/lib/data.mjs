@@ -0,0 +1,79 @@
+/**
+ * Node-side data access for the tools/ scripts.
+ * Reads the same JSON files the browser DataLoader fetches, straight from data/.
+ * @version 0.1.0
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+export const DATA_DIR = join(ROOT, 'data');
+
+/**
+ * Read a JSON file relative to data/. Full-line `//` comments are stripped
+ * (some hand-edited card files carry section banners).
+ * @param {string} relPath - e.g. 'enemies/act1_enemies.json'
+ * @returns {*} Parsed JSON, or null if the file doesn't exist
+ */
+export function readData(relPath) {
+    const fullPath = join(DATA_DIR, relPath);
+    if (!existsSync(fullPath)) return null;
+    const text = readFileSync(fullPath, 'utf8')
+        .split('\n')
+        .filter(line => !line.trim().startsWith('//'))
+        .join('\n');
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Failed to parse data/${relPath}: ${e.message}`);
+    }
+}
+
+/**
+ * All cards for a hero plus the neutral pool and curse/status cards, keyed by id
+ * @param {string} heroId
+ * @returns {Map<string, Object>}
+ */
+export function loadCardIndex(heroId) {
+    const index = new Map();
+    [`cards/${heroId}_cards.json`, 'cards/neutral_cards.json', 'cards/status_cards.json'].forEach(path => {
+        const data = readData(path);
+        const cards = Array.isArray(data) ? data : (data?.cards || []);
+        cards.forEach(card => {
+            if (!index.has(card.id)) index.set(card.id, card);
+        });
+    });
+    return index;
+}
+
+/**
+ * @returns {Array<Object>} Every relic in artifacts/relics.json
+ */
+export function loadRelics() {
+    return readData('artifacts/relics.json')?.relics || [];
+}
+
+/**
+ * A hero's starting loadout: hero JSON, resolved starting deck and starting relic
+ * @param {string} heroId
+ * @returns {{hero: Object, deck: Array, relics: Array, cardIndex: Map, missingCards: Array<string>}}
+ */
+export function loadHeroLoadout(heroId) {
+    const hero = readData(`heroes/${heroId}.json`);
+    if (!hero) throw new Error(`Unknown hero: ${heroId} (no data/heroes/${heroId}.json)`);
+
+    const cardIndex = loadCardIndex(heroId);
+    const missingCards = [];
+    const deck = (hero.startingDeck || []).map(id => {
+        const card = cardIndex.get(id);
+        if (!card) missingCards.push(id);
+        return card;
+    }).filter(Boolean);
+
+    const relicId = hero.startingArtifact || readData('artifacts/relics.json')?.heroStartingRelics?.[heroId];
+    const relics = loadRelics().filter(r => r.id === relicId);
+
+    return { hero, deck, relics, cardIndex, missingCards };
+}
@@ -0,0 +1,243 @@
+/**
+ * Headless act-1 run simulation for balance tooling.
+ *
+ * A run walks a MapGenerator act-1 map from the first layer to the boss.
+ * Fights use CombatEngine; rewards use GameConfig's RARITY_WEIGHTS,
+ * COMBAT_REWARDS and CARD_PRICES so tuning those tables shows up in reports.
+ * Card picks, shop buys and path choices are random (from their own seeded
+ * stream) so per-card and per-relic win rates aren't skewed by a pick policy.
+ *
+ * Simplifications: event nodes are skipped, relics come uniformly from the
+ * common/uncommon/rare pools, and rest sites heal below 70% HP, else upgrade.
+ *
+ * @version 0.1.0
+ */
+
+import rng, { RandomStream, hashSeed } from '../../js/core/RNG.js';
+import { CombatEngine } from '../../js/systems/CombatEngine.js';
+import { MapGenerator } from '../../js/systems/MapGenerator.js';
+import CardUpgradeSystem from '../../js/systems/CardUpgradeSystem.js';
+import { isJunkCard } from '../../js/systems/CardInjector.js';
+import { rollEncounter as rollRosterEncounter } from '../../js/systems/EncounterTable.js';
+import { RARITY_WEIGHTS, CARD_PRICES, COMBAT_REWARDS } from '../../js/systems/GameConfig.js';
+import { readData, loadHeroLoadout, loadRelics } from './data.mjs';
+
+const REST_HEAL_PERCENT = 0.30;   // RestScreen healPercent
+const SHOP_CARD_COUNT = 5;
+const SKIP_CARD_CHANCE = 0.15;
+const RELIC_RARITIES = ['common', 'uncommon', 'rare'];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Load everything a hero's runs need once, up front
+ * @param {string} heroId
+ * @param {number} act
+ * @returns {Object} Run context
+ */
+export function createRunContext(heroId, act = 1) {
+    const loadout = loadHeroLoadout(heroId);
+    const enemyData = readData(`enemies/act${act}_enemies.json`) || {};
+    const bossData = readData('enemies/bosses.json') || {};
+    const mapConfig = readData(`maps/act${act}_config.json`) || {};
+
+    const bossId = mapConfig.boss;
+    const boss = (bossData.bosses || []).find(b => b.id === bossId)
+        || (bossData.bosses || []).find(b => b.act === act);
+
+    const startingRelicIds = new Set(Object.values(readData('artifacts/relics.json')?.heroStartingRelics || {}));
+    const relicPool = loadRelics().filter(r => RELIC_RARITIES.includes(r.rarity) && !startingRelicIds.has(r.id));
+
+    const rewardCards = [...loadout.cardIndex.values()]
+        .filter(c => c.rarity && c.rarity !== 'starter' && c.rarity !== 'corrupted' && !isJunkCard(c));
+
+    return {
+        heroId,
+        act,
+        loadout,
+        roster: enemyData,
+        mapConfig,
+        normalEnemies: (enemyData.enemies || []).filter(e => e.type === 'normal'),
+        eliteEnemies: (enemyData.enemies || []).filter(e => e.type === 'elite'),
+        boss,
+        relicPool,
+        rewardCards,
+        upgrader: new CardUpgradeSystem()
+    };
+}
+
+/**
+ * Roll `count` distinct reward cards using a RARITY_WEIGHTS table
+ */
+function rollCards(ctx, random, weightsKey, count) {
+    const weights = RARITY_WEIGHTS[weightsKey] || RARITY_WEIGHTS.combat;
+    const chosen = [];
+    for (let attempt = 0; chosen.length < count && attempt < count * 10; attempt++) {
+        const rarity = random.weighted(weights);
+        const pool = ctx.rewardCards.filter(c => c.rarity === rarity && !chosen.includes(c));
+        const card = random.pick(pool.length > 0 ? pool : ctx.rewardCards.filter(c => !chosen.includes(c)));
+        if (card) chosen.push(card);
+    }
+    return chosen;
+}
+
+/**
+ * Mirror DataLoader.getEnemiesForAct: a scaled group from the roster's
+ * encounter table, else 1-2 random normals or a single elite
+ */
+function rollEncounter(ctx, random, kind, depth = 0) {
+    if (kind === 'boss') return ctx.boss ? [ctx.boss] : [random.pick(ctx.eliteEnemies)];
+    const rolled = rollRosterEncounter(ctx.roster, kind === 'elite' ? 'elite' : 'normal', random, { depth });
+    if (rolled.length > 0) return rolled;
+    if (kind === 'elite') return [random.pick(ctx.eliteEnemies)];
+    const count = random.int(1, 2);
+    return Array.from({ length: count }, () => random.pick(ctx.normalEnemies));
+}
+
+/**
+ * Choose the next node from the current one. Random, but a hurt hero
+ * steers toward rest sites and away from elites.
+ */
+function chooseNextNode(map, current, run, random) {
+    const options = current
+        ? map.paths.filter(p => p.from === current.id).map(p => map.nodes.find(n => n.id === p.to)).filter(Boolean)
+        : map.nodes.filter(n => n.layer === 0);
+    if (options.length === 0) return null;
+
+    const hpRatio = run.hp / run.maxHp;
+    const weighted = options.map(node => {
+        let weight = 1;
+        if (node.type === 'rest' && hpRatio < 0.5) weight = 4;
+        if (node.type === 'elite' && hpRatio < 0.4) weight = 0.2;
+        return { node, weight };
+    });
+    return random.weighted(weighted).node;
+}
+
+/**
+ * Simulate one act run
+ * @param {Object} ctx - From createRunContext
+ * @param {Object} options
+ * @param {string} options.seed - Run seed (seeds map, encounter, combat and reward streams)
+ * @param {string} [options.policy] - CombatEngine policy id
+ * @returns {Object} Run record
+ */
+export function simulateRun(ctx, { seed, policy = 'heuristic' }) {
+    rng.seed(seed);
+    const decisions = new RandomStream('decisions', hashSeed(`${seed}:decisions`));
+    const rewards = rng.stream('rewards');
+    const encounterRng = rng.stream('encounters');
+    const combatRng = rng.stream('combat');
+
+    const hero = ctx.loadout.hero;
+    const maxHp = Number(hero.maxHp ?? hero.hp) || 80;
+    const run = {
+        seed,
+        hero: ctx.heroId,
+        won: false,
+        floor: 0,
+        hp: maxHp,
+        maxHp,
+        credits: 0,
+        deck: clone(ctx.loadout.deck),
+        relics: clone(ctx.loadout.relics),
+        cardsOffered: new Set(),
+        cardsPicked: new Set(),
+        fights: [],
+        death: null
+    };
+
+    const mapGen = new MapGenerator({ get: () => null, set: () => {} }, { emit: () => {} });
+    const map = mapGen.generateAct(ctx.act, ctx.mapConfig);
+
+    let node = null;
+    while ((node = chooseNextNode(map, node, run, decisions))) {
+        run.floor++;
+
+        if (node.type === 'combat' || node.type === 'elite' || node.type === 'boss') {
+            const enemies = rollEncounter(ctx, encounterRng, node.type, node.layer).filter(Boolean);
+            const engine = new CombatEngine({
+                hero: { ...hero, maxHp: run.maxHp },
+                deck: run.deck,
+                relics: run.relics,
+                enemies: clone(enemies),
+                hp: run.hp,
+                random: combatRng,
+                getCard: (id) => ctx.loadout.cardIndex.get(id) || null
+            });
+            const result = engine.run(policy);
+            run.hp = Math.max(0, result.hpEnd);
+            run.maxHp = result.maxHp;
+            run.fights.push({
+                kind: node.type,
+                enemies: enemies.map(e => e.id),
+                won: result.won,
+                turns: result.turns,
+                hpLost: result.hpLost,
+                damageByEnemy: result.damageByEnemy
+            });
+
+            if (!result.won) {
+                run.death = { kind: node.type, enemies: enemies.map(e => e.id), floor: run.floor };
+                break;
+            }
+            if (node.type === 'boss') {
+                run.won = true;
+                break;
+            }
+
+            const rewardKey = node.type === 'elite' ? 'elite' : 'combat';
+            const creditRange = COMBAT_REWARDS[rewardKey].credits;
+            run.credits += rewards.int(creditRange.min, creditRange.max);
+
+            const choices = rollCards(ctx, rewards, rewardKey, COMBAT_REWARDS[rewardKey].cardChoices);
+            choices.forEach(c => run.cardsOffered.add(c.id));
+            if (!decisions.chance(SKIP_CARD_CHANCE)) {
+                const pick = decisions.pick(choices);
+                if (pick) {
+                    run.deck.push(clone(pick));
+                    run.cardsPicked.add(pick.id);
+                }
+            }
+
+            if (decisions.chance(COMBAT_REWARDS[rewardKey].artifactChance || 0)) {
+                gainRelic(ctx, run, rewards);
+            }
+        } else if (node.type === 'rest') {
+            if (run.hp < run.maxHp * 0.7) {
+                run.hp = Math.min(run.maxHp, run.hp + Math.floor(run.maxHp * REST_HEAL_PERCENT));
+            } else {
+                const upgradeable = run.deck.filter(c => !c.upgraded);
+                const card = decisions.pick(upgradeable);
+                if (card) ctx.upgrader.upgradeCard(card);
+            }
+        } else if (node.type === 'shop') {
+            const stock = rollCards(ctx, rewards, 'shop', SHOP_CARD_COUNT);
+            stock.forEach(c => run.cardsOffered.add(c.id));
+            const affordable = stock.filter(c => (CARD_PRICES[c.rarity] ?? Infinity) <= run.credits && CARD_PRICES[c.rarity] > 0);
+            if (affordable.length > 0 && decisions.chance(0.5)) {
+                const buy = decisions.pick(affordable);
+                run.credits -= CARD_PRICES[buy.rarity];
+                run.deck.push(clone(buy));
+                run.cardsPicked.add(buy.id);
+            }
+        } else if (node.type === 'treasure') {
+            gainRelic(ctx, run, rewards);
+        }
+        // event nodes: not simulated
+    }
+
+    return {
+        ...run,
+        cardsOffered: [...run.cardsOffered],
+        cardsPicked: [...run.cardsPicked],
+        deck: run.deck.map(c => c.id),
+        relics: run.relics.map(r => r.id)
+    };
+}
+
+function gainRelic(ctx, run, random) {
+    const owned = new Set(run.relics.map(r => r.id));
+    const relic = random.pick(ctx.relicPool.filter(r => !owned.has(r.id)));
+    if (relic) run.relics.push(clone(relic));
+}
@@ -0,0 +1,167 @@
+/**
+ * Minimal JSON Schema (draft-07 subset) validator for the data schemas.
+ *
+ * Supports: type, enum, const, required, properties, additionalProperties,
+ * patternProperties, items, minItems, maxItems, uniqueItems, minimum,
+ * maximum, minLength, pattern, anyOf, oneOf, $ref and definitions.
+ * $ref may point inside the same schema ("#/definitions/card") or at another
+ * file in data/schemas ("events.schema.json#/definitions/choice").
+ *
+ * @version 0.1.0
+ */
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { DATA_DIR } from './data.mjs';
+
+export const SCHEMA_DIR = join(DATA_DIR, 'schemas');
+
+const schemaCache = new Map();
+
+/**
+ * Load a schema from data/schemas
+ * @param {string} file - e.g. 'hero.schema.json'
+ * @returns {Object}
+ */
+export function loadSchema(file) {
+    if (!schemaCache.has(file)) {
+        schemaCache.set(file, JSON.parse(readFileSync(join(SCHEMA_DIR, file), 'utf8')));
+    }
+    return schemaCache.get(file);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function resolvePointer(root, pointer) {
+    return pointer.split('/').filter(Boolean).reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+function resolveRef(ref, rootFile) {
+    const [file, pointer = ''] = ref.split('#');
+    const targetFile = file || rootFile;
+    const target = resolvePointer(loadSchema(targetFile), pointer);
+    if (!target) throw new Error(`Unresolvable $ref "${ref}" in ${rootFile}`);
+    return { schema: target, file: targetFile };
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {string} [options.file] - Schema file the schema came from (for local $refs)
+ * @param {string} [options.path] - JSON path prefix for messages
+ * @returns {Array<{path: string, message: string}>} Violations (empty if valid)
+ */
+export function validate(value, schema, { file, path = '$' } = {}) {
+    const errors = [];
+    check(value, schema, file, path, errors);
+    return errors;
+}
+
+function check(value, schema, file, path, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+        errors.push({ path, message: 'is not allowed' });
+        return;
+    }
+
+    if (schema.$ref) {
+        const resolved = resolveRef(schema.$ref, file);
+        check(value, resolved.schema, resolved.file, path, errors);
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push({ path, message: `should be ${types.join(' or ')}, got ${typeOf(value)}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(e => e === value)) {
+        errors.push({ path, message: `should be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}, got ${JSON.stringify(value)}` });
+    }
+    if ('const' in schema && schema.const !== value) {
+        errors.push({ path, message: `should be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `should be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `should be <= ${schema.maximum}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: `should have at least ${schema.minLength} characters` });
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path, message: `should match /${schema.pattern}/, got ${JSON.stringify(value)}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `should have at least ${schema.minItems} items` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `should have at most ${schema.maxItems} items` });
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            value.forEach((item, i) => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) errors.push({ path: `${path}[${i}]`, message: `duplicates an earlier item ${key}` });
+                seen.add(key);
+            });
+        }
+        if (schema.items) value.forEach((item, i) => check(item, schema.items, file, `${path}[${i}]`, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ path, message: `is missing required property "${key}"` });
+        });
+
+        const properties = schema.properties || {};
+        const patterns = Object.entries(schema.patternProperties || {}).map(([p, s]) => [new RegExp(p), s]);
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = `${path}.${key}`;
+            let matched = false;
+            if (key in properties) {
+                matched = true;
+                check(child, properties[key], file, childPath, errors);
+            }
+            patterns.forEach(([re, s]) => {
+                if (re.test(key)) {
+                    matched = true;
+                    check(child, s, file, childPath, errors);
+                }
+            });
+            if (!matched && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: 'is not an allowed property' });
+                } else {
+                    check(child, schema.additionalProperties, file, childPath, errors);
+                }
+            }
+        });
+    }
+
+    ['anyOf', 'oneOf'].forEach(keyword => {
+        if (!schema[keyword]) return;
+        const results = schema[keyword].map(sub => validate(value, sub, { file, path }));
+        const passing = results.filter(r => r.length === 0).length;
+        if (passing === 0) {
+            // Report the closest branch so the message points at the actual problem
+            const closest = results.reduce((best, r) => (r.length < best.length ? r : best));
+            errors.push(...closest);
+        } else if (keyword === 'oneOf' && passing > 1) {
+            errors.push({ path, message: 'matches more than one allowed shape' });
+        }
+    });
+}
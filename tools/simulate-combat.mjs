@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * simulate-combat - Headless combat balance runs
+ *
+ * Plays N fights of a hero's starting loadout against every enemy in
+ * act1_enemies.json and bosses.json using CombatEngine, and reports win rate,
+ * average turns and average HP lost per enemy.
+ *
+ * Usage:
+ *   node tools/simulate-combat.mjs [options]
+ *
+ * Options:
+ *   --hero <id>          Hero to simulate (default: korvax)
+ *   --fights <n>         Fights per enemy (default: 1000)
+ *   --policy <id>        heuristic | scripted (default: heuristic)
+ *   --seed <seed>        Base seed; same seed + options = same report (default: SIM)
+ *   --encounters         Also run act 1 encounter groups (normal/elite/hard)
+ *   --only <ids>         Comma-separated enemy ids to run
+ *   --relic <id>         Extra relic from relics.json (repeatable)
+ *   --json               Print machine-readable JSON instead of a table
+ *   --verbose            Keep game-module console logging
+ *
+ * @version 0.1.0
+ */
+
+import { CombatEngine, POLICIES } from '../js/systems/CombatEngine.js';
+import { RandomStream, hashSeed } from '../js/core/RNG.js';
+import { readData, loadHeroLoadout, loadRelics } from './lib/data.mjs';
+
+function parseArgs(argv) {
+    const args = { hero: 'korvax', fights: 1000, policy: 'heuristic', seed: 'SIM', relics: [], only: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--hero': args.hero = argv[++i]; break;
+            case '--fights': args.fights = Math.max(1, parseInt(argv[++i], 10) || 1); break;
+            case '--policy': args.policy = argv[++i]; break;
+            case '--seed': args.seed = argv[++i]; break;
+            case '--relic': args.relics.push(argv[++i]); break;
+            case '--only': args.only = argv[++i].split(',').map(s => s.trim()); break;
+            case '--encounters': args.encounters = true; break;
+            case '--json': args.json = true; break;
+            case '--verbose': args.verbose = true; break;
+            case '--help':
+            case '-h': args.help = true; break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return args;
+}
+
+/**
+ * Collect the fights to run: every act 1 enemy and boss solo, plus
+ * (optionally) act 1's weighted encounter groups.
+ */
+function collectMatchups(args) {
+    const act1 = readData('enemies/act1_enemies.json') || {};
+    const bossData = readData('enemies/bosses.json') || {};
+    const byId = new Map();
+    [...(act1.enemies || []), ...(bossData.minions || []), ...(bossData.bosses || [])].forEach(e => {
+        if (!byId.has(e.id)) byId.set(e.id, e);
+    });
+
+    const matchups = [];
+    (act1.enemies || []).forEach(e => matchups.push({ id: e.id, label: e.name || e.id, kind: e.type || 'normal', enemies: [e] }));
+    (bossData.bosses || []).forEach(e => matchups.push({ id: e.id, label: `${e.name || e.id} (act ${e.act ?? '?'})`, kind: 'boss', enemies: [e] }));
+
+    if (args.encounters) {
+        Object.entries(act1.encounters || {}).forEach(([kind, list]) => {
+            list.forEach(encounter => {
+                const enemies = encounter.enemies.map(id => byId.get(id)).filter(Boolean);
+                if (enemies.length === 0) return;
+                matchups.push({
+                    id: `${kind}:${encounter.enemies.join('+')}`,
+                    label: encounter.enemies.join(' + '),
+                    kind: `enc:${kind}`,
+                    enemies
+                });
+            });
+        });
+    }
+
+    return args.only ? matchups.filter(m => args.only.includes(m.id)) : matchups;
+}
+
+function simulateMatchup(matchup, loadout, args) {
+    // One stream per matchup so reports don't shift when the enemy list changes
+    const random = new RandomStream('combat', hashSeed(`${args.seed}:${args.hero}:${args.policy}:${matchup.id}`));
+    const totals = { wins: 0, timeouts: 0, turns: 0, hpLost: 0, damageTaken: 0 };
+
+    for (let i = 0; i < args.fights; i++) {
+        const engine = new CombatEngine({
+            hero: loadout.hero,
+            deck: loadout.deck,
+            relics: loadout.relics,
+            enemies: matchup.enemies,
+            random,
+            getCard: (id) => loadout.cardIndex.get(id) || null
+        });
+        const result = engine.run(args.policy);
+        if (result.won) totals.wins++;
+        if (result.outcome === 'timeout') totals.timeouts++;
+        totals.turns += result.turns;
+        totals.hpLost += result.hpLost;
+    }
+
+    return {
+        id: matchup.id,
+        label: matchup.label,
+        kind: matchup.kind,
+        hp: matchup.enemies.reduce((sum, e) => sum + (Number(e.maxHp ?? e.hp) || 0), 0),
+        fights: args.fights,
+        winRate: totals.wins / args.fights,
+        avgTurns: totals.turns / args.fights,
+        avgHpLost: totals.hpLost / args.fights,
+        timeouts: totals.timeouts
+    };
+}
+
+function printTable(rows, header) {
+    const columns = [
+        { title: 'Enemy', width: 40, value: r => r.label },
+        { title: 'Kind', width: 12, value: r => r.kind },
+        { title: 'HP', width: 5, value: r => String(r.hp), right: true },
+        { title: 'Win %', width: 7, value: r => (r.winRate * 100).toFixed(1), right: true },
+        { title: 'Turns', width: 6, value: r => r.avgTurns.toFixed(1), right: true },
+        { title: 'HP lost', width: 8, value: r => r.avgHpLost.toFixed(1), right: true },
+        { title: 'Timeouts', width: 8, value: r => String(r.timeouts), right: true }
+    ];
+    const fmt = (col, text) => {
+        const clipped = text.length > col.width ? text.slice(0, col.width - 1) + '…' : text;
+        return col.right ? clipped.padStart(col.width) : clipped.padEnd(col.width);
+    };
+
+    process.stdout.write(`${header}\n\n`);
+    process.stdout.write(columns.map(c => fmt(c, c.title)).join('  ') + '\n');
+    process.stdout.write(columns.map(c => '─'.repeat(c.width)).join('  ') + '\n');
+    rows.forEach(row => {
+        process.stdout.write(columns.map(c => fmt(c, c.value(row))).join('  ') + '\n');
+    });
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        process.stdout.write('Usage: node tools/simulate-combat.mjs [--hero korvax] [--fights 1000] [--policy heuristic|scripted] [--seed SIM] [--encounters] [--only ids] [--relic id] [--json]\n');
+        return;
+    }
+    if (!POLICIES[args.policy]) {
+        throw new Error(`Unknown policy "${args.policy}" (available: ${Object.keys(POLICIES).join(', ')})`);
+    }
+
+    // Game modules log every step; keep the report readable
+    if (!args.verbose) console.log = () => {};
+
+    const loadout = loadHeroLoadout(args.hero);
+    if (loadout.missingCards.length > 0) {
+        console.warn(`[simulate-combat] Starting deck cards not found: ${loadout.missingCards.join(', ')}`);
+    }
+    const allRelics = loadRelics();
+    args.relics.forEach(id => {
+        const relic = allRelics.find(r => r.id === id);
+        if (relic) loadout.relics.push(relic);
+        else console.warn(`[simulate-combat] Unknown relic: ${id}`);
+    });
+
+    const rows = collectMatchups(args).map(matchup => simulateMatchup(matchup, loadout, args));
+
+    if (args.json) {
+        process.stdout.write(JSON.stringify({
+            hero: args.hero,
+            policy: args.policy,
+            seed: args.seed,
+            fights: args.fights,
+            deck: loadout.deck.map(c => c.id),
+            relics: loadout.relics.map(r => r.id),
+            results: rows
+        }, null, 2) + '\n');
+        return;
+    }
+
+    printTable(rows, `${loadout.hero.name || args.hero} · ${args.policy} policy · ${args.fights} fights/enemy · seed ${args.seed}\n` +
+        `Deck: ${loadout.deck.length} cards · Relics: ${loadout.relics.map(r => r.name || r.id).join(', ') || 'none'}`);
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(`[simulate-combat] ${e.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,678 @@
+#!/usr/bin/env node
+/**
+ * validate-data - Schema and cross-reference checks for everything in data/
+ *
+ * Each data file is matched to a schema in data/schemas and validated, then
+ * the files are checked against each other:
+ *   - hero starting decks and starting relics exist
+ *   - act map bosses, encounter groups and summons point at real enemies
+ *   - event `unlocks`, `chainOf` and `eventSeen` point at real events
+ *   - relic pools and hero starting relics point at real relics
+ *   - card effect types and conditions have a CardEffectInterpreter handler
+ *   - event choice effect keys are ones the event screens apply
+ *   - add_card intents, card effects and event effects name real cards
+ *   - meta unlocks and achievements name real heroes, cards, relics and bosses
+ *   - ascension levels run 1..N in order and their curses are real curse cards
+ *   - void fragment set bonuses name real fragments
+ *   - chain combos use chainable card types and hero chain tables name real heroes
+ *
+ * Broken files and dangling ids are errors (exit code 1). Content the game
+ * silently ignores — an effect type nothing handles, an intent combat never
+ * executes — is a warning, which only fails the run with --strict.
+ *
+ * Usage:
+ *   node tools/validate-data.mjs [options]
+ *
+ * Options:
+ *   --strict             Exit 1 on warnings as well as errors
+ *   --json               Print the issue list as JSON
+ *   --quiet              Only print files with issues, and the summary
+ *
+ * @version 0.1.0
+ */
+
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { ROOT, DATA_DIR } from './lib/data.mjs';
+import { loadSchema, validate } from './lib/schema.mjs';
+import cardEffects from '../js/systems/CardEffectInterpreter.js';
+
+// Which schema each data file is checked against (first match wins)
+const SCHEMA_MAP = [
+    { pattern: /^data\/heroes\/[^/]+\.json$/, schema: 'hero.schema.json' },
+    { pattern: /^data\/cards\/[^/]+_cards\.json$/, schema: 'cards.schema.json' },
+    { pattern: /^data\/enemies\/bosses\.json$/, schema: 'bosses.schema.json' },
+    { pattern: /^data\/enemies\/act\d+_enemies\.json$/, schema: 'enemies.schema.json' },
+    { pattern: /^data\/events\/act\d+_events\.json$/, schema: 'events.schema.json' },
+    { pattern: /^data\/events\/act\d+_bookends\.json$/, schema: 'bookends.schema.json' },
+    { pattern: /^data\/events\/hero_events\.json$/, schema: 'hero_events.schema.json' },
+    { pattern: /^data\/events\/[^/]+_events\.json$/, schema: 'npc_events.schema.json' },
+    { pattern: /^data\/statuses\/statuses\.json$/, schema: 'statuses.schema.json' },
+    { pattern: /^data\/artifacts\/relics\.json$/, schema: 'relics.schema.json' },
+    { pattern: /^(js\/)?data\/void_fragments\.json$/, schema: 'void_fragments.schema.json' },
+    { pattern: /^data\/maps\/act\d+_config\.json$/, schema: 'act_config.schema.json' },
+    { pattern: /^data\/meta\/unlocks\.json$/, schema: 'unlocks.schema.json' },
+    { pattern: /^data\/meta\/achievements\.json$/, schema: 'achievements.schema.json' },
+    { pattern: /^data\/meta\/ascension\.json$/, schema: 'ascension.schema.json' },
+    { pattern: /^data\/chain_rules\.json$/, schema: 'chain_rules.schema.json' }
+];
+
+// Event choice effect keys applied by EventManager.processEffects, EventScreen
+// and BossEventScreen (`flags` is the NPC/bookend form of `setsFlags`)
+const EVENT_EFFECT_KEYS = new Set([
+    'hp', 'maxHp', 'heal', 'damage', 'healPercent', 'credits', 'corruption', 'block', 'insight',
+    'reputation', 'status', 'lore', 'setsFlags', 'flags', 'unlocks',
+    'card', 'add_card', 'artifact', 'fragment', 'fragmentPool', 'upgrade', 'removeCard',
+    'combat', 'viewNextNodes', 'random',
+    'creditCost', 'debtOwed', 'loreUnlock', 'playerBuff', 'relationship', 'bossModifier'
+]);
+
+// Intent types CombatScreen executes on the enemy turn
+const INTENT_TYPES = new Set([
+    'attack', 'heavy_attack', 'multi_attack', 'attack_debuff',
+    'block', 'defend', 'buff', 'debuff', 'heal', 'summon', 'add_card'
+]);
+
+// Card id named by an add_card spec (a bare id or { card, ... })
+const addCardId = (spec) => (typeof spec === 'string' ? spec : spec?.card);
+
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        switch (arg) {
+            case '--strict': args.strict = true; break;
+            case '--json': args.json = true; break;
+            case '--quiet': args.quiet = true; break;
+            case '--help':
+            case '-h': args.help = true; break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return args;
+}
+
+function listJsonFiles(dir) {
+    return readdirSync(dir).flatMap(name => {
+        const full = join(dir, name);
+        if (statSync(full).isDirectory()) return name === 'schemas' ? [] : listJsonFiles(full);
+        return name.endsWith('.json') ? [full] : [];
+    });
+}
+
+/**
+ * Collects issues as { level, file, path, message }
+ */
+class Report {
+    constructor() {
+        this.issues = [];
+        this.files = [];
+    }
+
+    error(file, path, message) {
+        this.issues.push({ level: 'error', file, path, message });
+    }
+
+    warn(file, path, message) {
+        this.issues.push({ level: 'warning', file, path, message });
+    }
+
+    count(level) {
+        return this.issues.filter(i => i.level === level).length;
+    }
+}
+
+/**
+ * Parse every data file strictly (the browser uses response.json(), so
+ * comments or trailing commas break loading) and validate it against its schema
+ * @returns {Map<string, *>} Parsed data keyed by repo-relative path
+ */
+function loadAndValidate(report) {
+    const files = [...listJsonFiles(DATA_DIR), join(ROOT, 'js', 'data', 'void_fragments.json')];
+    const data = new Map();
+
+    files.forEach(full => {
+        const file = relative(ROOT, full).split('\\').join('/');
+        const entry = SCHEMA_MAP.find(m => m.pattern.test(file));
+        report.files.push({ file, schema: entry?.schema || null });
+
+        let text;
+        try {
+            text = readFileSync(full, 'utf8');
+        } catch (e) {
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            const hasComments = text.split('\n').some(line => line.trim().startsWith('//'));
+            report.error(file, '$', `is not valid JSON (${e.message.replace(/\s+/g, ' ')})${hasComments ? ' — remove the // comment lines' : ''}`);
+            // Keep checking references with a lenient parse so one bad file doesn't hide the rest
+            try {
+                parsed = JSON.parse(text.split('\n').filter(line => !line.trim().startsWith('//')).join('\n'));
+            } catch (e2) {
+                return;
+            }
+        }
+        data.set(file, parsed);
+
+        if (!entry) return;
+        validate(parsed, loadSchema(entry.schema), { file: entry.schema }).forEach(v => {
+            report.error(file, v.path, v.message);
+        });
+    });
+
+    return data;
+}
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+function findDuplicates(ids) {
+    const seen = new Set();
+    return ids.filter(id => (seen.has(id) ? true : (seen.add(id), false)));
+}
+
+/**
+ * Every choice in an event-shaped object, with its JSON path
+ */
+function collectChoices(node, path, out = []) {
+    if (Array.isArray(node)) {
+        node.forEach((child, i) => collectChoices(child, `${path}[${i}]`, out));
+    } else if (node && typeof node === 'object') {
+        Object.entries(node).forEach(([key, child]) => {
+            if (key === 'choices' && Array.isArray(child)) {
+                child.forEach((choice, i) => out.push({ choice, path: `${path}.choices[${i}]` }));
+            } else if (key !== 'effects') {
+                collectChoices(child, `${path}.${key}`, out);
+            }
+        });
+    }
+    return out;
+}
+
+function checkReferences(data, report) {
+    const byPattern = (re) => [...data.entries()].filter(([file]) => re.test(file));
+
+    // ── Indexes ──
+    const cardFiles = byPattern(/^data\/cards\//);
+    const cardsByFile = new Map(cardFiles.map(([file, d]) => [file, [...(d.cards || []), ...(d.curses || [])]]));
+    const allCardIds = new Set([...cardsByFile.values()].flat().map(c => c.id));
+    const neutralIds = new Set((cardsByFile.get('data/cards/neutral_cards.json') || []).map(c => c.id));
+
+    const relicData = data.get('data/artifacts/relics.json') || {};
+    const relicIds = new Set((relicData.relics || []).map(r => r.id));
+
+    const rosterFiles = byPattern(/^data\/enemies\/act\d+_enemies\.json$/);
+    const bossData = data.get('data/enemies/bosses.json') || {};
+    const bosses = bossData.bosses || [];
+    const enemyIds = new Set([
+        ...rosterFiles.flatMap(([, d]) => (d.enemies || []).map(e => e.id)),
+        ...(bossData.minions || []).map(m => m.id),
+        ...bosses.map(b => b.id)
+    ]);
+
+    const eventFiles = byPattern(/^data\/events\//);
+    const eventIds = new Set();
+    eventFiles.forEach(([, d]) => {
+        (d.events || []).forEach(e => eventIds.add(e.id));
+        (d.encounters || []).forEach(e => eventIds.add(e.id));
+        Object.values(d.narrativeBookends || {}).forEach(e => eventIds.add(e.id));
+    });
+
+    const statusData = data.get('data/statuses/statuses.json') || {};
+    const statusIds = new Set(Object.values(statusData.statuses || {}).flat().map(s => s.id));
+
+    const heroFiles = byPattern(/^data\/heroes\//);
+    const heroIds = new Set(heroFiles.map(([, h]) => h.id));
+
+    // ── Heroes ──
+    heroFiles.forEach(([file, hero]) => {
+        const cardFile = `data/cards/${hero.id}_cards.json`;
+        if (!cardsByFile.has(cardFile)) {
+            report.error(file, '$.id', `has no card pool (${cardFile} is missing)`);
+        }
+        const pool = new Set([...(cardsByFile.get(cardFile) || []).map(c => c.id), ...neutralIds]);
+        asArray(hero.startingDeck).forEach((id, i) => {
+            if (!pool.has(id)) {
+                report.error(file, `$.startingDeck[${i}]`, `card "${id}" is not in ${cardFile} or neutral_cards.json`);
+            }
+        });
+        if (hero.startingArtifact && !relicIds.has(hero.startingArtifact)) {
+            report.error(file, '$.startingArtifact', `relic "${hero.startingArtifact}" is not in artifacts/relics.json`);
+        }
+        const listed = relicData.heroStartingRelics?.[hero.id];
+        if (listed && hero.startingArtifact && listed !== hero.startingArtifact) {
+            report.warn(file, '$.startingArtifact', `is "${hero.startingArtifact}" but relics.json heroStartingRelics.${hero.id} is "${listed}"`);
+        }
+    });
+
+    // ── Cards ──
+    const cardFileOf = new Map();
+    cardsByFile.forEach((cards, file) => {
+        const d = data.get(file);
+        const heroId = file.match(/cards\/(\w+)_cards\.json$/)?.[1];
+        if (d.heroId && d.heroId !== heroId) {
+            report.error(file, '$.heroId', `is "${d.heroId}" but the file is named for "${heroId}"`);
+        }
+
+        findDuplicates(cards.map(c => c.id)).forEach(id => report.error(file, '$.cards', `card id "${id}" is defined more than once`));
+        cards.forEach(card => {
+            if (cardFileOf.has(card.id) && cardFileOf.get(card.id) !== file) {
+                report.warn(file, '$.cards', `card id "${card.id}" is also defined in ${cardFileOf.get(card.id)}`);
+            }
+            cardFileOf.set(card.id, file);
+        });
+
+        const listKey = (card) => ((d.curses || []).includes(card) ? 'curses' : 'cards');
+        const indexIn = (card) => (d[listKey(card)] || []).indexOf(card);
+        cards.forEach(card => {
+            asArray(card.effects).forEach((effect, i) => {
+                const path = `$.${listKey(card)}[${indexIn(card)}].effects[${i}]`;
+                if (effect?.type && !cardEffects.hasEffect(effect.type)) {
+                    report.warn(file, path, `${card.id}: effect type "${effect.type}" has no registered card effect handler`);
+                }
+                const condition = effect?.conditional?.trigger ?? (effect?.type === 'conditional' ? effect.trigger : undefined);
+                if (condition !== undefined && !cardEffects.hasCondition(condition)) {
+                    report.warn(file, path, `${card.id}: condition "${condition}" is not a registered card condition`);
+                }
+                if (effect?.type === 'conditional') {
+                    asArray(effect.apply).forEach(apply => {
+                        if (apply?.type && !cardEffects.hasEffect(apply.type)) {
+                            report.warn(file, `${path}.apply`, `${card.id}: effect type "${apply.type}" has no registered card effect handler`);
+                        }
+                    });
+                }
+                if (effect?.type === 'add_card' && !allCardIds.has(effect.card)) {
+                    report.error(file, `${path}.card`, `${card.id}: adds unknown card "${effect.card}"`);
+                }
+                if (effect?.type === 'status' && effect.status && statusIds.size > 0 && !statusIds.has(effect.status)) {
+                    report.warn(file, path, `${card.id}: status "${effect.status}" is not defined in statuses.json`);
+                }
+            });
+        });
+    });
+
+    // ── Relics ──
+    if (relicData.relics) {
+        const file = 'data/artifacts/relics.json';
+        findDuplicates(relicData.relics.map(r => r.id)).forEach(id => report.error(file, '$.relics', `relic id "${id}" is defined more than once`));
+        Object.entries(relicData.heroStartingRelics || {}).forEach(([hero, id]) => {
+            if (!relicIds.has(id)) report.error(file, `$.heroStartingRelics.${hero}`, `relic "${id}" does not exist`);
+        });
+        ['bossRelicPools', 'eventRelicPools'].forEach(key => {
+            Object.entries(relicData[key] || {}).forEach(([pool, ids]) => {
+                asArray(ids).forEach((id, i) => {
+                    if (!relicIds.has(id)) report.error(file, `$.${key}.${pool}[${i}]`, `relic "${id}" does not exist`);
+                });
+            });
+        });
+        if (relicData.relicCount !== undefined && relicData.relicCount !== relicData.relics.length) {
+            report.warn(file, '$.relicCount', `says ${relicData.relicCount} but there are ${relicData.relics.length} relics`);
+        }
+        Object.entries(relicData.rarityDistribution || {}).forEach(([rarity, expected]) => {
+            const actual = relicData.relics.filter(r => r.rarity === rarity).length;
+            if (actual !== expected) report.warn(file, `$.rarityDistribution.${rarity}`, `says ${expected} but there are ${actual}`);
+        });
+        relicData.relics.forEach((relic, i) => {
+            if (relic.heroSpecific && heroIds.size > 0 && !heroIds.has(relic.heroSpecific)) {
+                report.warn(file, `$.relics[${i}].heroSpecific`, `${relic.id}: hero "${relic.heroSpecific}" has no data/heroes file`);
+            }
+        });
+    }
+
+    // ── Enemies and bosses ──
+    const checkIntents = (file, path, intents) => {
+        asArray(intents).forEach((intent, i) => {
+            if (!intent) return;
+            if (intent.type && !INTENT_TYPES.has(intent.type)) {
+                report.warn(file, `${path}[${i}]`, `intent type "${intent.type}" is never executed by CombatScreen`);
+            }
+            if (intent.type === 'summon' && intent.enemy && !enemyIds.has(intent.enemy)) {
+                report.error(file, `${path}[${i}].enemy`, `summons unknown enemy "${intent.enemy}"`);
+            }
+            if (intent.type === 'add_card' && !allCardIds.has(intent.card)) {
+                report.error(file, `${path}[${i}].card`, `adds unknown card "${intent.card}"`);
+            }
+        });
+    };
+    rosterFiles.forEach(([file, d]) => {
+        findDuplicates((d.enemies || []).map(e => e.id)).forEach(id => report.error(file, '$.enemies', `enemy id "${id}" is defined more than once`));
+        (d.enemies || []).forEach((enemy, i) => {
+            checkIntents(file, `$.enemies[${i}].intents`, enemy.intents);
+            asArray(enemy.phases).forEach((phase, p) => checkIntents(file, `$.enemies[${i}].phases[${p}].intents`, phase?.intents));
+        });
+        Object.entries(d.encounters || {}).forEach(([kind, list]) => {
+            asArray(list).forEach((encounter, i) => {
+                asArray(encounter?.enemies).forEach((id, j) => {
+                    if (!enemyIds.has(id)) report.error(file, `$.encounters.${kind}[${i}].enemies[${j}]`, `enemy "${id}" does not exist`);
+                });
+            });
+        });
+    });
+    if (bosses.length > 0) {
+        const file = 'data/enemies/bosses.json';
+        findDuplicates(bosses.map(b => b.id)).forEach(id => report.error(file, '$.bosses', `boss id "${id}" is defined more than once`));
+        bosses.forEach((boss, i) => {
+            asArray(boss.phases).forEach((phase, p) => {
+                checkIntents(file, `$.bosses[${i}].phases[${p}].intents`, phase?.intents);
+                if (p > 0 && phase.hpThreshold >= boss.phases[p - 1].hpThreshold) {
+                    report.error(file, `$.bosses[${i}].phases[${p}].hpThreshold`, `${boss.id}: phase thresholds should descend (${boss.phases[p - 1].hpThreshold} → ${phase.hpThreshold})`);
+                }
+            });
+        });
+        (bossData.minions || []).forEach((minion, i) => {
+            if (!minion.reference) return;
+            const roster = data.get(`data/enemies/${minion.reference}`);
+            if (!roster) {
+                report.error(file, `$.minions[${i}].reference`, `file enemies/${minion.reference} does not exist`);
+            } else if (!(roster.enemies || []).some(e => e.id === minion.id)) {
+                report.error(file, `$.minions[${i}]`, `"${minion.id}" is not defined in ${minion.reference}`);
+            }
+        });
+    }
+
+    // ── Act map configs ──
+    byPattern(/^data\/maps\/act\d+_config\.json$/).forEach(([file, config]) => {
+        const boss = bosses.find(b => b.id === config.boss);
+        if (config.boss && !boss) {
+            report.error(file, '$.boss', `boss "${config.boss}" is not in enemies/bosses.json`);
+        } else if (boss && boss.act !== config.act) {
+            report.warn(file, '$.boss', `"${boss.id}" is an act ${boss.act} boss but this is act ${config.act}`);
+        }
+        if (config.nodeCount && config.nodeCount.min > config.nodeCount.max) {
+            report.error(file, '$.nodeCount', `min ${config.nodeCount.min} is greater than max ${config.nodeCount.max}`);
+        }
+        const total = Object.values(config.nodeDistribution || {}).reduce((sum, v) => sum + (Number(v) || 0), 0);
+        if (config.nodeDistribution && Math.abs(total - 1) > 0.001) {
+            report.warn(file, '$.nodeDistribution', `shares sum to ${total.toFixed(3)}, expected 1`);
+        }
+        if (!data.has(`data/enemies/act${config.act}_enemies.json`)) {
+            report.warn(file, '$.act', `act ${config.act} has no enemies/act${config.act}_enemies.json roster`);
+        }
+    });
+
+    // ── Events ──
+    eventFiles.forEach(([file, d]) => {
+        const ids = [
+            ...(d.events || []).map(e => e.id),
+            ...(d.encounters || []).map(e => e.id)
+        ];
+        findDuplicates(ids).forEach(id => report.error(file, '$', `event id "${id}" is defined more than once`));
+
+        (d.events || []).forEach((event, i) => {
+            if (event.chainOf && !eventIds.has(event.chainOf)) {
+                report.error(file, `$.events[${i}].chainOf`, `${event.id}: parent event "${event.chainOf}" does not exist`);
+            }
+            if (event.heroSpecific && heroIds.size > 0 && !heroIds.has(event.heroSpecific)) {
+                report.warn(file, `$.events[${i}].heroSpecific`, `${event.id}: hero "${event.heroSpecific}" has no data/heroes file`);
+            }
+            ['eventSeen', 'eventNotSeen'].forEach(key => {
+                asArray(event.requirements?.[key]).forEach(id => {
+                    if (!eventIds.has(id)) report.error(file, `$.events[${i}].requirements.${key}`, `event "${id}" does not exist`);
+                });
+            });
+        });
+
+        collectChoices(d, '$').forEach(({ choice, path }) => {
+            const checkEffects = (effects, effectsPath) => {
+                if (!effects || typeof effects !== 'object') return;
+                Object.keys(effects).forEach(key => {
+                    if (!EVENT_EFFECT_KEYS.has(key)) {
+                        report.warn(file, `${effectsPath}.${key}`, `effect key "${key}" is not applied by the event screens`);
+                    }
+                });
+                asArray(effects.unlocks).forEach(id => {
+                    if (!eventIds.has(id)) report.error(file, `${effectsPath}.unlocks`, `unlocks unknown event "${id}"`);
+                });
+                if (typeof effects.card === 'string' && !allCardIds.has(effects.card)) {
+                    report.warn(file, `${effectsPath}.card`, `"${effects.card}" is not a card id; EventScreen will add a bare placeholder`);
+                }
+                asArray(effects.add_card).forEach(spec => {
+                    if (!allCardIds.has(addCardId(spec))) {
+                        report.error(file, `${effectsPath}.add_card`, `adds unknown card "${addCardId(spec)}"`);
+                    }
+                });
+                asArray(effects.random).forEach((outcome, i) => checkEffects(outcome, `${effectsPath}.random[${i}]`));
+            };
+            checkEffects(choice?.effects, `${path}.effects`);
+            if (choice && typeof choice === 'object' && Object.keys(choice).length === 0) {
+                report.error(file, path, 'choice is empty');
+            }
+        });
+    });
+
+    // Chain events nobody unlocks can never appear
+    const unlocked = new Set();
+    eventFiles.forEach(([, d]) => collectChoices(d, '$').forEach(({ choice }) => {
+        asArray(choice?.effects?.unlocks).forEach(id => unlocked.add(id));
+        asArray(choice?.effects?.random).forEach(outcome => asArray(outcome?.unlocks).forEach(id => unlocked.add(id)));
+    }));
+    eventFiles.forEach(([file, d]) => {
+        (d.events || []).forEach((event, i) => {
+            if (event.chainOf && !unlocked.has(event.id)) {
+                report.warn(file, `$.events[${i}]`, `chain event "${event.id}" is never unlocked by any choice`);
+            }
+        });
+    });
+
+    // ── Meta unlocks ──
+    const unlockData = data.get('data/meta/unlocks.json');
+    if (unlockData) {
+        const file = 'data/meta/unlocks.json';
+        const unlocks = asArray(unlockData.unlocks);
+        findDuplicates(unlocks.map(u => u.id)).forEach(id => report.error(file, '$.unlocks', `unlock id "${id}" is defined more than once`));
+        const pooled = new Map();
+        unlocks.forEach((unlock, i) => {
+            const path = `$.unlocks[${i}]`;
+            const targets = { heroes: heroIds, relics: relicIds };
+            if (targets[unlock.category] && !targets[unlock.category].has(unlock.target)) {
+                report.error(file, `${path}.target`, `${unlock.category} unlock names unknown id "${unlock.target}"`);
+            }
+            if (unlock.category === 'cardPools' && asArray(unlock.cards).length === 0) {
+                report.error(file, `${path}.cards`, 'card pool unlocks need at least one card');
+            }
+            asArray(unlock.cards).forEach((id, j) => {
+                if (!allCardIds.has(id)) report.error(file, `${path}.cards[${j}]`, `unknown card "${id}"`);
+                if (pooled.has(id)) report.warn(file, `${path}.cards[${j}]`, `"${id}" is also locked by ${pooled.get(id)}`);
+                pooled.set(id, unlock.id);
+            });
+            const condition = unlock.condition || {};
+            if (condition.hero && !heroIds.has(condition.hero)) {
+                report.error(file, `${path}.condition.hero`, `unknown hero "${condition.hero}"`);
+            }
+            if (condition.type === 'boss_defeated' && !bosses.some(b => b.id === condition.boss)) {
+                report.error(file, `${path}.condition.boss`, `unknown boss "${condition.boss}"`);
+            }
+            const needs = { runs_won: 'count', runs_played: 'count', floor_reached: 'floor' }[condition.type];
+            if (needs && condition[needs] === undefined) {
+                report.error(file, `${path}.condition`, `${condition.type} needs "${needs}"`);
+            }
+        });
+        heroFiles.forEach(([heroFile, hero]) => {
+            const unlock = unlocks.find(u => u.category === 'heroes' && u.target === hero.id);
+            if (unlock && hero.locked === false) {
+                report.warn(heroFile, '$.locked', `is false but ${file} sells "${unlock.id}"; the hero is only gated once locked`);
+            }
+        });
+    }
+
+    // ── Achievements ──
+    const achievementData = data.get('data/meta/achievements.json');
+    if (achievementData) {
+        const file = 'data/meta/achievements.json';
+        const achievements = asArray(achievementData.achievements);
+        findDuplicates(achievements.map(a => a.id)).forEach(id => report.error(file, '$.achievements', `achievement id "${id}" is defined more than once`));
+        achievements.forEach((achievement, i) => {
+            const trigger = achievement.trigger || {};
+            if (trigger.count && trigger.collect) {
+                report.error(file, `$.achievements[${i}].trigger`, 'use either count or collect, not both');
+            }
+            const heroId = trigger.where?.heroId;
+            if (heroId && !heroIds.has(heroId)) {
+                report.error(file, `$.achievements[${i}].trigger.where.heroId`, `unknown hero "${heroId}"`);
+            }
+            asArray(trigger.checks).forEach((check, j) => {
+                if (check.min === undefined && check.max === undefined && check.equals === undefined) {
+                    report.warn(file, `$.achievements[${i}].trigger.checks[${j}]`, 'has no min, max or equals, so it always passes');
+                }
+            });
+        });
+    }
+
+    // ── Ascension ──
+    const ascensionData = data.get('data/meta/ascension.json');
+    if (ascensionData) {
+        const file = 'data/meta/ascension.json';
+        const cardById = new Map([...cardsByFile.values()].flat().map(c => [c.id, c]));
+        asArray(ascensionData.levels).forEach((level, i) => {
+            if (level.level !== i + 1) {
+                report.error(file, `$.levels[${i}].level`, `expected level ${i + 1}, got ${level.level}; levels stack in order`);
+            }
+            const modifier = level.modifier || {};
+            if (modifier.type === 'starting_curse') {
+                const card = cardById.get(modifier.card);
+                if (!card) report.error(file, `$.levels[${i}].modifier.card`, `unknown card "${modifier.card}"`);
+                else if (card.type !== 'curse') report.warn(file, `$.levels[${i}].modifier.card`, `"${modifier.card}" is a ${card.type}, not a curse`);
+            } else if (modifier.value === undefined) {
+                report.error(file, `$.levels[${i}].modifier`, `${modifier.type} needs a value`);
+            }
+        });
+    }
+
+    // ── Statuses ──
+    if (statusData.statuses) {
+        const file = 'data/statuses/statuses.json';
+        const all = Object.entries(statusData.statuses).flatMap(([group, list]) => asArray(list).map(s => ({ group, id: s.id })));
+        findDuplicates(all.map(s => s.id)).forEach(id => {
+            const groups = all.filter(s => s.id === id).map(s => s.group);
+            report.error(file, '$.statuses', `status id "${id}" is defined in more than one group (${groups.join(', ')})`);
+        });
+    }
+
+    // ── Void fragments ──
+    ['data/void_fragments.json', 'js/data/void_fragments.json'].forEach(file => {
+        const d = data.get(file);
+        if (!d) return;
+        findDuplicates(asArray(d.fragments).map(f => f.id)).forEach(id => report.error(file, '$.fragments', `fragment id "${id}" is defined more than once`));
+        const thresholds = asArray(d.slotUnlockThresholds);
+        if (d.maxSlots !== undefined && thresholds.length !== d.maxSlots) {
+            report.error(file, '$.slotUnlockThresholds', `has ${thresholds.length} entries but maxSlots is ${d.maxSlots}`);
+        }
+        thresholds.forEach((t, i) => {
+            if (i > 0 && t <= thresholds[i - 1]) report.error(file, `$.slotUnlockThresholds[${i}]`, 'thresholds should ascend');
+        });
+
+        const sets = asArray(d.setBonuses);
+        const fragmentIds = new Set(asArray(d.fragments).map(f => f.id));
+        findDuplicates(sets.map(s => s.id)).forEach(id => report.error(file, '$.setBonuses', `set bonus id "${id}" is defined more than once`));
+        sets.forEach((set, i) => {
+            asArray(set.requires?.fragments).forEach((id, j) => {
+                if (!fragmentIds.has(id)) report.error(file, `$.setBonuses[${i}].requires.fragments[${j}]`, `unknown fragment "${id}"`);
+            });
+            const { type, count } = set.requires || {};
+            if (type && count) {
+                const ofType = asArray(d.fragments).filter(f => f.type === type).length;
+                if (ofType < count) report.warn(file, `$.setBonuses[${i}].requires`, `needs ${count} "${type}" fragments but only ${ofType} exist`);
+            }
+        });
+    });
+    // ── Chain rules ──
+    const chainRules = data.get('data/chain_rules.json');
+    if (chainRules) {
+        const file = 'data/chain_rules.json';
+        const chainable = new Set(asArray(chainRules.chainableTypes));
+        const extenders = new Set(asArray(chainRules.extenders));
+
+        Object.entries(chainRules.typeAliases || {}).forEach(([from, to]) => {
+            if (!chainable.has(to)) report.error(file, `$.typeAliases.${from}`, `"${to}" is not a chainable type`);
+        });
+        extenders.forEach(type => {
+            if (!chainable.has(type)) report.error(file, '$.extenders', `"${type}" is not a chainable type`);
+        });
+
+        const checkCombos = (combos, path) => {
+            combos.forEach((combo, i) => {
+                asArray(combo.pattern).forEach((type, j) => {
+                    if (!chainable.has(type)) report.error(file, `${path}[${i}].pattern[${j}]`, `${combo.id}: "${type}" is not a chainable type`);
+                    else if (extenders.has(type)) report.error(file, `${path}[${i}].pattern[${j}]`, `${combo.id}: "${type}" is an extender, which never counts towards a combo`);
+                });
+                if (new Set(asArray(combo.pattern)).size === 1) {
+                    report.warn(file, `${path}[${i}].pattern`, `${combo.id}: a single-type pattern is just a chain`);
+                }
+            });
+        };
+        const shared = asArray(chainRules.combos);
+        checkCombos(shared, '$.combos');
+
+        Object.entries(chainRules.heroes || {}).forEach(([heroId, rules]) => {
+            const path = `$.heroes.${heroId}`;
+            if (heroIds.size > 0 && !heroIds.has(heroId)) report.error(file, path, `unknown hero "${heroId}"`);
+            Object.keys(rules.steps || {}).forEach(type => {
+                if (!chainable.has(type)) report.error(file, `${path}.steps.${type}`, `"${type}" is not a chainable type`);
+            });
+            const combos = asArray(rules.combos);
+            checkCombos(combos, `${path}.combos`);
+            findDuplicates([...shared, ...combos].map(c => c.id)).filter(id => combos.some(c => c.id === id)).forEach(id => {
+                report.error(file, `${path}.combos`, `combo id "${id}" is defined more than once`);
+            });
+        });
+        findDuplicates(shared.map(c => c.id)).forEach(id => report.error(file, '$.combos', `combo id "${id}" is defined more than once`));
+    }
+
+    const primary = data.get('data/void_fragments.json');
+    const mirror = data.get('js/data/void_fragments.json');
+    if (primary && mirror && JSON.stringify(primary) !== JSON.stringify(mirror)) {
+        report.warn('js/data/void_fragments.json', '$', 'differs from data/void_fragments.json (VoidSystemsIntegration loads data/ first)');
+    }
+}
+
+function printReport(report, args) {
+    const byFile = new Map(report.files.map(f => [f.file, []]));
+    report.issues.forEach(issue => {
+        if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+        byFile.get(issue.file).push(issue);
+    });
+
+    const schemaOf = new Map(report.files.map(f => [f.file, f.schema]));
+    byFile.forEach((issues, file) => {
+        if (args.quiet && issues.length === 0) return;
+        const schema = schemaOf.get(file);
+        const mark = issues.some(i => i.level === 'error') ? '✗' : issues.length > 0 ? '!' : '✓';
+        process.stdout.write(`${mark} ${file}${schema ? '' : '  (no schema)'}\n`);
+        issues.forEach(i => {
+            process.stdout.write(`    ${i.level === 'error' ? 'error  ' : 'warning'}  ${i.path}  ${i.message}\n`);
+        });
+    });
+
+    process.stdout.write(`\n${report.files.length} files · ${report.count('error')} errors · ${report.count('warning')} warnings\n`);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        process.stdout.write('Usage: node tools/validate-data.mjs [--strict] [--json] [--quiet]\n');
+        return;
+    }
+
+    const report = new Report();
+    const data = loadAndValidate(report);
+    checkReferences(data, report);
+
+    if (args.json) {
+        process.stdout.write(JSON.stringify({ files: report.files, issues: report.issues }, null, 2) + '\n');
+    } else {
+        printReport(report, args);
+    }
+
+    const failed = report.count('error') > 0 || (args.strict && report.count('warning') > 0);
+    process.exitCode = failed ? 1 : 0;
+}
+
+try {
+    main();
+} catch (e) {
+    console.error(`[validate-data] ${e.message}`);
+    process.exit(2);
+}